@@ -0,0 +1,84 @@
+const { db } = require('../utils/firebaseAdmin');
+const { diffDocuments, recordAuditEntries } = require('../utils/auditLog');
+
+const toIds = (value) => (Array.isArray(value) ? value : [value]).filter(Boolean);
+
+/**
+ * Middleware factory recording a privileged action in the audit log
+ * Place it last before the handler (after validation and idempotency, so
+ * rejected and replayed requests are not recorded). When the handler responds
+ * with a success status, one entry is written per target, with the fields of
+ * the target document that changed. Targets without a collection get a single
+ * entry with no target ID. The response is held until the entries are
+ * written; if they cannot be, the client gets a 500 AUDIT_WRITE_FAILED
+ * instead, so no successful response goes out unrecorded.
+ *
+ * @param {string|Function} action - Action name, or a function of the request returning one
+ * @param {Object} target
+ * @param {string} target.type - Kind of target, e.g. "exchange_request"
+ * @param {string} [target.collection] - Collection of the target documents, to diff them
+ * @param {Function} [target.id] - (req, responseBody) => ID or IDs; responseBody is
+ *   undefined before the handler runs (use it for IDs of created documents)
+ * @param {Function} [target.details] - req => request parameters to keep; the body by default
+ * @returns {Function} Express middleware
+ */
+const auditTrail = (action, { type, collection, id = () => null, details = req => req.body } = {}) => {
+  const snapshot = async (ids) => {
+    if (!collection) {
+      return {};
+    }
+    const docs = await Promise.all(ids.map(targetId => db.collection(collection).doc(targetId).get()));
+    return Object.fromEntries(docs.map(doc => [doc.id, doc.exists ? doc.data() : null]));
+  };
+
+  return async (req, res, next) => {
+    try {
+      const before = await snapshot(toIds(id(req)));
+
+      const originalJson = res.json;
+      res.json = function(body) {
+        if (res.statusCode >= 400) {
+          return originalJson.call(this, body);
+        }
+
+        const statusCode = res.statusCode;
+
+        Promise.resolve()
+          .then(async () => {
+            const ids = toIds(id(req, body));
+            const after = await snapshot(ids);
+            await recordAuditEntries((collection ? ids : [null]).map(targetId => ({
+              action: typeof action === 'function' ? action(req) : action,
+              actor: req.user,
+              target: { type, id: targetId },
+              changes: collection ? diffDocuments(before[targetId] || null, after[targetId]) : {},
+              details: details(req),
+              statusCode,
+              ip: req.ip,
+              requestId: req.requestId || null
+            })));
+          })
+          .then(() => originalJson.call(this, body))
+          .catch(error => {
+            console.error('Error writing audit log:', error);
+            res.status(500);
+            originalJson.call(this, {
+              error: 'The action was applied but could not be recorded in the audit log',
+              code: 'AUDIT_WRITE_FAILED'
+            });
+          });
+
+        return this;
+      };
+
+      next();
+    } catch (error) {
+      console.error('Audit middleware error:', error);
+      res.status(500).json({ error: 'Server error while preparing the audit log' });
+    }
+  };
+};
+
+module.exports = {
+  auditTrail
+};
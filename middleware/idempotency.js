@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { db } = require('../utils/firebaseAdmin');
+const { toDate } = require('../utils/exchangeFormatter');
+
+// Stored responses for idempotent requests
+const IDEMPOTENCY_COLLECTION = 'idempotency_keys';
+const IDEMPOTENCY_TTL_HOURS = 24;
+// A request still 'processing' after this long is assumed dead and can be retried
+const PROCESSING_LEASE_MS = 2 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Complete or release a record, but only while this request still holds it
+ * @param {Object} recordRef - Idempotency record reference
+ * @param {string} token - Token written when the request claimed the key
+ * @param {Object|null} updates - Fields to store, or null to delete the record
+ * @returns {Promise<void>}
+ */
+async function settleRecord(recordRef, token, updates) {
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(recordRef);
+    if (!doc.exists || doc.data().token !== token) {
+      return;
+    }
+    if (updates) {
+      transaction.update(recordRef, updates);
+    } else {
+      transaction.delete(recordRef);
+    }
+  });
+}
+
+/**
+ * Factory function to create an idempotency middleware
+ * Requests carrying the same Idempotency-Key header (per user and route) are
+ * executed once; repeats get the stored response instead of running again.
+ * A failed request (5xx, or no response before the lease runs out) frees the
+ * key so the client can retry.
+ * @param {Object} [options]
+ * @param {boolean} [options.required=false] - Reject requests without a key
+ * @returns {Function} Express middleware function
+ */
+const idempotency = ({ required = false } = {}) => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (!key) {
+      if (required) {
+        return res.status(400).json({
+          error: 'Idempotency-Key header is required',
+          code: 'IDEMPOTENCY_KEY_REQUIRED'
+        });
+      }
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        error: `Idempotency-Key cannot exceed ${MAX_KEY_LENGTH} characters`,
+        code: 'IDEMPOTENCY_KEY_INVALID'
+      });
+    }
+
+    try {
+      const recordRef = db.collection(IDEMPOTENCY_COLLECTION)
+        .doc(hash(`${req.user?.uid || 'anonymous'}:${req.method}:${req.originalUrl}:${key}`));
+      const fingerprint = hash(JSON.stringify(req.body || {}));
+      const token = crypto.randomUUID();
+
+      const existing = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(recordRef);
+        const now = new Date();
+
+        if (doc.exists && toDate(doc.data().expiresAt) > now) {
+          const record = doc.data();
+          // Take over a processing record whose request never finished
+          const abandoned = record.status === 'processing' && !(toDate(record.leaseExpiresAt) > now);
+          if (!abandoned || record.fingerprint !== fingerprint) {
+            return record;
+          }
+        }
+
+        const expiresAt = new Date(now);
+        expiresAt.setHours(expiresAt.getHours() + IDEMPOTENCY_TTL_HOURS);
+
+        transaction.set(recordRef, {
+          status: 'processing',
+          token,
+          leaseExpiresAt: new Date(now.getTime() + PROCESSING_LEASE_MS),
+          fingerprint,
+          userId: req.user?.uid || null,
+          method: req.method,
+          path: req.originalUrl,
+          createdAt: new Date(),
+          expiresAt
+        });
+        return null;
+      });
+
+      if (existing) {
+        if (existing.fingerprint !== fingerprint) {
+          return res.status(422).json({
+            error: 'Idempotency-Key was already used with a different request body',
+            code: 'IDEMPOTENCY_KEY_REUSED'
+          });
+        }
+
+        if (existing.status === 'processing') {
+          return res.status(409).json({
+            error: 'A request with this Idempotency-Key is still being processed',
+            code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+          });
+        }
+
+        if (req.logger) {
+          req.logger.info('Replaying idempotent response', { path: req.originalUrl });
+        }
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // Store the response once the handler produces it
+      let stored = false;
+      const originalJson = res.json;
+      res.json = function(body) {
+        if (res.statusCode < 500) {
+          stored = true;
+          settleRecord(recordRef, token, {
+            status: 'completed',
+            responseStatus: res.statusCode,
+            responseBody: JSON.parse(JSON.stringify(body ?? null)),
+            completedAt: new Date(),
+            leaseExpiresAt: null
+          }).catch(error => {
+            console.error('Error storing idempotent response:', error);
+          });
+        }
+
+        return originalJson.call(this, body);
+      };
+
+      // Server errors and responses sent another way (e.g. by the error handler)
+      // are not final: free the key so the client can retry
+      res.on('finish', () => {
+        if (stored) return;
+        settleRecord(recordRef, token, null).catch(error => {
+          console.error('Error releasing idempotency key:', error);
+        });
+      });
+
+      next();
+    } catch (error) {
+      console.error('Idempotency middleware error:', error);
+      res.status(500).json({ error: 'Server error during idempotency check' });
+    }
+  };
+};
+
+/**
+ * Delete stored responses whose key has expired
+ * @returns {Promise<{deleted: number}>}
+ */
+async function purgeExpiredIdempotencyRecords() {
+  const snapshot = await db.collection(IDEMPOTENCY_COLLECTION)
+    .where('expiresAt', '<', new Date())
+    .limit(500)
+    .get();
+
+  const batch = db.batch();
+  snapshot.docs.forEach(doc => batch.delete(doc.ref));
+  await batch.commit();
+
+  return { deleted: snapshot.size };
+}
+
+module.exports = {
+  idempotency,
+  purgeExpiredIdempotencyRecords,
+  IDEMPOTENCY_COLLECTION
+};
@@ -0,0 +1,71 @@
+const { db } = require('../utils/firebaseAdmin');
+const { getPermissionScope, scopeIncludes } = require('../utils/roles');
+const { getSecondFactorBlock } = require('../utils/twoFactor');
+
+/**
+ * Middleware factory checking a staff permission (see utils/roles.js)
+ * Must run after the auth middleware, which loads the user's roles
+ *
+ * By default only grants that apply everywhere count. With `warehouse`, the
+ * resource's warehouse is resolved first and warehouse-scoped grants for it
+ * count too. With `scoped`, any grant passes and the route receives
+ * req.permissionScope ({ all, warehouseIds }) to limit what it returns.
+ * Staff sessions that have not passed two-factor authentication are refused.
+ *
+ * @param {string|Function} permission - PERMISSIONS value, or a function of the request returning one
+ * @param {Object} [options]
+ * @param {Function} [options.warehouse] - async (req) => warehouse ID of the resource, or null
+ * @param {boolean} [options.scoped] - Let warehouse-scoped grants through and expose the scope
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (permission, { warehouse, scoped = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const required = typeof permission === 'function' ? permission(req) : permission;
+      const scope = getPermissionScope(req.user, required);
+
+      let allowed;
+      if (scoped) {
+        allowed = Boolean(scope);
+      } else if (warehouse && scope && !scope.all) {
+        allowed = scopeIncludes(scope, await warehouse(req));
+      } else {
+        allowed = scopeIncludes(scope, null);
+      }
+
+      if (!allowed) {
+        return res.status(403).json({
+          error: 'You do not have permission to do this',
+          code: 'PERMISSION_DENIED',
+          permission: required
+        });
+      }
+
+      const secondFactorBlock = getSecondFactorBlock(req.user);
+      if (secondFactorBlock) {
+        return res.status(403).json(secondFactorBlock);
+      }
+
+      req.permissionScope = scope;
+      next();
+    } catch (error) {
+      console.error('Permission middleware error:', error);
+      res.status(500).json({ error: 'Server error during authorization check' });
+    }
+  };
+};
+
+/**
+ * Warehouse of the exchange request in req.params.id, for requirePermission
+ * @param {Object} req - Express request
+ * @returns {Promise<string|null>}
+ */
+const exchangeWarehouse = async (req) => {
+  const doc = await db.collection('exchange_requests').doc(req.params.id).get();
+  return doc.exists ? doc.data().warehouseId || null : null;
+};
+
+module.exports = {
+  requirePermission,
+  exchangeWarehouse
+};
@@ -6,7 +6,8 @@ const requestTracker = (req, res, next) => {
   // Generate a unique request ID
   const requestId = uuidv4();
   
-  // Attach request ID to response headers
+  // Attach request ID to the request and response headers
+  req.requestId = requestId;
   res.setHeader('X-Request-Id', requestId);
   
   // Create a request-scoped logger and attach to request object
@@ -65,6 +65,73 @@ const JoiSanitized = Joi.extend(joi => {
   };
 });
 
+// An image of an exchange request: a Cloudinary URL or the upload route's response
+const exchangeImageSchema = Joi.alternatives().try(
+  Joi.string().trim().uri({ scheme: ['https'] }),
+  Joi.object({
+    url: Joi.string().trim().uri({ scheme: ['https'] }),
+    secure_url: Joi.string().trim().uri({ scheme: ['https'] }),
+    publicId: Joi.string().trim().max(300),
+    public_id: Joi.string().trim().max(300)
+  }).or('url', 'secure_url')
+).messages({
+  'alternatives.match': 'Images must be uploaded through /api/upload/image'
+});
+
+// Exchange quote (admin), also used by bulk quoting
+const exchangeQuoteSchema = Joi.object({
+  minCredit: Joi.number().integer().positive().max(1000000).required()
+    .messages({
+      'number.base': 'Minimum credit must be a number',
+      'number.integer': 'Minimum credit must be a whole number',
+      'number.positive': 'Minimum credit must be positive',
+      'any.required': 'Minimum credit is required'
+    }),
+  maxCredit: Joi.number().integer().min(Joi.ref('minCredit')).max(1000000).required()
+    .messages({
+      'number.base': 'Maximum credit must be a number',
+      'number.integer': 'Maximum credit must be a whole number',
+      'number.min': 'Maximum credit cannot be lower than minimum credit',
+      'any.required': 'Maximum credit is required'
+    }),
+  warehouseId: Joi.string().trim().required()
+    .messages({
+      'any.required': 'Warehouse selection is required'
+    }),
+  note: JoiSanitized.string().trim().max(1000).allow('').optional().sanitizeHtml()
+});
+
+// Admin exchange list filters, also used by the exchange export
+const exchangeListQuerySchema = Joi.object({
+  state: Joi.string().trim().max(30),
+  status: Joi.string().trim().max(30),
+  transitStatus: Joi.string().trim().max(30),
+  warehouseId: Joi.string().trim().max(128),
+  brand: Joi.string().trim().max(100),
+  q: Joi.string().trim().max(100).allow(''),
+  createdFrom: Joi.date().iso(),
+  createdTo: Joi.date().iso().when('createdFrom', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('createdFrom'))
+  }),
+  minCredit: Joi.number().min(0),
+  maxCredit: Joi.number().min(0).when('minCredit', {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref('minCredit'))
+  }),
+  limit: Joi.number().integer().min(1).max(100),
+  pageToken: Joi.string().trim().max(500),
+  // Opt in to the { exchangeRequests, nextPageToken, counts } response
+  paged: Joi.boolean().default(false),
+  includeCounts: Joi.boolean().default(false)
+});
+
+// Export format and column selection, shared by every export
+const exportOptions = {
+  format: Joi.string().valid('csv', 'xlsx').default('csv'),
+  columns: Joi.string().trim().max(1000).allow('')
+};
+
 // Common validation schemas
 const schemas = {
   // Login validation
@@ -142,6 +209,52 @@ const schemas = {
       })
   }),
 
+  // Exchange request creation (customer)
+  exchangeRequest: Joi.object({
+    productName: JoiSanitized.string().trim().min(1).max(200).required().sanitizeHtml()
+      .messages({
+        'any.required': 'Product name is required'
+      }),
+    description: JoiSanitized.string().trim().min(1).max(2000).required().sanitizeHtml()
+      .messages({
+        'string.max': 'Description cannot exceed 2000 characters',
+        'any.required': 'Description is required'
+      }),
+    brand: JoiSanitized.string().trim().min(1).max(100).required().sanitizeHtml()
+      .messages({
+        'any.required': 'Brand is required'
+      }),
+    condition: Joi.string().trim().max(50).required()
+      .messages({
+        'any.required': 'Condition is required'
+      }),
+    category: Joi.string().trim().max(50).allow(null, '').optional(),
+    ageInMonths: Joi.number().integer().min(0).max(1200).allow(null).optional()
+      .messages({
+        'number.base': 'ageInMonths must be a non-negative whole number',
+        'number.integer': 'ageInMonths must be a non-negative whole number',
+        'number.min': 'ageInMonths must be a non-negative whole number'
+      }),
+    accessories: Joi.array().items(Joi.string().trim().max(100)).max(30).default([])
+      .messages({
+        'array.base': 'accessories must be a list of names',
+        'string.base': 'accessories must be a list of names'
+      }),
+    images: Joi.array().items(exchangeImageSchema).max(20).default([])
+  }),
+
+  // Customer edit of a pending exchange request; anything else is dropped
+  exchangeUpdate: Joi.object({
+    description: JoiSanitized.string().trim().min(1).max(2000).sanitizeHtml()
+      .messages({
+        'string.max': 'Description cannot exceed 2000 characters'
+      }),
+    images: Joi.array().items(exchangeImageSchema).max(20)
+  }).or('description', 'images')
+    .messages({
+      'object.missing': 'Nothing to update: send a description or images'
+    }),
+
   // ID parameter validation
   idParam: Joi.object({
     id: Joi.string().trim().required()
@@ -151,10 +264,353 @@ const schemas = {
       })
   }),
 
-  // Email verification validation
+  // Loyalty points redemption validation
+  pointsRedemption: Joi.object({
+    points: Joi.number().integer().positive().max(1000000).required()
+      .messages({
+        'number.base': 'Points must be a number',
+        'number.integer': 'Points must be a whole number',
+        'number.positive': 'Points must be positive',
+        'any.required': 'Points are required'
+      }),
+    reference: JoiSanitized.string().trim().max(100).allow('').optional().sanitizeHtml(),
+    note: JoiSanitized.string().trim().max(500).allow('').optional().sanitizeHtml()
+  }),
+
+  // Discount code purchase validation
+  discountCodeRequest: Joi.object({
+    points: Joi.number().integer().min(1).max(100000).required()
+      .messages({
+        'number.base': 'Points must be a number',
+        'number.integer': 'Points must be a whole number',
+        'number.min': 'Points must be positive',
+        'number.max': 'A single discount code cannot exceed 100000 points',
+        'any.required': 'Points are required'
+      })
+  }),
+
+  // Manual loyalty points adjustment validation (admin)
+  pointsAdjustment: Joi.object({
+    type: Joi.string().valid('bonus', 'correction', 'clawback').required()
+      .messages({
+        'any.only': 'Type must be one of: bonus, correction, clawback',
+        'any.required': 'Adjustment type is required'
+      }),
+    points: Joi.number().integer().invalid(0).min(-1000000).max(1000000).required()
+      .when('type', {
+        not: 'correction',
+        then: Joi.number().positive()
+      })
+      .messages({
+        'number.base': 'Points must be a number',
+        'number.integer': 'Points must be a whole number',
+        'number.positive': 'Points must be positive for bonus and clawback adjustments',
+        'any.invalid': 'Points cannot be zero',
+        'any.required': 'Points are required'
+      }),
+    reason: JoiSanitized.string().trim().min(3).max(500).required().sanitizeHtml()
+      .messages({
+        'string.min': 'Reason must be at least 3 characters',
+        'string.empty': 'Reason is required',
+        'any.required': 'Reason is required'
+      })
+  }),
+
+  // Exchange quote validation (admin)
+  exchangeQuote: exchangeQuoteSchema,
+
+  // Customer response to an exchange quote
+  quoteResponse: Joi.object({
+    decision: Joi.string().valid('accept', 'reject').required()
+      .messages({
+        'any.only': 'Decision must be either accept or reject',
+        'any.required': 'Decision is required'
+      }),
+    reason: JoiSanitized.string().trim().max(500).allow('').optional().sanitizeHtml()
+  }),
+
+  // Inspection report on a received item (admin)
+  inspectionReport: Joi.object({
+    checklist: Joi.array().items(
+      Joi.object({
+        item: JoiSanitized.string().trim().min(1).max(200).required().sanitizeHtml(),
+        passed: Joi.boolean().required(),
+        note: JoiSanitized.string().trim().max(500).allow('').optional().sanitizeHtml()
+      })
+    ).min(1).max(50).required()
+      .messages({
+        'array.min': 'At least one checklist item is required',
+        'any.required': 'Inspection checklist is required'
+      }),
+    measuredCondition: Joi.string().trim().lowercase().min(1).max(50).required()
+      .messages({
+        'any.required': 'Measured condition is required'
+      }),
+    // Photos come from POST /api/upload/image, which stores them under the SWAPCRED folder
+    photos: Joi.array().items(
+      Joi.object({
+        url: Joi.string().uri({ scheme: ['https'] }).required(),
+        publicId: Joi.string().trim().pattern(/^SWAPCRED\//).required()
+          .messages({
+            'string.pattern.base': 'Photos must be uploaded through /api/upload/image'
+          })
+      })
+    ).max(20).default([]),
+    notes: JoiSanitized.string().trim().max(2000).allow('').optional().sanitizeHtml(),
+    offeredCredit: Joi.number().integer().positive().max(1000000).optional()
+      .messages({
+        'number.base': 'Offered credit must be a number',
+        'number.integer': 'Offered credit must be a whole number',
+        'number.positive': 'Offered credit must be positive'
+      })
+  }),
+
+  // Customer response to an inspection with an adjusted credit
+  inspectionResponse: Joi.object({
+    decision: Joi.string().valid('accept', 'dispute').required()
+      .messages({
+        'any.only': 'Decision must be either accept or dispute',
+        'any.required': 'Decision is required'
+      }),
+    reason: JoiSanitized.string().trim().max(1000).sanitizeHtml()
+      .when('decision', {
+        is: 'dispute',
+        then: Joi.string().min(10).required(),
+        otherwise: Joi.string().allow('').optional()
+      })
+      .messages({
+        'string.min': 'Please describe why you dispute the inspection (at least 10 characters)',
+        'any.required': 'A reason is required to open a dispute'
+      })
+  }),
+
+  // Admin resolution of an inspection dispute
+  disputeResolution: Joi.object({
+    finalCredit: Joi.number().integer().positive().max(1000000).required()
+      .messages({
+        'number.base': 'Final credit must be a number',
+        'number.integer': 'Final credit must be a whole number',
+        'number.positive': 'Final credit must be positive',
+        'any.required': 'Final credit is required'
+      }),
+    note: JoiSanitized.string().trim().min(3).max(1000).required().sanitizeHtml()
+      .messages({
+        'string.min': 'Resolution note must be at least 3 characters',
+        'any.required': 'A resolution note is required'
+      })
+  }),
+
+  // Return of a rejected item to the customer (admin)
+  itemReturn: Joi.object({
+    reason: JoiSanitized.string().trim().min(3).max(1000).required().sanitizeHtml()
+      .messages({
+        'string.min': 'Rejection reason must be at least 3 characters',
+        'any.required': 'Rejection reason is required'
+      }),
+    carrierName: JoiSanitized.string().trim().min(2).max(100).required().sanitizeHtml()
+      .messages({
+        'any.required': 'Return carrier is required'
+      }),
+    trackingNumber: Joi.string().trim().min(3).max(100).required()
+      .messages({
+        'any.required': 'Return tracking number is required'
+      }),
+    shippingDate: Joi.date().iso().default(() => new Date()),
+    address: JoiSanitized.string().trim().max(500).allow('').optional().sanitizeHtml(),
+    notes: JoiSanitized.string().trim().max(1000).allow('').optional().sanitizeHtml()
+  }),
+
+  // Valuation rate validation (admin)
+  valuationRate: Joi.object({
+    brand: JoiSanitized.string().trim().min(1).max(100).required().sanitizeHtml()
+      .messages({
+        'any.required': 'Brand is required (use * to match any brand)'
+      }),
+    category: JoiSanitized.string().trim().min(1).max(100).required().sanitizeHtml()
+      .messages({
+        'any.required': 'Category is required (use * to match any category)'
+      }),
+    condition: JoiSanitized.string().trim().min(1).max(50).required().sanitizeHtml()
+      .messages({
+        'any.required': 'Condition is required'
+      }),
+    baseAmount: Joi.number().integer().min(0).max(1000000).required()
+      .messages({
+        'number.base': 'Base amount must be a number',
+        'number.integer': 'Base amount must be a whole number',
+        'any.required': 'Base amount is required'
+      }),
+    isActive: Joi.boolean().default(true),
+    notes: JoiSanitized.string().trim().max(500).allow('').optional().sanitizeHtml()
+  }),
+
+  // Valuation rate update validation (admin); the matching keys can't change
+  valuationRateUpdate: Joi.object({
+    baseAmount: Joi.number().integer().min(0).max(1000000)
+      .messages({
+        'number.base': 'Base amount must be a number',
+        'number.integer': 'Base amount must be a whole number'
+      }),
+    isActive: Joi.boolean(),
+    notes: JoiSanitized.string().trim().max(500).allow('').sanitizeHtml()
+  }).min(1),
+
+  // Valuation modifiers validation (admin)
+  valuationModifiers: Joi.object({
+    ageBrackets: Joi.array().items(
+      Joi.object({
+        maxAgeMonths: Joi.number().integer().min(0).allow(null).required(),
+        multiplier: Joi.number().min(0).max(2).required()
+      })
+    ).max(20).default([]),
+    accessoryValues: Joi.object().pattern(
+      Joi.string().trim().min(1).max(50),
+      Joi.number().integer().min(0).max(100000)
+    ).default({})
+  }),
+
+  // Bulk admin action on exchange requests
+  exchangeBulkAction: Joi.object({
+    action: Joi.string().valid('quote', 'decline', 'mark_received', 'assign_suggested_credit').required()
+      .messages({
+        'any.only': 'Action must be one of quote, decline, mark_received or assign_suggested_credit',
+        'any.required': 'Action is required'
+      }),
+    exchangeIds: Joi.array().items(Joi.string().trim().max(128)).min(1).max(100).unique().required()
+      .messages({
+        'array.min': 'Select at least one exchange request',
+        'array.max': 'At most 100 exchange requests can be updated at once',
+        'array.unique': 'Exchange requests must not be listed twice'
+      }),
+    quote: exchangeQuoteSchema.when('action', {
+      is: 'quote',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    reason: JoiSanitized.string().trim().min(3).max(1000).sanitizeHtml().when('action', {
+      is: 'decline',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    note: JoiSanitized.string().trim().max(1000).allow('').optional().sanitizeHtml()
+  }),
+
+  // Admin exchange list query validation
+  exchangeListQuery: exchangeListQuerySchema,
+
+  // Admin report query; the range defaults to the last 30 days
+  reportQuery: Joi.object({
+    from: Joi.date().iso().default(() => new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)),
+    to: Joi.date().iso().default(() => new Date()).when('from', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('from'))
+    }),
+    groupBy: Joi.string().valid('day', 'week', 'month').default('day'),
+    limit: Joi.number().integer().min(1).max(100).default(10)
+  }),
+
+  // Recompute report rollups for a range of days
+  reportRollupRebuild: Joi.object({
+    from: Joi.date().iso().required(),
+    to: Joi.date().iso().min(Joi.ref('from')).required()
+  }),
+
+  // Spreadsheet exports (admin)
+  exchangeExportQuery: exchangeListQuerySchema.keys(exportOptions).fork(['limit', 'pageToken'], schema => schema.strip()),
+
+  creditHistoryExportQuery: Joi.object({
+    userId: Joi.string().trim().max(128),
+    type: Joi.string().valid(
+      'exchange_credit', 'redemption', 'bonus', 'correction',
+      'clawback', 'discount_code', 'discount_refund', 'expiry'
+    ),
+    createdFrom: Joi.date().iso(),
+    createdTo: Joi.date().iso().when('createdFrom', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('createdFrom'))
+    }),
+    ...exportOptions
+  }),
+
+  warehouseIntakeExportQuery: Joi.object({
+    warehouseId: Joi.string().trim().max(128),
+    state: Joi.string().valid('approved', 'shipping', 'received'),
+    ...exportOptions
+  }),
+
+  // Audit log query (admin)
+  auditLogQuery: Joi.object({
+    actorId: Joi.string().trim().max(128),
+    action: Joi.string().trim().max(100),
+    targetType: Joi.string().trim().max(50),
+    targetId: Joi.string().trim().max(128),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().when('from', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('from'))
+    }),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+    pageToken: Joi.string().trim().max(128)
+  }),
+
+  // Staff role grants (admin)
+  roleGrant: Joi.object({
+    role: Joi.string().valid('admin', 'reviewer', 'warehouse_staff', 'finance').required(),
+    warehouseId: Joi.string().trim().max(128)
+  }),
+
+  roleRevokeQuery: Joi.object({
+    warehouseId: Joi.string().trim().max(128)
+  }),
+
+  // Sign in with a Shopify customer account
+  customerLoginStart: Joi.object({
+    loginHint: Joi.string().email().trim().lowercase()
+  }),
+
+  customerLoginCallback: Joi.object({
+    code: Joi.string().trim().max(4000).required(),
+    state: Joi.string().trim().max(200).required()
+  }),
+
+  // Account deletion, confirmed by typing the account's email
+  accountDeletion: Joi.object({
+    confirmEmail: Joi.string().trim().lowercase().email().required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Enter the email address of your account to confirm'
+      })
+  }),
+
+  // Session refresh
+  tokenRefresh: Joi.object({
+    refreshToken: Joi.string().trim().max(200).required()
+      .messages({
+        'any.required': 'Refresh token is required'
+      })
+  }),
+
+  // Two-factor authentication
+  twoFactorCode: Joi.object({
+    code: Joi.string().trim().pattern(/^\d{6}$/).required()
+      .messages({
+        'string.pattern.base': 'Enter the 6-digit code from your authenticator app',
+        'any.required': 'Two-factor code is required'
+      })
+  }),
+
+  twoFactorVerification: Joi.object({
+    code: Joi.string().trim().pattern(/^\d{6}$/)
+      .messages({
+        'string.pattern.base': 'Enter the 6-digit code from your authenticator app'
+      }),
+    recoveryCode: Joi.string().trim().max(20)
+  }).xor('code', 'recoveryCode'),
+
+  // Email verification validation: the login code or the magic-link token
   emailVerification: Joi.object({
     email: Joi.string().email().trim().lowercase().required(),
-    token: Joi.string().trim().required()
+    token: Joi.string().trim().max(100).required()
   })
 };
 
@@ -1,65 +1,232 @@
 const express = require('express');
 const router = express.Router();
-const { db, admin } = require('../utils/firebaseAdmin');
-const { findCustomerByEmail, updateCustomerLoyaltyPoints } = require('../utils/shopify');
+const { db } = require('../utils/firebaseAdmin');
+const { ShopifyErrorTypes } = require('../utils/shopify');
 const { authMiddleware } = require('../middleware/auth');
-const { adminMiddleware } = require('../middleware/admin');
-const { sendApprovalEmail, sendCreditAssignedEmail } = require('../utils/email');
+const { requirePermission, exchangeWarehouse } = require('../middleware/permissions');
+const { idempotency } = require('../middleware/idempotency');
+const { auditTrail } = require('../middleware/audit');
+const { validate, schemas } = require('../middleware/validator');
+const {
+  sendApprovalEmail,
+  sendReturnEmail,
+  sendInspectionResultEmail,
+  sendDisputeResolvedEmail,
+  withEmailBatch
+} = require('../utils/email');
+const { formatExchangeRequest } = require('../utils/exchangeFormatter');
+const {
+  RATES_COLLECTION,
+  SETTINGS_COLLECTION,
+  MODIFIERS_DOC_ID,
+  normalizeKey,
+  getValuationModifiers,
+  saveValuationModifiers,
+  refreshSuggestedCredit,
+  handleValuationError
+} = require('../utils/valuation');
+const { handleQuoteError } = require('../utils/exchangeQuotes');
+const { buildInspectionReport, applyDisputeResolution } = require('../utils/exchangeInspection');
+const { buildImageIndex, markUploadsAttached } = require('../utils/uploads');
+const { createShippingLabel, getShippingLabelPdf, handleLabelError } = require('../utils/shippingLabels');
+const {
+  quoteExchange,
+  setExchangeStatus,
+  setTransitStatus,
+  assignCredit,
+  runBulkAction,
+  handleActionError
+} = require('../utils/exchangeActions');
+const {
+  searchExchangeRequests,
+  countExchangesByStatus,
+  backfillSearchFields,
+  handleSearchError
+} = require('../utils/exchangeSearch');
+const {
+  LEDGER_TYPES,
+  applyPointsMovement,
+  recoverPendingCreditEntries,
+  formatCreditHistoryEntry,
+  getUserCreditHistory,
+  handleLedgerError
+} = require('../utils/creditLedger');
+const {
+  EXCHANGE_STATES,
+  ACTOR_ROLES,
+  getExchangeState,
+  actorFromRequest,
+  transitionExchange,
+  getExchangeHistory,
+  backfillExchangeStates,
+  handleTransitionError
+} = require('../utils/exchangeStateMachine');
+const {
+  PERMISSIONS,
+  ROLE_DEFINITIONS,
+  scopeIncludes,
+  hasPermission,
+  assertWarehouseAccess,
+  resolveWarehouseFilter,
+  getUserRoles,
+  grantRole,
+  revokeRole,
+  getRoleChanges,
+  handleRoleError
+} = require('../utils/roles');
+const { getJobStatuses } = require('../utils/scheduler');
+
+// Page size of the unpaged exchange request list, which returns a plain array
+const LEGACY_LIST_LIMIT = 100;
+
+// Permission each bulk action needs; the same as its single-item route
+const BULK_ACTION_PERMISSIONS = {
+  quote: PERMISSIONS.EXCHANGES_REVIEW,
+  decline: PERMISSIONS.EXCHANGES_REVIEW,
+  mark_received: PERMISSIONS.EXCHANGES_RECEIVE,
+  assign_suggested_credit: PERMISSIONS.CREDIT_ASSIGN
+};
+
+// Audit log targets (see middleware/audit.js)
+const exchangeTarget = { type: 'exchange_request', collection: 'exchange_requests', id: req => req.params.id };
+const userTarget = { type: 'user', collection: 'users', id: req => req.params.userId };
+const warehouseTarget = { type: 'warehouse', collection: 'warehouses', id: (req, body) => req.params.id || body?.id };
+const valuationRateTarget = { type: 'valuation_rate', collection: RATES_COLLECTION, id: (req, body) => req.params.id || body?.id };
+
+const bulkActionPermission = (req) => BULK_ACTION_PERMISSIONS[req.body.action];
+
+// Marking an item received is warehouse work; other transit updates are reviewer work
+const transitPermission = (req) => (req.body && req.body.transitStatus === EXCHANGE_STATES.RECEIVED
+  ? PERMISSIONS.EXCHANGES_RECEIVE
+  : PERMISSIONS.EXCHANGES_REVIEW);
 
 /**
- * Get all exchange requests (for admin)
+ * List exchange requests (for admin), newest first
+ * Filters: state, status, transitStatus, warehouseId, brand, createdFrom/createdTo,
+ * minCredit/maxCredit and q (searches product name, brand and customer email).
+ * Responds with an array of up to `limit` (100 by default) requests, as it
+ * always has. With paged=true it responds with { exchangeRequests, nextPageToken }
+ * instead (25 per page by default); pass nextPageToken back as pageToken for the
+ * next page, and add includeCounts=true for per-status counts for the dashboard tabs.
+ * Staff scoped to warehouses only see those warehouses; with several of them
+ * warehouseId is required, and the counts are for that warehouse.
  * @route GET /api/admin/exchange-requests
- * @access Admin only
+ * @access Staff with exchanges:read, limited to the user's warehouses
  */
-router.get('/exchange-requests', authMiddleware, adminMiddleware, async (req, res) => {
+router.get('/exchange-requests', authMiddleware, requirePermission(PERMISSIONS.EXCHANGES_READ, { scoped: true }), validate(schemas.exchangeListQuery, 'query'), async (req, res) => {
   try {
-    const { limit = 100 } = req.query;
-    
-    // Get all exchange requests sorted by date without filtering
-    // This allows client-side filtering for better UX
-    let query = db.collection('exchange_requests').orderBy('createdAt', 'desc');
+    const scope = req.permissionScope;
+    const { paged, includeCounts, ...filters } = req.query;
+    const warehouseId = resolveWarehouseFilter(scope, filters.warehouseId);
     
-    if (limit) {
-      query = query.limit(parseInt(limit));
+    if (!paged) {
+      const { docs } = await searchExchangeRequests({ ...filters, warehouseId, limit: filters.limit || LEGACY_LIST_LIMIT });
+      return res.status(200).json(docs.map(doc => formatExchangeRequest(doc.id, doc.data())));
     }
     
-    const snapshot = await query.get();
+    const [{ docs, nextPageToken }, counts] = await Promise.all([
+      searchExchangeRequests({ ...filters, warehouseId }),
+      includeCounts ? countExchangesByStatus(scope.all ? undefined : warehouseId) : null
+    ]);
     
-    // Format data efficiently
-    const exchangeRequests = snapshot.docs.map(doc => {
-      const data = doc.data();
-      const formatted = {
-        id: doc.id,
-        ...data,
-        createdAt: data.createdAt?.toDate() || new Date(),
-        updatedAt: data.updatedAt?.toDate() || new Date()
-      };
-      
-      // Only transform shipping details if they exist
-      if (data.shippingDetails) {
-        formatted.shippingDetails = {
-          ...data.shippingDetails,
-          shippingDate: data.shippingDetails.shippingDate?.toDate(),
-          submittedAt: data.shippingDetails.submittedAt?.toDate()
-        };
-      }
-      
-      return formatted;
+    res.status(200).json({
+      exchangeRequests: docs.map(doc => formatExchangeRequest(doc.id, doc.data())),
+      nextPageToken,
+      ...(counts ? { counts } : {})
     });
-    
-    res.status(200).json(exchangeRequests);
   } catch (error) {
+    if (handleRoleError(error, res)) return;
+    if (handleSearchError(error, res)) return;
     console.error('Error getting exchange requests:', error);
     res.status(500).json({ error: 'Failed to get exchange requests' });
   }
 });
 
+/**
+ * Index exchange requests created before search was added
+ * @route POST /api/admin/exchange-requests/search-index
+ * @access Staff with settings:manage
+ */
+router.post('/exchange-requests/search-index', authMiddleware, requirePermission(PERMISSIONS.SETTINGS_MANAGE), auditTrail('exchange.search_index', { type: 'system' }), async (req, res) => {
+  try {
+    const result = await backfillSearchFields();
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error indexing exchange requests:', error);
+    res.status(500).json({ error: 'Failed to index exchange requests' });
+  }
+});
+
+/**
+ * Write the state field on exchange requests created before the state machine
+ * Also runs once at startup; this route scans again even after that finished
+ * @route POST /api/admin/exchange-requests/state-backfill
+ * @access Staff with settings:manage
+ */
+router.post('/exchange-requests/state-backfill', authMiddleware, requirePermission(PERMISSIONS.SETTINGS_MANAGE), auditTrail('exchange.state_backfill', { type: 'system' }), async (req, res) => {
+  try {
+    const result = await backfillExchangeStates({ force: true });
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error backfilling exchange states:', error);
+    res.status(500).json({ error: 'Failed to backfill exchange states' });
+  }
+});
+
+/**
+ * Apply one action to many exchange requests
+ * Each item goes through the same checks as its single-item route and fails on
+ * its own; customer emails are sent in batches once all items are processed.
+ * Accepts an optional Idempotency-Key header so retries are safe. Items outside
+ * the warehouses of a scoped user fail with PERMISSION_DENIED
+ * @route POST /api/admin/exchange-requests/bulk
+ * @access Staff with the permission of the action (see bulkActionPermission)
+ */
+router.post('/exchange-requests/bulk', authMiddleware, validate(schemas.exchangeBulkAction), requirePermission(bulkActionPermission, { scoped: true }), idempotency(), auditTrail(req => `exchange.bulk_${req.body.action}`, { ...exchangeTarget, id: (req, body) => (body ? body.results.filter(result => result.success).map(result => result.id) : req.body.exchangeIds) }), async (req, res) => {
+  try {
+    const { action, exchangeIds, ...params } = req.body;
+    const scope = req.permissionScope;
+    
+    const authorize = scope.all ? undefined : async (id) => {
+      const doc = await db.collection('exchange_requests').doc(id).get();
+      assertWarehouseAccess(scope, doc.exists ? doc.data().warehouseId || null : null);
+    };
+    
+    const { result: results, emails } = await withEmailBatch(() =>
+      runBulkAction(action, exchangeIds, params, actorFromRequest(req, ACTOR_ROLES.ADMIN), { authorize })
+    );
+    
+    const succeeded = results.filter(result => result.success).length;
+    
+    req.logger.info('Bulk exchange action applied', {
+      action,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded
+    });
+    
+    res.status(200).json({
+      action,
+      results,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded
+      },
+      emails
+    });
+  } catch (error) {
+    console.error('Error applying bulk exchange action:', error);
+    res.status(500).json({ error: 'Failed to apply bulk action' });
+  }
+});
+
 /**
  * Get a specific exchange request by ID (for admin)
  * @route GET /api/admin/exchange-requests/:id
- * @access Admin only
+ * @access Staff with exchanges:read, scoped to the exchange's warehouse
  */
-router.get('/exchange-requests/:id', authMiddleware, adminMiddleware, async (req, res) => {
+router.get('/exchange-requests/:id', authMiddleware, requirePermission(PERMISSIONS.EXCHANGES_READ, { warehouse: exchangeWarehouse }), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -71,24 +238,7 @@ router.get('/exchange-requests/:id', authMiddleware, adminMiddleware, async (req
       return res.status(404).json({ error: 'Exchange request not found' });
     }
     
-    const data = doc.data();
-    const exchangeRequest = {
-      id: doc.id,
-      ...data,
-      createdAt: data.createdAt?.toDate() || new Date(),
-      updatedAt: data.updatedAt?.toDate() || new Date()
-    };
-    
-    // Only format shipping details if they exist
-    if (data.shippingDetails) {
-      exchangeRequest.shippingDetails = {
-        ...data.shippingDetails,
-        shippingDate: data.shippingDetails.shippingDate?.toDate(),
-        submittedAt: data.shippingDetails.submittedAt?.toDate()
-      };
-    }
-    
-    res.status(200).json(exchangeRequest);
+    res.status(200).json(formatExchangeRequest(doc.id, doc.data()));
   } catch (error) {
     console.error('Error getting exchange request:', error);
     res.status(500).json({ error: 'Failed to get exchange request' });
@@ -96,129 +246,78 @@ router.get('/exchange-requests/:id', authMiddleware, adminMiddleware, async (req
 });
 
 /**
- * Update exchange request status (approve/decline/complete)
- * @route PUT /api/admin/exchange-requests/:id/status
- * @access Admin only
+ * Get the status history (audit timeline) of an exchange request
+ * @route GET /api/admin/exchange-requests/:id/history
+ * @access Staff with exchanges:read, scoped to the exchange's warehouse
  */
-router.put('/exchange-requests/:id/status', authMiddleware, adminMiddleware, async (req, res) => {
+router.get('/exchange-requests/:id/history', authMiddleware, requirePermission(PERMISSIONS.EXCHANGES_READ, { warehouse: exchangeWarehouse }), async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, adminFeedback, warehouseId } = req.body;
-    
-    if (!status || !['approved', 'declined', 'completed'].includes(status)) {
-      return res.status(400).json({ error: 'Invalid status value. Must be "approved", "declined" or "completed"' });
-    }
     
-    // Get document reference
-    const docRef = db.collection('exchange_requests').doc(id);
-    const doc = await docRef.get();
+    const doc = await db.collection('exchange_requests').doc(id).get();
     
-    // Check if document exists
     if (!doc.exists) {
       return res.status(404).json({ error: 'Exchange request not found' });
     }
     
-    const exchangeRequest = doc.data();
-    
-    // Special validation rules based on status
-    if (status === 'approved' && exchangeRequest.status !== 'pending') {
-      return res.status(400).json({ error: 'Can only approve pending exchange requests' });
-    }
-    
-    if (status === 'completed' && exchangeRequest.status !== 'approved') {
-      return res.status(400).json({ error: 'Can only complete approved exchange requests' });
-    }
-    
-    if (status === 'completed' && (!exchangeRequest.creditAmount || exchangeRequest.creditAmount <= 0)) {
-      return res.status(400).json({ error: 'Cannot complete exchange request without assigning credit' });
-    }
-    
-    // Validate warehouse selection for approval
-    if (status === 'approved' && !warehouseId) {
-      return res.status(400).json({ error: 'Warehouse selection is required for approval' });
-    }
+    const history = await getExchangeHistory(id);
     
-    // Update document with new status
-    const updates = {
-      status,
-      adminFeedback: adminFeedback ? 
-        `${exchangeRequest.adminFeedback || ''}\n${adminFeedback}`.trim() : 
-        exchangeRequest.adminFeedback,
-      updatedAt: new Date()
-    };
-    
-    // Add warehouse information when approving
-    if (status === 'approved' && warehouseId) {
-      // Get warehouse information
-      const warehouseDoc = await db.collection('warehouses').doc(warehouseId).get();
-      
-      if (!warehouseDoc.exists) {
-        return res.status(404).json({ error: 'Selected warehouse not found' });
-      }
-      
-      const warehouseData = warehouseDoc.data();
-      
-      // Store the warehouse information with the exchange request
-      updates.warehouseId = warehouseId;
-      updates.warehouseInfo = {
-        name: warehouseData.name,
-        addressLine1: warehouseData.addressLine1,
-        addressLine2: warehouseData.addressLine2 || '',
-        city: warehouseData.city,
-        state: warehouseData.state,
-        postalCode: warehouseData.postalCode,
-        country: warehouseData.country,
-        contactPerson: warehouseData.contactPerson || '',
-        contactPhone: warehouseData.contactPhone || ''
-      };
-    }
-    
-    // Set transit status to completed when the entire exchange is completed
-    if (status === 'completed') {
-      updates.transitStatus = 'completed';
-    }
-    
-    await docRef.update(updates);
+    res.status(200).json({
+      id,
+      state: getExchangeState(doc.data()),
+      history
+    });
+  } catch (error) {
+    console.error('Error getting exchange request history:', error);
+    res.status(500).json({ error: 'Failed to get exchange request history' });
+  }
+});
+
+/**
+ * Send a credit quote for a pending exchange request, or revise an open one
+ * The warehouse is assigned only once the customer accepts
+ * @route PUT /api/admin/exchange-requests/:id/quote
+ * @access Staff with exchanges:review
+ */
+router.put('/exchange-requests/:id/quote', authMiddleware, requirePermission(PERMISSIONS.EXCHANGES_REVIEW), validate(schemas.exchangeQuote), auditTrail('exchange.quote', exchangeTarget), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { minCredit, maxCredit } = req.body;
     
-    // Send notifications based on status
-    if (status === 'approved') {
-      try {
-        // Send approval email with warehouse information
-        const updatedExchangeData = {
-          ...exchangeRequest,
-          ...updates
-        };
-        await sendApprovalEmail(exchangeRequest.userEmail, updatedExchangeData);
-        console.log(`Email sent to ${exchangeRequest.userEmail} about exchange approval`);
-      } catch (emailError) {
-        console.error('Error sending approval email:', emailError);
-        // Don't stop the process if email fails
-      }
-    }
+    const { exchange, fromState } = await quoteExchange(id, req.body, actorFromRequest(req, ACTOR_ROLES.ADMIN));
     
-    // Get updated document
-    const updatedDoc = await docRef.get();
-    const updatedData = updatedDoc.data();
+    req.logger.info(fromState === EXCHANGE_STATES.QUOTED ? 'Exchange quote revised' : 'Exchange quote sent', {
+      exchangeId: id,
+      minCredit,
+      maxCredit
+    });
     
-    // Format the response
-    const response = {
-      id,
-      ...updatedData,
-      createdAt: updatedData.createdAt?.toDate() || new Date(),
-      updatedAt: updatedData.updatedAt?.toDate() || new Date()
-    };
+    res.status(200).json(formatExchangeRequest(id, exchange));
+  } catch (error) {
+    if (handleQuoteError(error, res)) return;
+    if (handleTransitionError(error, res)) return;
+    console.error('Error sending exchange quote:', error);
+    res.status(500).json({ error: 'Failed to send exchange quote' });
+  }
+});
+
+/**
+ * Update exchange request status (decline/complete)
+ * Approval happens when the customer accepts a quote
+ * @route PUT /api/admin/exchange-requests/:id/status
+ * @access Staff with exchanges:review, scoped to the exchange's warehouse
+ */
+router.put('/exchange-requests/:id/status', authMiddleware, requirePermission(PERMISSIONS.EXCHANGES_REVIEW, { warehouse: exchangeWarehouse }), auditTrail('exchange.status', exchangeTarget), async (req, res) => {
+  try {
+    const { id } = req.params;
     
-    // Only format shipping details if they exist
-    if (updatedData.shippingDetails) {
-      response.shippingDetails = {
-        ...updatedData.shippingDetails,
-        shippingDate: updatedData.shippingDetails.shippingDate?.toDate(),
-        submittedAt: updatedData.shippingDetails.submittedAt?.toDate()
-      };
-    }
+    // The state machine validates the transition and records it in the status history
+    const { exchange } = await setExchangeStatus(id, req.body, actorFromRequest(req, ACTOR_ROLES.ADMIN));
     
-    res.status(200).json(response);
+    res.status(200).json(formatExchangeRequest(id, exchange));
   } catch (error) {
+    if (handleActionError(error, res)) return;
+    if (handleTransitionError(error, res)) return;
     console.error('Error updating exchange request status:', error);
     res.status(500).json({ error: 'Failed to update exchange request status' });
   }
@@ -227,233 +326,268 @@ router.put('/exchange-requests/:id/status', authMiddleware, adminMiddleware, asy
 /**
  * Update exchange request transit status
  * @route PUT /api/admin/exchange-requests/:id/transit
- * @access Admin only
+ * @access Staff with exchanges:receive to mark received, scoped to the exchange's warehouse; exchanges:review otherwise
  */
-router.put('/exchange-requests/:id/transit', authMiddleware, adminMiddleware, async (req, res) => {
+router.put('/exchange-requests/:id/transit', authMiddleware, requirePermission(transitPermission, { warehouse: exchangeWarehouse }), auditTrail('exchange.transit', exchangeTarget), async (req, res) => {
   try {
     const { id } = req.params;
-    const { transitStatus, adminNote } = req.body;
     
-    // Validate transit status
-    if (!transitStatus || !['shipping', 'received', 'completed'].includes(transitStatus)) {
-      return res.status(400).json({ 
-        error: 'Invalid transit status. Must be "shipping", "received", or "completed"' 
-      });
-    }
+    // Marking the item received also re-values it and emails the customer
+    const { exchange } = await setTransitStatus(id, req.body, actorFromRequest(req, ACTOR_ROLES.ADMIN));
     
-    // Get document reference
-    const docRef = db.collection('exchange_requests').doc(id);
-    const doc = await docRef.get();
+    res.status(200).json(formatExchangeRequest(id, exchange));
+  } catch (error) {
+    if (handleActionError(error, res)) return;
+    if (handleTransitionError(error, res)) return;
+    console.error('Error updating transit status:', error);
+    res.status(500).json({ error: 'Failed to update transit status' });
+  }
+});
+
+/**
+ * File the inspection report for a received item
+ * A measured condition that differs from the declared one needs an adjusted
+ * offeredCredit, which the customer then accepts or disputes
+ * @route PUT /api/admin/exchange-requests/:id/inspection
+ * @access Staff with exchanges:review, scoped to the exchange's warehouse
+ */
+router.put('/exchange-requests/:id/inspection', authMiddleware, requirePermission(PERMISSIONS.EXCHANGES_REVIEW, { warehouse: exchangeWarehouse }), validate(schemas.inspectionReport), auditTrail('exchange.inspection', exchangeTarget), async (req, res) => {
+  try {
+    const { id } = req.params;
     
-    // Check if document exists
+    const doc = await db.collection('exchange_requests').doc(id).get();
     if (!doc.exists) {
       return res.status(404).json({ error: 'Exchange request not found' });
     }
     
-    const exchangeRequest = doc.data();
-    
-    // Basic validation - must be an approved request
-    if (exchangeRequest.status !== 'approved') {
-      return res.status(400).json({ error: 'Can only update transit status for approved exchange requests' });
-    }
+    const report = buildInspectionReport(doc.data(), req.body, req.user);
     
-    // Validate shipping details for received status
-    if (transitStatus === 'received' && !exchangeRequest.shippingDetails) {
-      return res.status(400).json({ error: 'Cannot mark as received without shipping details' });
-    }
-    
-    // Simple validation for status progression
-    if (transitStatus === 'received' && exchangeRequest.transitStatus !== 'shipping') {
-      // Change this validation to allow transitioning from any state to received
-      // as long as shipping details exist
-      if (!exchangeRequest.shippingDetails) {
-        return res.status(400).json({ error: 'Item must have shipping details before it can be received' });
+    // The state machine rejects a mismatch without an adjusted offeredCredit
+    const { exchange, toState } = await transitionExchange(
+      id,
+      report.conditionMatches ? EXCHANGE_STATES.INSPECTED : EXCHANGE_STATES.AWAITING_CUSTOMER,
+      {
+        actor: actorFromRequest(req, ACTOR_ROLES.ADMIN),
+        note: report.conditionMatches
+          ? 'Inspection passed: condition as declared'
+          : `Inspection found condition "${report.measuredCondition}" instead of "${report.declaredCondition}", offered ${report.offeredCredit} points`,
+        updates: { inspection: report, ...buildImageIndex({ ...doc.data(), inspection: report }) }
       }
-    }
+    );
     
-    if (transitStatus === 'completed' && (!exchangeRequest.creditAmount || exchangeRequest.creditAmount <= 0)) {
-      return res.status(400).json({ error: 'Cannot complete exchange without assigning credit' });
-    }
+    // Keep the photos out of the orphaned upload cleanup
+    await markUploadsAttached(report.photos);
     
-    // Update the transit status
-    const updates = {
-      transitStatus,
-      updatedAt: new Date()
-    };
-    
-    // Add admin note if provided
-    if (adminNote) {
-      updates.adminFeedback = `${exchangeRequest.adminFeedback || ''}\n${adminNote}`.trim();
-    }
-    
-    // If transit status is completed, also update the overall status
-    if (transitStatus === 'completed') {
-      updates.status = 'completed';
+    // Value the item by its measured condition
+    const suggestedCredit = await refreshSuggestedCredit(id, 'inspected');
+    if (suggestedCredit) {
+      exchange.suggestedCredit = suggestedCredit;
     }
     
-    await docRef.update(updates);
-    
-    // Send notifications based on transit status
-    const emailSubjects = {
-      'received': 'Your item has been received',
-      'completed': 'Your exchange process is now complete'
-    };
-    
-    if (emailSubjects[transitStatus]) {
+    if (toState === EXCHANGE_STATES.AWAITING_CUSTOMER) {
       try {
-        // Create simple plain text notification for receipt confirmation
-        if (transitStatus === 'received') {
-          const text = `We have received your item at our warehouse. Our team will inspect it and assign credit to your account soon. Thank you for your patience.`;
-          const html = `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-              <h2 style="color: #4CAF50;">Item Received</h2>
-              <p>We have received your item at our warehouse.</p>
-              <p>Our team will inspect it and assign credit to your account soon.</p>
-              <p>Thank you for your patience.</p>
-              <hr>
-              <p style="font-size: 12px; color: #777;">This is an automated message from SwapCred.</p>
-            </div>
-          `;
-          await require('../utils/email').sendEmail(
-            exchangeRequest.userEmail, 
-            emailSubjects[transitStatus], 
-            html, 
-            text
-          );
-        }
+        await sendInspectionResultEmail(exchange.userEmail, exchange, report);
       } catch (emailError) {
-        console.error(`Error sending ${transitStatus} email:`, emailError);
+        console.error('Error sending inspection email:', emailError);
         // Don't stop the process if email fails
       }
     }
     
-    // Get updated document
-    const updatedDoc = await docRef.get();
-    const updatedData = updatedDoc.data();
+    req.logger.info('Inspection report filed', {
+      exchangeId: id,
+      conditionMatches: report.conditionMatches,
+      state: toState
+    });
     
-    // Format the response
-    const response = {
-      id,
-      ...updatedData,
-      createdAt: updatedData.createdAt?.toDate() || new Date(),
-      updatedAt: updatedData.updatedAt?.toDate() || new Date()
-    };
+    res.status(200).json(formatExchangeRequest(id, exchange));
+  } catch (error) {
+    if (handleTransitionError(error, res)) return;
+    console.error('Error filing inspection report:', error);
+    res.status(500).json({ error: 'Failed to file inspection report' });
+  }
+});
+
+/**
+ * Resolve a customer's dispute of an inspection with a final credit
+ * @route PUT /api/admin/exchange-requests/:id/dispute/resolution
+ * @access Staff with exchanges:review, scoped to the exchange's warehouse
+ */
+router.put('/exchange-requests/:id/dispute/resolution', authMiddleware, requirePermission(PERMISSIONS.EXCHANGES_REVIEW, { warehouse: exchangeWarehouse }), validate(schemas.disputeResolution), auditTrail('exchange.dispute_resolution', exchangeTarget), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { finalCredit, note } = req.body;
+    
+    const { exchange } = await transitionExchange(id, EXCHANGE_STATES.INSPECTED, {
+      actor: actorFromRequest(req, ACTOR_ROLES.ADMIN),
+      note: `Dispute resolved with ${finalCredit} points: ${note}`,
+      updates: (current) => applyDisputeResolution(current.inspection, { finalCredit, note, actor: req.user })
+    });
     
-    // Only format shipping details if they exist
-    if (updatedData.shippingDetails) {
-      response.shippingDetails = {
-        ...updatedData.shippingDetails,
-        shippingDate: updatedData.shippingDetails.shippingDate?.toDate(),
-        submittedAt: updatedData.shippingDetails.submittedAt?.toDate()
-      };
+    try {
+      await sendDisputeResolvedEmail(exchange.userEmail, exchange, { finalCredit, note });
+    } catch (emailError) {
+      console.error('Error sending dispute resolution email:', emailError);
+      // Don't stop the process if email fails
     }
     
-    res.status(200).json(response);
+    res.status(200).json(formatExchangeRequest(id, exchange));
   } catch (error) {
-    console.error('Error updating transit status:', error);
-    res.status(500).json({ error: 'Failed to update transit status' });
+    if (handleTransitionError(error, res)) return;
+    console.error('Error resolving inspection dispute:', error);
+    res.status(500).json({ error: 'Failed to resolve dispute' });
   }
 });
 
 /**
- * Assign credit (points) to exchange request
- * @route PUT /api/admin/exchange-requests/:id/credit
- * @access Admin only
+ * Reject a received item and ship it back to the customer
+ * Ends the exchange in the returned state; not possible once credit was assigned
+ * @route PUT /api/admin/exchange-requests/:id/return
+ * @access Staff with exchanges:review, scoped to the exchange's warehouse
  */
-router.put('/exchange-requests/:id/credit', authMiddleware, adminMiddleware, async (req, res) => {
+router.put('/exchange-requests/:id/return', authMiddleware, requirePermission(PERMISSIONS.EXCHANGES_REVIEW, { warehouse: exchangeWarehouse }), validate(schemas.itemReturn), auditTrail('exchange.return', exchangeTarget), async (req, res) => {
   try {
     const { id } = req.params;
-    const { findCustomerByEmail, updateCustomerLoyaltyPoints } = require('../utils/shopify');
-    const { creditAmount, feedback } = req.body;
-
-    // Validate credit amount and convert to integer
-    const numericCreditAmount = Math.round(Number(creditAmount));
-    if (!numericCreditAmount || numericCreditAmount <= 0 || isNaN(numericCreditAmount)) {
-      return res.status(400).json({ error: 'Invalid loyalty points amount. Please provide a positive whole number.' });
-    }
-
-    // Get the exchange request
-    const exchangeRequest = await db.collection('exchange_requests').doc(id).get();
-    if (!exchangeRequest.exists) {
-      return res.status(404).json({ error: 'Exchange request not found' });
+    const { reason, carrierName, trackingNumber, shippingDate, address, notes } = req.body;
+    
+    const { exchange } = await transitionExchange(id, EXCHANGE_STATES.RETURNED, {
+      actor: actorFromRequest(req, ACTOR_ROLES.ADMIN),
+      note: `Item rejected and returned via ${carrierName} (${trackingNumber}): ${reason}`,
+      updates: (current) => ({
+        returnDetails: {
+          reason,
+          carrierName,
+          trackingNumber,
+          shippingDate,
+          // Default to where the customer shipped from
+          address: address || current.shippingDetails?.address || '',
+          notes: notes || '',
+          rejectedBy: req.user.uid,
+          rejectedAt: new Date()
+        }
+      })
+    });
+    
+    try {
+      await sendReturnEmail(exchange.userEmail, exchange);
+      console.log(`Email sent to ${exchange.userEmail} about item return`);
+    } catch (emailError) {
+      console.error('Error sending return email:', emailError);
+      // Don't stop the process if email fails
     }
+    
+    req.logger.info('Exchange item returned to customer', {
+      exchangeId: id,
+      trackingNumber
+    });
+    
+    res.status(200).json(formatExchangeRequest(id, exchange));
+  } catch (error) {
+    if (handleTransitionError(error, res)) return;
+    console.error('Error returning exchange item:', error);
+    res.status(500).json({ error: 'Failed to return exchange item' });
+  }
+});
 
-    const exchangeData = exchangeRequest.data();
+/**
+ * Create the prepaid shipping label of an approved exchange request
+ * Used when label creation failed on approval; an existing label is returned
+ * as is and re-sent to the customer
+ * @route POST /api/admin/exchange-requests/:id/shipping-label
+ * @access Staff with exchanges:review, scoped to the exchange's warehouse
+ */
+router.post('/exchange-requests/:id/shipping-label', authMiddleware, requirePermission(PERMISSIONS.EXCHANGES_REVIEW, { warehouse: exchangeWarehouse }), auditTrail('exchange.shipping_label', exchangeTarget), async (req, res) => {
+  try {
+    const { id } = req.params;
     
-    // Only assign credit if the request is approved and received
-    if (exchangeData.status !== 'approved' || exchangeData.transitStatus !== 'received') {
-      return res.status(400).json({ 
-        error: 'Credit can only be assigned to approved and received exchange requests' 
-      });
+    const { label, pdf } = await createShippingLabel(id);
+    if (!label) {
+      return res.status(400).json({ error: 'Shipping label generation is not configured', code: 'LABELS_DISABLED' });
     }
-
-    // First find the Shopify customer
-    let shopifyCustomer;
+    
+    const doc = await db.collection('exchange_requests').doc(id).get();
+    const exchange = doc.data();
+    
     try {
-      shopifyCustomer = await findCustomerByEmail(exchangeData.userEmail);
-      if (!shopifyCustomer) {
-        return res.status(404).json({ error: 'Customer not found in Shopify' });
-      }
-    } catch (error) {
-      console.error('Error finding Shopify customer:', error);
-      return res.status(500).json({ error: 'Failed to find customer in Shopify' });
+      await sendApprovalEmail(exchange.userEmail, exchange, { ...label, pdf });
+    } catch (emailError) {
+      console.error('Error sending shipping label email:', emailError);
+      // Don't stop the process if email fails
     }
+    
+    res.status(201).json(formatExchangeRequest(id, exchange));
+  } catch (error) {
+    if (handleLabelError(error, res)) return;
+    console.error('Error creating shipping label:', error);
+    res.status(500).json({ error: 'Failed to create shipping label' });
+  }
+});
 
-    // Update Shopify loyalty points
-    let loyaltyPointsSuccess = false;
-    let totalLoyaltyPoints = 0;
+/**
+ * Download the prepaid shipping label PDF of an exchange request
+ * @route GET /api/admin/exchange-requests/:id/shipping-label
+ * @access Staff with exchanges:read, scoped to the exchange's warehouse
+ */
+router.get('/exchange-requests/:id/shipping-label', authMiddleware, requirePermission(PERMISSIONS.EXCHANGES_READ, { warehouse: exchangeWarehouse }), async (req, res) => {
+  try {
+    const { label, pdf } = await getShippingLabelPdf(req.params.id);
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="shipping-label-${label.trackingNumber}.pdf"`);
+    res.status(200).send(pdf);
+  } catch (error) {
+    if (handleLabelError(error, res)) return;
+    console.error('Error downloading shipping label:', error);
+    res.status(500).json({ error: 'Failed to download shipping label' });
+  }
+});
 
-    try {
-      // Update using custom metafield for loyalty points
-      const updatedMetafield = await updateCustomerLoyaltyPoints(shopifyCustomer.id, numericCreditAmount);
-      loyaltyPointsSuccess = true;
-      totalLoyaltyPoints = parseFloat(updatedMetafield.value);
-    } catch (error) {
-      console.error('Error updating Shopify loyalty points:', error);
-      return res.status(500).json({ error: 'Failed to update loyalty points in Shopify' });
+/**
+ * Recompute the suggested credit of an exchange request, e.g. after rate changes
+ * @route POST /api/admin/exchange-requests/:id/suggested-credit
+ * @access Staff with exchanges:review, scoped to the exchange's warehouse
+ */
+router.post('/exchange-requests/:id/suggested-credit', authMiddleware, requirePermission(PERMISSIONS.EXCHANGES_REVIEW, { warehouse: exchangeWarehouse }), auditTrail('exchange.suggested_credit', exchangeTarget), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const doc = await db.collection('exchange_requests').doc(id).get();
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Exchange request not found' });
     }
+    
+    const suggestedCredit = await refreshSuggestedCredit(id, 'manual');
+    if (!suggestedCredit) {
+      return res.status(500).json({ error: 'Failed to compute suggested credit' });
+    }
+    
+    res.status(200).json({ id, suggestedCredit });
+  } catch (error) {
+    console.error('Error computing suggested credit:', error);
+    res.status(500).json({ error: 'Failed to compute suggested credit' });
+  }
+});
 
-    // Update the exchange request with credit information
-    const updateData = {
-      creditAmount: numericCreditAmount,
-      totalLoyaltyPoints,
-      creditAssignedAt: admin.firestore.FieldValue.serverTimestamp(),
-      creditAssignedBy: req.user.uid,
-      feedback: feedback || '',
-      loyaltyPointsSuccess,
-      creditCurrency: 'INR',
-      shopifyCustomerId: shopifyCustomer.id
-    };
-
-    await db.collection('exchange_requests').doc(id).update(updateData);
-
-    // Create a credit history record
-    await db.collection('credit_history').add({
-      userId: exchangeData.userId,
-      exchangeRequestId: id,
-      amount: numericCreditAmount,
-      currency: 'INR',
-      type: 'exchange_credit',
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      assignedBy: req.user.uid,
-      loyaltyPointsSuccess,
-      shopifyCustomerId: shopifyCustomer.id,
-      totalLoyaltyPoints
-    });
+/**
+ * Assign credit (points) to exchange request
+ * Either accept the suggested credit ({ useSuggested: true }) or give a creditAmount;
+ * an amount that differs from the suggestion needs a justification, and
+ * credit:override when it changes an agreed credit or strays far from the suggestion.
+ * Accepts an optional Idempotency-Key header so retries are safe
+ * @route PUT /api/admin/exchange-requests/:id/credit
+ * @access Staff with credit:assign, scoped to the exchange's warehouse
+ */
+router.put('/exchange-requests/:id/credit', authMiddleware, requirePermission(PERMISSIONS.CREDIT_ASSIGN, { warehouse: exchangeWarehouse }), idempotency(), auditTrail('exchange.credit', exchangeTarget), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { creditAmount, useSuggested, justification, feedback } = req.body;
+    const canOverride = hasPermission(req.user, PERMISSIONS.CREDIT_OVERRIDE);
 
-    // Send email to user about credit assignment
-    try {
-      const updatedRequestData = {
-        ...exchangeData,
-        creditAmount: numericCreditAmount,
-        totalLoyaltyPoints
-      };
-      await sendCreditAssignedEmail(exchangeData.userEmail, updatedRequestData);
-      console.log(`Email sent to ${exchangeData.userEmail} about credit assignment`);
-    } catch (emailError) {
-      console.error('Error sending credit assignment email:', emailError);
-      // Don't stop the process if email fails
-    }
+    // Reserve, apply in Shopify and commit through the credit ledger, then email the customer
+    const { exchange: exchangeData } = await assignCredit(
+      id,
+      { creditAmount, useSuggested, justification, feedback, canOverride },
+      actorFromRequest(req, ACTOR_ROLES.ADMIN)
+    );
 
     // Return the updated exchange request
     const updatedRequest = await db.collection('exchange_requests').doc(id).get();
@@ -465,24 +599,89 @@ router.put('/exchange-requests/:id/credit', authMiddleware, adminMiddleware, asy
 
     res.json(responseData);
   } catch (error) {
+    if (handleActionError(error, res)) return;
+    if (handleValuationError(error, res)) return;
+    if (handleLedgerError(error, res)) return;
     console.error('Error assigning loyalty points:', error);
     res.status(500).json({ error: 'Failed to assign loyalty points' });
   }
 });
 
+/**
+ * Get credit ledger entries, e.g. pending or needs_review entries for reconciliation
+ * @route GET /api/admin/credit-ledger
+ * @access Staff with credit:read
+ */
+router.get('/credit-ledger', authMiddleware, requirePermission(PERMISSIONS.CREDIT_READ), async (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+    
+    let query = db.collection('credit_ledger');
+    
+    if (status) {
+      query = query.where('status', '==', status);
+    } else {
+      query = query.orderBy('createdAt', 'desc');
+    }
+    
+    const snapshot = await query.limit(parseInt(limit)).get();
+    
+    const entries = snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data(),
+      createdAt: doc.data().createdAt?.toDate(),
+      updatedAt: doc.data().updatedAt?.toDate(),
+      committedAt: doc.data().committedAt?.toDate()
+    }));
+    
+    res.status(200).json(entries);
+  } catch (error) {
+    console.error('Error getting credit ledger:', error);
+    res.status(500).json({ error: 'Failed to get credit ledger' });
+  }
+});
+
+/**
+ * Run credit ledger recovery now instead of waiting for the scheduled job
+ * @route POST /api/admin/credit-ledger/recover
+ * @access Staff with credit:assign
+ */
+router.post('/credit-ledger/recover', authMiddleware, requirePermission(PERMISSIONS.CREDIT_ASSIGN), auditTrail('credit_ledger.recover', { type: 'system' }), async (req, res) => {
+  try {
+    const summary = await recoverPendingCreditEntries();
+    
+    req.logger.info('Manual credit ledger recovery', {
+      action: 'Admin',
+      email: req.user.email,
+      ...summary
+    });
+    
+    res.status(200).json(summary);
+  } catch (error) {
+    console.error('Error recovering credit ledger:', error);
+    res.status(500).json({ error: 'Failed to recover credit ledger' });
+  }
+});
+
 /**
  * Get all loyalty points history (admin)
  * @route GET /api/admin/credit-history
- * @access Admin only
+ * @access Staff with credit:read
  */
-router.get('/credit-history', authMiddleware, adminMiddleware, async (req, res) => {
+router.get('/credit-history', authMiddleware, requirePermission(PERMISSIONS.CREDIT_READ), async (req, res) => {
   try {
-    const { userId, limit = 50 } = req.query;
+    const { userId, type, limit = 50 } = req.query;
+    
+    // Running balances are only meaningful for a single user's feed
+    if (userId) {
+      const pointsHistory = await getUserCreditHistory(userId, { type, limit: parseInt(limit) || 50 });
+      return res.status(200).json(pointsHistory);
+    }
     
     let query = db.collection('credit_history').orderBy('createdAt', 'desc');
     
-    if (userId) {
-      query = query.where('userId', '==', userId);
+    if (type) {
+      query = query.where('type', '==', type);
     }
     
     if (limit) {
@@ -491,20 +690,69 @@ router.get('/credit-history', authMiddleware, adminMiddleware, async (req, res)
     
     const snapshot = await query.get();
     
-    // Format data
-    const pointsHistory = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt?.toDate() || new Date()
-    }));
-    
-    res.status(200).json(pointsHistory);
+    res.status(200).json(snapshot.docs.map(formatCreditHistoryEntry));
   } catch (error) {
     console.error('Error getting loyalty points history:', error);
     res.status(500).json({ error: 'Failed to get loyalty points history' });
   }
 });
 
+/**
+ * Manually adjust a user's loyalty points (bonus, correction or clawback)
+ * A reason is required and is shown in the user's points history
+ * @route POST /api/admin/users/:userId/points-adjustments
+ * @access Staff with credit:assign
+ */
+router.post('/users/:userId/points-adjustments', authMiddleware, requirePermission(PERMISSIONS.CREDIT_ASSIGN), validate(schemas.pointsAdjustment), idempotency(), auditTrail('points.adjust', userTarget), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { type, points, reason } = req.body;
+    
+    const userDoc = await db.collection('users').doc(userId).get();
+    
+    if (!userDoc.exists) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Clawbacks always remove points; corrections carry their own sign
+    const amount = type === LEDGER_TYPES.CLAWBACK ? -points : points;
+    
+    const entry = await applyPointsMovement({
+      type,
+      amount,
+      user: { uid: userDoc.id, ...userDoc.data() },
+      actor: { uid: req.user.uid, email: req.user.email, role: 'admin' },
+      reason
+    });
+    
+    req.logger.info('Loyalty points adjusted', {
+      action: 'Admin',
+      email: req.user.email,
+      targetUserId: userId,
+      type,
+      amount
+    });
+    
+    res.status(201).json({
+      id: entry.id,
+      type: entry.type,
+      amount: entry.amount,
+      reason: entry.reason,
+      balanceAfter: entry.balanceAfter,
+      currency: entry.currency
+    });
+  } catch (error) {
+    if (handleLedgerError(error, res)) return;
+    
+    if (error.code === ShopifyErrorTypes.CUSTOMER_NOT_FOUND) {
+      return res.status(404).json({ error: 'Customer not found in Shopify' });
+    }
+    
+    console.error('Error adjusting loyalty points:', error);
+    res.status(500).json({ error: 'Failed to adjust loyalty points' });
+  }
+});
+
 /**
  * Warehouse Management Routes
  */
@@ -512,20 +760,22 @@ router.get('/credit-history', authMiddleware, adminMiddleware, async (req, res)
 /**
  * Get all warehouses
  * @route GET /api/admin/warehouses
- * @access Admin only
+ * @access Staff with exchanges:read, limited to the user's warehouses
  */
-router.get('/warehouses', authMiddleware, adminMiddleware, async (req, res) => {
+router.get('/warehouses', authMiddleware, requirePermission(PERMISSIONS.EXCHANGES_READ, { scoped: true }), async (req, res) => {
   try {
     const snapshot = await db.collection('warehouses')
       .orderBy('name', 'asc')
       .get();
     
-    const warehouses = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt?.toDate(),
-      updatedAt: doc.data().updatedAt?.toDate()
-    }));
+    const warehouses = snapshot.docs
+      .filter(doc => scopeIncludes(req.permissionScope, doc.id))
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        createdAt: doc.data().createdAt?.toDate(),
+        updatedAt: doc.data().updatedAt?.toDate()
+      }));
     
     res.status(200).json(warehouses);
   } catch (error) {
@@ -537,9 +787,9 @@ router.get('/warehouses', authMiddleware, adminMiddleware, async (req, res) => {
 /**
  * Get a specific warehouse
  * @route GET /api/admin/warehouses/:id
- * @access Admin only
+ * @access Staff with exchanges:read, scoped to the warehouse
  */
-router.get('/warehouses/:id', authMiddleware, adminMiddleware, async (req, res) => {
+router.get('/warehouses/:id', authMiddleware, requirePermission(PERMISSIONS.EXCHANGES_READ, { warehouse: req => req.params.id }), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -564,9 +814,9 @@ router.get('/warehouses/:id', authMiddleware, adminMiddleware, async (req, res)
 /**
  * Create a new warehouse
  * @route POST /api/admin/warehouses
- * @access Admin only
+ * @access Staff with settings:manage
  */
-router.post('/warehouses', authMiddleware, adminMiddleware, async (req, res) => {
+router.post('/warehouses', authMiddleware, requirePermission(PERMISSIONS.SETTINGS_MANAGE), auditTrail('warehouse.create', warehouseTarget), async (req, res) => {
   try {
     const { name, addressLine1, addressLine2, city, state, postalCode, country, contactPerson, contactPhone, isActive = true } = req.body;
     
@@ -608,9 +858,9 @@ router.post('/warehouses', authMiddleware, adminMiddleware, async (req, res) =>
 /**
  * Update a warehouse
  * @route PUT /api/admin/warehouses/:id
- * @access Admin only
+ * @access Staff with settings:manage
  */
-router.put('/warehouses/:id', authMiddleware, adminMiddleware, async (req, res) => {
+router.put('/warehouses/:id', authMiddleware, requirePermission(PERMISSIONS.SETTINGS_MANAGE), auditTrail('warehouse.update', warehouseTarget), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -650,9 +900,9 @@ router.put('/warehouses/:id', authMiddleware, adminMiddleware, async (req, res)
 /**
  * Delete a warehouse
  * @route DELETE /api/admin/warehouses/:id
- * @access Admin only
+ * @access Staff with settings:manage
  */
-router.delete('/warehouses/:id', authMiddleware, adminMiddleware, async (req, res) => {
+router.delete('/warehouses/:id', authMiddleware, requirePermission(PERMISSIONS.SETTINGS_MANAGE), auditTrail('warehouse.delete', warehouseTarget), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -675,4 +925,292 @@ router.delete('/warehouses/:id', authMiddleware, adminMiddleware, async (req, re
   }
 });
 
+/**
+ * Get all valuation rates
+ * @route GET /api/admin/valuation-rates
+ * @access Staff with exchanges:review
+ */
+router.get('/valuation-rates', authMiddleware, requirePermission(PERMISSIONS.EXCHANGES_REVIEW), async (req, res) => {
+  try {
+    const snapshot = await db.collection(RATES_COLLECTION).get();
+    
+    const rates = snapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        createdAt: doc.data().createdAt?.toDate(),
+        updatedAt: doc.data().updatedAt?.toDate()
+      }))
+      .sort((a, b) => `${a.brand}/${a.category}/${a.condition}`.localeCompare(`${b.brand}/${b.category}/${b.condition}`));
+    
+    res.status(200).json(rates);
+  } catch (error) {
+    console.error('Error getting valuation rates:', error);
+    res.status(500).json({ error: 'Failed to get valuation rates' });
+  }
+});
+
+/**
+ * Create a valuation rate
+ * @route POST /api/admin/valuation-rates
+ * @access Staff with settings:manage
+ */
+router.post('/valuation-rates', authMiddleware, requirePermission(PERMISSIONS.SETTINGS_MANAGE), validate(schemas.valuationRate), auditTrail('valuation_rate.create', valuationRateTarget), async (req, res) => {
+  try {
+    const { brand, category, condition, baseAmount, isActive, notes } = req.body;
+    
+    const rate = {
+      brand: normalizeKey(brand),
+      category: normalizeKey(category),
+      condition: normalizeKey(condition),
+      baseAmount,
+      isActive,
+      notes: notes || '',
+      createdBy: req.user.uid,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    
+    // One rate per brand / category / condition combination
+    const existing = await db.collection(RATES_COLLECTION)
+      .where('brand', '==', rate.brand)
+      .where('category', '==', rate.category)
+      .where('condition', '==', rate.condition)
+      .limit(1)
+      .get();
+    
+    if (!existing.empty) {
+      return res.status(409).json({
+        error: 'A rate for this brand, category and condition already exists',
+        code: 'VALUATION_RATE_EXISTS',
+        rateId: existing.docs[0].id
+      });
+    }
+    
+    const docRef = await db.collection(RATES_COLLECTION).add(rate);
+    
+    res.status(201).json({
+      id: docRef.id,
+      ...rate
+    });
+  } catch (error) {
+    console.error('Error creating valuation rate:', error);
+    res.status(500).json({ error: 'Failed to create valuation rate' });
+  }
+});
+
+/**
+ * Update a valuation rate's amount, status or notes
+ * @route PUT /api/admin/valuation-rates/:id
+ * @access Staff with settings:manage
+ */
+router.put('/valuation-rates/:id', authMiddleware, requirePermission(PERMISSIONS.SETTINGS_MANAGE), validate(schemas.valuationRateUpdate), auditTrail('valuation_rate.update', valuationRateTarget), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const docRef = db.collection(RATES_COLLECTION).doc(id);
+    const doc = await docRef.get();
+    
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Valuation rate not found' });
+    }
+    
+    await docRef.update({
+      ...req.body,
+      updatedBy: req.user.uid,
+      updatedAt: new Date()
+    });
+    
+    const updatedDoc = await docRef.get();
+    
+    res.status(200).json({
+      id,
+      ...updatedDoc.data(),
+      createdAt: updatedDoc.data().createdAt?.toDate(),
+      updatedAt: updatedDoc.data().updatedAt?.toDate()
+    });
+  } catch (error) {
+    console.error('Error updating valuation rate:', error);
+    res.status(500).json({ error: 'Failed to update valuation rate' });
+  }
+});
+
+/**
+ * Delete a valuation rate
+ * @route DELETE /api/admin/valuation-rates/:id
+ * @access Staff with settings:manage
+ */
+router.delete('/valuation-rates/:id', authMiddleware, requirePermission(PERMISSIONS.SETTINGS_MANAGE), auditTrail('valuation_rate.delete', valuationRateTarget), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const docRef = db.collection(RATES_COLLECTION).doc(id);
+    const doc = await docRef.get();
+    
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Valuation rate not found' });
+    }
+    
+    await docRef.delete();
+    
+    res.status(200).json({ message: 'Valuation rate deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting valuation rate:', error);
+    res.status(500).json({ error: 'Failed to delete valuation rate' });
+  }
+});
+
+/**
+ * Get the age and accessory valuation modifiers
+ * @route GET /api/admin/valuation-modifiers
+ * @access Staff with exchanges:review
+ */
+router.get('/valuation-modifiers', authMiddleware, requirePermission(PERMISSIONS.EXCHANGES_REVIEW), async (req, res) => {
+  try {
+    const modifiers = await getValuationModifiers();
+    
+    res.status(200).json({
+      ...modifiers,
+      updatedAt: modifiers.updatedAt?.toDate ? modifiers.updatedAt.toDate() : modifiers.updatedAt
+    });
+  } catch (error) {
+    console.error('Error getting valuation modifiers:', error);
+    res.status(500).json({ error: 'Failed to get valuation modifiers' });
+  }
+});
+
+/**
+ * Replace the age and accessory valuation modifiers
+ * @route PUT /api/admin/valuation-modifiers
+ * @access Staff with settings:manage
+ */
+router.put('/valuation-modifiers', authMiddleware, requirePermission(PERMISSIONS.SETTINGS_MANAGE), validate(schemas.valuationModifiers), auditTrail('valuation_modifiers.update', { type: 'valuation_settings', collection: SETTINGS_COLLECTION, id: () => MODIFIERS_DOC_ID }), async (req, res) => {
+  try {
+    const modifiers = await saveValuationModifiers(req.body, req.user);
+    
+    req.logger.info('Valuation modifiers updated', { userId: req.user.uid });
+    
+    res.status(200).json(modifiers);
+  } catch (error) {
+    console.error('Error updating valuation modifiers:', error);
+    res.status(500).json({ error: 'Failed to update valuation modifiers' });
+  }
+});
+
+/**
+ * Background job status with errors and the instance that ran each job
+ * The public /api/health endpoint only shows status and timestamps
+ * @route GET /api/admin/jobs
+ * @access Staff with settings:manage
+ */
+router.get('/jobs', authMiddleware, requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  try {
+    res.status(200).json(await getJobStatuses({ details: true }));
+  } catch (error) {
+    console.error('Error fetching background job status:', error);
+    res.status(500).json({ error: 'Failed to fetch background job status' });
+  }
+});
+
+/**
+ * Staff Role Routes
+ */
+
+/**
+ * Roles that can be granted, with their permissions
+ * @route GET /api/admin/roles
+ * @access Staff with roles:manage
+ */
+router.get('/roles', authMiddleware, requirePermission(PERMISSIONS.ROLES_MANAGE), (req, res) => {
+  res.status(200).json(
+    Object.entries(ROLE_DEFINITIONS).map(([role, definition]) => ({ role, ...definition }))
+  );
+});
+
+/**
+ * Roles of a user and the history of changes to them
+ * @route GET /api/admin/users/:userId/roles
+ * @access Staff with roles:manage
+ */
+router.get('/users/:userId/roles', authMiddleware, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const userDoc = await db.collection('users').doc(userId).get();
+    
+    if (!userDoc.exists) {
+      return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+    }
+    
+    res.status(200).json({
+      userId,
+      email: userDoc.data().email || null,
+      roles: getUserRoles(userDoc.data()),
+      changes: await getRoleChanges(userId)
+    });
+  } catch (error) {
+    console.error('Error getting user roles:', error);
+    res.status(500).json({ error: 'Failed to get user roles' });
+  }
+});
+
+/**
+ * Grant a role to a user
+ * Body: role, and warehouseId to limit it to one warehouse (required for warehouse_staff)
+ * @route POST /api/admin/users/:userId/roles
+ * @access Staff with roles:manage
+ */
+router.post('/users/:userId/roles', authMiddleware, requirePermission(PERMISSIONS.ROLES_MANAGE), validate(schemas.roleGrant), auditTrail('role.grant', userTarget), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const { roles, changed } = await grantRole(userId, req.body, req.user, { ip: req.ip });
+    
+    if (changed) {
+      req.logger.info('Role granted', {
+        action: 'Admin',
+        email: req.user.email,
+        userId,
+        role: req.body.role,
+        warehouseId: req.body.warehouseId || null
+      });
+    }
+    
+    res.status(changed ? 201 : 200).json({ userId, roles, changed });
+  } catch (error) {
+    if (handleRoleError(error, res)) return;
+    console.error('Error granting role:', error);
+    res.status(500).json({ error: 'Failed to grant role' });
+  }
+});
+
+/**
+ * Revoke a role from a user
+ * Query: warehouseId, for a role limited to a warehouse
+ * @route DELETE /api/admin/users/:userId/roles/:role
+ * @access Staff with roles:manage
+ */
+router.delete('/users/:userId/roles/:role', authMiddleware, requirePermission(PERMISSIONS.ROLES_MANAGE), validate(schemas.roleRevokeQuery, 'query'), auditTrail('role.revoke', { ...userTarget, details: req => ({ role: req.params.role, warehouseId: req.query.warehouseId || null }) }), async (req, res) => {
+  try {
+    const { userId, role } = req.params;
+    const { warehouseId } = req.query;
+    
+    const { roles } = await revokeRole(userId, { role, warehouseId }, req.user, { ip: req.ip });
+    
+    req.logger.info('Role revoked', {
+      action: 'Admin',
+      email: req.user.email,
+      userId,
+      role,
+      warehouseId: warehouseId || null
+    });
+    
+    res.status(200).json({ userId, roles });
+  } catch (error) {
+    if (handleRoleError(error, res)) return;
+    console.error('Error revoking role:', error);
+    res.status(500).json({ error: 'Failed to revoke role' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
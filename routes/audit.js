@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { validate, schemas } = require('../middleware/validator');
+const { PERMISSIONS } = require('../utils/roles');
+const { queryAuditLog, handleAuditError } = require('../utils/auditLog');
+
+/**
+ * Query the audit log of admin actions, newest first
+ * Filters: actorId, action, targetType, targetId, from, to.
+ * Pass nextPageToken back as pageToken for the next page
+ * @route GET /api/admin/audit-log
+ * @access Staff with audit:read
+ */
+router.get('/', authMiddleware, requirePermission(PERMISSIONS.AUDIT_READ), validate(schemas.auditLogQuery, 'query'), async (req, res) => {
+  try {
+    const { entries, nextPageToken } = await queryAuditLog(req.query);
+
+    res.status(200).json({ entries, nextPageToken });
+  } catch (error) {
+    if (handleAuditError(error, res)) return;
+    console.error('Error getting audit log:', error);
+    res.status(500).json({ error: 'Failed to get audit log' });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,162 @@
 const express = require('express');
 const router = express.Router();
 const { db, admin } = require('../utils/firebaseAdmin');
-const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { validate, schemas } = require('../middleware/validator');
+const { createLoginToken, verifyLoginToken, handleLoginTokenError } = require('../utils/loginTokens');
+const { startCustomerLogin, completeCustomerLogin, handleCustomerLoginError } = require('../utils/customerLogin');
+const {
+  isTwoFactorRequired,
+  getSecondFactorBlock,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  handleTwoFactorError
+} = require('../utils/twoFactor');
+const {
+  SESSIONS_COLLECTION,
+  getAccessTokenExpiry,
+  createSession: createUserSession,
+  refreshSession,
+  findSessionByToken,
+  touchSession,
+  listUserSessions,
+  revokeSession,
+  revokeAllSessions,
+  handleSessionError
+} = require('../utils/sessions');
+const { exportAccountData, deleteAccount, handleAccountError } = require('../utils/accountData');
+const { sendLoginCodeEmail } = require('../utils/email');
 
-// Sessions collection to store active sessions
-const SESSIONS_COLLECTION = 'sessions';
 const USERS_COLLECTION = 'users';
 
-// Generate a random session token
-const generateSessionToken = () => {
-  return crypto.randomBytes(64).toString('hex');
+/**
+ * Start a session for a user who has proven who they are
+ * @param {string} userId - User ID
+ * @param {Object} req - Express request, for the client's IP and user agent
+ * @returns {Promise<{sessionToken: string, expiresAt: Date, refreshToken: string, refreshExpiresAt: Date}>}
+ */
+const createSession = async (userId, req) => {
+  const { sessionToken, expiresAt, refreshToken, refreshExpiresAt } = await createUserSession(userId, {
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+  
+  return { sessionToken, expiresAt, refreshToken, refreshExpiresAt };
+};
+
+/**
+ * Create the error for a login whose Shopify customer isn't the one linked to the user
+ * @returns {Error}
+ */
+const createAccountLinkError = () => {
+  const error = new Error('This email is linked to a different Shopify account. Please contact support.');
+  error.code = 'SHOPIFY_ACCOUNT_MISMATCH';
+  error.statusCode = 409;
+  error.isAccountLinkError = true;
+  return error;
+};
+
+/**
+ * Send the response for an account link error
+ * @param {Error} error - Error thrown by findOrCreateUser
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the error was handled
+ */
+const handleAccountLinkError = (error, res) => {
+  if (!error || !error.isAccountLinkError) {
+    return false;
+  }
+  
+  res.status(error.statusCode).json({ error: error.message, code: error.code });
+  return true;
+};
+
+/**
+ * Find the user with a verified email, creating them on their first login
+ * A Shopify customer ID is linked only if the user has none yet; a login
+ * naming a different customer than the linked one is refused.
+ * @param {string} email - Verified email address
+ * @param {string|null} shopifyId - Shopify customer ID found at login
+ * @param {Object} logger - Request logger
+ * @returns {Promise<Object>} User profile, with uid
+ * @throws {Error} SHOPIFY_ACCOUNT_MISMATCH (409) if the user is linked to another customer
+ */
+const findOrCreateUser = async (email, shopifyId, logger) => {
+  const userSnapshot = await db.collection(USERS_COLLECTION)
+    .where('email', '==', email)
+    .limit(1)
+    .get();
+  
+  if (userSnapshot.empty) {
+    const newUser = {
+      email,
+      emailVerified: true,
+      ...(shopifyId ? { shopifyId } : {}),
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      isAdmin: false // Default to non-admin
+    };
+    
+    const userRef = await db.collection(USERS_COLLECTION).add(newUser);
+    logger.created(email, userRef.id, { shopifyId });
+    
+    return { ...newUser, uid: userRef.id };
+  }
+  
+  const userDoc = userSnapshot.docs[0];
+  logger.found(email, userDoc.id);
+  
+  const linkedShopifyId = userDoc.data().shopifyId;
+  if (shopifyId && linkedShopifyId && String(linkedShopifyId) !== String(shopifyId)) {
+    logger.warn(`Login names a different Shopify customer than the linked one`, {
+      uid: userDoc.id,
+      linkedShopifyId,
+      loginShopifyId: shopifyId
+    });
+    throw createAccountLinkError();
+  }
+  
+  const updates = { updatedAt: new Date() };
+  if (!userDoc.data().emailVerified) {
+    updates.emailVerified = true;
+  }
+  if (shopifyId && !linkedShopifyId) {
+    logger.info(`Linking Shopify ID to user`, {
+      uid: userDoc.id,
+      shopifyId
+    });
+    updates.shopifyId = shopifyId;
+  }
+  
+  await db.collection(USERS_COLLECTION).doc(userDoc.id).update(updates);
+  
+  return { ...userDoc.data(), ...updates, uid: userDoc.id };
+};
+
+/**
+ * Find the user linked to a Shopify customer, falling back to their email
+ * @param {Object} customer - { customerId, email } confirmed by Shopify
+ * @param {Object} logger - Request logger
+ * @returns {Promise<Object>} User profile, with uid
+ */
+const findOrCreateShopifyUser = async ({ customerId, email }, logger) => {
+  const userSnapshot = await db.collection(USERS_COLLECTION)
+    .where('shopifyId', '==', customerId)
+    .limit(1)
+    .get();
+  
+  if (userSnapshot.empty) {
+    return findOrCreateUser(email, customerId, logger);
+  }
+  
+  const userDoc = userSnapshot.docs[0];
+  logger.found(email, userDoc.id);
+  
+  return { ...userDoc.data(), uid: userDoc.id };
 };
 
 // Session token middleware
@@ -24,50 +170,29 @@ const sessionAuthMiddleware = async (req, res, next) => {
     
     const token = authHeader.split('Bearer ')[1];
     
-    // Verify token in sessions collection
-    const sessionSnapshot = await db.collection(SESSIONS_COLLECTION)
-      .where('token', '==', token)
-      .limit(1)
-      .get();
+    // Look the session up by the hash of the token
+    const sessionDoc = await findSessionByToken(token);
     
-    if (sessionSnapshot.empty) {
+    if (!sessionDoc) {
       return res.status(401).json({ error: 'Unauthorized - Invalid token' });
     }
     
-    const sessionDoc = sessionSnapshot.docs[0];
     const session = sessionDoc.data();
     
     // Check if session is expired
-    if (session.expiresAt && session.expiresAt.toDate() < new Date()) {
+    const now = new Date();
+    if (session.expiresAt && session.expiresAt.toDate() < now) {
       // Delete expired session
       await db.collection(SESSIONS_COLLECTION).doc(sessionDoc.id).delete();
-      return res.status(401).json({ error: 'Unauthorized - Session expired' });
+      return res.status(401).json({ error: 'Unauthorized - Session expired', code: 'SESSION_EXPIRED' });
     }
 
-    // Check if session needs rotation (past the refresh deadline)
-    const now = new Date();
-    if (session.refreshDeadline && session.refreshDeadline.toDate() < now) {
-      // Create new token and update session
-      const newToken = generateSessionToken();
-      
-      // Set new expiration dates
-      const newExpiresAt = new Date();
-      newExpiresAt.setDate(newExpiresAt.getDate() + 7);
-      
-      const newRefreshDeadline = new Date();
-      newRefreshDeadline.setDate(newRefreshDeadline.getDate() + 6);
-      
-      // Update session with new token and expiration
-      await db.collection(SESSIONS_COLLECTION).doc(sessionDoc.id).update({
-        token: newToken,
-        expiresAt: newExpiresAt,
-        refreshDeadline: newRefreshDeadline,
-        lastRotatedAt: now
-      });
-      
-      // Set the new token in the response
-      res.setHeader('X-New-Token', newToken);
+    // Short-lived access token: the client gets a new one from /refresh
+    if (getAccessTokenExpiry(session) < now) {
+      return res.status(401).json({ error: 'Unauthorized - Access token expired', code: 'ACCESS_TOKEN_EXPIRED' });
     }
+
+    await touchSession(sessionDoc);
     
     // Get user from the session
     const userDoc = await db.collection(USERS_COLLECTION).doc(session.userId).get();
@@ -81,7 +206,8 @@ const sessionAuthMiddleware = async (req, res, next) => {
       uid: userDoc.id,
       email: userDoc.data().email,
       ...userDoc.data(),
-      sessionId: sessionDoc.id
+      sessionId: sessionDoc.id,
+      secondFactorVerified: Boolean(session.secondFactorVerifiedAt)
     };
     
     next();
@@ -96,9 +222,18 @@ const adminMiddleware = (req, res, next) => {
   if (!req.user || !req.user.isAdmin) {
     return res.status(403).json({ error: 'Forbidden - Admin access required' });
   }
+  const secondFactorBlock = getSecondFactorBlock(req.user);
+  if (secondFactorBlock) {
+    return res.status(403).json(secondFactorBlock);
+  }
   next();
 };
 
+// Record on the session that its user passed the second factor
+const markSecondFactorVerified = (sessionId) => db.collection(SESSIONS_COLLECTION).doc(sessionId).update({
+  secondFactorVerifiedAt: new Date()
+});
+
 // DEBUG ROUTE - Secured with admin authorization
 router.get('/debug-shopify', sessionAuthMiddleware, adminMiddleware, async (req, res) => {
   try {
@@ -138,19 +273,16 @@ router.get('/debug-shopify', sessionAuthMiddleware, adminMiddleware, async (req,
 });
 
 /**
- * Login with email
+ * Start a passwordless login: email a one-time code and magic link
+ * Only existing Shopify customers can log in. Verify the code or link with
+ * POST /api/auth/verify-email to get a session
  * @route POST /api/auth/login
  * @access Public
  */
-router.post('/login', async (req, res) => {
+router.post('/login', validate(schemas.login), async (req, res) => {
   try {
     const { email } = req.body;
     
-    if (!email) {
-      req.logger.fail('Login attempt missing email');
-      return res.status(400).json({ error: 'Email is required' });
-    }
-    
     req.logger.login(email);
     
     // First check if the email exists in Shopify
@@ -174,91 +306,30 @@ router.post('/login', async (req, res) => {
         shopifyId: shopifyCustomer.id
       });
       
-      // Use the actual Shopify ID from the found customer
-      const actualShopifyId = shopifyCustomer.id.toString();
-      
-      // Now check if user exists in our database
-      let userId;
-      let userProfile;
-      
-      // Look up user by email
-      const userSnapshot = await db.collection(USERS_COLLECTION)
-        .where('email', '==', email)
-        .limit(1)
-        .get();
-      
-      if (userSnapshot.empty) {
-        // Create new user
-        const newUser = {
-          email,
-          shopifyId: actualShopifyId,
-          createdAt: new Date(),
-          updatedAt: new Date(),
-          isAdmin: false // Default to non-admin
-        };
-        
-        const userRef = await db.collection(USERS_COLLECTION).add(newUser);
-        userId = userRef.id;
-        userProfile = { ...newUser, uid: userId };
-        
-        req.logger.created(email, userId, { shopifyId: actualShopifyId });
-      } else {
-        // Get existing user
-        const userDoc = userSnapshot.docs[0];
-        userId = userDoc.id;
-        userProfile = { ...userDoc.data(), uid: userId };
-        
-        req.logger.found(email, userId);
-        
-        // Update shopifyId if changed
-        if (userProfile.shopifyId !== actualShopifyId) {
-          req.logger.info(`Updating Shopify ID for user`, {
-            userId,
-            oldShopifyId: userProfile.shopifyId,
-            newShopifyId: actualShopifyId
-          });
-          
-          await db.collection(USERS_COLLECTION).doc(userId).update({
-            shopifyId: actualShopifyId,
-            updatedAt: new Date()
-          });
-          
-          userProfile.shopifyId = actualShopifyId;
-          userProfile.updatedAt = new Date();
-        }
-      }
-      
-      // Create a new session
-      const sessionToken = generateSessionToken();
-      
-      // Set session expiration date (7 days from now for better security)
-      const expiresAt = new Date();
-      expiresAt.setDate(expiresAt.getDate() + 7);
-
-      // Set refresh deadline (6 days from now - sessions will be refreshed if used after this time)
-      const refreshDeadline = new Date();
-      refreshDeadline.setDate(refreshDeadline.getDate() + 6);
+      // Email a one-time code and magic link; the session is only issued once one is verified
+      const { code, linkToken, expiresAt } = await createLoginToken(email, {
+        shopifyCustomerId: shopifyCustomer.id.toString(),
+        ip: req.ip,
+        userAgent: req.headers['user-agent']
+      });
       
-      const sessionData = {
-        userId,
-        token: sessionToken,
-        createdAt: new Date(),
-        expiresAt,
-        refreshDeadline,
-        userAgent: req.headers['user-agent'],
-        ip: req.ip
-      };
+      const link = `${process.env.APP_URL || 'https://swapcred.com'}/login/verify?email=${encodeURIComponent(email)}&token=${linkToken}`;
+      await sendLoginCodeEmail(email, {
+        code,
+        link,
+        expiresInMinutes: Math.round((expiresAt - Date.now()) / 60000)
+      });
       
-      await db.collection(SESSIONS_COLLECTION).add(sessionData);
+      req.logger.info(`Login code sent`, { action: 'Login', email });
       
-      // Return token and user profile
-      res.status(200).json({
-        sessionToken,
-        expiresAt,
-        userProfile
+      res.status(202).json({
+        message: 'We emailed you a login code and link',
+        expiresAt
       });
       
     } catch (error) {
+      if (handleLoginTokenError(error, res)) return;
+      
       // Check if this is a Shopify customer not found error
       if (error.code === 'SHOPIFY_CUSTOMER_NOT_FOUND') {
         req.logger.warn(`Login failed: Email not found in Shopify: ${email}`, { errorCode: error.code });
@@ -345,29 +416,18 @@ router.post('/logout', sessionAuthMiddleware, async (req, res) => {
  */
 router.post('/logout-all', sessionAuthMiddleware, async (req, res) => {
   try {
-    // Get all user sessions
-    const sessionsSnapshot = await db.collection(SESSIONS_COLLECTION)
-      .where('userId', '==', req.user.uid)
-      .get();
-    
-    // Delete all sessions in a batch
-    const batch = db.batch();
-    sessionsSnapshot.docs.forEach(doc => {
-      batch.delete(doc.ref);
-    });
-    
-    await batch.commit();
+    const sessionsTerminated = await revokeAllSessions(req.user.uid);
     
     // Track logout from all devices
     req.logger.info(`User logged out from all devices`, {
       userId: req.user.uid,
       email: req.user.email,
-      sessionCount: sessionsSnapshot.size
+      sessionCount: sessionsTerminated
     });
     
     return res.json({ 
       success: true,
-      sessionsTerminated: sessionsSnapshot.size 
+      sessionsTerminated
     });
   } catch (error) {
     console.error('Error in logout-all:', error);
@@ -409,133 +469,314 @@ router.put('/profile', sessionAuthMiddleware, async (req, res) => {
 });
 
 /**
- * Make a user an admin (admin only)
- * @route POST /api/auth/make-admin
- * @access Admin only
+ * Verify a login code or magic-link token and start a session
+ * Creates the user on their first login
+ * @route POST /api/auth/verify-email
+ * @access Public
  */
-router.post('/make-admin', sessionAuthMiddleware, adminMiddleware, async (req, res) => {
+router.post('/verify-email', validate(schemas.emailVerification), async (req, res) => {
   try {
-    const { userId } = req.body;
+    const { email, token } = req.body;
     
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
-    }
+    const loginToken = await verifyLoginToken(email, token);
     
-    // Check if user exists
-    const userDoc = await db.collection(USERS_COLLECTION).doc(userId).get();
+    const userProfile = await findOrCreateUser(email, loginToken.shopifyCustomerId, req.logger);
+    const { sessionToken, expiresAt, refreshToken, refreshExpiresAt } = await createSession(userProfile.uid, req);
     
-    if (!userDoc.exists) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+    req.logger.success(`Login verified`, { action: 'Login', email });
     
-    // Update user to be admin
-    await db.collection(USERS_COLLECTION).doc(userId).update({
-      isAdmin: true,
-      updatedAt: new Date()
+    res.status(200).json({
+      message: 'Email verified successfully',
+      sessionToken,
+      expiresAt,
+      refreshToken,
+      refreshExpiresAt,
+      secondFactorRequired: isTwoFactorRequired(userProfile),
+      userProfile
+    });
+  } catch (error) {
+    if (handleLoginTokenError(error, res)) return;
+    if (handleAccountLinkError(error, res)) return;
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+/**
+ * Start signing in with a Shopify customer account
+ * Send the customer to authorizationUrl; Shopify brings them back to the
+ * client's callback page with a code and state
+ * @route POST /api/auth/shopify/start
+ * @access Public
+ */
+router.post('/shopify/start', validate(schemas.customerLoginStart), async (req, res) => {
+  try {
+    const { authorizationUrl, provider, expiresAt } = await startCustomerLogin({
+      loginHint: req.body.loginHint,
+      ip: req.ip
     });
     
-    res.status(200).json({ message: 'User has been made an admin' });
+    res.status(200).json({ authorizationUrl, provider, expiresAt });
   } catch (error) {
-    console.error('Make admin error:', error);
-    res.status(500).json({ error: 'Failed to make user an admin' });
+    if (handleCustomerLoginError(error, res)) return;
+    console.error('Shopify sign-in start error:', error);
+    res.status(500).json({ error: 'Failed to start sign in with Shopify' });
   }
 });
 
 /**
- * Verify email and create or update user
- * @route POST /api/auth/verify-email
+ * Finish signing in with a Shopify customer account and start a session
+ * Creates the user on their first login, or links an existing user by email
+ * @route POST /api/auth/shopify/callback
  * @access Public
  */
-router.post('/verify-email', async (req, res) => {
+router.post('/shopify/callback', validate(schemas.customerLoginCallback), async (req, res) => {
   try {
-    const { email, token } = req.body;
+    const customer = await completeCustomerLogin(req.body);
     
-    if (!email || !token) {
-      return res.status(400).json({ error: 'Email and token are required' });
-    }
+    const userProfile = await findOrCreateShopifyUser(customer, req.logger);
+    const { sessionToken, expiresAt, refreshToken, refreshExpiresAt } = await createSession(userProfile.uid, req);
     
-    // Verify token
-    let validToken = false;
-    try {
-      // Token verification logic here
-      // Assume token is valid for now or check against a stored token
-      validToken = true; // Replace with actual verification
-    } catch (tokenError) {
-      console.error('Token verification error:', tokenError);
-      return res.status(401).json({ error: 'Invalid or expired token' });
-    }
+    req.logger.success(`Signed in with Shopify`, {
+      action: 'Login',
+      email: customer.email,
+      shopifyId: customer.customerId
+    });
+    
+    res.status(200).json({
+      sessionToken,
+      expiresAt,
+      refreshToken,
+      refreshExpiresAt,
+      secondFactorRequired: isTwoFactorRequired(userProfile),
+      userProfile
+    });
+  } catch (error) {
+    if (handleCustomerLoginError(error, res)) return;
+    if (handleAccountLinkError(error, res)) return;
+    console.error('Shopify sign-in callback error:', error);
+    res.status(500).json({ error: 'Failed to sign in with Shopify' });
+  }
+});
+
+/**
+ * Trade a refresh token for a new access token and refresh token
+ * Each refresh token works once; reusing one ends the session.
+ * @route POST /api/auth/refresh
+ * @access Public - Requires a refresh token
+ */
+router.post('/refresh', validate(schemas.tokenRefresh), async (req, res) => {
+  try {
+    const { sessionToken, expiresAt, refreshToken, refreshExpiresAt } = await refreshSession(req.body.refreshToken);
+    
+    res.status(200).json({ sessionToken, expiresAt, refreshToken, refreshExpiresAt });
+  } catch (error) {
+    if (handleSessionError(error, res)) return;
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+/**
+ * List the user's active sessions
+ * @route GET /api/auth/sessions
+ * @access Private - Requires valid session
+ */
+router.get('/sessions', sessionAuthMiddleware, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user.uid, req.user.sessionId);
     
-    // Check if user exists
-    const userQuery = await db.collection(USERS_COLLECTION)
-      .where('email', '==', email)
-      .limit(1)
-      .get();
+    res.status(200).json({ sessions });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+/**
+ * Revoke one of the user's sessions (signing that device out)
+ * @route DELETE /api/auth/sessions/:sessionId
+ * @access Private - Requires valid session
+ */
+router.delete('/sessions/:sessionId', sessionAuthMiddleware, async (req, res) => {
+  try {
+    await revokeSession(req.user.uid, req.params.sessionId);
     
-    let userId;
-    let userProfile;
+    req.logger.info(`Session revoked`, {
+      userId: req.user.uid,
+      email: req.user.email,
+      sessionId: req.params.sessionId,
+      current: req.params.sessionId === req.user.sessionId
+    });
     
-    if (userQuery.empty) {
-      // Create new user
-      const newUser = {
-        email,
-        emailVerified: true,
-        createdAt: new Date(),
-        updatedAt: new Date(),
-        isAdmin: false // Default to non-admin
-      };
-      
-      const userRef = await db.collection(USERS_COLLECTION).add(newUser);
-      userId = userRef.id;
-      userProfile = { ...newUser, uid: userId };
-      
-      console.log(`Created new user with verified email: ${userId}`);
-    } else {
-      // Update existing user
-      const userDoc = userQuery.docs[0];
-      userId = userDoc.id;
-      
-      await db.collection(USERS_COLLECTION).doc(userId).update({
-        emailVerified: true,
-        updatedAt: new Date()
+    res.status(200).json({
+      success: true,
+      current: req.params.sessionId === req.user.sessionId
+    });
+  } catch (error) {
+    if (handleSessionError(error, res)) return;
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+/**
+ * Download everything stored about the user as a JSON file
+ * @route GET /api/auth/account/export
+ * @access Private - Requires valid session
+ */
+router.get('/account/export', sessionAuthMiddleware, async (req, res) => {
+  try {
+    const data = await exportAccountData(req.user);
+    
+    req.logger.info(`Account data exported`, { action: 'Export', email: req.user.email });
+    
+    const filename = `swapcred-account-${new Date().toISOString().slice(0, 10)}.json`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).json(data);
+  } catch (error) {
+    console.error('Account export error:', error);
+    res.status(500).json({ error: 'Failed to export account data' });
+  }
+});
+
+/**
+ * Delete the user's account
+ * The profile, sessions and uploaded images are deleted and exchange requests
+ * anonymized; credit records that must be retained are kept without the email
+ * @route DELETE /api/auth/account
+ * @access Private - Requires valid session
+ */
+router.delete('/account', sessionAuthMiddleware, validate(schemas.accountDeletion), async (req, res) => {
+  try {
+    if (req.body.confirmEmail !== String(req.user.email || '').toLowerCase()) {
+      return res.status(400).json({
+        error: 'Enter the email address of your account to confirm',
+        code: 'CONFIRMATION_MISMATCH'
       });
-      
-      // Get updated user profile
-      const updatedDoc = await db.collection(USERS_COLLECTION).doc(userId).get();
-      userProfile = { ...updatedDoc.data(), uid: userId };
-      
-      console.log(`Verified email for existing user: ${userId}`);
     }
     
-    // Create a new session (7 day validity)
-    const sessionToken = generateSessionToken();
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 7);
+    const summary = await deleteAccount(req.user, { requestId: req.requestId || null });
     
-    const refreshDeadline = new Date();
-    refreshDeadline.setDate(refreshDeadline.getDate() + 6);
+    req.logger.info(`Account deleted`, { action: 'Delete', uid: req.user.uid });
     
-    const sessionData = {
-      userId,
-      token: sessionToken,
-      createdAt: new Date(),
-      expiresAt,
-      refreshDeadline,
-      userAgent: req.headers['user-agent'],
-      ip: req.ip
-    };
+    res.status(200).json({ deleted: true, ...summary });
+  } catch (error) {
+    if (handleAccountError(error, res)) return;
+    console.error('Account deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+/**
+ * Two-factor authentication state of the user and this session
+ * @route GET /api/auth/2fa
+ * @access Private - Requires valid session
+ */
+router.get('/2fa', sessionAuthMiddleware, async (req, res) => {
+  try {
+    res.status(200).json(await getTwoFactorStatus(req.user));
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({ error: 'Failed to get two-factor status' });
+  }
+});
+
+/**
+ * Start two-factor setup: returns the secret to add to an authenticator app
+ * @route POST /api/auth/2fa/setup
+ * @access Private - Requires valid session
+ */
+router.post('/2fa/setup', sessionAuthMiddleware, async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await beginEnrollment(req.user);
     
-    await db.collection(SESSIONS_COLLECTION).add(sessionData);
+    res.status(200).json({ secret, otpauthUrl });
+  } catch (error) {
+    if (handleTwoFactorError(error, res)) return;
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+/**
+ * Finish two-factor setup with a code from the authenticator app
+ * Returns the recovery codes, which are only shown this once; the current
+ * session counts as verified
+ * @route POST /api/auth/2fa/enable
+ * @access Private - Requires valid session
+ */
+router.post('/2fa/enable', sessionAuthMiddleware, validate(schemas.twoFactorCode), async (req, res) => {
+  try {
+    const { recoveryCodes } = await confirmEnrollment(req.user, req.body.code);
+    await markSecondFactorVerified(req.user.sessionId);
     
-    // Return the session token and user profile
-    res.status(200).json({
-      message: 'Email verified successfully',
-      sessionToken,
-      expiresAt,
-      userProfile
-    });
+    req.logger.info(`Two-factor authentication enabled`, { action: 'Login', email: req.user.email });
+    
+    res.status(200).json({ enabled: true, recoveryCodes });
   } catch (error) {
-    console.error('Email verification error:', error);
-    res.status(500).json({ error: 'Failed to verify email' });
+    if (handleTwoFactorError(error, res)) return;
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+/**
+ * Pass the second factor for this session with a code or a recovery code
+ * @route POST /api/auth/2fa/verify
+ * @access Private - Requires valid session
+ */
+router.post('/2fa/verify', sessionAuthMiddleware, validate(schemas.twoFactorVerification), async (req, res) => {
+  try {
+    const { method, recoveryCodesRemaining } = await verifySecondFactor(req.user, req.body);
+    await markSecondFactorVerified(req.user.sessionId);
+    
+    req.logger.info(`Second factor verified`, { action: 'Login', email: req.user.email, method });
+    
+    res.status(200).json({ verified: true, method, recoveryCodesRemaining });
+  } catch (error) {
+    if (handleTwoFactorError(error, res)) return;
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({ error: 'Failed to verify two-factor code' });
+  }
+});
+
+/**
+ * Replace the recovery codes
+ * @route POST /api/auth/2fa/recovery-codes
+ * @access Private - Requires valid session
+ */
+router.post('/2fa/recovery-codes', sessionAuthMiddleware, validate(schemas.twoFactorCode), async (req, res) => {
+  try {
+    const { recoveryCodes } = await regenerateRecoveryCodes(req.user, req.body.code);
+    
+    req.logger.info(`Recovery codes regenerated`, { action: 'Login', email: req.user.email });
+    
+    res.status(200).json({ recoveryCodes });
+  } catch (error) {
+    if (handleTwoFactorError(error, res)) return;
+    console.error('Recovery code error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+/**
+ * Turn two-factor authentication off (not allowed for staff)
+ * @route POST /api/auth/2fa/disable
+ * @access Private - Requires valid session
+ */
+router.post('/2fa/disable', sessionAuthMiddleware, validate(schemas.twoFactorCode), async (req, res) => {
+  try {
+    await disableTwoFactor(req.user, req.body.code);
+    
+    req.logger.info(`Two-factor authentication disabled`, { action: 'Login', email: req.user.email });
+    
+    res.status(200).json({ enabled: false });
+  } catch (error) {
+    if (handleTwoFactorError(error, res)) return;
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
   }
 });
 
@@ -2,21 +2,44 @@ const express = require('express');
 const router = express.Router();
 const { db } = require('../utils/firebaseAdmin');
 const { authMiddleware } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validator');
+const { sendApprovalEmail } = require('../utils/email');
+const { toDate, formatCustomerExchangeRequest } = require('../utils/exchangeFormatter');
+const { normalizeKey, refreshSuggestedCredit } = require('../utils/valuation');
+const {
+  QUOTE_STATUS,
+  createQuoteError,
+  getWarehouseAssignment,
+  isQuoteExpired,
+  closeQuote,
+  handleQuoteError
+} = require('../utils/exchangeQuotes');
+const { CUSTOMER_DECISIONS, applyCustomerResponse } = require('../utils/exchangeInspection');
+const { validateShipment, listCarriers, handleCarrierError } = require('../utils/carriers');
+const { createShippingLabel, getShippingLabelPdf, handleLabelError } = require('../utils/shippingLabels');
+const { buildSearchFields } = require('../utils/exchangeSearch');
+const { recordExchangeCreated } = require('../utils/reportRollups');
+const { buildImageIndex, markUploadsAttached } = require('../utils/uploads');
+const {
+  EXCHANGE_STATES,
+  ACTOR_ROLES,
+  getExchangeState,
+  actorFromRequest,
+  transitionExchange,
+  recordHistoryEntry,
+  getExchangeHistory,
+  handleTransitionError
+} = require('../utils/exchangeStateMachine');
 
 /**
  * Create a new exchange request
  * @route POST /api/exchange
  * @access Authenticated users
  */
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, validate(schemas.exchangeRequest), async (req, res) => {
   try {
     const { uid, email } = req.user;
-    const { productName, description, brand, condition, images = [] } = req.body;
-    
-    // Validate required fields
-    if (!productName || !description || !brand || !condition) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+    const { productName, description, brand, condition, category, ageInMonths, accessories, images } = req.body;
     
     // Create new exchange request
     const exchangeRequest = {
@@ -26,12 +49,18 @@ router.post('/', authMiddleware, async (req, res) => {
       description,
       brand,
       condition,
-      images, // Array of image URLs
+      category: category ? normalizeKey(category) : null,
+      ageInMonths: ageInMonths ?? null,
+      accessories: accessories.map(normalizeKey).filter(Boolean),
+      images, // Image URLs or { url, publicId } as uploaded
+      ...buildImageIndex({ images }),
       status: 'pending', // Initial status is 'pending'
+      state: EXCHANGE_STATES.PENDING,
       creditAmount: 0,
       adminFeedback: '',
       shippingDetails: null, // Will be added after approval
       transitStatus: null, // Will be set after shipping details are provided
+      ...buildSearchFields({ productName, brand, userEmail: email }),
       createdAt: new Date(),
       updatedAt: new Date()
     };
@@ -39,11 +68,25 @@ router.post('/', authMiddleware, async (req, res) => {
     // Save to Firestore
     const docRef = await db.collection('exchange_requests').add(exchangeRequest);
     
-    // Return the created request with ID
-    res.status(201).json({
-      id: docRef.id,
-      ...exchangeRequest
+    // Keep the images out of the orphaned upload cleanup
+    await markUploadsAttached(images);
+    
+    // Start the status history timeline
+    await recordHistoryEntry(docRef.id, {
+      fromState: null,
+      toState: EXCHANGE_STATES.PENDING,
+      actor: actorFromRequest(req, ACTOR_ROLES.CUSTOMER),
+      note: 'Exchange request created'
     });
+    
+    // Count it for the admin reports; failures are logged and don't block creation
+    await recordExchangeCreated(exchangeRequest);
+    
+    // Suggest a credit for admins; failures are logged and don't block creation
+    await refreshSuggestedCredit(docRef.id, 'created');
+    
+    // Return the created request with ID
+    res.status(201).json(formatCustomerExchangeRequest(docRef.id, exchangeRequest));
   } catch (error) {
     console.error('Error creating exchange request:', error);
     res.status(500).json({ error: 'Failed to create exchange request' });
@@ -69,12 +112,7 @@ router.get('/', authMiddleware, async (req, res) => {
         .get();
         
       // Format data
-      exchangeRequests = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        createdAt: doc.data().createdAt.toDate(),
-        updatedAt: doc.data().updatedAt.toDate()
-      }));
+      exchangeRequests = snapshot.docs.map(doc => formatCustomerExchangeRequest(doc.id, doc.data()));
     } catch (indexError) {
       console.warn('Index error, falling back to basic query:', indexError.message);
       
@@ -86,12 +124,7 @@ router.get('/', authMiddleware, async (req, res) => {
           .get();
           
         // Format data and sort manually
-        exchangeRequests = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data(),
-          createdAt: doc.data().createdAt.toDate(),
-          updatedAt: doc.data().updatedAt.toDate()
-        }));
+        exchangeRequests = snapshot.docs.map(doc => formatCustomerExchangeRequest(doc.id, doc.data()));
         
         // Sort manually in descending order by createdAt
         exchangeRequests.sort((a, b) => b.createdAt - a.createdAt);
@@ -108,6 +141,16 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * List the carriers customers can ship with
+ * Other carriers are still accepted, but their tracking numbers aren't checked or tracked
+ * @route GET /api/exchange/carriers
+ * @access Authenticated users
+ */
+router.get('/carriers', authMiddleware, (req, res) => {
+  res.status(200).json({ carriers: listCarriers() });
+});
+
 /**
  * Get a specific exchange request by ID
  * @route GET /api/exchange/:id
@@ -126,12 +169,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Exchange request not found' });
     }
     
-    const exchangeRequest = {
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt.toDate(),
-      updatedAt: doc.data().updatedAt.toDate()
-    };
+    const exchangeRequest = formatCustomerExchangeRequest(doc.id, doc.data());
     
     // Check if user owns this exchange request
     if (exchangeRequest.userId !== uid) {
@@ -146,68 +184,239 @@ router.get('/:id', authMiddleware, async (req, res) => {
 });
 
 /**
- * Update an exchange request (only if pending or approved)
- * @route PUT /api/exchange/:id
+ * Get the status history (audit timeline) of an exchange request
+ * @route GET /api/exchange/:id/history
  * @access Authenticated users (own requests only)
  */
-router.put('/:id', authMiddleware, async (req, res) => {
+router.get('/:id/history', authMiddleware, async (req, res) => {
   try {
     const { uid } = req.user;
     const { id } = req.params;
-    const updateData = req.body;
     
-    // Get document
-    const docRef = db.collection('exchange_requests').doc(id);
-    const doc = await docRef.get();
+    const doc = await db.collection('exchange_requests').doc(id).get();
     
-    // Check if document exists
     if (!doc.exists) {
       return res.status(404).json({ error: 'Exchange request not found' });
     }
     
-    const exchangeRequest = doc.data();
+    // Check if user owns this exchange request
+    if (doc.data().userId !== uid) {
+      return res.status(403).json({ error: 'Not authorized to access this exchange request' });
+    }
+    
+    const history = await getExchangeHistory(id);
+    
+    // Customers see who acted by role only, not internal admin identities
+    res.status(200).json({
+      id,
+      state: getExchangeState(doc.data()),
+      history: history.map(({ actor, ...entry }) => ({
+        ...entry,
+        actor: { role: actor?.role }
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting exchange request history:', error);
+    res.status(500).json({ error: 'Failed to get exchange request history' });
+  }
+});
+
+/**
+ * Accept or reject the credit quote of an exchange request
+ * Accepting assigns the warehouse and sends the shipping instructions
+ * @route POST /api/exchange/:id/quote
+ * @access Authenticated users (own requests only)
+ */
+router.post('/:id/quote', authMiddleware, validate(schemas.quoteResponse), async (req, res) => {
+  try {
+    const { uid } = req.user;
+    const { id } = req.params;
+    const { decision, reason } = req.body;
+    
+    const doc = await db.collection('exchange_requests').doc(id).get();
+    
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Exchange request not found' });
+    }
+    
+    const current = doc.data();
     
     // Check if user owns this exchange request
-    if (exchangeRequest.userId !== uid) {
-      return res.status(403).json({ error: 'Not authorized to update this exchange request' });
+    if (current.userId !== uid) {
+      return res.status(403).json({ error: 'Not authorized to respond to this quote' });
     }
     
-    // If adding shipping details, ensure the request is approved
-    if (updateData.shippingDetails && exchangeRequest.status !== 'approved') {
-      return res.status(400).json({ error: 'Cannot add shipping details to a request that is not approved' });
+    if (getExchangeState(current) !== EXCHANGE_STATES.QUOTED || current.quote?.status !== QUOTE_STATUS.OPEN) {
+      return res.status(409).json({ error: 'This exchange request has no open quote', code: 'NO_OPEN_QUOTE' });
     }
     
-    // Don't allow critical field changes by users
-    delete updateData.status;
-    delete updateData.creditAmount;
-    delete updateData.adminFeedback;
-    delete updateData.userId;
-    delete updateData.userEmail;
-    delete updateData.transitStatus;
-    
-    // If adding shipping details, set transit status to 'shipping'
-    const updates = {
-      ...updateData,
-      updatedAt: new Date()
-    };
+    if (isQuoteExpired(current.quote)) {
+      return res.status(409).json({ error: 'This quote has expired', code: 'QUOTE_EXPIRED' });
+    }
     
-    // If shipping details are provided, update the transit status
-    if (updateData.shippingDetails) {
-      updates.transitStatus = 'shipping';
+    const actor = actorFromRequest(req, ACTOR_ROLES.CUSTOMER);
+    
+    if (decision === 'reject') {
+      const { exchange } = await transitionExchange(id, EXCHANGE_STATES.DECLINED, {
+        actor,
+        note: reason ? `Quote rejected: ${reason}` : 'Quote rejected',
+        updates: (latest) => closeQuote(latest.quote, QUOTE_STATUS.REJECTED, reason)
+      });
+      
+      return res.status(200).json(formatCustomerExchangeRequest(id, exchange));
     }
     
-    // Update document
-    await docRef.update(updates);
+    const assignment = await getWarehouseAssignment(current.quote.warehouseId);
+    
+    const { exchange } = await transitionExchange(id, EXCHANGE_STATES.APPROVED, {
+      actor,
+      note: 'Quote accepted',
+      updates: (latest) => {
+        // Guard against a revision or expiry since the checks above
+        if (toDate(latest.quote?.quotedAt)?.getTime() !== toDate(current.quote.quotedAt)?.getTime() || isQuoteExpired(latest.quote)) {
+          throw createQuoteError('The quote changed while you were responding, please review it again', 'QUOTE_CHANGED', 409);
+        }
+        return {
+          ...closeQuote(latest.quote, QUOTE_STATUS.ACCEPTED, reason),
+          ...assignment
+        };
+      }
+    });
     
-    // Get updated document
-    const updatedDoc = await docRef.get();
+    // Buy the prepaid label; without one the customer arranges shipping themselves
+    let label = null;
+    try {
+      const created = await createShippingLabel(id);
+      if (created.label) {
+        label = { ...created.label, pdf: created.pdf };
+        exchange.shippingLabel = created.label;
+        if (created.shippingDetails) {
+          exchange.shippingDetails = created.shippingDetails;
+        }
+      }
+    } catch (labelError) {
+      console.error('Error creating shipping label:', labelError);
+      // Don't stop the approval if the label fails
+    }
     
-    res.status(200).json({
-      id,
-      ...updatedDoc.data(),
-      createdAt: updatedDoc.data().createdAt.toDate(),
-      updatedAt: updatedDoc.data().updatedAt.toDate()
+    try {
+      // Send approval email with warehouse information and the label
+      await sendApprovalEmail(exchange.userEmail, exchange, label);
+      console.log(`Email sent to ${exchange.userEmail} about exchange approval`);
+    } catch (emailError) {
+      console.error('Error sending approval email:', emailError);
+      // Don't stop the process if email fails
+    }
+    
+    res.status(200).json(formatCustomerExchangeRequest(id, exchange));
+  } catch (error) {
+    if (handleQuoteError(error, res)) return;
+    if (handleTransitionError(error, res)) return;
+    console.error('Error responding to exchange quote:', error);
+    res.status(500).json({ error: 'Failed to respond to quote' });
+  }
+});
+
+/**
+ * Accept the adjusted credit from an inspection, or dispute it
+ * @route POST /api/exchange/:id/inspection/response
+ * @access Authenticated users (own requests only)
+ */
+router.post('/:id/inspection/response', authMiddleware, validate(schemas.inspectionResponse), async (req, res) => {
+  try {
+    const { uid } = req.user;
+    const { id } = req.params;
+    const { decision, reason } = req.body;
+    
+    const doc = await db.collection('exchange_requests').doc(id).get();
+    
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Exchange request not found' });
+    }
+    
+    // Check if user owns this exchange request
+    if (doc.data().userId !== uid) {
+      return res.status(403).json({ error: 'Not authorized to respond to this inspection' });
+    }
+    
+    const accepted = decision === CUSTOMER_DECISIONS.ACCEPT;
+    
+    // The state machine only allows this while the request is awaiting the customer
+    const { exchange } = await transitionExchange(id, accepted ? EXCHANGE_STATES.INSPECTED : EXCHANGE_STATES.DISPUTED, {
+      actor: actorFromRequest(req, ACTOR_ROLES.CUSTOMER),
+      note: accepted ? 'Adjusted credit accepted' : `Inspection disputed: ${reason}`,
+      updates: (current) => applyCustomerResponse(current.inspection, decision, reason)
+    });
+    
+    req.logger.info(accepted ? 'Adjusted credit accepted' : 'Inspection disputed', {
+      exchangeId: id,
+      userId: uid
     });
+    
+    res.status(200).json(formatCustomerExchangeRequest(id, exchange));
+  } catch (error) {
+    if (handleTransitionError(error, res)) return;
+    console.error('Error responding to inspection:', error);
+    res.status(500).json({ error: 'Failed to respond to inspection' });
+  }
+});
+
+/**
+ * Update the description or images of an exchange request while it is still pending
+ * Shipping details go through POST /api/exchange/:id/shipping
+ * @route PUT /api/exchange/:id
+ * @access Authenticated users (own requests only)
+ */
+router.put('/:id', authMiddleware, validate(schemas.exchangeUpdate), async (req, res) => {
+  try {
+    const { uid } = req.user;
+    const { id } = req.params;
+    const { description, images } = req.body;
+    
+    const docRef = db.collection('exchange_requests').doc(id);
+    
+    // The state check and the write share a transaction so an admin decision in between wins
+    const outcome = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      
+      if (!doc.exists) {
+        return { status: 404, body: { error: 'Exchange request not found' } };
+      }
+      
+      const exchangeRequest = doc.data();
+      
+      // Check if user owns this exchange request
+      if (exchangeRequest.userId !== uid) {
+        return { status: 403, body: { error: 'Not authorized to update this exchange request' } };
+      }
+      
+      if (getExchangeState(exchangeRequest) !== EXCHANGE_STATES.PENDING) {
+        return {
+          status: 409,
+          body: { error: 'Only pending exchange requests can be edited', code: 'EXCHANGE_NOT_EDITABLE' }
+        };
+      }
+      
+      const updates = { updatedAt: new Date() };
+      if (description !== undefined) {
+        updates.description = description;
+      }
+      if (images !== undefined) {
+        // Keep the orphaned upload cleanup away from the new images
+        Object.assign(updates, { images }, buildImageIndex({ ...exchangeRequest, images }));
+      }
+      
+      transaction.update(docRef, updates);
+      return { exchange: { ...exchangeRequest, ...updates } };
+    });
+    
+    if (!outcome.exchange) {
+      return res.status(outcome.status).json(outcome.body);
+    }
+    
+    await markUploadsAttached(images);
+    
+    res.status(200).json(formatCustomerExchangeRequest(id, outcome.exchange));
   } catch (error) {
     console.error('Error updating exchange request:', error);
     res.status(500).json({ error: 'Failed to update exchange request' });
@@ -233,11 +442,6 @@ router.post('/:id/shipping', authMiddleware, async (req, res) => {
     
     console.log(`Processing shipping details for exchange ${id}`);
     
-    // Validate required fields
-    if (!carrierName || !trackingNumber || !shippingDate) {
-      return res.status(400).json({ error: 'Missing required shipping details' });
-    }
-    
     // Get document
     const docRef = db.collection('exchange_requests').doc(id);
     const doc = await docRef.get();
@@ -255,15 +459,25 @@ router.post('/:id/shipping', authMiddleware, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to update this exchange request' });
     }
     
-    // Only allow adding shipping details if request is approved
-    if (exchangeRequest.status !== 'approved') {
-      return res.status(400).json({ error: 'Can only add shipping details to approved exchange requests' });
+    // With a prepaid label the carrier and tracking number are already filled in
+    const prefilled = exchangeRequest.shippingDetails?.prefilled ? exchangeRequest.shippingDetails : {};
+    const shipCarrier = carrierName || prefilled.carrierName;
+    const shipTrackingNumber = trackingNumber || prefilled.trackingNumber;
+    
+    // Validate required fields
+    if (!shipCarrier || !shipTrackingNumber || !shippingDate) {
+      return res.status(400).json({ error: 'Missing required shipping details' });
     }
     
+    // Check the tracking number format for carriers we know
+    const shipment = validateShipment(shipCarrier, shipTrackingNumber);
+    
     // Create shipping details object
     const shippingDetails = {
-      carrierName,
-      trackingNumber,
+      carrierId: shipment.carrierId,
+      carrierName: shipment.carrierName,
+      trackingNumber: shipment.trackingNumber,
+      labelId: shipment.trackingNumber === prefilled.trackingNumber ? prefilled.labelId : null,
       shippingDate: new Date(shippingDate),
       address: address || '',
       notes: notes || '',
@@ -272,40 +486,52 @@ router.post('/:id/shipping', authMiddleware, async (req, res) => {
     
     console.log('Adding shipping details:', JSON.stringify(shippingDetails));
     
-    // Update document with shipping details and transit status
-    await docRef.update({
-      shippingDetails,
-      transitStatus: 'shipping',
-      updatedAt: new Date()
+    // Move the request into transit; only approved (or already shipping) requests are allowed
+    const { exchange } = await transitionExchange(id, EXCHANGE_STATES.SHIPPING, {
+      actor: actorFromRequest(req, ACTOR_ROLES.CUSTOMER),
+      note: `Shipped via ${shipment.carrierName} (${shipment.trackingNumber})`,
+      updates: { shippingDetails }
     });
     
     console.log(`Successfully updated exchange ${id} with shipping details`);
     
-    // Get updated document
-    const updatedDoc = await docRef.get();
-    const updatedData = updatedDoc.data();
+    res.status(200).json(formatCustomerExchangeRequest(id, exchange));
+  } catch (error) {
+    if (handleTransitionError(error, res)) return;
+    if (handleCarrierError(error, res)) return;
+    console.error('Error adding shipping details:', error);
+    res.status(500).json({ error: 'Failed to add shipping details: ' + error.message });
+  }
+});
+
+/**
+ * Download the prepaid shipping label PDF
+ * @route GET /api/exchange/:id/shipping-label
+ * @access Authenticated users (own requests only)
+ */
+router.get('/:id/shipping-label', authMiddleware, async (req, res) => {
+  try {
+    const { uid } = req.user;
+    const { id } = req.params;
     
-    // Format dates before returning
-    const formattedResponse = {
-      id,
-      ...updatedData,
-      createdAt: updatedData.createdAt?.toDate() || new Date(),
-      updatedAt: updatedData.updatedAt?.toDate() || new Date()
-    };
+    const doc = await db.collection('exchange_requests').doc(id).get();
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Exchange request not found' });
+    }
     
-    // Format shipping dates if they exist
-    if (updatedData.shippingDetails) {
-      formattedResponse.shippingDetails = {
-        ...updatedData.shippingDetails,
-        shippingDate: updatedData.shippingDetails.shippingDate?.toDate(),
-        submittedAt: updatedData.shippingDetails.submittedAt?.toDate()
-      };
+    if (doc.data().userId !== uid) {
+      return res.status(403).json({ error: 'Not authorized to access this exchange request' });
     }
     
-    res.status(200).json(formattedResponse);
+    const { label, pdf } = await getShippingLabelPdf(id);
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="shipping-label-${label.trackingNumber}.pdf"`);
+    res.status(200).send(pdf);
   } catch (error) {
-    console.error('Error adding shipping details:', error);
-    res.status(500).json({ error: 'Failed to add shipping details: ' + error.message });
+    if (handleLabelError(error, res)) return;
+    console.error('Error downloading shipping label:', error);
+    res.status(500).json({ error: 'Failed to download shipping label' });
   }
 });
 
@@ -336,7 +562,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
     }
     
     // Only allow cancellation if status is pending
-    if (exchangeRequest.status !== 'pending') {
+    if (getExchangeState(exchangeRequest) !== EXCHANGE_STATES.PENDING) {
       return res.status(400).json({ error: 'Cannot cancel exchange request once it has been processed' });
     }
     
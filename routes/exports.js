@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { validate, schemas } = require('../middleware/validator');
+const { PERMISSIONS } = require('../utils/roles');
+const { selectColumns, streamExport, handleExportError } = require('../utils/spreadsheetExport');
+const { EXPORT_DATASETS } = require('../utils/exportDatasets');
+const { handleSearchError } = require('../utils/exchangeSearch');
+
+/**
+ * Wrap a dataset in a GET handler that streams it as CSV or XLSX
+ * @param {Object} dataset - Entry of EXPORT_DATASETS
+ * @returns {Function} Express handler
+ */
+function exportHandler(dataset) {
+  return async (req, res) => {
+    try {
+      const { format, columns: selection, ...filters } = req.query;
+      const columns = selectColumns(dataset.columns, selection);
+      const date = new Date().toISOString().slice(0, 10);
+
+      const rows = await streamExport(res, {
+        format,
+        filename: `${dataset.filename}-${date}`,
+        sheetName: dataset.sheetName,
+        columns,
+        rows: dataset.rows(filters)
+      });
+
+      req.logger.info('Admin export', {
+        action: 'Admin',
+        email: req.user.email,
+        dataset: dataset.filename,
+        format,
+        rows,
+        filters
+      });
+    } catch (error) {
+      if (handleExportError(error, res)) return;
+      if (handleSearchError(error, res)) return;
+      console.error(`Error exporting ${dataset.filename}:`, error);
+      res.status(500).json({ error: 'Failed to export data' });
+    }
+  };
+}
+
+/**
+ * Export exchange requests
+ * Query: the filters of GET /api/admin/exchange-requests, format (csv | xlsx),
+ * columns (comma-separated column keys, all by default)
+ * @route GET /api/admin/exports/exchange-requests
+ * @access Staff with data:export
+ */
+router.get('/exchange-requests', authMiddleware, requirePermission(PERMISSIONS.DATA_EXPORT), validate(schemas.exchangeExportQuery, 'query'), exportHandler(EXPORT_DATASETS.exchanges));
+
+/**
+ * Export the loyalty points history
+ * Query: userId, type, createdFrom, createdTo, format (csv | xlsx), columns
+ * @route GET /api/admin/exports/credit-history
+ * @access Staff with data:export
+ */
+router.get('/credit-history', authMiddleware, requirePermission(PERMISSIONS.DATA_EXPORT), validate(schemas.creditHistoryExportQuery, 'query'), exportHandler(EXPORT_DATASETS.creditHistory));
+
+/**
+ * Export the items warehouses should expect: approved, in transit and just received
+ * Query: warehouseId, state (approved | shipping | received), format (csv | xlsx), columns
+ * @route GET /api/admin/exports/warehouse-intake
+ * @access Staff with data:export
+ */
+router.get('/warehouse-intake', authMiddleware, requirePermission(PERMISSIONS.DATA_EXPORT), validate(schemas.warehouseIntakeExportQuery, 'query'), exportHandler(EXPORT_DATASETS.warehouseIntake));
+
+/**
+ * Columns available in each export, for building the column picker
+ * @route GET /api/admin/exports/columns
+ * @access Staff with data:export
+ */
+router.get('/columns', authMiddleware, requirePermission(PERMISSIONS.DATA_EXPORT), (req, res) => {
+  res.status(200).json({
+    'exchange-requests': EXPORT_DATASETS.exchanges.columns.map(({ key, header }) => ({ key, header })),
+    'credit-history': EXPORT_DATASETS.creditHistory.columns.map(({ key, header }) => ({ key, header })),
+    'warehouse-intake': EXPORT_DATASETS.warehouseIntake.columns.map(({ key, header }) => ({ key, header }))
+  });
+});
+
+module.exports = router;
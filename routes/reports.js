@@ -0,0 +1,106 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { auditTrail } = require('../middleware/audit');
+const { validate, schemas } = require('../middleware/validator');
+const { PERMISSIONS } = require('../utils/roles');
+const { rebuildRollups } = require('../utils/reportRollups');
+const {
+  MAX_REBUILD_DAYS,
+  assertRange,
+  getExchangeVolumes,
+  getApprovalRates,
+  getTurnaround,
+  getPointsReport,
+  getTopBrands,
+  getWarehouseThroughput,
+  handleReportError
+} = require('../utils/reports');
+
+/**
+ * Wrap a report builder in a GET handler
+ * @param {Function} buildReport - Report function from utils/reports
+ * @param {string} description - Used in the error response
+ * @returns {Function} Express handler
+ */
+function reportHandler(buildReport, description) {
+  return async (req, res) => {
+    try {
+      res.status(200).json(await buildReport(req.query));
+    } catch (error) {
+      if (handleReportError(error, res)) return;
+      console.error(`Error building ${description} report:`, error);
+      res.status(500).json({ error: `Failed to build ${description} report` });
+    }
+  };
+}
+
+/**
+ * Exchange requests created, approved, completed, declined and returned
+ * Query: from, to (ISO dates, last 30 days by default), groupBy (day | week | month)
+ * @route GET /api/admin/reports/volumes
+ * @access Staff with reports:read
+ */
+router.get('/volumes', authMiddleware, requirePermission(PERMISSIONS.REPORTS_READ), validate(schemas.reportQuery, 'query'), reportHandler(getExchangeVolumes, 'volume'));
+
+/**
+ * Approved / (approved + declined) per period
+ * Query: from, to (ISO dates, last 30 days by default), groupBy (day | week | month)
+ * @route GET /api/admin/reports/approval-rates
+ * @access Staff with reports:read
+ */
+router.get('/approval-rates', authMiddleware, requirePermission(PERMISSIONS.REPORTS_READ), validate(schemas.reportQuery, 'query'), reportHandler(getApprovalRates, 'approval rate'));
+
+/**
+ * Average days from creation to completion, by completion date
+ * Query: from, to (ISO dates, last 30 days by default), groupBy (day | week | month)
+ * @route GET /api/admin/reports/turnaround
+ * @access Staff with reports:read
+ */
+router.get('/turnaround', authMiddleware, requirePermission(PERMISSIONS.REPORTS_READ), validate(schemas.reportQuery, 'query'), reportHandler(getTurnaround, 'turnaround'));
+
+/**
+ * Points issued, redeemed, expired and clawed back, with a breakdown by ledger type
+ * Query: from, to (ISO dates, last 30 days by default), groupBy (day | week | month)
+ * @route GET /api/admin/reports/points
+ * @access Staff with reports:read
+ */
+router.get('/points', authMiddleware, requirePermission(PERMISSIONS.REPORTS_READ), validate(schemas.reportQuery, 'query'), reportHandler(getPointsReport, 'points'));
+
+/**
+ * Brands with the most new exchange requests
+ * Query: from, to, limit
+ * @route GET /api/admin/reports/brands
+ * @access Staff with reports:read
+ */
+router.get('/brands', authMiddleware, requirePermission(PERMISSIONS.REPORTS_READ), validate(schemas.reportQuery, 'query'), reportHandler(getTopBrands, 'brand'));
+
+/**
+ * Items approved to, received at and completed by each warehouse
+ * Query: from, to
+ * @route GET /api/admin/reports/warehouses
+ * @access Staff with reports:read
+ */
+router.get('/warehouses', authMiddleware, requirePermission(PERMISSIONS.REPORTS_READ), validate(schemas.reportQuery, 'query'), reportHandler(getWarehouseThroughput, 'warehouse'));
+
+/**
+ * Recompute the daily rollups of a date range from the source collections
+ * Use for days before reporting existed or after fixing data by hand
+ * @route POST /api/admin/reports/rollups/rebuild
+ * @access Staff with settings:manage
+ */
+router.post('/rollups/rebuild', authMiddleware, requirePermission(PERMISSIONS.SETTINGS_MANAGE), validate(schemas.reportRollupRebuild), auditTrail('report_rollups.rebuild', { type: 'system' }), async (req, res) => {
+  try {
+    assertRange(req.body, MAX_REBUILD_DAYS);
+
+    const result = await rebuildRollups(req.body.from, req.body.to);
+    res.status(200).json(result);
+  } catch (error) {
+    if (handleReportError(error, res)) return;
+    console.error('Error rebuilding report rollups:', error);
+    res.status(500).json({ error: 'Failed to rebuild report rollups' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,22 @@ const express = require('express');
 const router = express.Router();
 const { findCustomerByEmail, getCustomerLoyaltyPoints } = require('../utils/shopify');
 const { authMiddleware } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { validate, schemas } = require('../middleware/validator');
+const {
+  LEDGER_TYPES,
+  applyPointsMovement,
+  formatCreditHistoryEntry,
+  withRunningBalances,
+  getUserCreditHistory,
+  handleLedgerError
+} = require('../utils/creditLedger');
+const {
+  DISCOUNT_CODES_COLLECTION,
+  createDiscountCodeFromPoints,
+  formatDiscountCode
+} = require('../utils/discountCodes');
+const { getExpiryPolicy, getUpcomingExpiries } = require('../utils/pointsExpiry');
 
 /**
  * Handle preflight OPTIONS requests for CORS
@@ -167,33 +183,70 @@ router.get('/credit', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * Redeem (spend) loyalty points
+ * Accepts an optional Idempotency-Key header so retries are safe
+ * @route POST /api/shopify/redeem
+ * @access Authenticated users (own loyalty points only)
+ */
+router.post('/redeem', authMiddleware, validate(schemas.pointsRedemption), idempotency(), async (req, res) => {
+  try {
+    const { points, reference, note } = req.body;
+    
+    const entry = await applyPointsMovement({
+      type: LEDGER_TYPES.REDEMPTION,
+      amount: -points,
+      user: req.user,
+      actor: { uid: req.user.uid, email: req.user.email, role: 'customer' },
+      reason: note || 'Points redeemed',
+      metadata: { reference: reference || null }
+    });
+    
+    req.logger.info('Loyalty points redeemed', {
+      userId: req.user.uid,
+      points,
+      balanceAfter: entry.balanceAfter
+    });
+    
+    res.status(200).json({
+      id: entry.id,
+      type: entry.type,
+      pointsRedeemed: points,
+      creditAmount: entry.balanceAfter,
+      currency: entry.currency
+    });
+  } catch (error) {
+    if (handleLedgerError(error, res)) return;
+    
+    if (error.code === 'SHOPIFY_CUSTOMER_NOT_FOUND') {
+      return res.status(422).json({
+        error: 'No Shopify account found for your email address.',
+        code: 'SHOPIFY_CUSTOMER_NOT_FOUND'
+      });
+    }
+    
+    console.error('Error redeeming loyalty points:', error);
+    res.status(500).json({ error: 'Failed to redeem loyalty points' });
+  }
+});
+
 /**
  * Get loyalty points history for current user
+ * Includes credits, redemptions and manual adjustments with running balances
  * @route GET /api/shopify/credit-history
  * @access Authenticated users (own history only)
  */
 router.get('/credit-history', authMiddleware, async (req, res) => {
   try {
     const { uid } = req.user;
-    const { limit = 10 } = req.query;
+    const { limit = 10, type } = req.query;
     
     // Get loyalty points history from Firestore
     const { db } = require('../utils/firebaseAdmin');
     
     try {
-      // Try with ordering
-      const snapshot = await db.collection('credit_history')
-        .where('userId', '==', uid)
-        .orderBy('createdAt', 'desc')
-        .limit(parseInt(limit))
-        .get();
-      
-      // Format data
-      const pointsHistory = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        createdAt: doc.data().createdAt.toDate()
-      }));
+      // Running balances are worked out before the type filter
+      const pointsHistory = await getUserCreditHistory(uid, { type, limit: parseInt(limit) || 10 });
       
       res.status(200).json(pointsHistory);
     } catch (indexError) {
@@ -205,16 +258,12 @@ router.get('/credit-history', authMiddleware, async (req, res) => {
           .where('userId', '==', uid)
           .get();
           
-        // Format and sort manually
-        let pointsHistory = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data(),
-          createdAt: doc.data().createdAt.toDate()
-        }));
-        
-        // Sort manually and apply limit
+        // Sort manually, fill in balances over the whole history, then filter and limit
+        let pointsHistory = snapshot.docs.map(formatCreditHistoryEntry);
         pointsHistory.sort((a, b) => b.createdAt - a.createdAt);
-        pointsHistory = pointsHistory.slice(0, parseInt(limit));
+        pointsHistory = withRunningBalances(pointsHistory)
+          .filter(entry => !type || entry.type === type)
+          .slice(0, parseInt(limit));
         
         res.status(200).json(pointsHistory);
       } else {
@@ -228,4 +277,87 @@ router.get('/credit-history', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * Convert loyalty points into a single-use discount code
+ * @route POST /api/shopify/discount-codes
+ * @access Private
+ */
+router.post('/discount-codes', authMiddleware, validate(schemas.discountCodeRequest), idempotency(), async (req, res) => {
+  try {
+    const { points } = req.body;
+    
+    const discountCode = await createDiscountCodeFromPoints({ user: req.user, points });
+    
+    req.logger.info('Discount code created from loyalty points', {
+      userId: req.user.uid,
+      discountCodeId: discountCode.id,
+      points
+    });
+    
+    res.status(201).json(discountCode);
+  } catch (error) {
+    if (handleLedgerError(error, res)) return;
+    
+    if (error.code === 'SHOPIFY_CUSTOMER_NOT_FOUND') {
+      return res.status(422).json({
+        error: 'No Shopify account found for your email address.',
+        code: 'SHOPIFY_CUSTOMER_NOT_FOUND'
+      });
+    }
+    
+    console.error('Error creating discount code:', error);
+    res.status(500).json({ error: 'Failed to create discount code' });
+  }
+});
+
+/**
+ * Get the user's discount codes, newest first
+ * @route GET /api/shopify/discount-codes
+ * @access Private
+ */
+router.get('/discount-codes', authMiddleware, async (req, res) => {
+  try {
+    const { db } = require('../utils/firebaseAdmin');
+    const { status } = req.query;
+    
+    let query = db.collection(DISCOUNT_CODES_COLLECTION)
+      .where('userId', '==', req.user.uid);
+    
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+    
+    const snapshot = await query
+      .orderBy('createdAt', 'desc')
+      .limit(50)
+      .get();
+    
+    res.status(200).json(snapshot.docs.map(formatDiscountCode));
+  } catch (error) {
+    console.error('Error fetching discount codes:', error);
+    res.status(500).json({ error: 'Failed to fetch discount codes' });
+  }
+});
+
+/**
+ * Get the user's loyalty points that are due to expire
+ * @route GET /api/shopify/points-expiry
+ * @access Private
+ */
+router.get('/points-expiry', authMiddleware, async (req, res) => {
+  try {
+    const policy = getExpiryPolicy();
+    const upcoming = await getUpcomingExpiries(req.user.uid);
+    
+    res.status(200).json({
+      enabled: policy.enforced,
+      expiryMonths: policy.enforced ? policy.months : 0,
+      upcoming
+    });
+  } catch (error) {
+    console.error('Error fetching points expiry:', error);
+    res.status(500).json({ error: 'Failed to fetch points expiry' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
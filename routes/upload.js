@@ -5,6 +5,7 @@ const cloudinary = require('cloudinary').v2;
 const { authMiddleware } = require('../middleware/auth');
 const { validateImage } = require('../utils/imageValidator');
 const { logger } = require('../utils/logger');
+const { recordPendingUpload } = require('../utils/uploads');
 
 // Configure Cloudinary with environment variables
 try {
@@ -104,7 +105,7 @@ router.post('/image', authMiddleware, upload.single('image'), async (req, res) =
         { quality: 'auto' }, // Optimize quality
         { fetch_format: 'auto' } // Optimize format based on browser
       ]
-    }, (error, result) => {
+    }, async (error, result) => {
       if (error) {
         req.logger.error('Cloudinary upload error', {
           error: error.message,
@@ -121,6 +122,13 @@ router.post('/image', authMiddleware, upload.single('image'), async (req, res) =
         userId: req.user.uid
       });
       
+      // Deleted again if no exchange request uses it (see utils/uploads.js)
+      await recordPendingUpload({
+        publicId: result.public_id,
+        url: result.secure_url,
+        userId: req.user.uid
+      });
+      
       return res.json({
         secure_url: result.secure_url,
         public_id: result.public_id,
@@ -45,6 +45,7 @@ const server = http.createServer(app);
 
 // Initialize Firebase collections
 const { initializeCollections } = require('../utils/ensureCollections');
+const { backfillExchangeStates } = require('../utils/exchangeStateMachine');
 // Run in the background to avoid blocking server startup
 (async () => {
   try {
@@ -56,6 +57,18 @@ const { initializeCollections } = require('../utils/ensureCollections');
     if (process.env.NODE_ENV === 'production') {
       process.exit(1);
     }
+    return;
+  }
+
+  // Requests created before the state machine have no state field, and
+  // queries on it would miss them. Scans once, then records that it finished
+  try {
+    const result = await backfillExchangeStates();
+    if (!result.skipped) {
+      console.log(`Exchange states backfilled: ${result.updated} of ${result.scanned} requests updated`);
+    }
+  } catch (error) {
+    console.error('Error backfilling exchange states:', error);
   }
 })();
 
@@ -95,7 +108,7 @@ app.use(cors({
     ? process.env.ALLOWED_ORIGINS?.split(',') || true
     : ['http://localhost:3000', 'http://127.0.0.1:3000'],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
   credentials: true,
   maxAge: 86400 // CORS preflight cache for 24 hours
 }));
@@ -118,25 +131,40 @@ app.use(generalLimiter);
 const { router: authRouter } = require('../routes/auth');
 const exchangeRoutes = require('../routes/exchange');
 const adminRoutes = require('../routes/admin');
+const reportRoutes = require('../routes/reports');
+const exportRoutes = require('../routes/exports');
+const auditRoutes = require('../routes/audit');
 const shopifyRoutes = require('../routes/shopify');
 const uploadRoutes = require('../routes/upload');
 
 // Use routes
 app.use('/api/auth', authLimiter, authRouter);
 app.use('/api/exchange', exchangeRoutes);
+app.use('/api/admin/reports', reportRoutes);
+app.use('/api/admin/exports', exportRoutes);
+app.use('/api/admin/audit-log', auditRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/shopify', shopifyRoutes);
 app.use('/api/upload', uploadRoutes);
 
 // Health check endpoint with detailed status
-app.get('/api/health', (req, res) => {
+const { getJobStatuses } = require('../utils/scheduler');
+app.get('/api/health', async (req, res) => {
+  // Last run of each background job, whichever instance ran it; details are at /api/admin/jobs
+  const jobs = await getJobStatuses();
+  const failingJobs = Object.keys(jobs).filter(name => jobs[name].lastStatus === 'error');
+  
   const status = {
-    status: 'ok',
+    status: failingJobs.length > 0 ? 'degraded' : 'ok',
     timestamp: new Date(),
     uptime: process.uptime(),
     memory: process.memoryUsage(),
-    environment: process.env.NODE_ENV
+    environment: process.env.NODE_ENV,
+    jobs
   };
+  if (failingJobs.length > 0) {
+    status.failingJobs = failingJobs;
+  }
   res.status(200).json(status);
 });
 
@@ -187,6 +215,98 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Background jobs
+const { scheduleJob, stopAllJobs } = require('../utils/scheduler');
+const { recoverPendingCreditEntries } = require('../utils/creditLedger');
+const { expireDiscountCodes } = require('../utils/discountCodes');
+const { runPointsExpiry } = require('../utils/pointsExpiry');
+const { expireQuotes } = require('../utils/exchangeQuotes');
+const { pollCarrierTracking } = require('../utils/carrierTracking');
+const { purgeExpiredAuditEntries } = require('../utils/auditLog');
+const { purgeExpiredLoginTokens } = require('../utils/loginTokens');
+const { purgeExpiredLoginStates } = require('../utils/customerLogin');
+const { purgeExpiredSessions } = require('../utils/sessions');
+const { purgeExpiredIdempotencyRecords } = require('../middleware/idempotency');
+const { purgeOrphanedUploads } = require('../utils/uploads');
+
+function startBackgroundJobs() {
+  const minutes = (value, fallback) => (parseInt(value) || fallback) * 60 * 1000;
+  
+  // Finish or roll back credit assignments interrupted between Firestore and Shopify
+  scheduleJob(
+    'credit-ledger-recovery',
+    minutes(process.env.CREDIT_RECOVERY_INTERVAL_MINUTES, 5),
+    () => recoverPendingCreditEntries(),
+    { runOnStart: true }
+  );
+  
+  // Refund points of discount codes that expired unused
+  scheduleJob(
+    'discount-code-expiry',
+    minutes(process.env.DISCOUNT_EXPIRY_INTERVAL_MINUTES, 60),
+    () => expireDiscountCodes()
+  );
+  
+  // Expire old loyalty points and warn customers ahead of time
+  scheduleJob(
+    'points-expiry',
+    minutes(process.env.POINTS_EXPIRY_INTERVAL_MINUTES, 24 * 60),
+    () => runPointsExpiry()
+  );
+  
+  // Decline exchange requests whose quote was never answered
+  scheduleJob(
+    'quote-expiry',
+    minutes(process.env.QUOTE_EXPIRY_INTERVAL_MINUTES, 60),
+    () => expireQuotes()
+  );
+  
+  // Pull carrier tracking for shipments and mark deliveries to the warehouse received
+  scheduleJob(
+    'carrier-tracking',
+    minutes(process.env.CARRIER_POLL_INTERVAL_MINUTES, 30),
+    () => pollCarrierTracking()
+  );
+  
+  // Drop audit log entries past the retention period
+  scheduleJob(
+    'audit-log-retention',
+    minutes(process.env.AUDIT_RETENTION_INTERVAL_MINUTES, 24 * 60),
+    () => purgeExpiredAuditEntries()
+  );
+  
+  // Delete used and expired login codes and Shopify sign-ins never completed
+  scheduleJob(
+    'login-token-cleanup',
+    minutes(process.env.LOGIN_TOKEN_CLEANUP_INTERVAL_MINUTES, 60),
+    async () => ({
+      loginTokens: await purgeExpiredLoginTokens(),
+      shopifyLoginStates: await purgeExpiredLoginStates()
+    })
+  );
+  
+  // Delete ended sessions and their refresh tokens
+  scheduleJob(
+    'session-cleanup',
+    minutes(process.env.SESSION_CLEANUP_INTERVAL_MINUTES, 60),
+    () => purgeExpiredSessions()
+  );
+  
+  // Delete stored responses of expired idempotency keys
+  scheduleJob(
+    'idempotency-cleanup',
+    minutes(process.env.IDEMPOTENCY_CLEANUP_INTERVAL_MINUTES, 6 * 60),
+    () => purgeExpiredIdempotencyRecords()
+  );
+  
+  // Delete uploaded images never attached to an exchange
+  scheduleJob(
+    'orphaned-upload-cleanup',
+    minutes(process.env.UPLOAD_CLEANUP_INTERVAL_MINUTES, 6 * 60),
+    () => purgeOrphanedUploads()
+  );
+}
+
 // Graceful shutdown handling
 let isShuttingDown = false;
 
@@ -196,6 +316,9 @@ async function gracefulShutdown(signal) {
   
   console.log(`\n${signal} received. Starting graceful shutdown...`);
   
+  // Stop background jobs before closing the server
+  stopAllJobs();
+  
   // Stop accepting new requests
   server.close(() => {
     console.log('HTTP server closed');
@@ -230,4 +353,5 @@ process.on('unhandledRejection', (reason, promise) => {
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Server environment: ${process.env.NODE_ENV || 'development'}`);
+  startBackgroundJobs();
 }); 
\ No newline at end of file
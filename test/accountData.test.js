@@ -0,0 +1,157 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { db, resetFirestore, allDocuments } = require('./helpers/fakeFirestore');
+const { deleteAccount } = require('../utils/accountData');
+
+const EMAIL = 'jane.doe@example.com';
+const SHIPPING_ADDRESS = '12 Rose Street, Koregaon Park, Pune 411001';
+const RETURN_ADDRESS = { line1: '7 Lotus Lane', city: 'Pune', postalCode: '411002' };
+
+const customer = { uid: 'customer-1', email: EMAIL };
+const admin = { uid: 'admin-1', email: 'admin@swapcred.test' };
+
+async function seedAccount() {
+  await db.collection('users').doc(customer.uid).set({ email: EMAIL, shopifyId: '77' });
+
+  await db.collection('exchange_requests').doc('completed-1').set({
+    userId: customer.uid,
+    userEmail: EMAIL,
+    productName: 'Trail shoes',
+    brand: 'Acme',
+    description: `Worn twice, contact me at ${EMAIL}`,
+    status: 'approved',
+    state: 'completed',
+    transitStatus: 'completed',
+    adminFeedback: `Credited; receipt sent to ${EMAIL}`,
+    images: [{ url: 'https://res.cloudinary.com/demo/image/upload/v1/exchanges/shoe.jpg', publicId: 'exchanges/shoe' }],
+    imagePublicIds: ['exchanges/shoe'],
+    shippingDetails: {
+      carrierName: 'Delhivery',
+      trackingNumber: 'DL123',
+      address: SHIPPING_ADDRESS,
+      notes: 'Ring twice'
+    },
+    shippingLabel: { status: 'created', labelId: 'label-1', carrierName: 'Delhivery', trackingNumber: 'DL123' },
+    createdAt: new Date('2026-01-01')
+  });
+
+  await db.collection('exchange_requests').doc('returned-1').set({
+    userId: customer.uid,
+    userEmail: EMAIL,
+    productName: 'Jacket',
+    brand: 'Acme',
+    description: 'Winter jacket',
+    // Stored before images carried their public ID: a plain URL and the upload route's response
+    images: [
+      'https://res.cloudinary.com/demo/image/upload/c_fill,w_800/v2/exchanges/jacket-front.jpg',
+      { secure_url: 'https://res.cloudinary.com/demo/image/upload/v2/exchanges/jacket-back.jpg', public_id: 'exchanges/jacket-back' }
+    ],
+    status: 'returned',
+    state: 'returned',
+    shippingDetails: { carrierName: 'Delhivery', trackingNumber: 'DL456', address: RETURN_ADDRESS },
+    returnDetails: { reason: 'Counterfeit', carrierName: 'Delhivery', trackingNumber: 'RT1', address: RETURN_ADDRESS },
+    createdAt: new Date('2026-02-01')
+  });
+
+  await db.collection('exchange_requests').doc('completed-1').collection('status_history').add({
+    to: 'shipping',
+    actor: { uid: customer.uid, email: EMAIL, role: 'customer' },
+    createdAt: new Date('2026-01-02')
+  });
+
+  await db.collection('shipping_labels').doc('label-1').set({
+    exchangeId: 'completed-1',
+    userId: customer.uid,
+    pdf: Buffer.from(`Ship to ${SHIPPING_ADDRESS}`)
+  });
+
+  await db.collection('credit_ledger').doc('ledger-1').set({
+    userId: customer.uid,
+    userEmail: EMAIL,
+    type: 'exchange_credit',
+    amount: 500,
+    status: 'committed'
+  });
+  await db.collection('credit_history').doc('history-1').set({ userId: customer.uid, amount: 500 });
+
+  await db.collection('audit_log').doc('by-customer').set({
+    action: 'account.export',
+    actorId: customer.uid,
+    actorEmail: EMAIL,
+    targetType: 'user',
+    targetId: customer.uid,
+    changes: {},
+    details: null
+  });
+  await db.collection('audit_log').doc('return-by-admin').set({
+    action: 'exchange.return',
+    actorId: admin.uid,
+    actorEmail: admin.email,
+    targetType: 'exchange_request',
+    targetId: 'returned-1',
+    changes: {
+      returnDetails: { before: null, after: { reason: 'Counterfeit', address: RETURN_ADDRESS } },
+      userEmail: { before: EMAIL, after: EMAIL }
+    },
+    details: { note: `Emailed ${EMAIL}` }
+  });
+}
+
+describe('deleteAccount', () => {
+  beforeEach(async () => {
+    resetFirestore();
+    await seedAccount();
+  });
+
+  it('leaves no document containing the email or an address', async () => {
+    await deleteAccount(customer);
+
+    const personal = [EMAIL, SHIPPING_ADDRESS, ...Object.values(RETURN_ADDRESS)].map(value => value.toLowerCase());
+    for (const { path, data } of allDocuments()) {
+      const stored = JSON.stringify(data).toLowerCase();
+      for (const value of personal) {
+        assert.ok(!stored.includes(value), `${path} still contains "${value}"`);
+      }
+    }
+  });
+
+  it('unlinks exchange requests from the user and drops their shipping data', async () => {
+    await deleteAccount(customer);
+
+    const exchange = (await db.collection('exchange_requests').doc('completed-1').get()).data();
+    assert.equal(exchange.userId, null);
+    assert.equal(exchange.userEmail, null);
+    assert.equal(exchange.adminFeedback, '');
+    assert.equal(exchange.shippingLabel, null);
+    assert.equal(exchange.shippingDetails.address, null);
+    assert.equal(exchange.shippingDetails.trackingNumber, 'DL123');
+
+    const returned = (await db.collection('exchange_requests').doc('returned-1').get()).data();
+    assert.equal(returned.returnDetails.address, null);
+    assert.equal(returned.returnDetails.reason, 'Counterfeit');
+  });
+
+  it('queues every image for deletion, whatever shape it was stored in', async () => {
+    await deleteAccount(customer);
+
+    const queued = (await db.collection('pending_uploads').get()).docs.map(doc => doc.data().publicId).sort();
+    assert.deepEqual(queued, ['exchanges/jacket-back', 'exchanges/jacket-front', 'exchanges/shoe']);
+  });
+
+  it('keeps financial records and audit entries, minus the personal data', async () => {
+    await deleteAccount(customer);
+
+    const ledger = await db.collection('credit_ledger').doc('ledger-1').get();
+    assert.ok(ledger.exists);
+    assert.equal(ledger.data().amount, 500);
+
+    const byCustomer = (await db.collection('audit_log').doc('by-customer').get()).data();
+    assert.equal(byCustomer.actorId, customer.uid);
+    assert.equal(byCustomer.actorEmail, null);
+
+    const byAdmin = (await db.collection('audit_log').doc('return-by-admin').get()).data();
+    assert.equal(byAdmin.actorEmail, admin.email);
+    assert.equal(byAdmin.changes.returnDetails.after.reason, 'Counterfeit');
+  });
+});
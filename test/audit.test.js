@@ -0,0 +1,82 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { db, resetFirestore } = require('./helpers/fakeFirestore');
+const { auditTrail } = require('../middleware/audit');
+
+const originalBatch = db.batch;
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { uid: 'admin-1', email: 'admin@swapcred.test' };
+    req.requestId = 'request-1';
+    next();
+  });
+
+  const target = { type: 'warehouse', collection: 'warehouses', id: req => req.params.id };
+  app.put('/warehouses/:id', auditTrail('warehouse.update', target), async (req, res) => {
+    await db.collection('warehouses').doc(req.params.id).update({ name: req.body.name });
+    res.status(200).json({ id: req.params.id, name: req.body.name });
+  });
+  app.put('/rejected/:id', auditTrail('warehouse.update', target), (req, res) => {
+    res.status(400).json({ error: 'Invalid' });
+  });
+
+  return app;
+}
+
+describe('auditTrail', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = buildApp().listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    resetFirestore();
+    db.batch = originalBatch;
+    await db.collection('warehouses').doc('w1').set({ name: 'Old name' });
+  });
+
+  const put = (path, body) => fetch(`${baseUrl}${path}`, {
+    method: 'PUT',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  it('writes the entry before the response goes out', async () => {
+    const response = await put('/warehouses/w1', { name: 'New name' });
+    assert.equal(response.status, 200);
+
+    const entries = (await db.collection('audit_log').get()).docs.map(doc => doc.data());
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].action, 'warehouse.update');
+    assert.equal(entries[0].actorId, 'admin-1');
+    assert.deepEqual(entries[0].changes, { name: { before: 'Old name', after: 'New name' } });
+  });
+
+  it('fails the request when the entry cannot be written', async () => {
+    db.batch = () => ({
+      set() {},
+      commit: async () => { throw new Error('Firestore unavailable'); }
+    });
+
+    const response = await put('/warehouses/w1', { name: 'New name' });
+    assert.equal(response.status, 500);
+    assert.equal((await response.json()).code, 'AUDIT_WRITE_FAILED');
+  });
+
+  it('does not record rejected requests', async () => {
+    const response = await put('/rejected/w1', { name: 'New name' });
+    assert.equal(response.status, 400);
+    assert.equal((await db.collection('audit_log').get()).size, 0);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { db, resetFirestore } = require('./helpers/fakeFirestore');
+
+// Record emails instead of sending them
+const EMAIL_PATH = path.resolve(__dirname, '../utils/email.js');
+const sentEmails = [];
+require.cache[EMAIL_PATH] = {
+  id: EMAIL_PATH,
+  filename: EMAIL_PATH,
+  loaded: true,
+  exports: { sendItemReceivedEmail: async (to) => { sentEmails.push(to); } }
+};
+
+const { pollCarrierTracking } = require('../utils/carrierTracking');
+const { EXCHANGE_STATES } = require('../utils/exchangeStateMachine');
+
+// See utils/carriers/fixtures/stubTracking.json
+const DELIVERED_TO_WAREHOUSE = 'STUB000001';
+const IN_TRANSIT = 'STUB000002';
+const DELIVERED_ELSEWHERE = 'STUB000003';
+
+async function seedShipment(id, trackingNumber, carrier = { carrierId: 'stub', carrierName: 'Stub Carrier' }) {
+  await db.collection('exchange_requests').doc(id).set({
+    userId: 'customer-1',
+    userEmail: 'jane@example.com',
+    productName: 'Trail shoes',
+    status: 'approved',
+    state: EXCHANGE_STATES.SHIPPING,
+    transitStatus: 'shipping',
+    warehouseId: 'w1',
+    warehouseInfo: { name: 'Bengaluru', city: 'Bengaluru', postalCode: '560001' },
+    shippingDetails: { ...carrier, trackingNumber, shippingDate: new Date('2024-01-02') },
+    createdAt: new Date('2024-01-01')
+  });
+}
+
+const originalNodeEnv = process.env.NODE_ENV;
+
+const storedExchange = async (id) => (await db.collection('exchange_requests').doc(id).get()).data();
+
+describe('pollCarrierTracking', () => {
+  beforeEach(() => {
+    resetFirestore();
+    sentEmails.length = 0;
+  });
+
+  afterEach(() => {
+    if (originalNodeEnv === undefined) {
+      delete process.env.NODE_ENV;
+    } else {
+      process.env.NODE_ENV = originalNodeEnv;
+    }
+  });
+
+  it('marks a shipment delivered to its warehouse as received', async () => {
+    await seedShipment('e1', DELIVERED_TO_WAREHOUSE);
+
+    const result = await pollCarrierTracking();
+    assert.deepEqual(result, { checked: 1, received: 1, mismatches: 0, skipped: 0, errors: 0 });
+
+    const exchange = await storedExchange('e1');
+    assert.equal(exchange.state, EXCHANGE_STATES.RECEIVED);
+    assert.equal(exchange.transitStatus, 'received');
+    assert.equal(exchange.tracking.status, 'delivered');
+    assert.equal(exchange.tracking.events.length, 4);
+    assert.deepEqual(sentEmails, ['jane@example.com']);
+  });
+
+  it('stores the events of a shipment still in transit', async () => {
+    await seedShipment('e1', IN_TRANSIT);
+
+    const result = await pollCarrierTracking();
+    assert.equal(result.received, 0);
+
+    const exchange = await storedExchange('e1');
+    assert.equal(exchange.state, EXCHANGE_STATES.SHIPPING);
+    assert.equal(exchange.tracking.status, 'in_transit');
+    assert.equal(exchange.tracking.deliveryMismatch, false);
+  });
+
+  it('flags a delivery to somewhere other than the warehouse', async () => {
+    await seedShipment('e1', DELIVERED_ELSEWHERE);
+
+    const result = await pollCarrierTracking();
+    assert.equal(result.mismatches, 1);
+
+    const exchange = await storedExchange('e1');
+    assert.equal(exchange.state, EXCHANGE_STATES.SHIPPING);
+    assert.equal(exchange.tracking.deliveryMismatch, true);
+    assert.deepEqual(sentEmails, []);
+  });
+
+  it('polls a shipment from before the state machine that only has the legacy status fields', async () => {
+    await seedShipment('e1', DELIVERED_TO_WAREHOUSE);
+    const { state, ...legacy } = await storedExchange('e1');
+    await db.collection('exchange_requests').doc('e1').set(legacy);
+
+    const result = await pollCarrierTracking();
+    assert.equal(result.received, 1);
+
+    const exchange = await storedExchange('e1');
+    assert.equal(exchange.state, EXCHANGE_STATES.RECEIVED);
+    assert.equal(exchange.transitStatus, 'received');
+  });
+
+  it('skips carriers it cannot track, and the stub carrier in production', async () => {
+    await seedShipment('e1', 'X123', { carrierId: null, carrierName: 'Local courier' });
+    await seedShipment('e2', DELIVERED_TO_WAREHOUSE);
+    process.env.NODE_ENV = 'production';
+
+    const result = await pollCarrierTracking();
+    assert.equal(result.skipped, 2);
+    assert.equal((await storedExchange('e2')).state, EXCHANGE_STATES.SHIPPING);
+  });
+});
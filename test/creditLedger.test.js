@@ -0,0 +1,206 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { db, resetFirestore } = require('./helpers/fakeFirestore');
+const { shopify, resetShopify, failNext } = require('./helpers/fakeShopify');
+const {
+  LEDGER_STATUS,
+  LEDGER_TYPES,
+  assignExchangeCredit,
+  applyPointsMovement,
+  recoverPendingCreditEntries,
+  getUserCreditHistory
+} = require('../utils/creditLedger');
+
+const EMAIL = 'jane@example.com';
+const CUSTOMER_ID = `customer-${EMAIL}`;
+const adminActor = { uid: 'admin-1', email: 'admin@swapcred.test', role: 'admin' };
+const customer = { uid: 'u1', email: EMAIL, shopifyId: CUSTOMER_ID };
+
+async function seedInspectedExchange(id) {
+  await db.collection('exchange_requests').doc(id).set({
+    userId: customer.uid,
+    userEmail: EMAIL,
+    productName: 'Trail shoes',
+    status: 'approved',
+    state: 'inspected',
+    createdAt: new Date('2026-01-01')
+  });
+}
+
+const ledgerEntry = async (id) => (await db.collection('credit_ledger').doc(id).get()).data();
+
+describe('getUserCreditHistory', () => {
+  beforeEach(async () => {
+    resetFirestore();
+
+    // Oldest first: +500 (balance unknown), -200 redemption, +100 bonus with the stored balance
+    const history = db.collection('credit_history');
+    await history.doc('credit').set({
+      userId: 'u1', type: LEDGER_TYPES.EXCHANGE_CREDIT, amount: 500, createdAt: new Date('2026-01-01')
+    });
+    await history.doc('redemption').set({
+      userId: 'u1', type: LEDGER_TYPES.REDEMPTION, amount: -200, createdAt: new Date('2026-02-01')
+    });
+    await history.doc('bonus').set({
+      userId: 'u1', type: LEDGER_TYPES.BONUS, amount: 100, balanceAfter: 400, createdAt: new Date('2026-03-01')
+    });
+    await history.doc('someone-else').set({
+      userId: 'u2', type: LEDGER_TYPES.BONUS, amount: 50, balanceAfter: 50, createdAt: new Date('2026-03-02')
+    });
+  });
+
+  it('fills in running balances from newer entries', async () => {
+    const entries = await getUserCreditHistory('u1');
+
+    assert.deepEqual(entries.map(entry => [entry.id, entry.balanceAfter]), [
+      ['bonus', 400],
+      ['redemption', 300],
+      ['credit', 500]
+    ]);
+  });
+
+  it('works out balances before applying the type filter', async () => {
+    const entries = await getUserCreditHistory('u1', { type: LEDGER_TYPES.EXCHANGE_CREDIT });
+
+    assert.deepEqual(entries.map(entry => [entry.id, entry.balanceAfter]), [['credit', 500]]);
+  });
+
+  it('applies the limit after filtering', async () => {
+    const entries = await getUserCreditHistory('u1', { limit: 2 });
+    assert.deepEqual(entries.map(entry => entry.id), ['bonus', 'redemption']);
+  });
+});
+
+describe('assignExchangeCredit', () => {
+  beforeEach(async () => {
+    resetFirestore();
+    resetShopify();
+    shopify.balances.set(CUSTOMER_ID, 100);
+    await seedInspectedExchange('e1');
+  });
+
+  it('credits the customer once and commits the ledger entry with its side effects', async () => {
+    const { entry } = await assignExchangeCredit({ exchangeId: 'e1', points: 500, actor: adminActor });
+
+    assert.equal(entry.status, LEDGER_STATUS.COMMITTED);
+    assert.equal(entry.balanceAfter, 600);
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 600);
+
+    const exchange = (await db.collection('exchange_requests').doc('e1').get()).data();
+    assert.equal(exchange.creditAmount, 500);
+    assert.equal(exchange.creditStatus, LEDGER_STATUS.COMMITTED);
+
+    const history = (await db.collection('credit_history').doc('exchange_e1').get()).data();
+    assert.equal(history.balanceAfter, 600);
+    assert.equal((await db.collection('loyalty_locks').get()).size, 0);
+
+    await assert.rejects(
+      assignExchangeCredit({ exchangeId: 'e1', points: 500, actor: adminActor }),
+      (error) => error.code === 'CREDIT_ALREADY_ASSIGNED'
+    );
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 600);
+  });
+
+  it('marks the entry failed when Shopify rejects the update, and allows a retry', async () => {
+    failNext('setCustomerLoyaltyPoints');
+    await assert.rejects(assignExchangeCredit({ exchangeId: 'e1', points: 500, actor: adminActor }));
+
+    assert.equal((await ledgerEntry('exchange_e1')).status, LEDGER_STATUS.FAILED);
+    assert.equal((await db.collection('exchange_requests').doc('e1').get()).data().creditStatus, null);
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 100);
+
+    const { entry } = await assignExchangeCredit({ exchangeId: 'e1', points: 500, actor: adminActor });
+    assert.equal(entry.attempts, 2);
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 600);
+  });
+
+  it('refuses an exchange that has not been inspected', async () => {
+    await db.collection('exchange_requests').doc('e1').update({ state: 'received' });
+
+    await assert.rejects(
+      assignExchangeCredit({ exchangeId: 'e1', points: 500, actor: adminActor }),
+      (error) => error.code === 'CREDIT_NOT_ALLOWED'
+    );
+    assert.equal((await db.collection('credit_ledger').get()).size, 0);
+  });
+});
+
+describe('recoverPendingCreditEntries', () => {
+  beforeEach(async () => {
+    resetFirestore();
+    resetShopify();
+    shopify.balances.set(CUSTOMER_ID, 100);
+    await seedInspectedExchange('e1');
+    failNext('setCustomerLoyaltyPoints', { statusCode: null });
+  });
+
+  it('leaves an entry with a lost Shopify response pending and holds the customer lock', async () => {
+    await assert.rejects(assignExchangeCredit({ exchangeId: 'e1', points: 500, actor: adminActor }));
+
+    assert.equal((await ledgerEntry('exchange_e1')).status, LEDGER_STATUS.PENDING);
+    await assert.rejects(
+      applyPointsMovement({ type: LEDGER_TYPES.BONUS, amount: 10, user: customer, actor: adminActor }),
+      (error) => error.code === 'POINTS_UPDATE_IN_PROGRESS'
+    );
+  });
+
+  it('commits the entry when the update landed', async () => {
+    await assert.rejects(assignExchangeCredit({ exchangeId: 'e1', points: 500, actor: adminActor }));
+    shopify.balances.set(CUSTOMER_ID, 600);
+
+    const summary = await recoverPendingCreditEntries({ gracePeriodMs: 0 });
+    assert.equal(summary.committed, 1);
+    assert.equal((await ledgerEntry('exchange_e1')).status, LEDGER_STATUS.COMMITTED);
+    assert.equal((await db.collection('exchange_requests').doc('e1').get()).data().creditAmount, 500);
+  });
+
+  it('rolls the entry back when the balance is unchanged', async () => {
+    await assert.rejects(assignExchangeCredit({ exchangeId: 'e1', points: 500, actor: adminActor }));
+
+    const summary = await recoverPendingCreditEntries({ gracePeriodMs: 0 });
+    assert.equal(summary.rolledBack, 1);
+    assert.equal((await ledgerEntry('exchange_e1')).status, LEDGER_STATUS.ROLLED_BACK);
+    assert.equal((await db.collection('loyalty_locks').get()).size, 0);
+  });
+
+  it('flags the entry for review when the balance moved some other way', async () => {
+    await assert.rejects(assignExchangeCredit({ exchangeId: 'e1', points: 500, actor: adminActor }));
+    shopify.balances.set(CUSTOMER_ID, 250);
+
+    const summary = await recoverPendingCreditEntries({ gracePeriodMs: 0 });
+    assert.equal(summary.needsReview, 1);
+    assert.equal((await ledgerEntry('exchange_e1')).status, LEDGER_STATUS.NEEDS_REVIEW);
+  });
+});
+
+describe('applyPointsMovement', () => {
+  beforeEach(() => {
+    resetFirestore();
+    resetShopify();
+    shopify.balances.set(CUSTOMER_ID, 100);
+  });
+
+  it('refuses a debit larger than the balance', async () => {
+    await assert.rejects(
+      applyPointsMovement({ type: LEDGER_TYPES.REDEMPTION, amount: -150, user: customer, actor: adminActor }),
+      (error) => error.code === 'INSUFFICIENT_POINTS' && error.statusCode === 400
+    );
+
+    const entries = (await db.collection('credit_ledger').get()).docs.map(doc => doc.data());
+    assert.deepEqual(entries.map(entry => entry.status), [LEDGER_STATUS.FAILED]);
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 100);
+  });
+
+  it('applies a movement with a fixed ledger ID only once', async () => {
+    const movement = { type: LEDGER_TYPES.BONUS, amount: 25, user: customer, actor: adminActor, ledgerId: 'bonus_welcome_u1' };
+
+    const first = await applyPointsMovement(movement);
+    const second = await applyPointsMovement(movement);
+
+    assert.equal(first.status, LEDGER_STATUS.COMMITTED);
+    assert.equal(second.id, 'bonus_welcome_u1');
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 125);
+    assert.equal((await db.collection('credit_history').get()).size, 1);
+  });
+});
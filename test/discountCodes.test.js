@@ -0,0 +1,117 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { db, resetFirestore } = require('./helpers/fakeFirestore');
+const { shopify, resetShopify, failNext } = require('./helpers/fakeShopify');
+const { DISCOUNT_CODE_STATUS, createDiscountCodeFromPoints, expireDiscountCodes } = require('../utils/discountCodes');
+
+const EMAIL = 'jane@example.com';
+const CUSTOMER_ID = `customer-${EMAIL}`;
+const customer = { uid: 'u1', email: EMAIL, shopifyId: CUSTOMER_ID };
+
+const storedCode = async (id) => (await db.collection('discount_codes').doc(id).get()).data();
+
+// Buy a code, then move its expiry into the past
+async function expiredCode(points = 40) {
+  const code = await createDiscountCodeFromPoints({ user: customer, points });
+  await db.collection('discount_codes').doc(code.id).update({ expiresAt: new Date(Date.now() - 1000) });
+  return code;
+}
+
+describe('createDiscountCodeFromPoints', () => {
+  beforeEach(() => {
+    resetFirestore();
+    resetShopify();
+    shopify.balances.set(CUSTOMER_ID, 100);
+  });
+
+  it('debits the points and activates the code', async () => {
+    const code = await createDiscountCodeFromPoints({ user: customer, points: 40 });
+
+    assert.equal(code.status, DISCOUNT_CODE_STATUS.ACTIVE);
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 60);
+    assert.equal(shopify.priceRules.size, 1);
+  });
+
+  it('gives the points back when Shopify rejects the code', async () => {
+    failNext('createCustomerDiscountCode', { statusCode: 422 });
+
+    await assert.rejects(createDiscountCodeFromPoints({ user: customer, points: 40 }));
+
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 100);
+    const [code] = (await db.collection('discount_codes').get()).docs.map(doc => doc.data());
+    assert.equal(code.status, DISCOUNT_CODE_STATUS.FAILED);
+  });
+});
+
+describe('expireDiscountCodes', () => {
+  beforeEach(() => {
+    resetFirestore();
+    resetShopify();
+    shopify.balances.set(CUSTOMER_ID, 100);
+  });
+
+  it('refunds an unused code once and removes it from Shopify', async () => {
+    const code = await expiredCode();
+
+    const result = await expireDiscountCodes();
+    assert.equal(result.expired, 1);
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 100);
+    assert.equal(shopify.priceRules.size, 0);
+
+    const stored = await storedCode(code.id);
+    assert.equal(stored.status, DISCOUNT_CODE_STATUS.EXPIRED);
+    assert.equal(stored.refundLedgerId, `discount_refund_${code.id}`);
+    assert.equal(stored.usageCount, 0);
+
+    assert.equal((await expireDiscountCodes()).checked, 0);
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 100);
+  });
+
+  it('keeps a used code without refunding it', async () => {
+    const code = await expiredCode();
+    shopify.priceRules.get(1).usageCount = 1;
+
+    const result = await expireDiscountCodes();
+    assert.equal(result.used, 1);
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 60);
+    assert.equal((await storedCode(code.id)).status, DISCOUNT_CODE_STATUS.USED);
+  });
+
+  it('keeps the price rule until the refund is committed, and finishes on the next run', async () => {
+    const code = await expiredCode();
+    failNext('setCustomerLoyaltyPoints');
+
+    assert.equal((await expireDiscountCodes()).errors, 1);
+    assert.equal(shopify.priceRules.size, 1);
+    assert.equal((await storedCode(code.id)).status, DISCOUNT_CODE_STATUS.ACTIVE);
+
+    assert.equal((await expireDiscountCodes()).expired, 1);
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 100);
+    assert.equal(shopify.priceRules.size, 0);
+  });
+
+  it('does not refund again after a run that stopped before marking the code expired', async () => {
+    const code = await expiredCode();
+    failNext('deletePriceRule');
+
+    assert.equal((await expireDiscountCodes()).errors, 1);
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 100);
+
+    assert.equal((await expireDiscountCodes()).expired, 1);
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 100);
+    assert.equal((await storedCode(code.id)).status, DISCOUNT_CODE_STATUS.EXPIRED);
+
+    const refunds = await db.collection('credit_ledger').where('type', '==', 'discount_refund').get();
+    assert.equal(refunds.size, 1);
+  });
+
+  it('flags a code whose price rule disappeared before its usage was known', async () => {
+    const code = await expiredCode();
+    shopify.priceRules.clear();
+
+    assert.equal((await expireDiscountCodes()).needsReview, 1);
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 60);
+    assert.equal((await storedCode(code.id)).status, DISCOUNT_CODE_STATUS.NEEDS_REVIEW);
+  });
+});
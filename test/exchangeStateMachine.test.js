@@ -0,0 +1,154 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { db, resetFirestore } = require('./helpers/fakeFirestore');
+const {
+  EXCHANGE_STATES,
+  ACTOR_ROLES,
+  INVALID_TRANSITION_CODE,
+  transitionExchange,
+  getExchangeHistory,
+  backfillExchangeStates
+} = require('../utils/exchangeStateMachine');
+const { applyDisputeResolution } = require('../utils/exchangeInspection');
+const { resolveCreditDecision } = require('../utils/valuation');
+
+const adminActor = { uid: 'admin-1', email: 'admin@swapcred.test', role: ACTOR_ROLES.ADMIN };
+const customerActor = { uid: 'customer-1', email: 'jane@example.com', role: ACTOR_ROLES.CUSTOMER };
+
+async function seedExchange(id, data) {
+  await db.collection('exchange_requests').doc(id).set({
+    userId: customerActor.uid,
+    productName: 'Trail shoes',
+    createdAt: new Date('2026-01-01'),
+    ...data
+  });
+}
+
+describe('transitionExchange', () => {
+  beforeEach(() => resetFirestore());
+
+  it('moves the exchange and records the history entry', async () => {
+    await seedExchange('e1', { status: 'pending', state: EXCHANGE_STATES.PENDING });
+
+    const quote = { minCredit: 400, maxCredit: 600, expiresAt: new Date('2026-02-01') };
+    const { exchange, fromState } = await transitionExchange('e1', EXCHANGE_STATES.QUOTED, {
+      actor: adminActor,
+      updates: { quote }
+    });
+
+    assert.equal(fromState, EXCHANGE_STATES.PENDING);
+    assert.equal(exchange.state, EXCHANGE_STATES.QUOTED);
+
+    const stored = (await db.collection('exchange_requests').doc('e1').get()).data();
+    assert.equal(stored.state, EXCHANGE_STATES.QUOTED);
+
+    const history = await getExchangeHistory('e1');
+    assert.equal(history.length, 1);
+    assert.equal(history[0].toState, EXCHANGE_STATES.QUOTED);
+  });
+
+  it('refuses a transition the actor is not allowed before running the updates function', async () => {
+    // No inspection yet: the dispute resolution would throw a TypeError on it
+    await seedExchange('e2', { status: 'approved', state: EXCHANGE_STATES.SHIPPING, shippingDetails: { trackingNumber: 'T1' } });
+
+    let updatesCalled = false;
+    await assert.rejects(
+      transitionExchange('e2', EXCHANGE_STATES.INSPECTED, {
+        actor: adminActor,
+        updates: (current) => {
+          updatesCalled = true;
+          return applyDisputeResolution(current.inspection, { finalCredit: 500, note: 'ok', actor: adminActor });
+        }
+      }),
+      (error) => error.code === INVALID_TRANSITION_CODE && error.statusCode === 400
+    );
+
+    assert.equal(updatesCalled, false);
+    const stored = (await db.collection('exchange_requests').doc('e2').get()).data();
+    assert.equal(stored.state, EXCHANGE_STATES.SHIPPING);
+  });
+
+  it('refuses a legal transition whose precondition fails', async () => {
+    await seedExchange('e3', { status: 'pending', state: EXCHANGE_STATES.PENDING });
+
+    await assert.rejects(
+      transitionExchange('e3', EXCHANGE_STATES.QUOTED, { actor: adminActor, updates: {} }),
+      (error) => error.code === INVALID_TRANSITION_CODE
+    );
+  });
+
+  it('does not let a customer approve their own pending request', async () => {
+    await seedExchange('e4', { status: 'pending', state: EXCHANGE_STATES.PENDING });
+
+    await assert.rejects(
+      transitionExchange('e4', EXCHANGE_STATES.APPROVED, { actor: customerActor }),
+      (error) => error.code === INVALID_TRANSITION_CODE
+    );
+  });
+});
+
+describe('backfillExchangeStates', () => {
+  beforeEach(() => resetFirestore());
+
+  it('writes the state of requests that only have the legacy status fields', async () => {
+    await seedExchange('legacy-shipping', { status: 'approved', transitStatus: 'shipping' });
+    await seedExchange('legacy-pending', { status: 'pending' });
+    await seedExchange('current', { status: 'approved', transitStatus: 'received', state: EXCHANGE_STATES.RECEIVED });
+
+    assert.deepEqual(await backfillExchangeStates(), { scanned: 3, updated: 2 });
+
+    const shipping = await db.collection('exchange_requests').where('state', '==', EXCHANGE_STATES.SHIPPING).get();
+    assert.deepEqual(shipping.docs.map(doc => doc.id), ['legacy-shipping']);
+    const pending = await db.collection('exchange_requests').doc('legacy-pending').get();
+    assert.equal(pending.data().state, EXCHANGE_STATES.PENDING);
+  });
+
+  it('runs once unless forced', async () => {
+    await backfillExchangeStates();
+    await seedExchange('legacy', { status: 'rejected' });
+
+    assert.ok((await backfillExchangeStates()).skipped);
+    assert.deepEqual(await backfillExchangeStates({ force: true }), { scanned: 1, updated: 1 });
+  });
+});
+
+describe('resolveCreditDecision', () => {
+  const suggested = { suggestedCredit: { amount: 1000 } };
+  const agreed = { suggestedCredit: { amount: 1000 }, inspection: { agreedCredit: 800 } };
+  const justification = 'Box was missing from the package';
+
+  it('accepts a small override of the suggestion with a justification', () => {
+    const { points, decision } = resolveCreditDecision(suggested, { creditAmount: 1100, justification }, adminActor);
+    assert.equal(points, 1100);
+    assert.equal(decision.method, 'override');
+  });
+
+  it('requires a justification for any override', () => {
+    assert.throws(
+      () => resolveCreditDecision(suggested, { creditAmount: 1100, justification: 'short' }, adminActor),
+      (error) => error.code === 'JUSTIFICATION_REQUIRED'
+    );
+  });
+
+  it('requires credit:override to stray far from the suggestion', () => {
+    assert.throws(
+      () => resolveCreditDecision(suggested, { creditAmount: 5000, justification }, adminActor),
+      (error) => error.code === 'OVERRIDE_NOT_PERMITTED' && error.statusCode === 403
+    );
+
+    const { points } = resolveCreditDecision(suggested, { creditAmount: 5000, justification, canOverride: true }, adminActor);
+    assert.equal(points, 5000);
+  });
+
+  it('requires credit:override to change a credit the customer agreed to', () => {
+    assert.throws(
+      () => resolveCreditDecision(agreed, { creditAmount: 810, justification }, adminActor),
+      (error) => error.code === 'OVERRIDE_NOT_PERMITTED'
+    );
+
+    const { points, decision } = resolveCreditDecision(agreed, { useSuggested: true }, adminActor);
+    assert.equal(points, 800);
+    assert.equal(decision.method, 'agreed');
+  });
+});
@@ -0,0 +1,434 @@
+/**
+ * In-memory stand-in for utils/firebaseAdmin.js
+ *
+ * Require this before the module under test: it registers itself in
+ * require.cache under the real module's path, so every
+ * `require('./firebaseAdmin')` in the app gets the fake `{ db, admin }`
+ * instead of a live Firestore. Only the parts of the API the app uses are
+ * implemented. Batches and transactions apply their writes in order once
+ * they commit; transactions never contend.
+ */
+const path = require('path');
+
+const FIREBASE_ADMIN_PATH = path.resolve(__dirname, '../../utils/firebaseAdmin.js');
+
+class Timestamp {
+  constructor(date) {
+    this._date = new Date(date);
+  }
+
+  static fromDate(date) {
+    return new Timestamp(date);
+  }
+
+  static now() {
+    return new Timestamp(new Date());
+  }
+
+  toDate() {
+    return new Date(this._date);
+  }
+
+  toMillis() {
+    return this._date.getTime();
+  }
+}
+
+// FieldValue sentinels
+class Sentinel {
+  constructor(kind, value) {
+    this.kind = kind;
+    this.value = value;
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => new Sentinel('serverTimestamp'),
+  increment: (n) => new Sentinel('increment', n),
+  arrayUnion: (...items) => new Sentinel('arrayUnion', items),
+  arrayRemove: (...items) => new Sentinel('arrayRemove', items),
+  delete: () => new Sentinel('delete')
+};
+
+const store = new Map();
+let nextId = 0;
+
+function firestoreError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Value as Firestore stores it: Dates become Timestamps, undefined fields are dropped
+ */
+function toStored(value) {
+  if (value instanceof Date) return new Timestamp(value);
+  if (value instanceof Timestamp || Buffer.isBuffer(value)) return value;
+  if (Array.isArray(value)) return value.map(toStored);
+  if (value && typeof value === 'object' && !(value instanceof Sentinel)) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, inner]) => inner !== undefined)
+      .map(([key, inner]) => [key, toStored(inner)]));
+  }
+  return value;
+}
+
+function clone(value) {
+  if (value instanceof Timestamp) return new Timestamp(value._date);
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, clone(inner)]));
+  }
+  return value;
+}
+
+function getField(data, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function setField(data, keys, value) {
+  let target = data;
+  for (const key of keys.slice(0, -1)) {
+    if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  }
+  const last = keys[keys.length - 1];
+
+  if (!(value instanceof Sentinel)) {
+    target[last] = toStored(value);
+    return;
+  }
+
+  switch (value.kind) {
+    case 'serverTimestamp':
+      target[last] = Timestamp.now();
+      break;
+    case 'increment':
+      target[last] = (Number(target[last]) || 0) + value.value;
+      break;
+    case 'arrayUnion': {
+      const current = Array.isArray(target[last]) ? target[last] : [];
+      target[last] = [...current, ...value.value.filter(item => !current.includes(item))];
+      break;
+    }
+    case 'arrayRemove':
+      target[last] = (Array.isArray(target[last]) ? target[last] : []).filter(item => !value.value.includes(item));
+      break;
+    case 'delete':
+      delete target[last];
+      break;
+  }
+}
+
+function mergeInto(data, updates) {
+  for (const [key, value] of Object.entries(updates)) {
+    if (value === undefined) continue;
+    const isPlainObject = value && typeof value === 'object' && !Array.isArray(value) &&
+      !(value instanceof Date) && !(value instanceof Timestamp) && !(value instanceof Sentinel) && !Buffer.isBuffer(value);
+    if (isPlainObject) {
+      if (!data[key] || typeof data[key] !== 'object') data[key] = {};
+      mergeInto(data[key], value);
+    } else {
+      setField(data, [key], value);
+    }
+  }
+}
+
+/**
+ * Comparable form of a field value
+ */
+function comparable(value) {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function matches(actual, op, expected) {
+  const a = comparable(actual);
+  const b = Array.isArray(expected) ? expected.map(comparable) : comparable(expected);
+
+  switch (op) {
+    case '==': return a === b;
+    case '!=': return a !== b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case 'in': return b.includes(a);
+    case 'not-in': return !b.includes(a);
+    case 'array-contains': return Array.isArray(actual) && actual.map(comparable).includes(b);
+    case 'array-contains-any': return Array.isArray(actual) && actual.map(comparable).some(item => b.includes(item));
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+}
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this._data === undefined ? undefined : clone(this._data);
+  }
+
+  get(fieldPath) {
+    return clone(getField(this._data, fieldPath));
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class DocumentReference {
+  constructor(docPath) {
+    this.path = docPath;
+    this.id = docPath.split('/').pop();
+  }
+
+  get parent() {
+    return new Query(this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(name) {
+    return new Query(`${this.path}/${name}`);
+  }
+
+  async get() {
+    return new DocumentSnapshot(this, store.get(this.path));
+  }
+
+  async set(data, options = {}) {
+    if (options.merge) {
+      const current = clone(store.get(this.path) || {});
+      mergeInto(current, data);
+      store.set(this.path, current);
+    } else {
+      const next = {};
+      mergeInto(next, data);
+      store.set(this.path, next);
+    }
+  }
+
+  async create(data) {
+    if (store.has(this.path)) {
+      throw firestoreError(`Document already exists: ${this.path}`, 6);
+    }
+    await this.set(data);
+  }
+
+  async update(updates) {
+    if (!store.has(this.path)) {
+      throw firestoreError(`No document to update: ${this.path}`, 5);
+    }
+    const current = clone(store.get(this.path));
+    for (const [key, value] of Object.entries(updates)) {
+      if (value !== undefined) setField(current, key.split('.'), value);
+    }
+    store.set(this.path, current);
+  }
+
+  async delete() {
+    store.delete(this.path);
+  }
+}
+
+class Query {
+  constructor(collectionPath, { filters = [], orders = [], limitTo = null, startAfterDoc = null, group = false } = {}) {
+    this.path = collectionPath;
+    this.id = collectionPath.split('/').pop();
+    this._filters = filters;
+    this._orders = orders;
+    this._limit = limitTo;
+    this._startAfter = startAfterDoc;
+    this._group = group;
+  }
+
+  _with(changes) {
+    return new Query(this.path, {
+      filters: this._filters,
+      orders: this._orders,
+      limitTo: this._limit,
+      startAfterDoc: this._startAfter,
+      group: this._group,
+      ...changes
+    });
+  }
+
+  doc(id) {
+    return new DocumentReference(`${this.path}/${id || `auto${++nextId}`}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+
+  where(fieldPath, op, value) {
+    return this._with({ filters: [...this._filters, [fieldPath, op, value]] });
+  }
+
+  orderBy(fieldPath, direction = 'asc') {
+    return this._with({ orders: [...this._orders, [fieldPath, direction]] });
+  }
+
+  limit(n) {
+    return this._with({ limitTo: n });
+  }
+
+  startAfter(snapshot) {
+    return this._with({ startAfterDoc: snapshot });
+  }
+
+  select() {
+    return this;
+  }
+
+  count() {
+    return { get: async () => ({ data: () => ({ count: this._snapshots(false).length }) }) };
+  }
+
+  _inCollection(docPath) {
+    const segments = docPath.split('/');
+    if (this._group) {
+      return segments.length >= 2 && segments.length % 2 === 0 && segments[segments.length - 2] === this.path;
+    }
+    return docPath.startsWith(`${this.path}/`) && segments.length === this.path.split('/').length + 1;
+  }
+
+  _snapshots(applyLimit = true) {
+    let docs = [...store.entries()]
+      .filter(([docPath]) => this._inCollection(docPath))
+      .map(([docPath, data]) => new DocumentSnapshot(new DocumentReference(docPath), data));
+
+    for (const [fieldPath, op, value] of this._filters) {
+      docs = docs.filter(doc => matches(getField(doc._data, fieldPath), op, value));
+    }
+
+    for (const [fieldPath, direction] of [...this._orders].reverse()) {
+      docs.sort((a, b) => {
+        const x = comparable(getField(a._data, fieldPath));
+        const y = comparable(getField(b._data, fieldPath));
+        if (x === y) return 0;
+        return (x < y ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+      });
+    }
+
+    if (this._startAfter) {
+      const index = docs.findIndex(doc => doc.ref.path === this._startAfter.ref.path);
+      docs = docs.slice(index + 1);
+    }
+
+    if (applyLimit && this._limit !== null) {
+      docs = docs.slice(0, this._limit);
+    }
+
+    return docs;
+  }
+
+  async get() {
+    return new QuerySnapshot(this._snapshots());
+  }
+}
+
+/**
+ * Queue of writes applied together, shared by batches and transactions
+ */
+function createWriteQueue() {
+  const writes = [];
+  return {
+    writes,
+    set: (ref, data, options) => { writes.push(() => ref.set(data, options)); },
+    create: (ref, data) => { writes.push(() => ref.create(data)); },
+    update: (ref, updates) => { writes.push(() => ref.update(updates)); },
+    delete: (ref) => { writes.push(() => ref.delete()); },
+    apply: async () => {
+      for (const write of writes) await write();
+    }
+  };
+}
+
+const db = {
+  collection: (name) => new Query(name),
+  collectionGroup: (name) => new Query(name, { group: true }),
+  doc: (docPath) => new DocumentReference(docPath),
+  getAll: (...refs) => Promise.all(refs.map(ref => ref.get())),
+
+  batch() {
+    const queue = createWriteQueue();
+    const batch = {
+      set: (...args) => { queue.set(...args); return batch; },
+      create: (...args) => { queue.create(...args); return batch; },
+      update: (...args) => { queue.update(...args); return batch; },
+      delete: (...args) => { queue.delete(...args); return batch; },
+      commit: () => queue.apply()
+    };
+    return batch;
+  },
+
+  async runTransaction(callback) {
+    const queue = createWriteQueue();
+    const transaction = {
+      get: (refOrQuery) => refOrQuery.get(),
+      getAll: (...refs) => Promise.all(refs.map(ref => ref.get())),
+      set: (...args) => { queue.set(...args); return transaction; },
+      create: (...args) => { queue.create(...args); return transaction; },
+      update: (...args) => { queue.update(...args); return transaction; },
+      delete: (...args) => { queue.delete(...args); return transaction; }
+    };
+    const result = await callback(transaction);
+    await queue.apply();
+    return result;
+  }
+};
+
+const admin = {
+  firestore: { FieldValue, Timestamp }
+};
+
+require.cache[FIREBASE_ADMIN_PATH] = {
+  id: FIREBASE_ADMIN_PATH,
+  filename: FIREBASE_ADMIN_PATH,
+  loaded: true,
+  exports: { db, admin }
+};
+
+// Keep test runs out of the log files and the console
+require('../../utils/logger').logger.silent = true;
+
+/**
+ * Empty the fake database between tests
+ */
+function resetFirestore() {
+  store.clear();
+}
+
+/**
+ * Every stored document, for assertions over the whole database
+ * @returns {Array<{path: string, data: Object}>}
+ */
+function allDocuments() {
+  return [...store.entries()].map(([docPath, data]) => ({ path: docPath, data: clone(data) }));
+}
+
+module.exports = {
+  db,
+  admin,
+  Timestamp,
+  resetFirestore,
+  allDocuments
+};
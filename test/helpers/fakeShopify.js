@@ -0,0 +1,110 @@
+/**
+ * In-memory stand-in for utils/shopify.js
+ *
+ * Registers itself in require.cache like fakeFirestore.js, so modules that
+ * move loyalty points talk to this object instead of the Admin API. Each
+ * customer has a balance and each price rule a usage count; `failures` makes
+ * the next calls of a function throw, with a statusCode (Shopify answered)
+ * or without one (outcome unknown).
+ */
+const path = require('path');
+
+const SHOPIFY_PATH = path.resolve(__dirname, '../../utils/shopify.js');
+
+const shopify = {
+  balances: new Map(),
+  priceRules: new Map(),
+  failures: {},
+  nextPriceRuleId: 1
+};
+
+/**
+ * Throw the queued failure for a function, if there is one
+ * @param {string} name - Function name
+ */
+function maybeFail(name) {
+  const queued = shopify.failures[name];
+  if (!queued || !queued.length) {
+    return;
+  }
+  const { statusCode } = queued.shift();
+  const error = new Error(`Shopify ${name} failed`);
+  if (statusCode) {
+    error.statusCode = statusCode;
+  }
+  throw error;
+}
+
+const notFound = () => Object.assign(new Error('Not found'), { statusCode: 404 });
+
+const fake = {
+  ShopifyErrorTypes: {},
+
+  async findCustomerByEmail(email) {
+    maybeFail('findCustomerByEmail');
+    return { id: `customer-${email}` };
+  },
+
+  async getCustomerLoyaltyPoints(customerId) {
+    maybeFail('getCustomerLoyaltyPoints');
+    return { amount: shopify.balances.get(String(customerId)) || 0, currency: 'INR' };
+  },
+
+  async setCustomerLoyaltyPoints(customerId, points) {
+    maybeFail('setCustomerLoyaltyPoints');
+    shopify.balances.set(String(customerId), points);
+  },
+
+  async createCustomerDiscountCode({ code }) {
+    maybeFail('createCustomerDiscountCode');
+    const priceRuleId = shopify.nextPriceRuleId++;
+    shopify.priceRules.set(priceRuleId, { code, usageCount: 0 });
+    return { priceRuleId, discountCodeId: priceRuleId * 10 };
+  },
+
+  async getDiscountCodeUsage(priceRuleId) {
+    maybeFail('getDiscountCodeUsage');
+    if (!shopify.priceRules.has(priceRuleId)) {
+      throw notFound();
+    }
+    return shopify.priceRules.get(priceRuleId).usageCount;
+  },
+
+  async deletePriceRule(priceRuleId) {
+    maybeFail('deletePriceRule');
+    shopify.priceRules.delete(priceRuleId);
+  }
+};
+
+require.cache[SHOPIFY_PATH] = {
+  id: SHOPIFY_PATH,
+  filename: SHOPIFY_PATH,
+  loaded: true,
+  exports: fake
+};
+
+/**
+ * Forget all balances, price rules and queued failures between tests
+ */
+function resetShopify() {
+  shopify.balances.clear();
+  shopify.priceRules.clear();
+  shopify.failures = {};
+  shopify.nextPriceRuleId = 1;
+}
+
+/**
+ * Make the next call of a function throw
+ * @param {string} name - Function name, e.g. 'setCustomerLoyaltyPoints'
+ * @param {Object} [options]
+ * @param {number|null} [options.statusCode=500] - null for a lost response
+ */
+function failNext(name, { statusCode = 500 } = {}) {
+  shopify.failures[name] = [...(shopify.failures[name] || []), { statusCode }];
+}
+
+module.exports = {
+  shopify,
+  resetShopify,
+  failNext
+};
@@ -0,0 +1,138 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { db, resetFirestore } = require('./helpers/fakeFirestore');
+const { idempotency, IDEMPOTENCY_COLLECTION } = require('../middleware/idempotency');
+
+let runs = 0;
+let failNext = false;
+let hold = null;
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { uid: 'customer-1' };
+    next();
+  });
+
+  app.post('/redeem', idempotency(), async (req, res, next) => {
+    const run = ++runs;
+    if (failNext) {
+      failNext = false;
+      return next(new Error('Shopify unavailable'));
+    }
+    if (hold) {
+      await hold;
+    }
+    res.status(201).json({ run, points: req.body.points });
+  });
+
+  // Answers without res.json, like Express's own error handler
+  app.use((error, req, res, next) => res.status(500).end());
+
+  return app;
+}
+
+describe('idempotency', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = buildApp().listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    resetFirestore();
+    runs = 0;
+    failNext = false;
+    hold = null;
+  });
+
+  const post = (body, key = 'key-1') => fetch(`${baseUrl}/redeem`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'idempotency-key': key },
+    body: JSON.stringify(body)
+  });
+
+  // The record is settled after the response is sent
+  const settled = () => new Promise(resolve => setTimeout(resolve, 20));
+
+  const onlyRecord = async () => {
+    const snapshot = await db.collection(IDEMPOTENCY_COLLECTION).get();
+    assert.equal(snapshot.size, 1);
+    return snapshot.docs[0];
+  };
+
+  it('replays the stored response for a repeated key', async () => {
+    const first = await post({ points: 100 });
+    assert.equal(first.status, 201);
+    await settled();
+
+    const second = await post({ points: 100 });
+    assert.equal(second.status, 201);
+    assert.equal(second.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(await second.json(), { run: 1, points: 100 });
+    assert.equal(runs, 1);
+  });
+
+  it('frees the key when the handler fails', async () => {
+    failNext = true;
+    const failed = await post({ points: 100 });
+    assert.equal(failed.status, 500);
+    await settled();
+    assert.equal((await db.collection(IDEMPOTENCY_COLLECTION).get()).size, 0);
+
+    const retry = await post({ points: 100 });
+    assert.equal(retry.status, 201);
+    assert.equal(runs, 2);
+  });
+
+  it('takes over a processing record once its lease has run out', async () => {
+    await post({ points: 100 });
+    await settled();
+    const record = await onlyRecord();
+
+    // A request that is still running holds the key
+    await record.ref.update({ status: 'processing', token: 'other-request', leaseExpiresAt: new Date(Date.now() + 60000) });
+    const blocked = await post({ points: 100 });
+    assert.equal(blocked.status, 409);
+    assert.equal((await blocked.json()).code, 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+
+    // One that died without responding does not, once the lease is over
+    await record.ref.update({ leaseExpiresAt: new Date(Date.now() - 1000) });
+    const retry = await post({ points: 100 });
+    assert.equal(retry.status, 201);
+    assert.equal(runs, 2);
+    await settled();
+    assert.equal((await onlyRecord()).data().status, 'completed');
+  });
+
+  it('does not let a request that lost its lease overwrite the new one', async () => {
+    let release;
+    hold = new Promise(resolve => { release = resolve; });
+    const slow = post({ points: 100 });
+
+    try {
+      await settled();
+      const record = await onlyRecord();
+      await record.ref.update({ leaseExpiresAt: new Date(Date.now() - 1000) });
+      hold = null;
+      const retry = await post({ points: 100 });
+      assert.deepEqual(await retry.json(), { run: 2, points: 100 });
+      await settled();
+    } finally {
+      release();
+    }
+
+    assert.deepEqual(await (await slow).json(), { run: 1, points: 100 });
+    await settled();
+
+    assert.deepEqual((await onlyRecord()).data().responseBody, { run: 2, points: 100 });
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { db, resetFirestore } = require('./helpers/fakeFirestore');
+const { createLoginToken, verifyLoginToken } = require('../utils/loginTokens');
+
+const EMAIL = 'jane@example.com';
+
+// A six-digit code that is not the right one
+const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+describe('loginTokens', () => {
+  beforeEach(() => resetFirestore());
+
+  it('logs in once with the code or the link, never twice', async () => {
+    const { code, linkToken } = await createLoginToken(EMAIL, { shopifyCustomerId: 'customer-1' });
+
+    const token = await verifyLoginToken(EMAIL, linkToken);
+    assert.equal(token.shopifyCustomerId, 'customer-1');
+    await assert.rejects(verifyLoginToken(EMAIL, linkToken), (error) => error.code === 'LOGIN_TOKEN_INVALID');
+    await assert.rejects(verifyLoginToken(EMAIL, code), (error) => error.code === 'LOGIN_TOKEN_INVALID');
+  });
+
+  it('refuses a new code within the resend cooldown', async () => {
+    await createLoginToken(EMAIL);
+
+    await assert.rejects(
+      createLoginToken(EMAIL),
+      (error) => error.code === 'LOGIN_TOKEN_COOLDOWN' && error.statusCode === 429 && error.retryAfterSeconds > 0
+    );
+  });
+
+  it('burns a token after five wrong codes', async () => {
+    const { code, linkToken } = await createLoginToken(EMAIL);
+
+    for (let attempt = 1; attempt < 5; attempt++) {
+      await assert.rejects(
+        verifyLoginToken(EMAIL, wrongCode(code)),
+        (error) => error.code === 'INVALID_LOGIN_CODE' && error.attemptsRemaining === 5 - attempt
+      );
+    }
+    await assert.rejects(verifyLoginToken(EMAIL, wrongCode(code)), (error) => error.code === 'LOGIN_TOKEN_LOCKED');
+
+    await assert.rejects(verifyLoginToken(EMAIL, linkToken), (error) => error.code === 'LOGIN_TOKEN_INVALID');
+  });
+
+  it('keeps counting wrong codes across new tokens and locks the email out', async () => {
+    // Two tokens burnt with five wrong codes each; a burnt token does not hold up a new one
+    for (let token = 0; token < 2; token++) {
+      const { code } = await createLoginToken(EMAIL);
+      for (let attempt = 0; attempt < 4; attempt++) {
+        await assert.rejects(verifyLoginToken(EMAIL, wrongCode(code)), (error) => error.code === 'INVALID_LOGIN_CODE');
+      }
+      await assert.rejects(
+        verifyLoginToken(EMAIL, wrongCode(code)),
+        (error) => error.code === (token === 0 ? 'LOGIN_TOKEN_LOCKED' : 'LOGIN_LOCKED')
+      );
+    }
+
+    await assert.rejects(
+      createLoginToken(EMAIL),
+      (error) => error.code === 'LOGIN_LOCKED' && error.retryAfterSeconds > 14 * 60
+    );
+
+    // Once the lockout is over a right code logs in and the count starts over
+    const [attempts] = (await db.collection('login_attempts').get()).docs;
+    await attempts.ref.update({ lockedUntil: new Date(Date.now() - 1000) });
+    const { code } = await createLoginToken(EMAIL);
+    await verifyLoginToken(EMAIL, code);
+    assert.equal((await db.collection('login_attempts').get()).size, 0);
+  });
+
+  it('locks the email out for longer each time', async () => {
+    const lockOut = async () => {
+      const [attempts] = (await db.collection('login_attempts').get()).docs;
+      if (attempts) {
+        await attempts.ref.update({ lockedUntil: new Date(Date.now() - 1000) });
+      }
+      for (let token = 0; token < 2; token++) {
+        const { code } = await createLoginToken(EMAIL);
+        for (let attempt = 0; attempt < 5; attempt++) {
+          await verifyLoginToken(EMAIL, wrongCode(code)).catch(() => {});
+        }
+      }
+      return createLoginToken(EMAIL).catch(error => error.retryAfterSeconds);
+    };
+
+    const first = await lockOut();
+    const second = await lockOut();
+    assert.ok(first <= 15 * 60 && second > 15 * 60 && second <= 30 * 60, `${first}s then ${second}s`);
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { db, resetFirestore } = require('./helpers/fakeFirestore');
+const { shopify, resetShopify } = require('./helpers/fakeShopify');
+
+// Record warning emails instead of sending them
+const EMAIL_PATH = path.resolve(__dirname, '../utils/email.js');
+const sentWarnings = [];
+require.cache[EMAIL_PATH] = {
+  id: EMAIL_PATH,
+  filename: EMAIL_PATH,
+  loaded: true,
+  exports: { sendPointsExpiryWarningEmail: async (to, expiryData) => { sentWarnings.push({ to, ...expiryData }); } }
+};
+
+const { runPointsExpiry } = require('../utils/pointsExpiry');
+const { createDiscountCodeFromPoints, expireDiscountCodes } = require('../utils/discountCodes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EMAIL = 'jane@example.com';
+const CUSTOMER_ID = `customer-${EMAIL}`;
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+const storedLot = async (id) => (await db.collection('credit_history').doc(id).get()).data();
+
+async function seedCustomer({ email = EMAIL, balance }) {
+  await db.collection('users').doc('u1').set({ email, shopifyId: CUSTOMER_ID });
+  shopify.balances.set(CUSTOMER_ID, balance);
+}
+
+async function seedHistory(id, { type = 'exchange_credit', amount, createdAt, ...rest }) {
+  await db.collection('credit_history').doc(id).set({
+    userId: 'u1',
+    type,
+    amount,
+    currency: 'INR',
+    createdAt,
+    shopifyCustomerId: CUSTOMER_ID,
+    ...(type === 'exchange_credit' ? { expiryOpen: true } : {}),
+    ...rest
+  });
+}
+
+const POLICY_VARIABLES = ['POINTS_EXPIRY_MONTHS', 'POINTS_EXPIRY_MODE', 'POINTS_EXPIRY_WARNING_DAYS'];
+const originalPolicy = Object.fromEntries(POLICY_VARIABLES.map(name => [name, process.env[name]]));
+
+describe('runPointsExpiry', () => {
+  beforeEach(() => {
+    resetFirestore();
+    resetShopify();
+    sentWarnings.length = 0;
+    process.env.POINTS_EXPIRY_MONTHS = '12';
+    process.env.POINTS_EXPIRY_MODE = 'enforce';
+    process.env.POINTS_EXPIRY_WARNING_DAYS = '14';
+  });
+
+  afterEach(() => {
+    POLICY_VARIABLES.forEach(name => {
+      if (originalPolicy[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = originalPolicy[name];
+      }
+    });
+  });
+
+  it('uses up the oldest credits first and writes off what is left of them', async () => {
+    await seedCustomer({ email: null, balance: 140 });
+    await seedHistory('old', { amount: 100, createdAt: daysAgo(400) });
+    await seedHistory('recent', { amount: 100, createdAt: daysAgo(30) });
+    await seedHistory('redemption', { type: 'redemption', amount: -60, createdAt: daysAgo(20) });
+
+    const result = await runPointsExpiry();
+    assert.equal(result.expiredPoints, 40);
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 100);
+
+    const [expiry] = (await db.collection('credit_history').where('type', '==', 'expiry').get()).docs;
+    assert.deepEqual(expiry.data().expiredLots, [{ id: 'old', points: 40 }]);
+  });
+
+  it('lets points refunded for an unused discount code expire on their original date', async () => {
+    await seedCustomer({ email: null, balance: 150 });
+    await seedHistory('old', { amount: 100, createdAt: daysAgo(400) });
+    await seedHistory('recent', { amount: 50, createdAt: daysAgo(30) });
+
+    const code = await createDiscountCodeFromPoints({ user: { uid: 'u1', email: EMAIL, shopifyId: CUSTOMER_ID }, points: 40 });
+    await db.collection('discount_codes').doc(code.id).update({ expiresAt: new Date(Date.now() - 1000) });
+    await expireDiscountCodes();
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 150);
+
+    const result = await runPointsExpiry();
+    assert.equal(result.expiredPoints, 100);
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 50);
+  });
+
+  it('only counts and reports in notice mode', async () => {
+    process.env.POINTS_EXPIRY_MODE = 'notice';
+    await seedCustomer({ balance: 100 });
+    await seedHistory('old', { amount: 100, createdAt: daysAgo(400) });
+
+    const result = await runPointsExpiry();
+    assert.equal(result.dryRun, true);
+    assert.equal(result.expiredPoints, 100);
+    assert.equal(result.warningsSent, 1);
+
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 100);
+    assert.deepEqual(sentWarnings, []);
+    assert.equal((await storedLot('old')).expiryWarningSentAt, undefined);
+  });
+
+  it('warns before writing anything off once enforced', async () => {
+    await seedCustomer({ balance: 100 });
+    await seedHistory('old', { amount: 100, createdAt: daysAgo(400) });
+
+    const result = await runPointsExpiry();
+    assert.equal(result.expiredPoints, 0);
+    assert.equal(result.warningsSent, 1);
+    assert.equal(sentWarnings[0].points, 100);
+    assert.ok((await storedLot('old')).expiryWarningSentAt);
+
+    // Warned longer ago than the notice period
+    await db.collection('credit_history').doc('old').update({ expiryWarningSentAt: daysAgo(15) });
+    assert.equal((await runPointsExpiry()).expiredPoints, 100);
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 0);
+  });
+
+  it('writes off no more than the Shopify balance', async () => {
+    await seedCustomer({ email: null, balance: 30 });
+    await seedHistory('old', { amount: 100, createdAt: daysAgo(400) });
+
+    assert.equal((await runPointsExpiry()).expiredPoints, 30);
+    assert.equal(shopify.balances.get(CUSTOMER_ID), 0);
+
+    const [expiry] = (await db.collection('credit_history').where('type', '==', 'expiry').get()).docs;
+    assert.deepEqual(expiry.data().expiredLots, [{ id: 'old', points: 30 }]);
+  });
+
+  it('stops looking at credits once they are used up or expired', async () => {
+    await seedCustomer({ email: null, balance: 100 });
+    // Credited before lots were flagged
+    await seedHistory('legacy', { amount: 100, createdAt: daysAgo(400), expiryOpen: undefined });
+
+    assert.equal((await runPointsExpiry()).expiredPoints, 100);
+    assert.equal((await storedLot('legacy')).expiryOpen, false);
+
+    assert.equal((await runPointsExpiry()).customers, 0);
+  });
+});
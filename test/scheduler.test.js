@@ -0,0 +1,72 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { db, resetFirestore } = require('./helpers/fakeFirestore');
+const { scheduleJob, runJob, getJobStatuses, stopAllJobs } = require('../utils/scheduler');
+
+const HOUR_MS = 60 * 60 * 1000;
+const jobRecord = async (name) => (await db.collection('scheduled_jobs').doc(name).get()).data();
+
+describe('scheduler', () => {
+  beforeEach(() => resetFirestore());
+  afterEach(() => stopAllJobs());
+
+  it('records the outcome and releases the lease after a run', async () => {
+    scheduleJob('cleanup', HOUR_MS, async () => { throw new Error('quota exceeded'); });
+
+    await runJob('cleanup');
+
+    const record = await jobRecord('cleanup');
+    assert.equal(record.lockedBy, null);
+    assert.equal(record.lockToken, null);
+    assert.equal(record.lastStatus, 'error');
+    assert.equal(record.lastError, 'quota exceeded');
+  });
+
+  it('skips a job another instance holds a live lease on', async () => {
+    let runs = 0;
+    scheduleJob('cleanup', HOUR_MS, async () => { runs++; });
+    await db.collection('scheduled_jobs').doc('cleanup').set({
+      lockedBy: 'other-host:1:abcd',
+      lockToken: 'other-token',
+      lockedUntil: new Date(Date.now() + HOUR_MS)
+    });
+
+    await runJob('cleanup');
+
+    assert.equal(runs, 0);
+    assert.equal((await jobRecord('cleanup')).lockToken, 'other-token');
+  });
+
+  it('leaves a lease taken over by another instance alone', async () => {
+    scheduleJob('cleanup', HOUR_MS, async () => {
+      // Our lease ran out mid-run and another instance took the job
+      await db.collection('scheduled_jobs').doc('cleanup').update({
+        lockedBy: 'other-host:1:abcd',
+        lockToken: 'other-token',
+        lockedUntil: new Date(Date.now() + HOUR_MS)
+      });
+      return { purged: 3 };
+    });
+
+    await runJob('cleanup');
+
+    const record = await jobRecord('cleanup');
+    assert.equal(record.lockedBy, 'other-host:1:abcd');
+    assert.equal(record.lockToken, 'other-token');
+    assert.equal(record.lastStatus, undefined);
+  });
+
+  it('shows errors and instance names only with details', async () => {
+    scheduleJob('cleanup', HOUR_MS, async () => { throw new Error('quota exceeded'); });
+    await runJob('cleanup');
+
+    const { cleanup } = await getJobStatuses();
+    assert.deepEqual(Object.keys(cleanup).sort(), ['lastRunAt', 'lastStatus', 'running']);
+    assert.equal(cleanup.lastStatus, 'error');
+
+    const detailed = (await getJobStatuses({ details: true })).cleanup;
+    assert.equal(detailed.lastError, 'quota exceeded');
+    assert.ok(detailed.lastRunBy);
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { db, resetFirestore } = require('./helpers/fakeFirestore');
+const { createSession, refreshSession, findSessionByToken, revokeAllSessions } = require('../utils/sessions');
+
+const refreshTokenRef = (token) => db.collection('refresh_tokens')
+  .doc(crypto.createHash('sha256').update(token).digest('hex'));
+
+describe('refreshSession', () => {
+  beforeEach(() => resetFirestore());
+
+  it('rotates both tokens and retires the old access token', async () => {
+    const login = await createSession('u1', { ip: '10.0.0.1', userAgent: 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0' });
+
+    const refreshed = await refreshSession(login.refreshToken);
+    assert.equal(refreshed.sessionId, login.sessionId);
+    assert.notEqual(refreshed.refreshToken, login.refreshToken);
+
+    assert.equal(await findSessionByToken(login.sessionToken), null);
+    assert.equal((await findSessionByToken(refreshed.sessionToken)).id, login.sessionId);
+    assert.equal((await refreshTokenRef(login.refreshToken).get()).data().status, 'rotated');
+  });
+
+  it('revokes the whole session when a rotated refresh token is presented again', async () => {
+    const login = await createSession('u1');
+    const refreshed = await refreshSession(login.refreshToken);
+
+    await assert.rejects(
+      refreshSession(login.refreshToken),
+      (error) => error.code === 'REFRESH_TOKEN_REUSED' && error.statusCode === 401
+    );
+
+    assert.equal(await findSessionByToken(refreshed.sessionToken), null);
+    await assert.rejects(
+      refreshSession(refreshed.refreshToken),
+      (error) => error.code === 'SESSION_EXPIRED'
+    );
+  });
+
+  it('refuses an expired refresh token', async () => {
+    const login = await createSession('u1');
+    await refreshTokenRef(login.refreshToken).update({ expiresAt: new Date(Date.now() - 1000) });
+
+    await assert.rejects(
+      refreshSession(login.refreshToken),
+      (error) => error.code === 'SESSION_EXPIRED'
+    );
+    assert.ok(await findSessionByToken(login.sessionToken));
+  });
+
+  it('refuses an unknown refresh token', async () => {
+    await assert.rejects(
+      refreshSession('not-a-token'),
+      (error) => error.code === 'INVALID_REFRESH_TOKEN'
+    );
+  });
+
+  it('ends every session of a user, refresh tokens included', async () => {
+    const phone = await createSession('u1');
+    const laptop = await createSession('u1');
+    const other = await createSession('u2');
+
+    assert.equal(await revokeAllSessions('u1'), 2);
+
+    await assert.rejects(refreshSession(phone.refreshToken), (error) => error.code === 'INVALID_REFRESH_TOKEN');
+    assert.equal(await findSessionByToken(laptop.sessionToken), null);
+    assert.ok(await findSessionByToken(other.sessionToken));
+  });
+});
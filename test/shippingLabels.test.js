@@ -0,0 +1,137 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { db, resetFirestore } = require('./helpers/fakeFirestore');
+const fakeProvider = require('../utils/labelProviders/fakeProvider');
+const { createShippingLabel, SHIPPING_LABEL_STATUS } = require('../utils/shippingLabels');
+const { EXCHANGE_STATES, ACTOR_ROLES, INVALID_TRANSITION_CODE, transitionExchange } = require('../utils/exchangeStateMachine');
+
+const adminActor = { uid: 'admin-1', email: 'admin@swapcred.test', role: ACTOR_ROLES.ADMIN };
+const customerActor = { uid: 'customer-1', email: 'jane@example.com', role: ACTOR_ROLES.CUSTOMER };
+const originalCreateLabel = fakeProvider.createLabel;
+
+async function seedApprovedExchange(id) {
+  await db.collection('exchange_requests').doc(id).set({
+    userId: 'customer-1',
+    userEmail: 'jane@example.com',
+    productName: 'Trail shoes',
+    brand: 'Acme',
+    status: 'approved',
+    state: EXCHANGE_STATES.APPROVED,
+    warehouseId: 'w1',
+    warehouseInfo: { name: 'Main', city: 'Pune' },
+    quote: { status: 'accepted' }
+  });
+}
+
+describe('createShippingLabel', () => {
+  beforeEach(async () => {
+    resetFirestore();
+    delete process.env.LABEL_PROVIDER;
+    await seedApprovedExchange('e1');
+  });
+
+  afterEach(() => {
+    fakeProvider.createLabel = originalCreateLabel;
+  });
+
+  it('buys one label while a purchase is in progress', async () => {
+    let purchases = 0;
+    let finishPurchase;
+    fakeProvider.createLabel = async (request) => {
+      purchases++;
+      await new Promise(resolve => { finishPurchase = resolve; });
+      return originalCreateLabel(request);
+    };
+
+    const first = createShippingLabel('e1');
+    await new Promise(resolve => setImmediate(resolve));
+
+    await assert.rejects(createShippingLabel('e1'), (error) => error.code === 'LABEL_IN_PROGRESS' && error.statusCode === 409);
+
+    finishPurchase();
+    const { label } = await first;
+    assert.equal(label.status, SHIPPING_LABEL_STATUS.CREATED);
+
+    const again = await createShippingLabel('e1');
+    assert.equal(again.label.labelId, label.labelId);
+    assert.equal(purchases, 1);
+    assert.equal((await db.collection('shipping_labels').get()).size, 1);
+  });
+
+  it('lets a retry through once the reservation has lapsed', async () => {
+    await db.collection('exchange_requests').doc('e1').update({
+      shippingLabel: { status: SHIPPING_LABEL_STATUS.CREATING, reservedUntil: new Date(Date.now() - 1000) }
+    });
+
+    const { label } = await createShippingLabel('e1');
+    assert.equal(label.status, SHIPPING_LABEL_STATUS.CREATED);
+  });
+
+  it('records a failed purchase so it can be retried', async () => {
+    fakeProvider.createLabel = async () => { throw new Error('carrier down'); };
+
+    await assert.rejects(createShippingLabel('e1'), (error) => error.code === 'LABEL_PROVIDER_ERROR');
+
+    const stored = (await db.collection('exchange_requests').doc('e1').get()).data();
+    assert.equal(stored.shippingLabel.status, SHIPPING_LABEL_STATUS.FAILED);
+  });
+
+  it('keeps a label whose tracking number does not validate instead of buying another', async () => {
+    let purchases = 0;
+    fakeProvider.createLabel = async (request) => {
+      purchases++;
+      return { ...(await originalCreateLabel(request)), trackingNumber: 'not-a-tracking-number' };
+    };
+
+    const { label, shippingDetails } = await createShippingLabel('e1');
+    assert.equal(label.status, SHIPPING_LABEL_STATUS.CREATED);
+    assert.equal(shippingDetails, null);
+
+    const again = await createShippingLabel('e1');
+    assert.equal(again.label.labelId, label.labelId);
+    assert.equal(purchases, 1);
+    assert.equal((await db.collection('exchange_requests').doc('e1').get()).data().shippingDetails, undefined);
+  });
+
+  it('does not attach a label bought after the reservation was lost', async () => {
+    fakeProvider.createLabel = async (request) => {
+      // The reservation lapsed mid-purchase and another call took it over
+      await db.collection('exchange_requests').doc('e1').update({ 'shippingLabel.reservationId': 'other-call' });
+      return originalCreateLabel(request);
+    };
+
+    await assert.rejects(createShippingLabel('e1'), (error) => error.code === 'LABEL_CONFLICT' && error.statusCode === 409);
+
+    const stored = (await db.collection('exchange_requests').doc('e1').get()).data();
+    assert.equal(stored.shippingLabel.status, SHIPPING_LABEL_STATUS.CREATING);
+    assert.equal(stored.shippingDetails, undefined);
+
+    const labels = (await db.collection('shipping_labels').get()).docs.map(doc => doc.data());
+    assert.equal(labels.length, 1);
+    assert.equal(labels[0].attached, false);
+  });
+
+  it('does not count prefilled shipping details as shipped', async () => {
+    await createShippingLabel('e1');
+
+    await assert.rejects(
+      transitionExchange('e1', EXCHANGE_STATES.SHIPPING, { actor: adminActor }),
+      (error) => error.code === INVALID_TRANSITION_CODE
+    );
+
+    // What POST /api/exchange/:id/shipping writes when the customer confirms
+    const { shippingDetails } = (await db.collection('exchange_requests').doc('e1').get()).data();
+    const { exchange } = await transitionExchange('e1', EXCHANGE_STATES.SHIPPING, {
+      actor: customerActor,
+      updates: {
+        shippingDetails: {
+          carrierName: shippingDetails.carrierName,
+          trackingNumber: shippingDetails.trackingNumber,
+          shippingDate: new Date()
+        }
+      }
+    });
+    assert.equal(exchange.state, EXCHANGE_STATES.SHIPPING);
+  });
+});
@@ -0,0 +1,136 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const axios = require('axios');
+
+process.env.SHOPIFY_STORE_URL = 'https://swapcred-test.myshopify.com';
+process.env.SHOPIFY_ACCESS_TOKEN = 'test-token';
+process.env.SHOPIFY_MAX_RETRIES = '2';
+
+const CLIENT_PATH = path.resolve(__dirname, '../utils/shopifyClient.js');
+const originalPost = axios.post;
+
+const QUERY = 'query { shop { name } }';
+const MUTATION = 'mutation { metafieldsSet(metafields: []) { userErrors { message } } }';
+
+// Shopify's cost extension with what is left in the bucket
+const costExtension = (currentlyAvailable, requestedQueryCost = 10) => ({
+  cost: {
+    requestedQueryCost,
+    throttleStatus: { maximumAvailable: 1000, currentlyAvailable, restoreRate: 100 }
+  }
+});
+
+const ok = (currentlyAvailable = 990) => ({
+  data: { data: { shop: { name: 'SwapCred' } }, extensions: costExtension(currentlyAvailable) }
+});
+
+const throttled = () => ({
+  data: {
+    errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }],
+    extensions: costExtension(0)
+  }
+});
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers }
+});
+
+/**
+ * Answer axios.post with the given responses in order; an Error is thrown instead of returned
+ * @returns {Array<number>} Times at which each request was sent
+ */
+function respondWith(...responses) {
+  const sentAt = [];
+  axios.post = async () => {
+    sentAt.push(Date.now());
+    const next = responses.shift();
+    if (!next) {
+      throw new Error('No response left');
+    }
+    if (next instanceof Error) {
+      throw next;
+    }
+    return next;
+  };
+  return sentAt;
+}
+
+describe('shopifyClient', () => {
+  let client;
+
+  // A fresh module for each test, so the cost bucket starts unknown
+  beforeEach(async () => {
+    delete require.cache[CLIENT_PATH];
+    client = require(CLIENT_PATH);
+    await client.initializeShopifyConfig();
+  });
+
+  afterEach(() => {
+    axios.post = originalPost;
+  });
+
+  it('waits for the cost bucket to refill before sending a query it cannot pay for', async () => {
+    const sentAt = respondWith(ok(5), ok());
+
+    await client.graphql(QUERY);
+    assert.equal(client.getThrottleStatus().currentlyAvailable, 5);
+
+    // 10 points at 100 a second: the second query waits about 50ms
+    await client.graphql(QUERY);
+    assert.ok(sentAt[1] - sentAt[0] >= 40, `waited ${sentAt[1] - sentAt[0]}ms`);
+  });
+
+  it('retries a throttled query with backoff', async () => {
+    const sentAt = respondWith(throttled(), ok());
+
+    const data = await client.graphql(QUERY);
+    assert.equal(data.shop.name, 'SwapCred');
+    assert.equal(sentAt.length, 2);
+    assert.ok(sentAt[1] - sentAt[0] >= 400, `waited ${sentAt[1] - sentAt[0]}ms`);
+  });
+
+  it('gives up with a rate limit error once the retries run out', async () => {
+    const sentAt = respondWith(throttled(), throttled(), throttled());
+
+    await assert.rejects(
+      client.graphql(QUERY),
+      (error) => error.code === client.ShopifyErrorTypes.RATE_LIMIT && error.statusCode === 429
+    );
+    assert.equal(sentAt.length, 3);
+  });
+
+  it('retries a mutation answered with 429, honouring Retry-After', async () => {
+    const sentAt = respondWith(httpError(429, { 'retry-after': '0.6' }), ok());
+
+    await client.graphql(MUTATION);
+    assert.equal(sentAt.length, 2);
+    assert.ok(sentAt[1] - sentAt[0] >= 550, `waited ${sentAt[1] - sentAt[0]}ms`);
+  });
+
+  it('retries a query on a server error but never a mutation', async () => {
+    const querySentAt = respondWith(httpError(502), ok());
+    await client.graphql(QUERY);
+    assert.equal(querySentAt.length, 2);
+
+    const mutationSentAt = respondWith(httpError(502), ok());
+    await assert.rejects(client.graphql(MUTATION), (error) => error.response.status === 502);
+    assert.equal(mutationSentAt.length, 1);
+
+    const lostSentAt = respondWith(new Error('socket hang up'), ok());
+    await assert.rejects(client.graphql(MUTATION), (error) => error.message === 'socket hang up');
+    assert.equal(lostSentAt.length, 1);
+  });
+
+  it('does not retry other GraphQL errors', async () => {
+    const sentAt = respondWith({
+      data: { errors: [{ message: 'Access denied', extensions: { code: 'ACCESS_DENIED' } }], extensions: costExtension(990) }
+    });
+
+    await assert.rejects(
+      client.graphql(QUERY),
+      (error) => error.code === client.ShopifyErrorTypes.AUTHENTICATION
+    );
+    assert.equal(sentAt.length, 1);
+  });
+});
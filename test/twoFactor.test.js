@@ -0,0 +1,105 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { db, resetFirestore } = require('./helpers/fakeFirestore');
+const { beginEnrollment, confirmEnrollment, verifySecondFactor } = require('../utils/twoFactor');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Current code for a base32 secret, as an authenticator app would show it
+function currentCode(secret) {
+  const bits = secret.split('').map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0')).join('');
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000)));
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  return String((digest.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+const user = { uid: 'admin-1', email: 'admin@swapcred.test' };
+
+async function enroll() {
+  await db.collection('users').doc(user.uid).set({ email: user.email });
+  const { secret } = await beginEnrollment(user);
+  const { recoveryCodes } = await confirmEnrollment(user, currentCode(secret));
+  return { secret, recoveryCodes, enrolled: { ...user, twoFactorEnabled: true } };
+}
+
+describe('verifySecondFactor', () => {
+  before(() => {
+    process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test-two-factor-key';
+  });
+
+  after(() => {
+    delete process.env.TWO_FACTOR_ENCRYPTION_KEY;
+  });
+
+  beforeEach(() => resetFirestore());
+
+  it('locks after five wrong recovery codes, even for a correct one', async () => {
+    const { recoveryCodes, enrolled } = await enroll();
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await assert.rejects(
+        verifySecondFactor(enrolled, { recoveryCode: 'aaaaa-bbbbb' }),
+        (error) => error.code === 'INVALID_RECOVERY_CODE'
+      );
+    }
+
+    await assert.rejects(
+      verifySecondFactor(enrolled, { recoveryCode: recoveryCodes[0] }),
+      (error) => error.code === 'TWO_FACTOR_LOCKED' && error.statusCode === 429
+    );
+
+    const stored = (await db.collection('two_factor_secrets').doc(user.uid).get()).data();
+    assert.equal(stored.recoveryCodeHashes.length, recoveryCodes.length);
+  });
+
+  it('counts wrong codes and wrong recovery codes together', async () => {
+    const { secret, enrolled } = await enroll();
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await assert.rejects(verifySecondFactor(enrolled, { code: '000000' }));
+    }
+    for (let attempt = 0; attempt < 2; attempt++) {
+      await assert.rejects(verifySecondFactor(enrolled, { recoveryCode: 'aaaaa-bbbbb' }));
+    }
+
+    await assert.rejects(
+      verifySecondFactor(enrolled, { code: currentCode(secret) }),
+      (error) => error.code === 'TWO_FACTOR_LOCKED'
+    );
+  });
+
+  it('uses a recovery code once and resets the failure count', async () => {
+    const { recoveryCodes, enrolled } = await enroll();
+    await assert.rejects(verifySecondFactor(enrolled, { recoveryCode: 'aaaaa-bbbbb' }));
+
+    const result = await verifySecondFactor(enrolled, { recoveryCode: recoveryCodes[0] });
+    assert.equal(result.method, 'recovery_code');
+    assert.equal(result.recoveryCodesRemaining, recoveryCodes.length - 1);
+
+    const stored = (await db.collection('two_factor_secrets').doc(user.uid).get()).data();
+    assert.equal(stored.failedAttempts, 0);
+
+    await assert.rejects(
+      verifySecondFactor(enrolled, { recoveryCode: recoveryCodes[0] }),
+      (error) => error.code === 'INVALID_RECOVERY_CODE'
+    );
+  });
+
+  it('refuses to enroll without an encryption key', async () => {
+    delete process.env.TWO_FACTOR_ENCRYPTION_KEY;
+    try {
+      await assert.rejects(
+        beginEnrollment(user),
+        (error) => error.code === 'TWO_FACTOR_NOT_CONFIGURED' && error.statusCode === 503
+      );
+      assert.equal((await db.collection('two_factor_secrets').doc(user.uid).get()).exists, false);
+    } finally {
+      process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test-two-factor-key';
+    }
+  });
+});
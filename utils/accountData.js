@@ -0,0 +1,313 @@
+/**
+ * Customer data export and account deletion (GDPR / DPDP)
+ *
+ * exportAccountData() gathers everything stored about a customer into one
+ * JSON document. deleteAccount() erases the account:
+ *  - deleted: the profile, sessions and refresh tokens, two-factor secret,
+ *    login codes and shipping labels (they carry the address); every image
+ *    the customer uploaded is removed from Cloudinary by the next run of the
+ *    orphaned upload cleanup
+ *  - anonymized: exchange requests (and their status history) lose the user
+ *    ID, email, description, images, addresses, shipping label and admin
+ *    feedback, but stay for the warehouse and credit records they belong to;
+ *    audit log entries by or about the customer have their email and
+ *    addresses redacted
+ *  - kept: credit ledger, credit history and discount code rows, which must
+ *    be retained as financial records; their email is removed and they stay
+ *    linked only by the (now orphaned) user ID and Shopify customer ID
+ * The Shopify customer account itself is not touched.
+ */
+const { db } = require('./firebaseAdmin');
+const { toDate, formatCustomerExchangeRequest } = require('./exchangeFormatter');
+const { EXCHANGE_STATES, getExchangeState, getExchangeHistory } = require('./exchangeStateMachine');
+const { buildSearchFields } = require('./exchangeSearch');
+const { getUserRoles } = require('./roles');
+const { listUserSessions, revokeAllSessions } = require('./sessions');
+const { imagePublicId, queueImagesForDeletion, PENDING_UPLOADS_COLLECTION } = require('./uploads');
+const { recordAuditEntry, redactAuditEntries } = require('./auditLog');
+
+const USERS_COLLECTION = 'users';
+const EXCHANGE_COLLECTION = 'exchange_requests';
+const CREDIT_HISTORY_COLLECTION = 'credit_history';
+const LEDGER_COLLECTION = 'credit_ledger';
+const DISCOUNT_CODES_COLLECTION = 'discount_codes';
+const SHIPPING_LABELS_COLLECTION = 'shipping_labels';
+const TWO_FACTOR_COLLECTION = 'two_factor_secrets';
+const LOGIN_TOKENS_COLLECTION = 'login_tokens';
+const HISTORY_SUBCOLLECTION = 'status_history';
+
+// Exchange requests in these states are finished and can be anonymized
+const CLOSED_STATES = [EXCHANGE_STATES.COMPLETED, EXCHANGE_STATES.DECLINED, EXCHANGE_STATES.RETURNED];
+
+// Firestore allows at most 500 writes per batch
+const MAX_BATCH_WRITES = 500;
+
+// Never part of an export: secrets and search index fields
+const OMITTED_FIELDS = ['tokenHash', 'codeHash', 'linkTokenHash', 'pdf', 'searchTokens', 'brandKey'];
+
+/**
+ * Create an error carrying an HTTP status and machine-readable code
+ * @returns {Error}
+ */
+function createAccountError(message, code, statusCode, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.isAccountError = true;
+  Object.assign(error, extra);
+  return error;
+}
+
+/**
+ * Firestore data as plain JSON values: Timestamps become Dates, secrets are dropped
+ * @param {*} value
+ * @returns {*}
+ */
+function toPlain(value) {
+  if (value && typeof value.toDate === 'function') {
+    return value.toDate();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => !OMITTED_FIELDS.includes(key))
+      .map(([key, item]) => [key, toPlain(item)]));
+  }
+  return value;
+}
+
+/**
+ * All documents of a collection belonging to a user
+ * @returns {Promise<Array<Object>>} Query document snapshots
+ */
+async function findUserDocs(collection, userId) {
+  const snapshot = await db.collection(collection).where('userId', '==', userId).get();
+  return snapshot.docs;
+}
+
+/**
+ * Public IDs of the images attached to an exchange request, in any stored shape
+ * @param {Object} exchange - Exchange request data
+ * @returns {Array<string>}
+ */
+function exchangeImageIds(exchange) {
+  return [...(exchange.images || []), ...(exchange.inspection?.photos || [])]
+    .map(imagePublicId)
+    .filter(Boolean);
+}
+
+/**
+ * Addresses the customer entered on an exchange request, as plain strings
+ * Addresses are free text or objects of lines, depending on the client
+ * @param {Object} exchange - Exchange request data
+ * @returns {Array<string>}
+ */
+function exchangeAddresses(exchange) {
+  const lines = (address) => {
+    if (typeof address === 'string') return [address];
+    if (address && typeof address === 'object') return Object.values(address).flatMap(lines);
+    return [];
+  };
+
+  return [exchange.shippingDetails?.address, exchange.returnDetails?.address]
+    .flatMap(lines)
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Apply writes in batches small enough for Firestore
+ * @param {Array<Function>} writes - Functions of a batch adding one write each
+ */
+async function commitInBatches(writes) {
+  for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+    const batch = db.batch();
+    writes.slice(i, i + MAX_BATCH_WRITES).forEach(write => write(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Everything stored about a customer
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} Export document
+ */
+async function exportAccountData(user) {
+  const [userDoc, exchangeDocs, creditDocs, discountDocs, labelDocs, uploadDocs, sessions, twoFactorDoc] = await Promise.all([
+    db.collection(USERS_COLLECTION).doc(user.uid).get(),
+    findUserDocs(EXCHANGE_COLLECTION, user.uid),
+    findUserDocs(CREDIT_HISTORY_COLLECTION, user.uid),
+    findUserDocs(DISCOUNT_CODES_COLLECTION, user.uid),
+    findUserDocs(SHIPPING_LABELS_COLLECTION, user.uid),
+    findUserDocs(PENDING_UPLOADS_COLLECTION, user.uid),
+    listUserSessions(user.uid, user.sessionId),
+    db.collection(TWO_FACTOR_COLLECTION).doc(user.uid).get()
+  ]);
+
+  const exchangeRequests = await Promise.all(exchangeDocs.map(async (doc) => ({
+    ...toPlain(formatCustomerExchangeRequest(doc.id, doc.data())),
+    history: toPlain(await getExchangeHistory(doc.id))
+  })));
+
+  const byCreatedAt = (a, b) => (toDate(a.createdAt) || 0) - (toDate(b.createdAt) || 0);
+
+  return {
+    exportedAt: new Date(),
+    userId: user.uid,
+    profile: userDoc.exists ? toPlain(userDoc.data()) : null,
+    twoFactor: {
+      enabled: Boolean(user.twoFactorEnabled),
+      enabledAt: twoFactorDoc.exists ? toDate(twoFactorDoc.data().enabledAt) || null : null
+    },
+    sessions,
+    exchangeRequests: exchangeRequests.sort(byCreatedAt),
+    creditHistory: creditDocs.map(doc => ({ id: doc.id, ...toPlain(doc.data()) })).sort(byCreatedAt),
+    discountCodes: discountDocs.map(doc => ({ id: doc.id, ...toPlain(doc.data()) })).sort(byCreatedAt),
+    shippingLabels: labelDocs.map(doc => ({ id: doc.id, ...toPlain(doc.data()) })).sort(byCreatedAt),
+    unattachedUploads: uploadDocs.map(doc => toPlain(doc.data()))
+  };
+}
+
+/**
+ * Delete or anonymize a customer's account
+ * Staff must have their roles revoked first, and exchanges still in progress
+ * must be finished. Each step can safely run again, so a failed deletion can
+ * be retried; sessions are revoked last so the customer can do so.
+ * @param {Object} user - req.user
+ * @param {Object} [context] - { requestId } for the audit log
+ * @returns {Promise<Object>} What was deleted, anonymized and kept
+ */
+async function deleteAccount(user, { requestId = null } = {}) {
+  if (getUserRoles(user).length > 0) {
+    throw createAccountError('Staff accounts cannot be deleted while they hold roles', 'ACCOUNT_HAS_ROLES', 409);
+  }
+
+  const exchangeDocs = await findUserDocs(EXCHANGE_COLLECTION, user.uid);
+  const openExchangeIds = exchangeDocs
+    .filter(doc => !CLOSED_STATES.includes(getExchangeState(doc.data())))
+    .map(doc => doc.id);
+
+  if (openExchangeIds.length > 0) {
+    throw createAccountError(
+      'Finish or cancel your open exchange requests before deleting your account',
+      'ACCOUNT_HAS_OPEN_EXCHANGES',
+      409,
+      { openExchangeIds }
+    );
+  }
+
+  const [ledgerDocs, creditDocs, discountDocs, labelDocs, uploadDocs, loginTokenSnapshot] = await Promise.all([
+    findUserDocs(LEDGER_COLLECTION, user.uid),
+    findUserDocs(CREDIT_HISTORY_COLLECTION, user.uid),
+    findUserDocs(DISCOUNT_CODES_COLLECTION, user.uid),
+    findUserDocs(SHIPPING_LABELS_COLLECTION, user.uid),
+    findUserDocs(PENDING_UPLOADS_COLLECTION, user.uid),
+    user.email
+      ? db.collection(LOGIN_TOKENS_COLLECTION).where('email', '==', user.email).get()
+      : Promise.resolve({ docs: [] })
+  ]);
+
+  // Queued first: once the exchanges are anonymized nothing points at the images any more
+  const imageIds = [
+    ...exchangeDocs.flatMap(doc => exchangeImageIds(doc.data())),
+    ...uploadDocs.map(doc => doc.data().publicId)
+  ];
+  await queueImagesForDeletion(imageIds);
+
+  // Status history entries recorded the customer's email as the actor
+  const historyDocs = (await Promise.all(exchangeDocs.map(doc => doc.ref.collection(HISTORY_SUBCOLLECTION).get())))
+    .flatMap(snapshot => snapshot.docs)
+    .filter(doc => doc.data().actor?.uid === user.uid);
+
+  // Before the exchanges lose their user ID, which is how a retry finds them again
+  await redactAuditEntries({
+    userId: user.uid,
+    exchangeIds: exchangeDocs.map(doc => doc.id),
+    personalValues: [user.email, ...exchangeDocs.flatMap(doc => exchangeAddresses(doc.data()))]
+  });
+
+  const now = new Date();
+
+  await commitInBatches([
+    ...exchangeDocs.map(doc => batch => batch.update(doc.ref, {
+      userId: null,
+      userEmail: null,
+      description: '',
+      adminFeedback: '',
+      images: [],
+      imagePublicIds: [],
+      shippingLabel: null,
+      ...(doc.data().inspection ? { 'inspection.photos': [] } : {}),
+      ...(doc.data().shippingDetails ? { 'shippingDetails.address': null, 'shippingDetails.notes': '' } : {}),
+      ...(doc.data().returnDetails ? { 'returnDetails.address': null, 'returnDetails.notes': '' } : {}),
+      ...buildSearchFields({ productName: doc.data().productName, brand: doc.data().brand, userEmail: '' }),
+      anonymizedAt: now,
+      updatedAt: now
+    })),
+    ...historyDocs.map(doc => batch => batch.update(doc.ref, { 'actor.email': null })),
+    // Retained financial records: only the email goes
+    ...[...ledgerDocs, ...discountDocs].map(doc => batch => batch.update(doc.ref, { userEmail: null, anonymizedAt: now })),
+    ...creditDocs.map(doc => batch => batch.update(doc.ref, { anonymizedAt: now })),
+    ...labelDocs.map(doc => batch => batch.delete(doc.ref)),
+    ...loginTokenSnapshot.docs.map(doc => batch => batch.delete(doc.ref)),
+    batch => batch.delete(db.collection(TWO_FACTOR_COLLECTION).doc(user.uid))
+  ]);
+
+  const sessionsRevoked = await revokeAllSessions(user.uid);
+  await db.collection(USERS_COLLECTION).doc(user.uid).delete();
+
+  const summary = {
+    deleted: {
+      profile: true,
+      sessions: sessionsRevoked,
+      shippingLabels: labelDocs.length,
+      images: imageIds.length
+    },
+    anonymized: {
+      exchangeRequests: exchangeDocs.length
+    },
+    retained: {
+      creditLedgerEntries: ledgerDocs.length,
+      creditHistoryEntries: creditDocs.length,
+      discountCodes: discountDocs.length
+    }
+  };
+
+  // The entry names the user ID only, not who they were
+  await recordAuditEntry({
+    action: 'account.delete',
+    actor: { uid: user.uid },
+    target: { type: 'user', id: user.uid },
+    details: summary,
+    statusCode: 200,
+    requestId
+  });
+
+  return summary;
+}
+
+/**
+ * Send the response for an account error
+ * @param {Error} error - Error thrown by this module
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the error was handled
+ */
+function handleAccountError(error, res) {
+  if (!error || !error.isAccountError) {
+    return false;
+  }
+
+  const body = { error: error.message, code: error.code };
+  if (error.openExchangeIds) body.openExchangeIds = error.openExchangeIds;
+
+  res.status(error.statusCode).json(body);
+  return true;
+}
+
+module.exports = {
+  exportAccountData,
+  deleteAccount,
+  handleAccountError
+};
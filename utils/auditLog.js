@@ -0,0 +1,339 @@
+/**
+ * Audit log of privileged actions
+ *
+ * Every admin mutation appends one entry to `audit_log` per target it touched:
+ * who did it, what they did, the fields that changed (before / after), and the
+ * IP and request ID to match it with the request logs. Entries are only ever
+ * updated to redact a deleted customer's personal data; the only deletion is
+ * the retention purge of entries older than AUDIT_LOG_RETENTION_DAYS (two
+ * years by default).
+ */
+const { db } = require('./firebaseAdmin');
+const { toDate } = require('./exchangeFormatter');
+const { sanitizeData } = require('./sanitizer');
+const { logger } = require('./logger');
+
+const AUDIT_COLLECTION = 'audit_log';
+const DEFAULT_RETENTION_DAYS = 730;
+// Writes per Firestore batch (at most 500 are allowed)
+const BATCH_SIZE = 400;
+
+// Bookkeeping fields that change on every write and say nothing about the action
+const IGNORED_FIELDS = ['updatedAt', 'searchTokens', 'brandKey'];
+
+// Fields whose values are personal data wherever they appear in an entry
+const PERSONAL_FIELDS = ['address', 'email', 'userEmail', 'actorEmail', 'phone'];
+const REDACTED = '[redacted]';
+
+/**
+ * Create an error carrying an HTTP status and machine-readable code
+ * @returns {Error}
+ */
+function createAuditError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.isAuditError = true;
+  return error;
+}
+
+/**
+ * Value as stored in an audit entry: dates and Firestore timestamps become ISO strings
+ * @returns {*}
+ */
+function toAuditValue(value) {
+  if (value === undefined) {
+    return null;
+  }
+  if (value instanceof Date || (value && typeof value.toDate === 'function')) {
+    const date = toDate(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toAuditValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, toAuditValue(inner)]));
+  }
+  return value;
+}
+
+/**
+ * Top-level fields that differ between two versions of a document
+ * @param {Object|null} before - Document data before the action (null if it did not exist)
+ * @param {Object|null} after - Document data after the action (null if it was deleted)
+ * @returns {Object} { [field]: { before, after } }
+ */
+function diffDocuments(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) {
+      continue;
+    }
+    const from = toAuditValue(before?.[field]);
+    const to = toAuditValue(after?.[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { before: from, after: to };
+    }
+  }
+
+  return sanitizeData(changes);
+}
+
+/**
+ * Audit log document for an entry
+ * @param {Object} entry
+ * @param {string} entry.action - What was done, e.g. "exchange.status"
+ * @param {Object} entry.actor - { uid, email } of the staff member
+ * @param {Object} entry.target - { type, id }
+ * @param {Object} [entry.changes] - From diffDocuments
+ * @param {Object} [entry.details] - Request parameters worth keeping
+ * @param {number} [entry.statusCode] - HTTP status of the response
+ * @param {string} [entry.ip]
+ * @param {string} [entry.requestId]
+ * @returns {Object}
+ */
+function buildAuditEntry({ action, actor, target, changes = {}, details = null, statusCode = null, ip = null, requestId = null }) {
+  return {
+    action,
+    actorId: actor?.uid || null,
+    actorEmail: actor?.email || null,
+    targetType: target.type,
+    targetId: target.id || null,
+    changes,
+    details: details ? sanitizeData(toAuditValue(details)) : null,
+    statusCode,
+    ip,
+    requestId,
+    createdAt: new Date()
+  };
+}
+
+/**
+ * Append an entry to the audit log
+ * Never throws: for actions that have already happened and must not fail on
+ * their record, such as background jobs. Requests use recordAuditEntries.
+ * @param {Object} entry - See buildAuditEntry
+ * @returns {Promise<string|null>} Entry ID
+ */
+async function recordAuditEntry(entry) {
+  try {
+    const docRef = await db.collection(AUDIT_COLLECTION).add(buildAuditEntry(entry));
+    return docRef.id;
+  } catch (error) {
+    logger.error('Failed to write audit log entry', {
+      action: entry.action,
+      targetType: entry.target.type,
+      targetId: entry.target.id || null,
+      requestId: entry.requestId || null,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Append entries to the audit log, all in one batch when there are few enough
+ * Throws an audit error when they cannot be written
+ * @param {Array<Object>} entries - See buildAuditEntry
+ * @returns {Promise<Array<string>>} Entry IDs
+ */
+async function recordAuditEntries(entries) {
+  const refs = entries.map(() => db.collection(AUDIT_COLLECTION).doc());
+
+  try {
+    for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      entries.slice(i, i + BATCH_SIZE).forEach((entry, index) => batch.set(refs[i + index], buildAuditEntry(entry)));
+      await batch.commit();
+    }
+  } catch (error) {
+    logger.error('Failed to write audit log entries', {
+      actions: [...new Set(entries.map(entry => entry.action))],
+      count: entries.length,
+      requestId: entries[0]?.requestId || null,
+      error: error.message
+    });
+    throw createAuditError('The action could not be recorded in the audit log', 'AUDIT_WRITE_FAILED', 500);
+  }
+
+  return refs.map(ref => ref.id);
+}
+
+/**
+ * Copy of an audit value with personal data replaced by a marker
+ * @param {*} value
+ * @param {Array<string>} personalValues - Lowercased strings to look for (email, addresses)
+ * @param {boolean} [redactAll] - Redact every string, used below a personal field
+ * @returns {*}
+ */
+function redactValue(value, personalValues, redactAll = false) {
+  if (typeof value === 'string') {
+    const lower = value.toLowerCase();
+    return redactAll || personalValues.some(personal => lower.includes(personal)) ? REDACTED : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, personalValues, redactAll));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [
+      key,
+      redactValue(inner, personalValues, redactAll || PERSONAL_FIELDS.includes(key))
+    ]));
+  }
+  return value;
+}
+
+/**
+ * Redact a deleted customer's personal data from the audit log
+ * Covers entries they made and entries about their account or exchange
+ * requests; the entries themselves stay, naming the user ID only.
+ * @param {Object} subject
+ * @param {string} subject.userId - Firebase user ID
+ * @param {Array<string>} [subject.exchangeIds] - The customer's exchange requests
+ * @param {Array<string>} [subject.personalValues] - Email, addresses... to redact wherever they appear
+ * @returns {Promise<number>} Entries redacted
+ */
+async function redactAuditEntries({ userId, exchangeIds = [], personalValues = [] }) {
+  const collection = db.collection(AUDIT_COLLECTION);
+  const values = personalValues
+    .filter(value => typeof value === 'string' && value.trim().length > 0)
+    .map(value => value.trim().toLowerCase());
+
+  const snapshots = await Promise.all([
+    collection.where('actorId', '==', userId).get(),
+    collection.where('targetType', '==', 'user').where('targetId', '==', userId).get(),
+    ...exchangeIds.map(id => collection.where('targetType', '==', 'exchange_request').where('targetId', '==', id).get())
+  ]);
+
+  const docs = new Map();
+  snapshots.forEach(snapshot => snapshot.docs.forEach(doc => docs.set(doc.id, doc)));
+
+  const writes = [...docs.values()].map(doc => {
+    const data = doc.data();
+    return {
+      ref: doc.ref,
+      redacted: {
+        actorEmail: data.actorId === userId ? null : data.actorEmail || null,
+        changes: redactValue(data.changes || {}, values),
+        details: data.details ? redactValue(data.details, values) : null
+      }
+    };
+  });
+
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_SIZE).forEach(({ ref, redacted }) => batch.update(ref, redacted));
+    await batch.commit();
+  }
+
+  return writes.length;
+}
+
+/**
+ * Shape an audit entry for API responses
+ * @returns {Object}
+ */
+function formatAuditEntry(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: toDate(data.createdAt)
+  };
+}
+
+/**
+ * Query the audit log, newest first
+ * @param {Object} filters - { actorId, action, targetType, targetId, from, to, limit, pageToken }
+ * @returns {Promise<{entries: Array<Object>, nextPageToken: string|null}>}
+ */
+async function queryAuditLog({ actorId, action, targetType, targetId, from, to, limit = 50, pageToken }) {
+  let query = db.collection(AUDIT_COLLECTION);
+
+  if (actorId) query = query.where('actorId', '==', actorId);
+  if (action) query = query.where('action', '==', action);
+  if (targetType) query = query.where('targetType', '==', targetType);
+  if (targetId) query = query.where('targetId', '==', targetId);
+  if (from) query = query.where('createdAt', '>=', from);
+  if (to) query = query.where('createdAt', '<=', to);
+
+  query = query.orderBy('createdAt', 'desc');
+
+  if (pageToken) {
+    const cursor = await db.collection(AUDIT_COLLECTION).doc(pageToken).get();
+    if (!cursor.exists) {
+      throw createAuditError('Invalid page token', 'INVALID_PAGE_TOKEN', 400);
+    }
+    query = query.startAfter(cursor);
+  }
+
+  const snapshot = await query.limit(limit + 1).get();
+  const docs = snapshot.docs.slice(0, limit);
+
+  return {
+    entries: docs.map(formatAuditEntry),
+    nextPageToken: snapshot.docs.length > limit ? docs[docs.length - 1].id : null
+  };
+}
+
+/**
+ * Delete audit entries older than the retention period
+ * @param {number} [retentionDays] - Defaults to AUDIT_LOG_RETENTION_DAYS
+ * @returns {Promise<{deleted: number, cutoff: Date}>}
+ */
+async function purgeExpiredAuditEntries(retentionDays = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  let deleted = 0;
+
+  while (true) {
+    const snapshot = await db.collection(AUDIT_COLLECTION)
+      .where('createdAt', '<', cutoff)
+      .orderBy('createdAt', 'asc')
+      .limit(BATCH_SIZE)
+      .get();
+
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+
+    if (snapshot.size < BATCH_SIZE) {
+      break;
+    }
+  }
+
+  return { deleted, cutoff };
+}
+
+/**
+ * Send the response for an audit log error
+ * @param {Error} error - Error thrown by this module
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the error was handled
+ */
+function handleAuditError(error, res) {
+  if (!error || !error.isAuditError) {
+    return false;
+  }
+
+  res.status(error.statusCode).json({ error: error.message, code: error.code });
+  return true;
+}
+
+module.exports = {
+  AUDIT_COLLECTION,
+  diffDocuments,
+  recordAuditEntry,
+  recordAuditEntries,
+  queryAuditLog,
+  redactAuditEntries,
+  purgeExpiredAuditEntries,
+  handleAuditError
+};
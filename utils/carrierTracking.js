@@ -0,0 +1,197 @@
+/**
+ * Carrier tracking poller
+ *
+ * Exchange requests in transit whose carrier adapter supports tracking are
+ * polled on a schedule. The carrier's events are stored on the exchange under
+ * `tracking`, and a delivery to the assigned warehouse moves the request to
+ * received exactly as an admin would. Deliveries elsewhere are flagged with
+ * `tracking.deliveryMismatch` and left for an admin to look at.
+ */
+const { db } = require('./firebaseAdmin');
+const { logger } = require('./logger');
+const { sendItemReceivedEmail } = require('./email');
+const { refreshSuggestedCredit } = require('./valuation');
+const { TRACKING_STATUS, getCarrierAdapter } = require('./carriers');
+const {
+  EXCHANGE_STATES,
+  STATE_FIELDS,
+  getExchangeState,
+  systemActor,
+  transitionExchange
+} = require('./exchangeStateMachine');
+
+// Only the most recent events are kept on the exchange document
+const MAX_STORED_EVENTS = 50;
+
+const normalizePlace = (value) => String(value || '').replace(/\s+/g, '').toLowerCase();
+
+/**
+ * Whether a delivery event happened at the exchange's warehouse
+ * Postal codes are compared when both sides have one, otherwise the city
+ * @param {Object} event - Delivered tracking event
+ * @param {Object} warehouseInfo - Warehouse snapshot stored on the exchange
+ * @returns {boolean}
+ */
+function isDeliveredToWarehouse(event, warehouseInfo) {
+  if (!warehouseInfo) {
+    return false;
+  }
+
+  const location = event.location || {};
+  if (location.postalCode && warehouseInfo.postalCode) {
+    return normalizePlace(location.postalCode) === normalizePlace(warehouseInfo.postalCode);
+  }
+
+  return Boolean(location.city) && normalizePlace(location.city) === normalizePlace(warehouseInfo.city);
+}
+
+/**
+ * Sort carrier events oldest first and convert their timestamps
+ * @param {Array<Object>} events - Events from the adapter
+ * @returns {Array<Object>}
+ */
+function normalizeEvents(events) {
+  return events
+    .map(event => ({
+      status: event.status,
+      description: event.description || '',
+      location: {
+        city: event.location?.city || '',
+        postalCode: event.location?.postalCode || ''
+      },
+      occurredAt: new Date(event.occurredAt)
+    }))
+    .filter(event => !isNaN(event.occurredAt.getTime()))
+    .sort((a, b) => a.occurredAt - b.occurredAt)
+    .slice(-MAX_STORED_EVENTS);
+}
+
+/**
+ * Poll one shipment and store what the carrier reports
+ * @param {Object} doc - Exchange request document snapshot
+ * @param {Object} adapter - Carrier adapter
+ * @returns {Promise<'received'|'mismatch'|'updated'>}
+ */
+async function pollShipment(doc, adapter) {
+  const exchange = doc.data();
+  const events = normalizeEvents(await adapter.fetchTrackingEvents(exchange.shippingDetails.trackingNumber));
+  const latest = events[events.length - 1] || null;
+
+  const delivered = latest && latest.status === TRACKING_STATUS.DELIVERED ? latest : null;
+  const atWarehouse = delivered ? isDeliveredToWarehouse(delivered, exchange.warehouseInfo) : false;
+
+  const tracking = {
+    carrierId: adapter.id,
+    status: latest ? latest.status : null,
+    events,
+    lastEventAt: latest ? latest.occurredAt : null,
+    lastCheckedAt: new Date(),
+    deliveryMismatch: Boolean(delivered) && !atWarehouse
+  };
+
+  if (!atWarehouse) {
+    if (tracking.deliveryMismatch && !exchange.tracking?.deliveryMismatch) {
+      logger.warn('Carrier reports delivery away from the assigned warehouse', {
+        exchangeId: doc.id,
+        carrierId: adapter.id,
+        location: delivered.location,
+        warehouseId: exchange.warehouseId
+      });
+    }
+    await doc.ref.update({ tracking });
+    return tracking.deliveryMismatch ? 'mismatch' : 'updated';
+  }
+
+  await transitionExchange(doc.id, EXCHANGE_STATES.RECEIVED, {
+    actor: systemActor('carrier-tracking'),
+    note: `Delivered to the warehouse according to ${adapter.name}`,
+    updates: { tracking }
+  });
+
+  // Same follow-up as an admin marking the item received
+  await refreshSuggestedCredit(doc.id, 'received');
+
+  try {
+    await sendItemReceivedEmail(exchange.userEmail);
+  } catch (emailError) {
+    logger.error('Error sending received email', {
+      exchangeId: doc.id,
+      error: emailError.message
+    });
+  }
+
+  return 'received';
+}
+
+/**
+ * Exchange requests in transit
+ * Requests the state backfill has not reached yet only have the legacy
+ * status fields, so those are queried as well
+ * @returns {Promise<Array<Object>>} Document snapshots
+ */
+async function findShipmentsInTransit() {
+  const collection = db.collection('exchange_requests');
+  const legacyFields = STATE_FIELDS[EXCHANGE_STATES.SHIPPING];
+  const [current, legacy] = await Promise.all([
+    collection.where('state', '==', EXCHANGE_STATES.SHIPPING).get(),
+    collection
+      .where('status', '==', legacyFields.status)
+      .where('transitStatus', '==', legacyFields.transitStatus)
+      .get()
+  ]);
+
+  const shipments = new Map(current.docs.map(doc => [doc.id, doc]));
+  legacy.docs.forEach(doc => {
+    if (!shipments.has(doc.id) && getExchangeState(doc.data()) === EXCHANGE_STATES.SHIPPING) {
+      shipments.set(doc.id, doc);
+    }
+  });
+  return [...shipments.values()];
+}
+
+/**
+ * Scheduled job: poll carriers for every exchange request in transit
+ * @returns {Promise<{checked: number, received: number, mismatches: number, skipped: number, errors: number}>}
+ */
+async function pollCarrierTracking() {
+  const shipments = await findShipmentsInTransit();
+
+  const result = { checked: 0, received: 0, mismatches: 0, skipped: 0, errors: 0 };
+
+  for (const doc of shipments) {
+    const shippingDetails = doc.data().shippingDetails;
+    const adapter = shippingDetails?.trackingNumber
+      ? getCarrierAdapter(shippingDetails.carrierId || shippingDetails.carrierName)
+      : null;
+
+    if (!adapter || typeof adapter.fetchTrackingEvents !== 'function') {
+      result.skipped++;
+      continue;
+    }
+
+    result.checked++;
+    try {
+      const outcome = await pollShipment(doc, adapter);
+      if (outcome === 'received') result.received++;
+      if (outcome === 'mismatch') result.mismatches++;
+    } catch (error) {
+      if (error.code === 'INVALID_STATE_TRANSITION') {
+        // Marked received by an admin in the meantime
+        continue;
+      }
+      result.errors++;
+      logger.error('Error polling carrier tracking', {
+        exchangeId: doc.id,
+        carrierId: adapter.id,
+        error: error.message
+      });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  isDeliveredToWarehouse,
+  pollCarrierTracking
+};
@@ -0,0 +1,140 @@
+/**
+ * Carrier adapters for shipments customers send to our warehouses
+ *
+ * Every adapter has the same shape:
+ *   id                  - Stable identifier stored on the exchange (shippingDetails.carrierId)
+ *   name                - Display name
+ *   aliases             - Other spellings customers type for this carrier
+ *   example             - Example tracking number shown to customers
+ *   validateTrackingNumber(trackingNumber) -> boolean
+ *   normalizeTrackingNumber(trackingNumber) -> string
+ *   fetchTrackingEvents(trackingNumber) -> Promise<Array<TrackingEvent>> (optional)
+ *
+ * A TrackingEvent is { status, description, location: { city, postalCode }, occurredAt }
+ * with status one of TRACKING_STATUS. Adapters without fetchTrackingEvents only
+ * validate tracking numbers; those shipments are still marked received by hand.
+ */
+const { TRACKING_STATUS } = require('./trackingStatus');
+const indiaCarriers = require('./indiaCarriers');
+const stubAdapter = require('./stubAdapter');
+
+/**
+ * Create an error carrying an HTTP status and machine-readable code
+ * @returns {Error}
+ */
+function createCarrierError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.isCarrierError = true;
+  return error;
+}
+
+/**
+ * The stub carrier is for development and tests, never offered in production
+ * unless explicitly enabled
+ * @returns {boolean}
+ */
+function isStubEnabled() {
+  return process.env.NODE_ENV !== 'production' || process.env.CARRIER_STUB_ENABLED === 'true';
+}
+
+/**
+ * All adapters currently available
+ * @returns {Array<Object>}
+ */
+function getAdapters() {
+  return isStubEnabled() ? [...indiaCarriers, stubAdapter] : [...indiaCarriers];
+}
+
+const normalizeName = (value) => String(value || '').trim().toLowerCase().replace(/[\s_.-]+/g, '');
+
+/**
+ * Find the adapter for a carrier ID or a customer-typed carrier name
+ * @param {string} carrier - Carrier ID, name or alias
+ * @returns {Object|null} Adapter, or null for carriers we don't know
+ */
+function getCarrierAdapter(carrier) {
+  const key = normalizeName(carrier);
+  if (!key) {
+    return null;
+  }
+
+  return getAdapters().find(adapter =>
+    normalizeName(adapter.id) === key ||
+    normalizeName(adapter.name) === key ||
+    adapter.aliases.some(alias => normalizeName(alias) === key)
+  ) || null;
+}
+
+/**
+ * Check a shipment's tracking number against its carrier's format
+ * Carriers we have no adapter for are accepted as free text, as before
+ * @param {string} carrierName - Carrier as entered by the customer
+ * @param {string} trackingNumber - Tracking number as entered by the customer
+ * @returns {{carrierId: string|null, carrierName: string, trackingNumber: string, trackingSupported: boolean}}
+ */
+function validateShipment(carrierName, trackingNumber) {
+  const adapter = getCarrierAdapter(carrierName);
+
+  if (!adapter) {
+    return {
+      carrierId: null,
+      carrierName: String(carrierName).trim(),
+      trackingNumber: String(trackingNumber).trim(),
+      trackingSupported: false
+    };
+  }
+
+  const normalized = adapter.normalizeTrackingNumber(trackingNumber);
+  if (!adapter.validateTrackingNumber(normalized)) {
+    throw createCarrierError(
+      `"${trackingNumber}" is not a valid ${adapter.name} tracking number (example: ${adapter.example})`,
+      'INVALID_TRACKING_NUMBER',
+      400
+    );
+  }
+
+  return {
+    carrierId: adapter.id,
+    carrierName: adapter.name,
+    trackingNumber: normalized,
+    trackingSupported: typeof adapter.fetchTrackingEvents === 'function'
+  };
+}
+
+/**
+ * Carriers customers can pick from
+ * @returns {Array<{id: string, name: string, example: string, trackingSupported: boolean}>}
+ */
+function listCarriers() {
+  return getAdapters().map(adapter => ({
+    id: adapter.id,
+    name: adapter.name,
+    example: adapter.example,
+    trackingSupported: typeof adapter.fetchTrackingEvents === 'function'
+  }));
+}
+
+/**
+ * Send the response for a carrier error
+ * @param {Error} error - Error thrown by this module
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the error was handled
+ */
+function handleCarrierError(error, res) {
+  if (!error || !error.isCarrierError) {
+    return false;
+  }
+
+  res.status(error.statusCode).json({ error: error.message, code: error.code });
+  return true;
+}
+
+module.exports = {
+  TRACKING_STATUS,
+  getCarrierAdapter,
+  validateShipment,
+  listCarriers,
+  handleCarrierError
+};
@@ -0,0 +1,55 @@
+/**
+ * Tracking number formats of the carriers customers use most
+ * These adapters only validate; add fetchTrackingEvents to one to have its
+ * shipments polled automatically.
+ */
+
+/**
+ * Build a validation-only adapter from a tracking number pattern
+ * @param {Object} config - { id, name, aliases, example, pattern }
+ * @returns {Object} Carrier adapter
+ */
+function createFormatAdapter({ id, name, aliases = [], example, pattern }) {
+  return {
+    id,
+    name,
+    aliases,
+    example,
+    normalizeTrackingNumber: (trackingNumber) => String(trackingNumber || '').replace(/\s+/g, '').toUpperCase(),
+    validateTrackingNumber: (trackingNumber) => pattern.test(trackingNumber)
+  };
+}
+
+module.exports = [
+  createFormatAdapter({
+    id: 'delhivery',
+    name: 'Delhivery',
+    example: '1234567890123',
+    // Waybills are 12 to 14 digits
+    pattern: /^\d{12,14}$/
+  }),
+  createFormatAdapter({
+    id: 'bluedart',
+    name: 'Blue Dart',
+    aliases: ['bluedart express', 'dhl blue dart'],
+    example: '12345678901',
+    // Air waybills are 11 digits
+    pattern: /^\d{11}$/
+  }),
+  createFormatAdapter({
+    id: 'dtdc',
+    name: 'DTDC',
+    aliases: ['dtdc express'],
+    example: 'D12345678',
+    // A letter followed by 8 digits, or 12 digits for newer consignments
+    pattern: /^([A-Z]\d{8}|\d{12})$/
+  }),
+  createFormatAdapter({
+    id: 'indiapost',
+    name: 'India Post',
+    aliases: ['speed post', 'speedpost', 'registered post'],
+    example: 'EE123456789IN',
+    // UPU S10: two letters, 9 digits, country code
+    pattern: /^[A-Z]{2}\d{9}IN$/
+  })
+];
@@ -0,0 +1,19 @@
+/**
+ * Offline carrier backed by fixture data, for development and tests
+ * Tracking numbers are STUB followed by 6 digits; see fixtures/stubTracking.json
+ * for the scenarios. Unknown numbers have no events yet.
+ */
+const fixtures = require('./fixtures/stubTracking.json');
+
+module.exports = {
+  id: 'stub',
+  name: 'Stub Carrier',
+  aliases: ['test carrier'],
+  example: 'STUB000001',
+  normalizeTrackingNumber: (trackingNumber) => String(trackingNumber || '').replace(/\s+/g, '').toUpperCase(),
+  validateTrackingNumber: (trackingNumber) => /^STUB\d{6}$/.test(trackingNumber),
+  fetchTrackingEvents: async (trackingNumber) => {
+    const fixture = fixtures[trackingNumber];
+    return fixture ? fixture.events.map(event => ({ ...event, location: { ...event.location } })) : [];
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Normalized tracking statuses every carrier adapter maps its events onto
+ */
+const TRACKING_STATUS = {
+  PICKED_UP: 'picked_up',
+  IN_TRANSIT: 'in_transit',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERED: 'delivered',
+  EXCEPTION: 'exception'
+};
+
+module.exports = {
+  TRACKING_STATUS
+};
@@ -0,0 +1,781 @@
+/**
+ * Credit ledger for loyalty point movements that touch Shopify
+ *
+ * Every movement is written as a pending ledger entry before the Shopify
+ * metafield is changed, and committed (together with the Firestore side
+ * effects) afterwards. Entries left pending by a crash or a lost response
+ * are reconciled by recoverPendingCreditEntries().
+ *
+ * Movements for the same Shopify customer are serialized with a lock document
+ * that stays held while its ledger entry is pending, so a balance is never
+ * read and rewritten by two movements at once.
+ */
+const { db, admin } = require('./firebaseAdmin');
+const { logger } = require('./logger');
+const {
+  findCustomerByEmail,
+  getCustomerLoyaltyPoints,
+  setCustomerLoyaltyPoints
+} = require('./shopify');
+const { EXCHANGE_STATES, getExchangeState } = require('./exchangeStateMachine');
+const { recordPointsMovement } = require('./reportRollups');
+
+const LEDGER_COLLECTION = 'credit_ledger';
+const LOCKS_COLLECTION = 'loyalty_locks';
+const EXCHANGE_COLLECTION = 'exchange_requests';
+const CREDIT_HISTORY_COLLECTION = 'credit_history';
+const DISCOUNT_CODES_COLLECTION = 'discount_codes';
+
+const LEDGER_STATUS = {
+  PENDING: 'pending',
+  COMMITTED: 'committed',
+  FAILED: 'failed',
+  ROLLED_BACK: 'rolled_back',
+  NEEDS_REVIEW: 'needs_review'
+};
+
+// Transaction types shared by the ledger and credit_history
+const LEDGER_TYPES = {
+  EXCHANGE_CREDIT: 'exchange_credit',
+  REDEMPTION: 'redemption',
+  BONUS: 'bonus',
+  CORRECTION: 'correction',
+  CLAWBACK: 'clawback',
+  DISCOUNT_CODE: 'discount_code',
+  DISCOUNT_REFUND: 'discount_refund',
+  EXPIRY: 'expiry'
+};
+
+// Pending entries younger than this may still be in flight and are left alone by recovery
+const RECOVERY_GRACE_PERIOD_MS = 5 * 60 * 1000; // 5 minutes
+
+// Credit history is read in pages of this size; a type filter scans at most HISTORY_SCAN_LIMIT entries
+const HISTORY_PAGE_SIZE = 100;
+const HISTORY_SCAN_LIMIT = 2000;
+
+/**
+ * Create an error carrying an HTTP status and machine-readable code
+ * @param {string} message - Human readable message
+ * @param {string} code - Error code
+ * @param {number} statusCode - HTTP status to respond with
+ * @returns {Error}
+ */
+function createLedgerError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.isLedgerError = true;
+  return error;
+}
+
+/**
+ * Deterministic ledger entry ID for an exchange credit, so an exchange can only ever have one
+ * @param {string} exchangeId - Exchange request ID
+ * @returns {string}
+ */
+function exchangeCreditLedgerId(exchangeId) {
+  return `exchange_${exchangeId}`;
+}
+
+/**
+ * Build the common fields of a pending ledger entry
+ * @returns {Object}
+ */
+function buildPendingEntry({ type, amount, userId, userEmail, actor, reason, metadata = {}, exchangeRequestId = null, attempts = 1 }) {
+  const now = new Date();
+  return {
+    type,
+    status: LEDGER_STATUS.PENDING,
+    amount,
+    currency: 'INR',
+    userId,
+    userEmail: userEmail || null,
+    exchangeRequestId,
+    reason: reason || '',
+    shopifyCustomerId: null,
+    balanceBefore: null,
+    expectedBalance: null,
+    balanceAfter: null,
+    metadata,
+    createdBy: { uid: actor?.uid || null, email: actor?.email || null, role: actor?.role || null },
+    attempts,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Reserve the exchange for crediting and write the pending ledger entry
+ * Runs in a transaction so double-clicks and retries cannot both pass
+ * @returns {Promise<{ledgerRef: Object, entry: Object, exchange: Object}>}
+ */
+async function reserveExchangeCredit({ exchangeId, points, actor, feedback, decision }) {
+  const exchangeRef = db.collection(EXCHANGE_COLLECTION).doc(exchangeId);
+  const ledgerRef = db.collection(LEDGER_COLLECTION).doc(exchangeCreditLedgerId(exchangeId));
+
+  return db.runTransaction(async (transaction) => {
+    const [exchangeDoc, ledgerDoc] = await Promise.all([
+      transaction.get(exchangeRef),
+      transaction.get(ledgerRef)
+    ]);
+
+    if (!exchangeDoc.exists) {
+      throw createLedgerError('Exchange request not found', 'EXCHANGE_NOT_FOUND', 404);
+    }
+
+    const exchange = exchangeDoc.data();
+
+    if (exchange.creditAmount > 0) {
+      throw createLedgerError('Credit has already been assigned to this exchange request', 'CREDIT_ALREADY_ASSIGNED', 409);
+    }
+
+    if (getExchangeState(exchange) !== EXCHANGE_STATES.INSPECTED) {
+      throw createLedgerError('Credit can only be assigned once the item has been inspected and any adjusted credit agreed', 'CREDIT_NOT_ALLOWED', 400);
+    }
+
+    const previous = ledgerDoc.exists ? ledgerDoc.data() : null;
+
+    if (previous && previous.status === LEDGER_STATUS.PENDING) {
+      throw createLedgerError('Credit assignment is already in progress for this exchange request', 'CREDIT_IN_PROGRESS', 409);
+    }
+
+    if (previous && previous.status === LEDGER_STATUS.NEEDS_REVIEW) {
+      throw createLedgerError('A previous credit attempt needs manual review before retrying', 'CREDIT_NEEDS_REVIEW', 409);
+    }
+
+    if (previous && previous.status === LEDGER_STATUS.COMMITTED) {
+      throw createLedgerError('Credit has already been assigned to this exchange request', 'CREDIT_ALREADY_ASSIGNED', 409);
+    }
+
+    const entry = buildPendingEntry({
+      type: LEDGER_TYPES.EXCHANGE_CREDIT,
+      amount: points,
+      userId: exchange.userId,
+      userEmail: exchange.userEmail,
+      actor,
+      metadata: { feedback: feedback || '', creditDecision: decision || null },
+      exchangeRequestId: exchangeId,
+      attempts: (previous?.attempts || 0) + 1
+    });
+
+    transaction.set(ledgerRef, entry);
+    transaction.update(exchangeRef, {
+      creditStatus: LEDGER_STATUS.PENDING,
+      creditLedgerId: ledgerRef.id,
+      updatedAt: entry.createdAt
+    });
+
+    return { ledgerRef, entry, exchange };
+  });
+}
+
+/**
+ * Firestore writes that make a committed exchange credit visible
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} ledgerRef - Ledger entry reference
+ * @param {Object} entry - Ledger entry data
+ * @param {number} balanceAfter - Shopify balance after the credit
+ */
+function applyExchangeCreditCommit(transaction, ledgerRef, entry, balanceAfter) {
+  const exchangeRef = db.collection(EXCHANGE_COLLECTION).doc(entry.exchangeRequestId);
+
+  transaction.update(exchangeRef, {
+    creditAmount: entry.amount,
+    totalLoyaltyPoints: balanceAfter,
+    creditAssignedAt: admin.firestore.FieldValue.serverTimestamp(),
+    creditAssignedBy: entry.createdBy?.uid || null,
+    feedback: entry.metadata?.feedback || '',
+    loyaltyPointsSuccess: true,
+    creditCurrency: entry.currency,
+    shopifyCustomerId: entry.shopifyCustomerId,
+    creditStatus: LEDGER_STATUS.COMMITTED,
+    creditDecision: entry.metadata?.creditDecision || null,
+    updatedAt: new Date()
+  });
+}
+
+/**
+ * Write the customer-facing credit_history row for a committed entry
+ * Uses the ledger ID as document ID so a replayed commit cannot add a second row
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} ledgerRef - Ledger entry reference
+ * @param {Object} entry - Ledger entry data
+ * @param {number} balanceAfter - Shopify balance after the movement
+ */
+function applyCreditHistoryCommit(transaction, ledgerRef, entry, balanceAfter) {
+  const historyRef = db.collection(CREDIT_HISTORY_COLLECTION).doc(ledgerRef.id);
+
+  const historyEntry = {
+    userId: entry.userId,
+    amount: entry.amount,
+    currency: entry.currency,
+    type: entry.type,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    assignedBy: entry.createdBy?.uid || null,
+    loyaltyPointsSuccess: true,
+    shopifyCustomerId: entry.shopifyCustomerId,
+    balanceAfter,
+    ledgerId: ledgerRef.id
+  };
+
+  if (entry.exchangeRequestId) {
+    historyEntry.exchangeRequestId = entry.exchangeRequestId;
+    // Older clients read the balance from this field
+    historyEntry.totalLoyaltyPoints = balanceAfter;
+  }
+
+  if (entry.reason) {
+    historyEntry.reason = entry.reason;
+  }
+
+  if (entry.metadata?.reference) {
+    historyEntry.reference = entry.metadata.reference;
+  }
+
+  // Expiry entries record which credits they expired, discount codes which
+  // credits they used up and their refunds which they gave back, so FIFO
+  // replays stay exact
+  if (entry.metadata?.expiredLots) {
+    historyEntry.expiredLots = entry.metadata.expiredLots;
+  }
+  if (entry.metadata?.consumedLots) {
+    historyEntry.consumedLots = entry.metadata.consumedLots;
+  }
+  if (entry.metadata?.restoredLots) {
+    historyEntry.restoredLots = entry.metadata.restoredLots;
+    // Points given back can expire again
+    entry.metadata.restoredLots.forEach(lot => {
+      transaction.update(db.collection(CREDIT_HISTORY_COLLECTION).doc(lot.id), { expiryOpen: true });
+    });
+  }
+
+  // Exchange credits expire; the points expiry job looks at them until they are used up or expired
+  if (entry.type === LEDGER_TYPES.EXCHANGE_CREDIT) {
+    historyEntry.expiryOpen = true;
+  }
+
+  transaction.set(historyRef, historyEntry);
+  recordPointsMovement(transaction, entry, new Date());
+}
+
+/**
+ * Record a committed discount code refund on the code, with the usage it was based on
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} ledgerRef - Ledger entry reference
+ * @param {Object} entry - Ledger entry data
+ */
+function applyDiscountRefundCommit(transaction, ledgerRef, entry) {
+  const codeRef = db.collection(DISCOUNT_CODES_COLLECTION).doc(entry.metadata.discountCodeId);
+
+  transaction.update(codeRef, {
+    refundLedgerId: ledgerRef.id,
+    refundedAt: new Date(),
+    ...(entry.metadata.usageCount !== undefined ? { usageCount: entry.metadata.usageCount } : {}),
+    updatedAt: new Date()
+  });
+}
+
+/**
+ * Firestore writes that release an exchange after its credit was rolled back or failed
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} entry - Ledger entry data
+ */
+function applyExchangeCreditRelease(transaction, entry) {
+  const exchangeRef = db.collection(EXCHANGE_COLLECTION).doc(entry.exchangeRequestId);
+
+  transaction.update(exchangeRef, {
+    creditStatus: null,
+    updatedAt: new Date()
+  });
+}
+
+/**
+ * Take the per-customer lock for a ledger entry
+ * The lock is free when it does not exist or its holder is no longer pending
+ * @param {string} shopifyCustomerId - Shopify customer ID
+ * @param {string} ledgerId - Ledger entry taking the lock
+ */
+async function acquireCustomerLock(shopifyCustomerId, ledgerId) {
+  const lockRef = db.collection(LOCKS_COLLECTION).doc(String(shopifyCustomerId));
+
+  await db.runTransaction(async (transaction) => {
+    const lockDoc = await transaction.get(lockRef);
+
+    if (lockDoc.exists && lockDoc.data().ledgerId !== ledgerId) {
+      const holderRef = db.collection(LEDGER_COLLECTION).doc(lockDoc.data().ledgerId);
+      const holderDoc = await transaction.get(holderRef);
+
+      if (holderDoc.exists && holderDoc.data().status === LEDGER_STATUS.PENDING) {
+        throw createLedgerError(
+          'Another loyalty points update for this customer is in progress. Please try again shortly.',
+          'POINTS_UPDATE_IN_PROGRESS',
+          409
+        );
+      }
+    }
+
+    transaction.set(lockRef, { ledgerId, acquiredAt: new Date() });
+  });
+}
+
+/**
+ * Delete the customer lock inside a transaction if this entry holds it
+ * Must be called after all transaction reads are done except the lock read it performs itself
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object|null} lockDoc - Lock snapshot read in the same transaction
+ * @param {string} ledgerId - Ledger entry ID
+ */
+function releaseCustomerLock(transaction, lockDoc, ledgerId) {
+  if (lockDoc && lockDoc.exists && lockDoc.data().ledgerId === ledgerId) {
+    transaction.delete(lockDoc.ref);
+  }
+}
+
+/**
+ * Read the customer lock for an entry inside a transaction, if the entry has a customer
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} entry - Ledger entry data
+ * @returns {Promise<Object|null>}
+ */
+async function getLockForEntry(transaction, entry) {
+  if (!entry.shopifyCustomerId) {
+    return null;
+  }
+  return transaction.get(db.collection(LOCKS_COLLECTION).doc(String(entry.shopifyCustomerId)));
+}
+
+/**
+ * Mark a ledger entry committed and apply its Firestore side effects atomically
+ * @param {Object} ledgerRef - Ledger entry reference
+ * @param {number} balanceAfter - Shopify balance after the movement
+ * @returns {Promise<Object>} Committed entry
+ */
+async function commitLedgerEntry(ledgerRef, balanceAfter) {
+  return db.runTransaction(async (transaction) => {
+    const ledgerDoc = await transaction.get(ledgerRef);
+    const entry = ledgerDoc.data();
+
+    // Another worker (request or recovery job) already finished this entry
+    if (entry.status !== LEDGER_STATUS.PENDING) {
+      return { id: ledgerRef.id, ...entry };
+    }
+
+    const lockDoc = await getLockForEntry(transaction, entry);
+
+    if (entry.type === LEDGER_TYPES.EXCHANGE_CREDIT) {
+      applyExchangeCreditCommit(transaction, ledgerRef, entry, balanceAfter);
+    }
+    if (entry.type === LEDGER_TYPES.DISCOUNT_REFUND && entry.metadata?.discountCodeId) {
+      applyDiscountRefundCommit(transaction, ledgerRef, entry);
+    }
+    applyCreditHistoryCommit(transaction, ledgerRef, entry, balanceAfter);
+    releaseCustomerLock(transaction, lockDoc, ledgerRef.id);
+
+    const updates = {
+      status: LEDGER_STATUS.COMMITTED,
+      balanceAfter,
+      committedAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    transaction.update(ledgerRef, updates);
+    return { id: ledgerRef.id, ...entry, ...updates };
+  });
+}
+
+/**
+ * Mark a ledger entry as not applied (failed or rolled back) and release what it reserved
+ * @param {Object} ledgerRef - Ledger entry reference
+ * @param {string} status - LEDGER_STATUS.FAILED or LEDGER_STATUS.ROLLED_BACK
+ * @param {string} reason - Why the entry was not applied
+ * @returns {Promise<Object>} Updated entry
+ */
+async function releaseLedgerEntry(ledgerRef, status, reason) {
+  return db.runTransaction(async (transaction) => {
+    const ledgerDoc = await transaction.get(ledgerRef);
+    const entry = ledgerDoc.data();
+
+    if (entry.status !== LEDGER_STATUS.PENDING) {
+      return { id: ledgerRef.id, ...entry };
+    }
+
+    const lockDoc = await getLockForEntry(transaction, entry);
+
+    if (entry.type === LEDGER_TYPES.EXCHANGE_CREDIT) {
+      applyExchangeCreditRelease(transaction, entry);
+    }
+    releaseCustomerLock(transaction, lockDoc, ledgerRef.id);
+
+    const updates = {
+      status,
+      error: reason || null,
+      updatedAt: new Date()
+    };
+
+    transaction.update(ledgerRef, updates);
+    return { id: ledgerRef.id, ...entry, ...updates };
+  });
+}
+
+/**
+ * Apply a pending ledger entry to the customer's Shopify balance and commit it
+ * Debits that would take the balance below zero are rejected
+ * @param {Object} ledgerRef - Ledger entry reference (status pending)
+ * @param {string|number} shopifyCustomerId - Shopify customer ID
+ * @param {number} delta - Signed number of points to apply
+ * @returns {Promise<Object>} Committed entry
+ */
+async function executeLedgerEntry(ledgerRef, shopifyCustomerId, delta) {
+  const customerId = String(shopifyCustomerId);
+
+  // Record the customer first so a failure below releases the right lock
+  await ledgerRef.update({ shopifyCustomerId: customerId, updatedAt: new Date() });
+
+  try {
+    await acquireCustomerLock(customerId, ledgerRef.id);
+  } catch (error) {
+    await releaseLedgerEntry(ledgerRef, LEDGER_STATUS.FAILED, error.message);
+    throw error;
+  }
+
+  // Everything up to the Shopify write is safe to fail: nothing has been applied yet
+  let balanceBefore;
+  try {
+    const currentPoints = await getCustomerLoyaltyPoints(customerId);
+    balanceBefore = currentPoints.amount;
+  } catch (error) {
+    await releaseLedgerEntry(ledgerRef, LEDGER_STATUS.FAILED, error.message);
+    throw error;
+  }
+
+  const expectedBalance = balanceBefore + delta;
+
+  if (expectedBalance < 0) {
+    await releaseLedgerEntry(ledgerRef, LEDGER_STATUS.FAILED, 'Insufficient points');
+    throw createLedgerError(
+      `Insufficient loyalty points. Available balance is ${balanceBefore}.`,
+      'INSUFFICIENT_POINTS',
+      400
+    );
+  }
+
+  // Record what we are about to write so recovery can tell whether it landed
+  await ledgerRef.update({
+    balanceBefore,
+    expectedBalance,
+    updatedAt: new Date()
+  });
+
+  try {
+    await setCustomerLoyaltyPoints(customerId, expectedBalance);
+  } catch (error) {
+    if (error.statusCode) {
+      // Shopify answered with an error, so the metafield was not changed
+      await releaseLedgerEntry(ledgerRef, LEDGER_STATUS.FAILED, error.message);
+    } else {
+      // No answer (timeout, network) - leave the entry pending, and the lock held, for the recovery job
+      logger.warn('Shopify loyalty update outcome unknown, leaving ledger entry pending', {
+        ledgerId: ledgerRef.id,
+        error: error.message
+      });
+    }
+    throw error;
+  }
+
+  return commitLedgerEntry(ledgerRef, expectedBalance);
+}
+
+/**
+ * Assign loyalty points for a received exchange request
+ * Safe to call twice: the second call is rejected by the reservation transaction
+ * @param {Object} params
+ * @param {string} params.exchangeId - Exchange request ID
+ * @param {number} params.points - Whole number of points to credit
+ * @param {Object} params.actor - Admin assigning the credit ({ uid, email })
+ * @param {string} [params.feedback] - Feedback shown to the customer
+ * @param {Object} [params.decision] - How the amount was decided (see utils/valuation.js)
+ * @returns {Promise<{entry: Object, exchange: Object}>} Committed ledger entry and exchange data before the credit
+ */
+async function assignExchangeCredit({ exchangeId, points, actor, feedback, decision }) {
+  const { ledgerRef, exchange } = await reserveExchangeCredit({ exchangeId, points, actor, feedback, decision });
+
+  let shopifyCustomer;
+  try {
+    shopifyCustomer = await findCustomerByEmail(exchange.userEmail);
+  } catch (error) {
+    await releaseLedgerEntry(ledgerRef, LEDGER_STATUS.FAILED, error.message);
+    throw error;
+  }
+
+  const entry = await executeLedgerEntry(ledgerRef, shopifyCustomer.id, points);
+  return { entry, exchange };
+}
+
+/**
+ * Write a pending entry under a fixed ID unless that movement already happened
+ * A failed or rolled back attempt is retried under the same ID.
+ * @param {Object} ledgerRef - Ledger entry reference with the fixed ID
+ * @param {Object} pending - Pending entry from buildPendingEntry()
+ * @returns {Promise<Object|null>} The committed entry if the movement was already applied, else null
+ */
+async function reserveLedgerEntry(ledgerRef, pending) {
+  return db.runTransaction(async (transaction) => {
+    const ledgerDoc = await transaction.get(ledgerRef);
+    const previous = ledgerDoc.exists ? ledgerDoc.data() : null;
+
+    if (previous && previous.status === LEDGER_STATUS.COMMITTED) {
+      return { id: ledgerRef.id, ...previous };
+    }
+
+    if (previous && previous.status === LEDGER_STATUS.PENDING) {
+      throw createLedgerError('This loyalty points update is already in progress', 'POINTS_UPDATE_IN_PROGRESS', 409);
+    }
+
+    if (previous && previous.status === LEDGER_STATUS.NEEDS_REVIEW) {
+      throw createLedgerError('A previous attempt of this loyalty points update needs manual review', 'CREDIT_NEEDS_REVIEW', 409);
+    }
+
+    transaction.set(ledgerRef, { ...pending, attempts: (previous?.attempts || 0) + 1 });
+    return null;
+  });
+}
+
+/**
+ * Move loyalty points outside of an exchange (redemptions and admin adjustments)
+ * @param {Object} params
+ * @param {string} params.type - One of LEDGER_TYPES (not exchange_credit)
+ * @param {number} params.amount - Signed whole number of points (negative for debits)
+ * @param {Object} params.user - Target user ({ uid, email, shopifyId })
+ * @param {Object} params.actor - Who triggered the movement ({ uid, email, role })
+ * @param {string} [params.reason] - Reason shown in the history
+ * @param {Object} [params.metadata] - Extra data stored on the ledger entry
+ * @param {string} [params.ledgerId] - Fixed ledger entry ID for a movement that must happen at most once;
+ *   if it was already applied, its entry is returned and nothing moves
+ * @returns {Promise<Object>} Committed ledger entry
+ */
+async function applyPointsMovement({ type, amount, user, actor, reason, metadata = {}, ledgerId = null }) {
+  if (type === LEDGER_TYPES.EXCHANGE_CREDIT) {
+    throw new Error('Exchange credits must go through assignExchangeCredit');
+  }
+
+  const points = Math.round(Number(amount));
+  if (!points || isNaN(points)) {
+    throw createLedgerError('Points amount must be a non-zero whole number', 'INVALID_POINTS_AMOUNT', 400);
+  }
+
+  const pending = buildPendingEntry({
+    type,
+    amount: points,
+    userId: user.uid,
+    userEmail: user.email,
+    actor,
+    reason,
+    metadata
+  });
+
+  let ledgerRef;
+  if (ledgerId) {
+    ledgerRef = db.collection(LEDGER_COLLECTION).doc(ledgerId);
+    const applied = await reserveLedgerEntry(ledgerRef, pending);
+    if (applied) {
+      return applied;
+    }
+  } else {
+    ledgerRef = db.collection(LEDGER_COLLECTION).doc();
+    await ledgerRef.set(pending);
+  }
+
+  let shopifyCustomerId = user.shopifyId;
+  if (!shopifyCustomerId) {
+    try {
+      const customer = await findCustomerByEmail(user.email);
+      shopifyCustomerId = customer.id;
+    } catch (error) {
+      await releaseLedgerEntry(ledgerRef, LEDGER_STATUS.FAILED, error.message);
+      throw error;
+    }
+  }
+
+  return executeLedgerEntry(ledgerRef, shopifyCustomerId, points);
+}
+
+/**
+ * Finish or roll back one pending ledger entry by comparing Shopify's balance with what was expected
+ * @param {Object} ledgerDoc - Ledger document snapshot
+ * @returns {Promise<string>} Resulting ledger status
+ */
+async function reconcileLedgerEntry(ledgerDoc) {
+  const entry = ledgerDoc.data();
+  const ledgerRef = ledgerDoc.ref;
+
+  // Crashed before the Shopify write was attempted
+  if (entry.balanceBefore === null || entry.balanceBefore === undefined || !entry.shopifyCustomerId) {
+    await releaseLedgerEntry(ledgerRef, LEDGER_STATUS.ROLLED_BACK, 'Interrupted before Shopify update');
+    return LEDGER_STATUS.ROLLED_BACK;
+  }
+
+  const { amount: currentBalance } = await getCustomerLoyaltyPoints(entry.shopifyCustomerId);
+
+  if (currentBalance === entry.expectedBalance) {
+    await commitLedgerEntry(ledgerRef, currentBalance);
+    return LEDGER_STATUS.COMMITTED;
+  }
+
+  if (currentBalance === entry.balanceBefore) {
+    await releaseLedgerEntry(ledgerRef, LEDGER_STATUS.ROLLED_BACK, 'Shopify balance unchanged');
+    return LEDGER_STATUS.ROLLED_BACK;
+  }
+
+  // The balance moved by something else in the meantime; a human has to decide
+  await releaseLedgerEntry(
+    ledgerRef,
+    LEDGER_STATUS.NEEDS_REVIEW,
+    `Shopify balance ${currentBalance} matches neither ${entry.balanceBefore} nor ${entry.expectedBalance}`
+  );
+  return LEDGER_STATUS.NEEDS_REVIEW;
+}
+
+/**
+ * Reconcile ledger entries left pending by crashes or lost Shopify responses
+ * @param {Object} [options]
+ * @param {number} [options.gracePeriodMs] - Skip entries younger than this
+ * @returns {Promise<{checked: number, committed: number, rolledBack: number, needsReview: number, errors: number}>}
+ */
+async function recoverPendingCreditEntries({ gracePeriodMs = RECOVERY_GRACE_PERIOD_MS } = {}) {
+  const cutoff = Date.now() - gracePeriodMs;
+  const snapshot = await db.collection(LEDGER_COLLECTION)
+    .where('status', '==', LEDGER_STATUS.PENDING)
+    .get();
+
+  const summary = { checked: 0, committed: 0, rolledBack: 0, needsReview: 0, errors: 0 };
+
+  for (const doc of snapshot.docs) {
+    const updatedAt = doc.data().updatedAt?.toDate() || doc.data().createdAt?.toDate();
+    if (updatedAt && updatedAt.getTime() > cutoff) {
+      continue;
+    }
+
+    summary.checked += 1;
+
+    try {
+      const status = await reconcileLedgerEntry(doc);
+      if (status === LEDGER_STATUS.COMMITTED) summary.committed += 1;
+      if (status === LEDGER_STATUS.ROLLED_BACK) summary.rolledBack += 1;
+      if (status === LEDGER_STATUS.NEEDS_REVIEW) summary.needsReview += 1;
+
+      logger.info('Reconciled pending credit ledger entry', { ledgerId: doc.id, status });
+    } catch (error) {
+      summary.errors += 1;
+      logger.error('Failed to reconcile credit ledger entry', {
+        ledgerId: doc.id,
+        error: error.message
+      });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Format a credit_history document for API responses
+ * Legacy exchange credits stored the balance in totalLoyaltyPoints
+ * @param {Object} doc - credit_history document snapshot
+ * @returns {Object}
+ */
+function formatCreditHistoryEntry(doc) {
+  const data = doc.data();
+  const balanceAfter = data.balanceAfter ?? data.totalLoyaltyPoints ?? null;
+
+  return {
+    id: doc.id,
+    ...data,
+    direction: data.amount < 0 ? 'debit' : 'credit',
+    balanceAfter,
+    createdAt: data.createdAt?.toDate() || new Date()
+  };
+}
+
+/**
+ * Fill in missing running balances for history entries sorted newest first
+ * An older entry's balance is the newer entry's balance minus the newer entry's amount,
+ * so the entries must be one user's unfiltered history: filter afterwards
+ * @param {Array<Object>} entries - Formatted entries, newest first
+ * @returns {Array<Object>}
+ */
+function withRunningBalances(entries) {
+  for (let i = 1; i < entries.length; i++) {
+    const newer = entries[i - 1];
+    if (entries[i].balanceAfter === null && newer.balanceAfter !== null) {
+      entries[i].balanceAfter = newer.balanceAfter - newer.amount;
+    }
+  }
+  return entries;
+}
+
+/**
+ * A user's credit history, newest first, with running balances
+ * Balances are worked out over the unfiltered history before the type filter
+ * is applied, since the entries filtered out still moved the balance
+ * @param {string} userId - Firebase user ID
+ * @param {Object} [options]
+ * @param {string} [options.type] - Only return entries of this type
+ * @param {number} [options.limit] - Maximum number of entries
+ * @returns {Promise<Array<Object>>}
+ */
+async function getUserCreditHistory(userId, { type = null, limit = 50 } = {}) {
+  const history = [];
+  let matching = [];
+  let lastDoc = null;
+
+  while (matching.length < limit && history.length < HISTORY_SCAN_LIMIT) {
+    let query = db.collection(CREDIT_HISTORY_COLLECTION)
+      .where('userId', '==', userId)
+      .orderBy('createdAt', 'desc')
+      .limit(HISTORY_PAGE_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    history.push(...snapshot.docs.map(formatCreditHistoryEntry));
+    matching = withRunningBalances(history).filter(entry => !type || entry.type === type);
+
+    if (snapshot.size < HISTORY_PAGE_SIZE) {
+      break;
+    }
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return matching.slice(0, limit);
+}
+
+/**
+ * Send the standard response for ledger errors
+ * @param {Error} error - Caught error
+ * @param {Object} res - Express response object
+ * @returns {boolean} True if a response was sent
+ */
+function handleLedgerError(error, res) {
+  if (!error || !error.isLedgerError) {
+    return false;
+  }
+
+  res.status(error.statusCode).json({
+    error: error.message,
+    code: error.code
+  });
+  return true;
+}
+
+module.exports = {
+  LEDGER_STATUS,
+  LEDGER_TYPES,
+  assignExchangeCredit,
+  applyPointsMovement,
+  recoverPendingCreditEntries,
+  formatCreditHistoryEntry,
+  withRunningBalances,
+  getUserCreditHistory,
+  handleLedgerError
+};
@@ -0,0 +1,51 @@
+/**
+ * Local customer identity provider for tests
+ * "Signs in" whoever the login hint names: the authorization URL goes straight
+ * back to the redirect URI with a code carrying the email, without calling
+ * Shopify. Customer IDs are derived from the email so they stay stable.
+ * Only available with NODE_ENV=test and ALLOW_FAKE_CUSTOMER_AUTH=1.
+ */
+const crypto = require('crypto');
+
+const fakeCustomerId = (email) => String(parseInt(crypto.createHash('sha256').update(email).digest('hex').slice(0, 12), 16));
+
+module.exports = {
+  id: 'fake',
+  name: 'Fake Shopify customer accounts',
+
+  getAuthorizationUrl({ redirectUri, state, nonce, codeChallenge, loginHint }) {
+    const code = Buffer.from(JSON.stringify({
+      email: (loginHint || 'customer@example.com').toLowerCase(),
+      nonce,
+      codeChallenge
+    })).toString('base64url');
+
+    const url = new URL(redirectUri);
+    url.searchParams.set('code', code);
+    url.searchParams.set('state', state);
+    return url.toString();
+  },
+
+  async exchangeCode({ code, codeVerifier, nonce }) {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(code, 'base64url').toString('utf8'));
+    } catch (error) {
+      payload = null;
+    }
+
+    const challenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    if (!payload || payload.nonce !== nonce || payload.codeChallenge !== challenge) {
+      const error = new Error('Invalid authorization code');
+      error.code = 'invalid_grant';
+      throw error;
+    }
+
+    return {
+      customerId: fakeCustomerId(payload.email),
+      email: payload.email,
+      firstName: null,
+      lastName: null
+    };
+  }
+};
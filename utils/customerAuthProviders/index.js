@@ -0,0 +1,61 @@
+/**
+ * Identity providers customers can sign in with instead of an emailed code
+ *
+ * Every provider has the same shape:
+ *   id    - Stable identifier stored with each login
+ *   name  - Display name
+ *   getAuthorizationUrl({ redirectUri, state, nonce, codeChallenge, loginHint }) -> string
+ *   exchangeCode({ code, redirectUri, codeVerifier, nonce }) -> Promise<{ customerId, email, firstName, lastName }>
+ *
+ * `customerId` is the numeric Shopify customer ID, the same as users.shopifyId.
+ * Flows use authorization code with PKCE (S256).
+ *
+ * CUSTOMER_AUTH_PROVIDER selects the provider; sign-in with Shopify is off
+ * unless it is set. The fake provider signs in whoever the login hint names,
+ * so it is only ever used with NODE_ENV=test and ALLOW_FAKE_CUSTOMER_AUTH=1
+ * (and is then the default).
+ */
+const fakeProvider = require('./fakeProvider');
+const shopifyProvider = require('./shopifyProvider');
+
+const PROVIDERS = {
+  [fakeProvider.id]: fakeProvider,
+  [shopifyProvider.id]: shopifyProvider
+};
+
+/**
+ * Whether the fake provider was explicitly allowed for a test run
+ * @returns {boolean}
+ */
+function isFakeProviderAllowed() {
+  return process.env.NODE_ENV === 'test' && process.env.ALLOW_FAKE_CUSTOMER_AUTH === '1';
+}
+
+/**
+ * The configured customer identity provider
+ * @returns {Object|null} Provider, or null when sign-in with Shopify is off
+ */
+function getCustomerAuthProvider() {
+  const providerId = process.env.CUSTOMER_AUTH_PROVIDER ||
+    (isFakeProviderAllowed() ? fakeProvider.id : null);
+
+  if (!providerId || providerId === 'none') {
+    return null;
+  }
+
+  // Selecting it is not enough: anyone could sign in as anyone
+  if (providerId === fakeProvider.id && !isFakeProviderAllowed()) {
+    return null;
+  }
+
+  const provider = PROVIDERS[providerId];
+  if (!provider) {
+    throw new Error(`Unknown customer auth provider "${providerId}"`);
+  }
+
+  return provider;
+}
+
+module.exports = {
+  getCustomerAuthProvider
+};
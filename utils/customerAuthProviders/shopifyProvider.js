@@ -0,0 +1,119 @@
+/**
+ * Sign in with a Shopify customer account (Customer Account API, OpenID Connect)
+ *
+ * Needs a confidential client set up under the store's Customer Account API
+ * settings, with the redirect URI registered:
+ *   SHOPIFY_CUSTOMER_ACCOUNT_SHOP_ID       - Numeric shop ID
+ *   SHOPIFY_CUSTOMER_ACCOUNT_CLIENT_ID
+ *   SHOPIFY_CUSTOMER_ACCOUNT_CLIENT_SECRET
+ *
+ * The ID token comes straight from the token endpoint over TLS, so only its
+ * nonce is checked; the customer itself is read from the Customer Account API
+ * with the access token.
+ */
+const axios = require('axios');
+
+const API_VERSION = '2024-07';
+const SCOPES = 'openid email customer-account-api:full';
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Client settings from the environment
+ * @returns {{shopId: string, clientId: string, clientSecret: string}}
+ */
+function getConfig() {
+  const shopId = process.env.SHOPIFY_CUSTOMER_ACCOUNT_SHOP_ID;
+  const clientId = process.env.SHOPIFY_CUSTOMER_ACCOUNT_CLIENT_ID;
+  const clientSecret = process.env.SHOPIFY_CUSTOMER_ACCOUNT_CLIENT_SECRET;
+
+  if (!shopId || !clientId || !clientSecret) {
+    throw new Error('Shopify customer account login is not configured');
+  }
+  return { shopId, clientId, clientSecret };
+}
+
+/**
+ * Claims of a JWT, without verifying its signature
+ * @returns {Object}
+ */
+function decodeJwtPayload(token) {
+  const [, payload] = String(token || '').split('.');
+  return JSON.parse(Buffer.from(payload || '', 'base64url').toString('utf8') || '{}');
+}
+
+module.exports = {
+  id: 'shopify',
+  name: 'Shopify customer accounts',
+
+  getAuthorizationUrl({ redirectUri, state, nonce, codeChallenge, loginHint }) {
+    const { shopId, clientId } = getConfig();
+
+    const url = new URL(`https://shopify.com/authentication/${shopId}/oauth/authorize`);
+    url.searchParams.set('scope', SCOPES);
+    url.searchParams.set('client_id', clientId);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    if (loginHint) {
+      url.searchParams.set('login_hint', loginHint);
+    }
+    return url.toString();
+  },
+
+  async exchangeCode({ code, redirectUri, codeVerifier, nonce }) {
+    const { shopId, clientId, clientSecret } = getConfig();
+
+    const tokenResponse = await axios.post(
+      `https://shopify.com/authentication/${shopId}/oauth/token`,
+      new URLSearchParams({
+        grant_type: 'authorization_code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        code,
+        code_verifier: codeVerifier
+      }).toString(),
+      {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`
+        },
+        timeout: REQUEST_TIMEOUT_MS
+      }
+    );
+
+    const { access_token: accessToken, id_token: idToken } = tokenResponse.data;
+    if (decodeJwtPayload(idToken).nonce !== nonce) {
+      const error = new Error('ID token nonce does not match');
+      error.code = 'invalid_nonce';
+      throw error;
+    }
+
+    const customerResponse = await axios.post(
+      `https://shopify.com/${shopId}/account/customer/api/${API_VERSION}/graphql`,
+      { query: 'query { customer { id firstName lastName emailAddress { emailAddress } } }' },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: accessToken
+        },
+        timeout: REQUEST_TIMEOUT_MS
+      }
+    );
+
+    const customer = customerResponse.data?.data?.customer;
+    if (!customer) {
+      throw new Error('Shopify did not return the customer');
+    }
+
+    return {
+      // gid://shopify/Customer/123 -> 123, the ID the Admin API uses
+      customerId: customer.id.split('/').pop(),
+      email: customer.emailAddress?.emailAddress?.toLowerCase() || null,
+      firstName: customer.firstName || null,
+      lastName: customer.lastName || null
+    };
+  }
+};
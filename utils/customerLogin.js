@@ -0,0 +1,174 @@
+/**
+ * Sign in with a Shopify customer account
+ *
+ * startCustomerLogin() stores a single-use state with the PKCE verifier and
+ * nonce in `customer_login_states` and returns the provider's authorization
+ * URL. The provider sends the customer back to the client's callback page,
+ * which posts the code and state to completeCustomerLogin(). States expire
+ * after ten minutes.
+ */
+const crypto = require('crypto');
+const { db } = require('./firebaseAdmin');
+const { toDate } = require('./exchangeFormatter');
+const { logger } = require('./logger');
+const { getCustomerAuthProvider } = require('./customerAuthProviders');
+
+const LOGIN_STATES_COLLECTION = 'customer_login_states';
+const STATE_TTL_MINUTES = 10;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Create an error carrying an HTTP status and machine-readable code
+ * @returns {Error}
+ */
+function createCustomerLoginError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.isCustomerLoginError = true;
+  return error;
+}
+
+/**
+ * The configured provider, or an error when sign-in with Shopify is off
+ * @returns {Object}
+ */
+function requireProvider() {
+  const provider = getCustomerAuthProvider();
+  if (!provider) {
+    throw createCustomerLoginError('Sign in with Shopify is not available', 'CUSTOMER_LOGIN_DISABLED', 503);
+  }
+  return provider;
+}
+
+/**
+ * Where the provider sends customers back to
+ * @returns {string}
+ */
+function getRedirectUri() {
+  return process.env.CUSTOMER_AUTH_REDIRECT_URI ||
+    `${process.env.APP_URL || 'https://swapcred.com'}/login/shopify/callback`;
+}
+
+/**
+ * Begin a sign-in
+ * @param {Object} [options] - { loginHint, ip }
+ * @returns {Promise<{authorizationUrl: string, provider: string, expiresAt: Date}>}
+ */
+async function startCustomerLogin({ loginHint = null, ip = null } = {}) {
+  const provider = requireProvider();
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const redirectUri = getRedirectUri();
+  const expiresAt = new Date(Date.now() + STATE_TTL_MINUTES * 60 * 1000);
+
+  const authorizationUrl = provider.getAuthorizationUrl({
+    redirectUri,
+    state,
+    nonce,
+    codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    loginHint
+  });
+
+  await db.collection(LOGIN_STATES_COLLECTION).doc(hash(state)).set({
+    provider: provider.id,
+    nonce,
+    codeVerifier,
+    redirectUri,
+    ip,
+    createdAt: new Date(),
+    expiresAt
+  });
+
+  return { authorizationUrl, provider: provider.id, expiresAt };
+}
+
+/**
+ * Finish a sign-in: check the state and exchange the code for the customer
+ * @param {Object} params - { code, state } from the callback
+ * @returns {Promise<{customerId: string, email: string, firstName: string|null, lastName: string|null, provider: string}>}
+ */
+async function completeCustomerLogin({ code, state }) {
+  const provider = requireProvider();
+  const stateRef = db.collection(LOGIN_STATES_COLLECTION).doc(hash(state));
+
+  // Single use: the state is deleted whether or not the exchange succeeds
+  const stored = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(stateRef);
+    if (!doc.exists) {
+      return null;
+    }
+    transaction.delete(stateRef);
+    return doc.data();
+  });
+
+  if (!stored || stored.provider !== provider.id || toDate(stored.expiresAt) < new Date()) {
+    throw createCustomerLoginError('This sign-in link has expired. Please try again.', 'INVALID_LOGIN_STATE', 400);
+  }
+
+  let customer;
+  try {
+    customer = await provider.exchangeCode({
+      code,
+      redirectUri: stored.redirectUri,
+      codeVerifier: stored.codeVerifier,
+      nonce: stored.nonce
+    });
+  } catch (error) {
+    logger.warn('Customer sign-in code exchange failed', {
+      provider: provider.id,
+      error: error.message,
+      status: error.response?.status
+    });
+    throw createCustomerLoginError('Shopify could not confirm your sign-in. Please try again.', 'CUSTOMER_LOGIN_FAILED', 401);
+  }
+
+  if (!customer.customerId || !customer.email) {
+    throw createCustomerLoginError('Your Shopify account has no email address', 'CUSTOMER_EMAIL_MISSING', 422);
+  }
+
+  return { ...customer, provider: provider.id };
+}
+
+/**
+ * Delete sign-in states that were never completed
+ * @returns {Promise<{deleted: number}>}
+ */
+async function purgeExpiredLoginStates() {
+  const snapshot = await db.collection(LOGIN_STATES_COLLECTION)
+    .where('expiresAt', '<', new Date())
+    .limit(500)
+    .get();
+
+  const batch = db.batch();
+  snapshot.docs.forEach(doc => batch.delete(doc.ref));
+  await batch.commit();
+
+  return { deleted: snapshot.size };
+}
+
+/**
+ * Send the response for a customer sign-in error
+ * @param {Error} error - Error thrown by this module
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the error was handled
+ */
+function handleCustomerLoginError(error, res) {
+  if (!error || !error.isCustomerLoginError) {
+    return false;
+  }
+
+  res.status(error.statusCode).json({ error: error.message, code: error.code });
+  return true;
+}
+
+module.exports = {
+  startCustomerLogin,
+  completeCustomerLogin,
+  purgeExpiredLoginStates,
+  handleCustomerLoginError
+};
@@ -0,0 +1,384 @@
+/**
+ * Single-use Shopify discount codes bought with loyalty points
+ *
+ * Points are debited through the credit ledger before the code is created in
+ * Shopify, and refunded if Shopify rejects it. Codes that are still unused when
+ * they expire are removed from Shopify and their points are refunded by
+ * expireDiscountCodes(), which runs on a schedule.
+ *
+ * A code is refunded at most once: the refund ledger entry has a fixed ID
+ * (discount_refund_<code ID>) and its commit records the refund on the code.
+ * An expired code's price rule is only deleted after that commit, so a run
+ * that fails halfway is finished by the next one. The refund gives back the
+ * credits the purchase used up (see utils/pointsExpiry.js), so refunded points
+ * still expire when they would have.
+ */
+const crypto = require('crypto');
+const { db } = require('./firebaseAdmin');
+const { logger } = require('./logger');
+const {
+  createCustomerDiscountCode,
+  getDiscountCodeUsage,
+  deletePriceRule
+} = require('./shopify');
+const { LEDGER_TYPES, LEDGER_STATUS, applyPointsMovement } = require('./creditLedger');
+const { getConsumedLots } = require('./pointsExpiry');
+const { toDate } = require('./exchangeFormatter');
+
+const DISCOUNT_CODES_COLLECTION = 'discount_codes';
+const LEDGER_COLLECTION = 'credit_ledger';
+
+const DISCOUNT_CODE_STATUS = {
+  DEBIT_PENDING: 'debit_pending',
+  ACTIVE: 'active',
+  USED: 'used',
+  EXPIRED: 'expired',
+  FAILED: 'failed',
+  NEEDS_REVIEW: 'needs_review'
+};
+
+// 1 loyalty point is worth 1 unit of store currency (INR)
+const POINT_VALUE = 1;
+const DEFAULT_EXPIRY_DAYS = 30;
+
+// Codes whose debit is unresolved are left alone this long, so a purchase still in flight can finish
+const DEBIT_SETTLE_GRACE_PERIOD_MS = 15 * 60 * 1000;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const SYSTEM_ACTOR = { uid: null, email: null, role: 'system' };
+
+/**
+ * Number of days a new discount code stays valid
+ * @returns {number}
+ */
+function getExpiryDays() {
+  return parseInt(process.env.DISCOUNT_CODE_EXPIRY_DAYS) || DEFAULT_EXPIRY_DAYS;
+}
+
+/**
+ * Generate a human friendly code, e.g. SWAP-7KQ2-M9XD
+ * @returns {string}
+ */
+function generateCode() {
+  const bytes = crypto.randomBytes(8);
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `SWAP-${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+/**
+ * Give the points of a discount code back to the customer, at most once
+ * @param {Object} codeDoc - discount_codes document snapshot
+ * @param {string} reason - Why the points are refunded
+ * @param {Object} [metadata] - Extra data for the ledger entry, e.g. { usageCount }
+ * @returns {Promise<Object>} Committed refund ledger entry (the earlier one if already refunded)
+ */
+async function refundDiscountCodePoints(codeDoc, reason, metadata = {}) {
+  const data = codeDoc.data();
+
+  // Give back the lots the purchase used up, so the points keep their expiry date
+  const debitDoc = data.ledgerId ? await db.collection(LEDGER_COLLECTION).doc(data.ledgerId).get() : null;
+  const restoredLots = debitDoc?.exists ? debitDoc.data().metadata?.consumedLots : null;
+
+  return applyPointsMovement({
+    type: LEDGER_TYPES.DISCOUNT_REFUND,
+    amount: data.points,
+    user: { uid: data.userId, email: data.userEmail, shopifyId: data.shopifyCustomerId },
+    actor: SYSTEM_ACTOR,
+    reason,
+    metadata: {
+      ...metadata,
+      reference: data.code,
+      discountCodeId: codeDoc.id,
+      ...(restoredLots ? { restoredLots } : {})
+    },
+    ledgerId: `discount_refund_${codeDoc.id}`
+  });
+}
+
+/**
+ * Convert loyalty points into a single-use discount code for the customer
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated user ({ uid, email, shopifyId })
+ * @param {number} params.points - Whole number of points to convert
+ * @returns {Promise<Object>} Stored discount code
+ */
+async function createDiscountCodeFromPoints({ user, points }) {
+  const code = generateCode();
+  const value = points * POINT_VALUE;
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + getExpiryDays());
+
+  // Recorded on the debit so a refund gives back the same lots, expiry dates included
+  const consumedLots = await getConsumedLots(user.uid, points);
+
+  const codeRef = db.collection(DISCOUNT_CODES_COLLECTION).doc();
+  await codeRef.set({
+    userId: user.uid,
+    userEmail: user.email,
+    code,
+    points,
+    value,
+    currency: 'INR',
+    status: DISCOUNT_CODE_STATUS.DEBIT_PENDING,
+    shopifyCustomerId: null,
+    priceRuleId: null,
+    shopifyDiscountCodeId: null,
+    ledgerId: null,
+    refundLedgerId: null,
+    expiresAt,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  });
+
+  let debit;
+  try {
+    debit = await applyPointsMovement({
+      type: LEDGER_TYPES.DISCOUNT_CODE,
+      amount: -points,
+      user,
+      actor: { uid: user.uid, email: user.email, role: 'customer' },
+      reason: `Converted to discount code ${code}`,
+      metadata: { reference: code, discountCodeId: codeRef.id, consumedLots }
+    });
+  } catch (error) {
+    // With a Shopify answer or a rejected request nothing was debited. Otherwise the
+    // ledger entry is still pending and the expiry job settles this code once it resolves.
+    if (error.statusCode) {
+      await codeRef.update({ status: DISCOUNT_CODE_STATUS.FAILED, error: error.message, updatedAt: new Date() });
+    }
+    throw error;
+  }
+
+  await codeRef.update({
+    ledgerId: debit.id,
+    shopifyCustomerId: debit.shopifyCustomerId,
+    updatedAt: new Date()
+  });
+
+  let created;
+  try {
+    created = await createCustomerDiscountCode({
+      customerId: debit.shopifyCustomerId,
+      amount: value,
+      code,
+      expiresAt,
+      title: `Loyalty points ${code}`
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      // The code may exist in Shopify; refunding could let the points be spent twice
+      await codeRef.update({ status: DISCOUNT_CODE_STATUS.NEEDS_REVIEW, error: error.message, updatedAt: new Date() });
+      logger.error('Discount code creation outcome unknown, flagged for review', {
+        discountCodeId: codeRef.id,
+        error: error.message
+      });
+      throw error;
+    }
+
+    await refundDiscountCodePoints(await codeRef.get(), `Discount code ${code} could not be created`);
+    await codeRef.update({
+      status: DISCOUNT_CODE_STATUS.FAILED,
+      error: error.message,
+      updatedAt: new Date()
+    });
+    throw error;
+  }
+
+  // Only activate a code the expiry job hasn't settled (and refunded) in the meantime
+  const activated = await db.runTransaction(async (transaction) => {
+    const current = await transaction.get(codeRef);
+    if (current.data().status !== DISCOUNT_CODE_STATUS.DEBIT_PENDING) {
+      return false;
+    }
+    transaction.update(codeRef, {
+      status: DISCOUNT_CODE_STATUS.ACTIVE,
+      priceRuleId: created.priceRuleId,
+      shopifyDiscountCodeId: created.discountCodeId,
+      updatedAt: new Date()
+    });
+    return true;
+  });
+
+  if (!activated) {
+    // Its points were given back, so the code must not stay usable
+    await deletePriceRule(created.priceRuleId);
+    throw new Error(`Discount code ${code} was settled before it could be activated`);
+  }
+
+  const codeDoc = await codeRef.get();
+  return formatDiscountCode(codeDoc);
+}
+
+/**
+ * Settle a code whose debit outcome was unknown when it was requested
+ * @param {Object} codeDoc - discount_codes document snapshot
+ * @returns {Promise<string|null>} New status, or null if the debit is still unresolved
+ */
+async function settleDebitPendingCode(codeDoc) {
+  // The purchase may still be creating the code in Shopify
+  const updatedAt = toDate(codeDoc.data().updatedAt) || toDate(codeDoc.data().createdAt);
+  if (updatedAt && Date.now() - updatedAt.getTime() < DEBIT_SETTLE_GRACE_PERIOD_MS) {
+    return null;
+  }
+
+  const ledgerSnapshot = await db.collection(LEDGER_COLLECTION)
+    .where('metadata.discountCodeId', '==', codeDoc.id)
+    .where('type', '==', LEDGER_TYPES.DISCOUNT_CODE)
+    .limit(1)
+    .get();
+
+  const entry = ledgerSnapshot.empty ? null : ledgerSnapshot.docs[0].data();
+  if (entry && (entry.status === LEDGER_STATUS.PENDING || entry.status === LEDGER_STATUS.NEEDS_REVIEW)) {
+    return null;
+  }
+
+  // Claim the code, so a purchase finishing now can no longer activate it
+  const claimed = await db.runTransaction(async (transaction) => {
+    const current = await transaction.get(codeDoc.ref);
+    if (current.data().status !== DISCOUNT_CODE_STATUS.DEBIT_PENDING) {
+      return false;
+    }
+    transaction.update(codeDoc.ref, {
+      status: DISCOUNT_CODE_STATUS.FAILED,
+      ledgerId: ledgerSnapshot.empty ? null : ledgerSnapshot.docs[0].id,
+      updatedAt: new Date()
+    });
+    return true;
+  });
+
+  if (!claimed) {
+    return null;
+  }
+
+  // The points were taken but no code was ever created: give them back
+  if (entry && entry.status === LEDGER_STATUS.COMMITTED) {
+    await refundDiscountCodePoints(await codeDoc.ref.get(), `Discount code ${codeDoc.data().code} could not be created`);
+  }
+
+  return DISCOUNT_CODE_STATUS.FAILED;
+}
+
+/**
+ * Expire an active code: keep it if it was used, otherwise refund its points and remove it
+ * Safe to run again after a failure at any step.
+ * @param {Object} codeDoc - discount_codes document snapshot
+ * @returns {Promise<string>} New status
+ */
+async function expireActiveCode(codeDoc) {
+  const data = codeDoc.data();
+
+  // Refunded by an earlier run, which recorded the usage with it; the price rule may be gone already
+  if (!data.refundLedgerId) {
+    // The price rule ends at expiresAt, so the usage count can no longer change
+    let usageCount;
+    try {
+      usageCount = await getDiscountCodeUsage(data.priceRuleId, data.shopifyDiscountCodeId);
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+      // Removed outside of this job before its usage was known
+      await codeDoc.ref.update({
+        status: DISCOUNT_CODE_STATUS.NEEDS_REVIEW,
+        error: 'Price rule was deleted before its usage was recorded',
+        updatedAt: new Date()
+      });
+      return DISCOUNT_CODE_STATUS.NEEDS_REVIEW;
+    }
+
+    if (usageCount > 0) {
+      await codeDoc.ref.update({
+        status: DISCOUNT_CODE_STATUS.USED,
+        usageCount,
+        updatedAt: new Date()
+      });
+      return DISCOUNT_CODE_STATUS.USED;
+    }
+
+    // The commit records usageCount and refundLedgerId on the code
+    await refundDiscountCodePoints(codeDoc, `Discount code ${data.code} expired unused`, { usageCount });
+  }
+
+  // A 404 means an earlier run already deleted it
+  await deletePriceRule(data.priceRuleId);
+
+  await codeDoc.ref.update({
+    status: DISCOUNT_CODE_STATUS.EXPIRED,
+    expiredAt: new Date(),
+    updatedAt: new Date()
+  });
+  return DISCOUNT_CODE_STATUS.EXPIRED;
+}
+
+/**
+ * Scheduled job: expire unused codes, refunding their points, and settle codes
+ * whose points debit was left unresolved
+ * @returns {Promise<{checked: number, used: number, expired: number, failed: number, needsReview: number, errors: number}>}
+ */
+async function expireDiscountCodes() {
+  const result = { checked: 0, used: 0, expired: 0, failed: 0, needsReview: 0, errors: 0 };
+  const collection = db.collection(DISCOUNT_CODES_COLLECTION);
+
+  const [activeSnapshot, debitPendingSnapshot] = await Promise.all([
+    collection
+      .where('status', '==', DISCOUNT_CODE_STATUS.ACTIVE)
+      .where('expiresAt', '<=', new Date())
+      .get(),
+    collection
+      .where('status', '==', DISCOUNT_CODE_STATUS.DEBIT_PENDING)
+      .get()
+  ]);
+
+  const work = [
+    ...activeSnapshot.docs.map(doc => [doc, expireActiveCode]),
+    ...debitPendingSnapshot.docs.map(doc => [doc, settleDebitPendingCode])
+  ];
+
+  // One at a time: refunds for the same customer are serialized by the ledger lock anyway
+  for (const [codeDoc, handler] of work) {
+    result.checked++;
+    try {
+      const status = await handler(codeDoc);
+      if (status === DISCOUNT_CODE_STATUS.USED) result.used++;
+      if (status === DISCOUNT_CODE_STATUS.EXPIRED) result.expired++;
+      if (status === DISCOUNT_CODE_STATUS.FAILED) result.failed++;
+      if (status === DISCOUNT_CODE_STATUS.NEEDS_REVIEW) result.needsReview++;
+    } catch (error) {
+      result.errors++;
+      logger.error('Error expiring discount code', {
+        discountCodeId: codeDoc.id,
+        error: error.message
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Format a discount code document for API responses
+ * @param {Object} doc - discount_codes document snapshot
+ * @returns {Object}
+ */
+function formatDiscountCode(doc) {
+  const data = doc.data();
+
+  return {
+    id: doc.id,
+    code: data.code,
+    points: data.points,
+    value: data.value,
+    currency: data.currency,
+    status: data.status,
+    expiresAt: toDate(data.expiresAt),
+    createdAt: toDate(data.createdAt)
+  };
+}
+
+module.exports = {
+  DISCOUNT_CODES_COLLECTION,
+  DISCOUNT_CODE_STATUS,
+  createDiscountCodeFromPoints,
+  expireDiscountCodes,
+  formatDiscountCode
+};
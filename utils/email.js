@@ -1,9 +1,16 @@
 // Load polyfills first
 require('./polyfills').setup();
 
+const { AsyncLocalStorage } = require('async_hooks');
 const { Resend } = require('resend');
 require('dotenv').config();
 
+// Resend accepts at most this many emails per batch request
+const MAX_BATCH_SIZE = 100;
+
+// Emails queued by sendEmail() while inside withEmailBatch()
+const emailBatch = new AsyncLocalStorage();
+
 // Initialize Resend with API key or use a mock if not available
 let resend;
 if (process.env.RESEND_API_KEY) {
@@ -17,27 +24,59 @@ if (process.env.RESEND_API_KEY) {
         console.log('MOCK EMAIL SENT:', options);
         return { id: 'mock_email_id', success: true };
       }
+    },
+    batch: {
+      send: async (messages) => {
+        console.log(`MOCK BATCH OF ${messages.length} EMAILS SENT:`, messages.map(message => `${message.to}: ${message.subject}`));
+        return { data: messages.map(() => ({ id: 'mock_email_id' })) };
+      }
     }
   };
 }
 
+/**
+ * Escape text typed by a person (customer or staff) before putting it in an email's HTML
+ * @param {string} value Text to escape
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Send an email using Resend
  * @param {string} to Recipient email address
  * @param {string} subject Email subject
  * @param {string} html Email HTML content
  * @param {string} text Email plain text content (optional)
+ * @param {object} options Extra options (optional): attachments as [{ filename, content }]
  * @returns {Promise} Promise resolving to send result
  */
-async function sendEmail(to, subject, html, text) {
+async function sendEmail(to, subject, html, text, options = {}) {
+  const message = {
+    from: 'SwapCred <onboarding@resend.dev>',
+    to,
+    subject,
+    html,
+    text: text || html.replace(/<[^>]*>/g, ''), // Strip HTML tags for plain text version
+    ...(options.attachments && options.attachments.length ? { attachments: options.attachments } : {})
+  };
+  
+  // Inside withEmailBatch() the email goes out with the rest of the batch
+  // (batches can't carry attachments, so those are still sent right away)
+  const queue = emailBatch.getStore();
+  if (queue && !message.attachments) {
+    queue.push(message);
+    return { id: 'queued', queued: true };
+  }
+  
   try {
-    const data = await resend.emails.send({
-      from: 'SwapCred <onboarding@resend.dev>',
-      to,
-      subject,
-      html,
-      text: text || html.replace(/<[^>]*>/g, ''), // Strip HTML tags for plain text version
-    });
+    const data = await resend.emails.send(message);
     
     console.log('Email sent successfully:', data);
     return data;
@@ -48,13 +87,43 @@ async function sendEmail(to, subject, html, text) {
   }
 }
 
+/**
+ * Run a function and send every email it triggers in batches afterwards
+ * Used by bulk operations so a hundred updates make one request to Resend, not a hundred
+ * @param {Function} fn Async function whose emails should be batched
+ * @returns {Promise<{result: *, emails: {sent: number, failed: number}}>} fn's result and the send outcome
+ */
+async function withEmailBatch(fn) {
+  const queue = [];
+  const result = await emailBatch.run(queue, fn);
+  
+  const emails = { sent: 0, failed: 0 };
+  for (let i = 0; i < queue.length; i += MAX_BATCH_SIZE) {
+    const chunk = queue.slice(i, i + MAX_BATCH_SIZE);
+    try {
+      const response = await resend.batch.send(chunk);
+      if (response && response.error) {
+        throw new Error(response.error.message || String(response.error));
+      }
+      emails.sent += chunk.length;
+    } catch (error) {
+      console.error('Error sending email batch:', error);
+      // Don't throw, the work the emails are about is already done
+      emails.failed += chunk.length;
+    }
+  }
+  
+  return { result, emails };
+}
+
 /**
  * Send an email notification when an exchange request is approved
  * @param {string} to Recipient email address
  * @param {object} exchangeData Exchange request data
+ * @param {object} label Prepaid shipping label (optional): { carrierName, trackingNumber, pdf }
  * @returns {Promise} Promise resolving to send result
  */
-async function sendApprovalEmail(to, exchangeData) {
+async function sendApprovalEmail(to, exchangeData, label) {
   const subject = 'Your Exchange Request Has Been Approved';
   
   // Extract warehouse info
@@ -81,6 +150,7 @@ async function sendApprovalEmail(to, exchangeData) {
         .content { border: 1px solid #ddd; border-top: none; padding: 20px; border-radius: 0 0 5px 5px; }
         .product { margin-bottom: 20px; padding-bottom: 20px; border-bottom: 1px solid #eee; }
         .warehouse { background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin-bottom: 20px; }
+        .label { background-color: #fff8e1; padding: 15px; border-radius: 5px; margin-bottom: 20px; }
         .next-steps { background-color: #e8f5e9; padding: 15px; border-radius: 5px; }
         .button { display: inline-block; background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; }
         .footer { margin-top: 30px; font-size: 12px; color: #777; text-align: center; }
@@ -109,12 +179,24 @@ async function sendApprovalEmail(to, exchangeData) {
           ${warehouse.contactPhone ? `<p><strong>Phone:</strong> ${warehouse.contactPhone}</p>` : ''}
         </div>
         
+        ${label ? `
+        <div class="label">
+          <h3>Your Prepaid Shipping Label</h3>
+          <p>We've paid for shipping. Your label is attached to this email and can also be downloaded from your exchange details.</p>
+          <p><strong>Carrier:</strong> ${label.carrierName}<br>
+          <strong>Tracking Number:</strong> ${label.trackingNumber}</p>
+        </div>
+        ` : ''}
+        
         <div class="next-steps">
           <h3>Next Steps</h3>
           <ol>
             <li>Package your item carefully</li>
-            <li>Ship it to the warehouse address above</li>
-            <li>Update your shipping details in your account</li>
+            ${label
+              ? `<li>Print the attached label, stick it on the package and hand it to ${label.carrierName}</li>
+            <li>Confirm the shipping date in your account</li>`
+              : `<li>Ship it to the warehouse address above</li>
+            <li>Update your shipping details in your account</li>`}
             <li>Once we receive your item, we'll process your credit</li>
           </ol>
         </div>
@@ -136,6 +218,223 @@ async function sendApprovalEmail(to, exchangeData) {
     </html>
   `;
 
+  const attachments = label && label.pdf
+    ? [{ filename: `shipping-label-${label.trackingNumber}.pdf`, content: label.pdf }]
+    : [];
+
+  return sendEmail(to, subject, html, undefined, { attachments });
+}
+
+/**
+ * Send a credit quote the customer needs to accept before shipping
+ * @param {string} to Recipient email address
+ * @param {object} exchangeData Exchange request data including the quote
+ * @returns {Promise} Promise resolving to send result
+ */
+async function sendQuoteEmail(to, exchangeData) {
+  const subject = 'Your SwapCred Exchange Quote Is Ready';
+  const quote = exchangeData.quote || {};
+  const expiryDate = new Date(quote.expiresAt).toLocaleDateString('en-IN', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+  });
+  const range = quote.minCredit === quote.maxCredit
+    ? `₹${quote.minCredit}`
+    : `₹${quote.minCredit} – ₹${quote.maxCredit}`;
+  
+  // Create email content
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Exchange Quote</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #3f51b5; color: white; padding: 15px; text-align: center; border-radius: 5px 5px 0 0; }
+        .content { border: 1px solid #ddd; border-top: none; padding: 20px; border-radius: 0 0 5px 5px; }
+        .quote-info { background-color: #e8eaf6; padding: 25px; border-radius: 5px; text-align: center; margin: 20px 0; }
+        .amount { font-size: 32px; font-weight: bold; color: #3f51b5; margin: 10px 0; }
+        .product { margin-bottom: 20px; padding-bottom: 20px; border-bottom: 1px solid #eee; }
+        .button { display: inline-block; background-color: #3f51b5; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; }
+        .footer { margin-top: 30px; font-size: 12px; color: #777; text-align: center; }
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <h1>Your Exchange Quote Is Ready</h1>
+      </div>
+      <div class="content">
+        <p>Hello,</p>
+        <p>We've reviewed your exchange request and would like to make you an offer.</p>
+        
+        <div class="product">
+          <h3>${exchangeData.productName}</h3>
+          <p><strong>Brand:</strong> ${exchangeData.brand}</p>
+          <p><strong>Condition:</strong> ${exchangeData.condition}</p>
+        </div>
+        
+        <div class="quote-info">
+          <p>Estimated credit</p>
+          <div class="amount">${range}</div>
+          <p>in loyalty points, final amount confirmed after inspection</p>
+          ${quote.note ? `<p>${quote.note}</p>` : ''}
+        </div>
+        
+        <p>Please accept or reject this quote in your dashboard by <strong>${expiryDate}</strong>. Once you accept, we'll send you the warehouse address to ship your item to.</p>
+        
+        <p style="margin-top: 30px; text-align: center;">
+          <a href="https://swapcred.com/dashboard" class="button">Review Quote</a>
+        </p>
+        
+        <p>Thank you for choosing SwapCred!</p>
+        
+        <div class="footer">
+          <p>© 2023 SwapCred. All rights reserved.</p>
+          <p>This is an automated email, please do not reply directly to this message.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail(to, subject, html);
+}
+
+/**
+ * Send a short confirmation that the customer's item arrived at the warehouse
+ * @param {string} to Recipient email address
+ * @returns {Promise} Promise resolving to send result
+ */
+async function sendItemReceivedEmail(to) {
+  const subject = 'Your item has been received';
+  const text = `We have received your item at our warehouse. Our team will inspect it and assign credit to your account soon. Thank you for your patience.`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #4CAF50;">Item Received</h2>
+      <p>We have received your item at our warehouse.</p>
+      <p>Our team will inspect it and assign credit to your account soon.</p>
+      <p>Thank you for your patience.</p>
+      <hr>
+      <p style="font-size: 12px; color: #777;">This is an automated message from SwapCred.</p>
+    </div>
+  `;
+
+  return sendEmail(to, subject, html, text);
+}
+
+/**
+ * Send the result of an inspection that found a different condition than declared
+ * @param {string} to Recipient email address
+ * @param {object} exchangeData Exchange request data
+ * @param {object} report Inspection report (measuredCondition, declaredCondition, offeredCredit)
+ * @returns {Promise} Promise resolving to send result
+ */
+async function sendInspectionResultEmail(to, exchangeData, report) {
+  const subject = 'Your item has been inspected';
+  const text = `We inspected your ${exchangeData.productName} and found its condition to be "${report.measuredCondition}" rather than "${report.declaredCondition}". We can offer ${report.offeredCredit} loyalty points for it. Please accept the adjusted credit or open a dispute from your dashboard.`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #ff9800;">Inspection Result</h2>
+      <p>We inspected your <strong>${escapeHtml(exchangeData.productName)}</strong> and found its condition to be <strong>${report.measuredCondition}</strong> rather than <strong>${report.declaredCondition}</strong>.</p>
+      <p>We can offer <strong>₹${report.offeredCredit}</strong> in loyalty points for it.</p>
+      <p>Please accept the adjusted credit or open a dispute from your dashboard.</p>
+      <hr>
+      <p style="font-size: 12px; color: #777;">This is an automated message from SwapCred.</p>
+    </div>
+  `;
+
+  return sendEmail(to, subject, html, text);
+}
+
+/**
+ * Send the final credit of a disputed inspection, with the reviewer's note
+ * @param {string} to Recipient email address
+ * @param {object} exchangeData Exchange request data
+ * @param {object} resolution { finalCredit, note }
+ * @returns {Promise} Promise resolving to send result
+ */
+async function sendDisputeResolvedEmail(to, exchangeData, { finalCredit, note }) {
+  const subject = 'Your dispute has been resolved';
+  const text = `We have reviewed your dispute. The final credit for your ${exchangeData.productName} is ${finalCredit} loyalty points. ${note}`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #3f51b5;">Dispute Resolved</h2>
+      <p>We have reviewed your dispute about the inspection of your <strong>${escapeHtml(exchangeData.productName)}</strong>.</p>
+      <p>The final credit is <strong>₹${finalCredit}</strong> in loyalty points.</p>
+      <p>${escapeHtml(note)}</p>
+      <hr>
+      <p style="font-size: 12px; color: #777;">This is an automated message from SwapCred.</p>
+    </div>
+  `;
+
+  return sendEmail(to, subject, html, text);
+}
+
+/**
+ * Send an email telling the customer their rejected item is being shipped back
+ * @param {string} to Recipient email address
+ * @param {object} exchangeData Exchange request data including returnDetails
+ * @returns {Promise} Promise resolving to send result
+ */
+async function sendReturnEmail(to, exchangeData) {
+  const subject = 'Your Item Is Being Returned';
+  const returnDetails = exchangeData.returnDetails || {};
+  
+  // Create email content
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Item Returned</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #607d8b; color: white; padding: 15px; text-align: center; border-radius: 5px 5px 0 0; }
+        .content { border: 1px solid #ddd; border-top: none; padding: 20px; border-radius: 0 0 5px 5px; }
+        .product { margin-bottom: 20px; padding-bottom: 20px; border-bottom: 1px solid #eee; }
+        .reason { background-color: #fff3e0; padding: 15px; border-radius: 5px; margin-bottom: 20px; }
+        .tracking { background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin-bottom: 20px; }
+        .footer { margin-top: 30px; font-size: 12px; color: #777; text-align: center; }
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <h1>Your Item Is on Its Way Back</h1>
+      </div>
+      <div class="content">
+        <p>Hello,</p>
+        <p>Unfortunately we were unable to accept the item you sent us for exchange, so we are shipping it back to you.</p>
+        
+        <div class="product">
+          <h3>${exchangeData.productName}</h3>
+          <p><strong>Brand:</strong> ${exchangeData.brand}</p>
+        </div>
+        
+        <div class="reason">
+          <h3>Why It Was Rejected</h3>
+          <p>${returnDetails.reason}</p>
+        </div>
+        
+        <div class="tracking">
+          <h3>Return Shipment</h3>
+          <p><strong>Carrier:</strong> ${returnDetails.carrierName}</p>
+          <p><strong>Tracking Number:</strong> ${returnDetails.trackingNumber}</p>
+          ${returnDetails.address ? `<p><strong>Shipping To:</strong> ${returnDetails.address}</p>` : ''}
+        </div>
+        
+        <p>If you have any questions, please don't hesitate to contact our support team.</p>
+        
+        <div class="footer">
+          <p>© 2023 SwapCred. All rights reserved.</p>
+          <p>This is an automated email, please do not reply directly to this message.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
   return sendEmail(to, subject, html);
 }
 
@@ -221,8 +520,107 @@ async function sendCreditAssignedEmail(to, exchangeData) {
   return sendEmail(to, subject, html);
 }
 
+/**
+ * Send a warning that some of the customer's loyalty points are about to expire
+ * @param {string} to Recipient email address
+ * @param {object} expiryData { points, expiresAt, balance }
+ * @returns {Promise} Promise resolving to send result
+ */
+async function sendPointsExpiryWarningEmail(to, expiryData) {
+  const subject = 'Your SwapCred Points Are Expiring Soon';
+  const expiryDate = new Date(expiryData.expiresAt).toLocaleDateString('en-IN', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+  });
+  
+  // Create email content
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Points Expiring Soon</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #ff9800; color: white; padding: 15px; text-align: center; border-radius: 5px 5px 0 0; }
+        .content { border: 1px solid #ddd; border-top: none; padding: 20px; border-radius: 0 0 5px 5px; }
+        .expiry-info { background-color: #fff3e0; padding: 25px; border-radius: 5px; text-align: center; margin: 20px 0; }
+        .amount { font-size: 36px; font-weight: bold; color: #ef6c00; margin: 10px 0; }
+        .button { display: inline-block; background-color: #ff9800; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; }
+        .footer { margin-top: 30px; font-size: 12px; color: #777; text-align: center; }
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <h1>Your Points Are Expiring Soon</h1>
+      </div>
+      <div class="content">
+        <p>Hello,</p>
+        <p>Some of the loyalty points you earned through SwapCred exchanges will expire soon.</p>
+        
+        <div class="expiry-info">
+          <div class="amount">₹${expiryData.points}</div>
+          <p>in loyalty points will expire on <strong>${expiryDate}</strong></p>
+          ${expiryData.balance !== undefined ? `<p><strong>Current Balance: ₹${expiryData.balance}</strong></p>` : ''}
+        </div>
+        
+        <p>Use your points on your next purchase before they expire. Points are always used oldest first.</p>
+        
+        <p style="margin-top: 30px; text-align: center;">
+          <a href="https://swapcred.com/shop" class="button">Shop Now</a>
+        </p>
+        
+        <p>Thank you for choosing SwapCred!</p>
+        
+        <div class="footer">
+          <p>© 2023 SwapCred. All rights reserved.</p>
+          <p>This is an automated email, please do not reply directly to this message.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail(to, subject, html);
+}
+
+/**
+ * Send a one-time login code and magic link
+ * @param {string} to Recipient email address
+ * @param {object} login { code, link, expiresInMinutes }
+ * @returns {Promise} Promise resolving to send result
+ */
+async function sendLoginCodeEmail(to, { code, link, expiresInMinutes }) {
+  const subject = `${code} is your SwapCred login code`;
+  const text = `Your SwapCred login code is ${code}. You can also log in with this link: ${link}\n\nThe code and link expire in ${expiresInMinutes} minutes and can only be used once. If you did not try to log in, you can ignore this email.`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #3f51b5;">Log in to SwapCred</h2>
+      <p>Enter this code to log in:</p>
+      <p style="font-size: 32px; font-weight: bold; letter-spacing: 6px; color: #3f51b5;">${code}</p>
+      <p>Or log in with one click:</p>
+      <p><a href="${link}" style="display: inline-block; background-color: #3f51b5; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Log in</a></p>
+      <p>The code and link expire in ${expiresInMinutes} minutes and can only be used once.</p>
+      <p>If you did not try to log in, you can ignore this email.</p>
+      <hr>
+      <p style="font-size: 12px; color: #777;">This is an automated message from SwapCred.</p>
+    </div>
+  `;
+
+  return sendEmail(to, subject, html, text);
+}
+
 module.exports = {
   sendEmail,
+  withEmailBatch,
   sendApprovalEmail,
-  sendCreditAssignedEmail
+  sendQuoteEmail,
+  sendReturnEmail,
+  sendItemReceivedEmail,
+  sendInspectionResultEmail,
+  sendDisputeResolvedEmail,
+  sendCreditAssignedEmail,
+  sendPointsExpiryWarningEmail,
+  sendLoginCodeEmail
 }; 
\ No newline at end of file
@@ -38,9 +38,24 @@ async function ensureCollectionExists(collectionName) {
 async function initializeCollections() {
   try {
     const requiredCollections = [
+      'audit_log',
       'exchange_requests',
       'users',
       'credit_history',
+      'credit_ledger',
+      'customer_login_states',
+      'discount_codes',
+      'login_attempts',
+      'login_tokens',
+      'migrations',
+      'pending_uploads',
+      'refresh_tokens',
+      'report_rollups',
+      'role_changes',
+      'scheduled_jobs',
+      'shipping_labels',
+      'two_factor_secrets',
+      'valuation_rates',
       'warehouses'
     ];
     
@@ -0,0 +1,287 @@
+/**
+ * Admin actions on exchange requests
+ *
+ * Shared by the single-item admin routes and the bulk endpoint, so both apply
+ * the same checks and send the same emails. Each action throws the error of the
+ * module that rejected it (state machine, quotes, valuation, ledger); callers
+ * turn those into responses. Email failures are logged and never fail an action.
+ */
+const { logger } = require('./logger');
+const { ShopifyErrorTypes } = require('./shopify');
+const { sendQuoteEmail, sendItemReceivedEmail, sendCreditAssignedEmail } = require('./email');
+const { refreshSuggestedCredit, resolveCreditDecision } = require('./valuation');
+const {
+  QUOTE_STATUS,
+  getWarehouseAssignment,
+  buildQuote,
+  closeQuote
+} = require('./exchangeQuotes');
+const { assignExchangeCredit } = require('./creditLedger');
+const { db } = require('./firebaseAdmin');
+const { EXCHANGE_STATES, transitionExchange } = require('./exchangeStateMachine');
+
+// Statuses the status action may set; approval happens when the customer accepts a quote
+const ADMIN_STATUSES = [EXCHANGE_STATES.DECLINED, EXCHANGE_STATES.COMPLETED];
+
+// Transit values map one-to-one onto exchange states
+const TRANSIT_STATUSES = [EXCHANGE_STATES.SHIPPING, EXCHANGE_STATES.RECEIVED, EXCHANGE_STATES.COMPLETED];
+
+const BULK_ACTIONS = {
+  // Offer the same credit range and warehouse to each request; approval follows customer acceptance
+  QUOTE: 'quote',
+  DECLINE: 'decline',
+  MARK_RECEIVED: 'mark_received',
+  ASSIGN_SUGGESTED_CREDIT: 'assign_suggested_credit'
+};
+
+/**
+ * Create an error carrying an HTTP status and machine-readable code
+ * @returns {Error}
+ */
+function createActionError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.isActionError = true;
+  return error;
+}
+
+/**
+ * Send an email without letting a failure stop the action
+ */
+async function notify(description, exchangeId, send) {
+  try {
+    await send();
+  } catch (error) {
+    logger.error(`Error sending ${description} email`, {
+      exchangeId,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Append an admin note to the exchange's feedback
+ * @returns {string}
+ */
+function appendFeedback(current, note) {
+  return note ? `${current.adminFeedback || ''}\n${note}`.trim() : (current.adminFeedback || '');
+}
+
+/**
+ * Send a credit quote for a pending exchange request, or revise an open one
+ * @param {string} id - Exchange request ID
+ * @param {Object} input - { minCredit, maxCredit, warehouseId, note } (schemas.exchangeQuote)
+ * @param {Object} actor - Admin actor
+ * @returns {Promise<{exchange: Object, fromState: string}>}
+ */
+async function quoteExchange(id, { minCredit, maxCredit, warehouseId, note }, actor) {
+  // Fail early on a bad warehouse rather than when the customer accepts
+  await getWarehouseAssignment(warehouseId);
+
+  const quote = buildQuote({ minCredit, maxCredit, warehouseId, note, actor });
+
+  const result = await transitionExchange(id, EXCHANGE_STATES.QUOTED, {
+    actor,
+    note: `Quoted ${minCredit}-${maxCredit} points${note ? `: ${note}` : ''}`,
+    updates: { quote }
+  });
+
+  await notify('quote', id, () => sendQuoteEmail(result.exchange.userEmail, result.exchange));
+
+  return result;
+}
+
+/**
+ * Decline or complete an exchange request
+ * Declining while a quote is open withdraws it
+ * @param {string} id - Exchange request ID
+ * @param {Object} input - { status, adminFeedback }
+ * @param {Object} actor - Admin actor
+ * @returns {Promise<{exchange: Object, fromState: string}>}
+ */
+async function setExchangeStatus(id, { status, adminFeedback }, actor) {
+  if (!ADMIN_STATUSES.includes(status)) {
+    throw createActionError(
+      'Invalid status value. Must be "declined" or "completed". Use the quote endpoint to make an offer.',
+      'INVALID_STATUS',
+      400
+    );
+  }
+
+  // The state machine validates the transition and records it in the status history
+  return transitionExchange(id, status, {
+    actor,
+    note: adminFeedback,
+    updates: (current) => ({
+      ...(current.quote?.status === QUOTE_STATUS.OPEN && status === EXCHANGE_STATES.DECLINED
+        ? closeQuote(current.quote, QUOTE_STATUS.WITHDRAWN, adminFeedback)
+        : {}),
+      adminFeedback: appendFeedback(current, adminFeedback)
+    })
+  });
+}
+
+/**
+ * Move an exchange request along in transit
+ * Marking it received re-values the item and tells the customer
+ * @param {string} id - Exchange request ID
+ * @param {Object} input - { transitStatus, adminNote }
+ * @param {Object} actor - Admin actor
+ * @returns {Promise<{exchange: Object, fromState: string}>}
+ */
+async function setTransitStatus(id, { transitStatus, adminNote }, actor) {
+  if (!TRANSIT_STATUSES.includes(transitStatus)) {
+    throw createActionError(
+      'Invalid transit status. Must be "shipping", "received", or "completed"',
+      'INVALID_TRANSIT_STATUS',
+      400
+    );
+  }
+
+  // The state machine enforces the order (approved -> shipping -> received -> completed)
+  const result = await transitionExchange(id, transitStatus, {
+    actor,
+    note: adminNote,
+    updates: (current) => (adminNote ? { adminFeedback: appendFeedback(current, adminNote) } : {})
+  });
+
+  if (transitStatus === EXCHANGE_STATES.RECEIVED) {
+    // Re-value the item now that it is in hand
+    const suggestedCredit = await refreshSuggestedCredit(id, 'received');
+    if (suggestedCredit) {
+      result.exchange.suggestedCredit = suggestedCredit;
+    }
+
+    await notify('received', id, () => sendItemReceivedEmail(result.exchange.userEmail));
+  }
+
+  return result;
+}
+
+/**
+ * Assign loyalty points for an exchange request through the credit ledger
+ * @param {string} id - Exchange request ID
+ * @param {Object} input - { creditAmount, useSuggested, justification, feedback, canOverride }
+ * @param {Object} actor - Admin actor
+ * @returns {Promise<{entry: Object, exchange: Object}>}
+ */
+async function assignCredit(id, { creditAmount, useSuggested, justification, feedback, canOverride = false }, actor) {
+  const exchangeDoc = await db.collection('exchange_requests').doc(id).get();
+  if (!exchangeDoc.exists) {
+    throw createActionError('Exchange request not found', 'EXCHANGE_NOT_FOUND', 404);
+  }
+
+  const { points, decision } = resolveCreditDecision(exchangeDoc.data(), { creditAmount, useSuggested, justification, canOverride }, actor);
+
+  // Reserve, apply in Shopify and commit through the credit ledger
+  let result;
+  try {
+    result = await assignExchangeCredit({ exchangeId: id, points, actor, feedback, decision });
+  } catch (error) {
+    if (error.code === ShopifyErrorTypes.CUSTOMER_NOT_FOUND) {
+      throw createActionError('Customer not found in Shopify', 'CUSTOMER_NOT_FOUND', 404);
+    }
+    throw error;
+  }
+
+  const { entry, exchange } = result;
+
+  await notify('credit assignment', id, () => sendCreditAssignedEmail(exchange.userEmail, {
+    ...exchange,
+    creditAmount: entry.amount,
+    totalLoyaltyPoints: entry.balanceAfter
+  }));
+
+  return result;
+}
+
+/**
+ * Apply one bulk action to a single exchange request
+ * @returns {Promise<Object>} Updated exchange data
+ */
+async function applyBulkAction(id, action, params, actor) {
+  switch (action) {
+    case BULK_ACTIONS.QUOTE:
+      return (await quoteExchange(id, params.quote, actor)).exchange;
+    case BULK_ACTIONS.DECLINE:
+      return (await setExchangeStatus(id, { status: EXCHANGE_STATES.DECLINED, adminFeedback: params.reason }, actor)).exchange;
+    case BULK_ACTIONS.MARK_RECEIVED:
+      return (await setTransitStatus(id, { transitStatus: EXCHANGE_STATES.RECEIVED, adminNote: params.note }, actor)).exchange;
+    case BULK_ACTIONS.ASSIGN_SUGGESTED_CREDIT:
+      return (await assignCredit(id, { useSuggested: true, feedback: params.note }, actor)).exchange;
+    default:
+      throw createActionError(`Unknown bulk action "${action}"`, 'INVALID_BULK_ACTION', 400);
+  }
+}
+
+/**
+ * Apply one action to many exchange requests, one at a time
+ * A failure only fails its own item; the error is reported the way the
+ * single-item route would have responded
+ * @param {string} action - BULK_ACTIONS value
+ * @param {Array<string>} exchangeIds - Exchange request IDs
+ * @param {Object} params - Action parameters ({ quote } / { reason } / { note })
+ * @param {Object} actor - Admin actor
+ * @param {Object} [options]
+ * @param {Function} [options.authorize] - async (id) => void, throws to refuse a single item
+ * @returns {Promise<Array<Object>>} One result per ID, in order
+ */
+async function runBulkAction(action, exchangeIds, params, actor, { authorize } = {}) {
+  const results = [];
+
+  for (const id of exchangeIds) {
+    try {
+      if (authorize) {
+        await authorize(id);
+      }
+      const exchange = await applyBulkAction(id, action, params, actor);
+      results.push({ id, success: true, state: exchange.state });
+    } catch (error) {
+      const known = Boolean(error.statusCode && error.code);
+      if (!known) {
+        logger.error('Error applying bulk exchange action', {
+          exchangeId: id,
+          action,
+          error: error.message
+        });
+      }
+      results.push({
+        id,
+        success: false,
+        statusCode: known ? error.statusCode : 500,
+        code: known ? error.code : 'INTERNAL_ERROR',
+        error: known ? error.message : 'Unexpected error, please retry this exchange request'
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Send the response for an action error
+ * @param {Error} error - Error thrown by this module
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the error was handled
+ */
+function handleActionError(error, res) {
+  if (!error || !error.isActionError) {
+    return false;
+  }
+
+  res.status(error.statusCode).json({ error: error.message, code: error.code });
+  return true;
+}
+
+module.exports = {
+  ADMIN_STATUSES,
+  TRANSIT_STATUSES,
+  quoteExchange,
+  setExchangeStatus,
+  setTransitStatus,
+  assignCredit,
+  BULK_ACTIONS,
+  runBulkAction,
+  handleActionError
+};
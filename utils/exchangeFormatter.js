@@ -0,0 +1,125 @@
+/**
+ * Helpers to turn exchange request documents into API responses
+ * Firestore Timestamps are converted to Dates so they serialize cleanly
+ */
+
+// Admin-only valuation data that customers don't see
+const INTERNAL_FIELDS = ['suggestedCredit', 'creditDecision'];
+
+// Index fields (see utils/exchangeSearch.js and utils/uploads.js), never part of a response
+const INDEX_FIELDS = ['brandKey', 'searchTokens', 'imagePublicIds'];
+
+/**
+ * Convert a Firestore Timestamp (or Date / undefined) to a Date
+ * @param {*} value - Timestamp-like value
+ * @returns {Date|undefined}
+ */
+function toDate(value) {
+  if (value && typeof value.toDate === 'function') {
+    return value.toDate();
+  }
+  return value;
+}
+
+/**
+ * Format an exchange request for API responses
+ * @param {string} id - Document ID
+ * @param {Object} data - Document data
+ * @returns {Object} Formatted exchange request
+ */
+function formatExchangeRequest(id, data) {
+  const formatted = {
+    id,
+    ...data,
+    createdAt: toDate(data.createdAt) || new Date(),
+    updatedAt: toDate(data.updatedAt) || new Date()
+  };
+  INDEX_FIELDS.forEach(field => delete formatted[field]);
+
+  // Only transform shipping details if they exist
+  if (data.shippingDetails) {
+    formatted.shippingDetails = {
+      ...data.shippingDetails,
+      shippingDate: toDate(data.shippingDetails.shippingDate),
+      submittedAt: toDate(data.shippingDetails.submittedAt)
+    };
+  }
+
+  if (data.shippingLabel) {
+    formatted.shippingLabel = {
+      ...data.shippingLabel,
+      createdAt: toDate(data.shippingLabel.createdAt),
+      failedAt: toDate(data.shippingLabel.failedAt)
+    };
+  }
+
+  if (data.tracking) {
+    formatted.tracking = {
+      ...data.tracking,
+      events: (data.tracking.events || []).map(event => ({
+        ...event,
+        occurredAt: toDate(event.occurredAt)
+      })),
+      lastEventAt: toDate(data.tracking.lastEventAt),
+      lastCheckedAt: toDate(data.tracking.lastCheckedAt)
+    };
+  }
+
+  if (data.returnDetails) {
+    formatted.returnDetails = {
+      ...data.returnDetails,
+      shippingDate: toDate(data.returnDetails.shippingDate),
+      rejectedAt: toDate(data.returnDetails.rejectedAt)
+    };
+  }
+
+  if (data.inspection) {
+    formatted.inspection = {
+      ...data.inspection,
+      inspectedAt: toDate(data.inspection.inspectedAt),
+      customerResponse: data.inspection.customerResponse && {
+        ...data.inspection.customerResponse,
+        respondedAt: toDate(data.inspection.customerResponse.respondedAt)
+      },
+      dispute: data.inspection.dispute && {
+        ...data.inspection.dispute,
+        openedAt: toDate(data.inspection.dispute.openedAt),
+        resolution: data.inspection.dispute.resolution && {
+          ...data.inspection.dispute.resolution,
+          resolvedAt: toDate(data.inspection.dispute.resolution.resolvedAt)
+        }
+      }
+    };
+  }
+
+  if (data.quote) {
+    formatted.quote = {
+      ...data.quote,
+      quotedAt: toDate(data.quote.quotedAt),
+      expiresAt: toDate(data.quote.expiresAt),
+      respondedAt: toDate(data.quote.respondedAt)
+    };
+  }
+
+  return formatted;
+}
+
+/**
+ * Format an exchange request for its customer, without internal fields
+ * @param {string} id - Document ID
+ * @param {Object} data - Document data
+ * @returns {Object} Formatted exchange request
+ */
+function formatCustomerExchangeRequest(id, data) {
+  const formatted = formatExchangeRequest(id, data);
+  INTERNAL_FIELDS.forEach(field => delete formatted[field]);
+  return formatted;
+}
+
+module.exports = {
+  INTERNAL_FIELDS,
+  INDEX_FIELDS,
+  toDate,
+  formatExchangeRequest,
+  formatCustomerExchangeRequest
+};
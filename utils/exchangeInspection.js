@@ -0,0 +1,107 @@
+/**
+ * Inspection reports for received exchange items
+ *
+ * An admin files the report on a received item. When the measured condition
+ * matches what the customer declared the item is inspected straight away;
+ * otherwise the adjusted credit is offered to the customer (awaiting_customer),
+ * who accepts it (inspected) or opens a dispute (disputed) that an admin
+ * resolves with a final credit (inspected).
+ */
+const { normalizeKey } = require('./valuation');
+
+const CUSTOMER_DECISIONS = {
+  ACCEPT: 'accept',
+  DISPUTE: 'dispute'
+};
+
+const DISPUTE_OUTCOMES = {
+  // The offered credit stands
+  UPHELD: 'upheld',
+  // The admin changed the credit
+  REVISED: 'revised'
+};
+
+/**
+ * Build the inspection report stored on the exchange request
+ * @param {Object} exchange - Exchange request data
+ * @param {Object} input - Validated report ({ checklist, measuredCondition, photos, notes, offeredCredit })
+ * @param {Object} actor - Admin filing the report
+ * @returns {Object} Inspection report
+ */
+function buildInspectionReport(exchange, { checklist, measuredCondition, photos, notes, offeredCredit }, actor) {
+  const declaredCondition = normalizeKey(exchange.condition);
+  const measured = normalizeKey(measuredCondition);
+  const conditionMatches = measured === declaredCondition;
+
+  return {
+    checklist,
+    declaredCondition,
+    measuredCondition: measured,
+    conditionMatches,
+    photos,
+    notes: notes || '',
+    offeredCredit: offeredCredit ?? null,
+    // What the customer has agreed to; settled right away when nothing changed
+    agreedCredit: conditionMatches ? (offeredCredit ?? null) : null,
+    inspectedBy: actor?.uid || null,
+    inspectedAt: new Date(),
+    customerResponse: null,
+    dispute: null
+  };
+}
+
+/**
+ * Inspection updates for the customer's answer to an adjusted credit
+ * @param {Object} inspection - Current inspection report
+ * @param {string} decision - CUSTOMER_DECISIONS value
+ * @param {string} [reason] - Customer's explanation (required for disputes by the schema)
+ * @returns {{inspection: Object}}
+ */
+function applyCustomerResponse(inspection, decision, reason) {
+  const now = new Date();
+  const updated = {
+    ...inspection,
+    customerResponse: { decision, reason: reason || null, respondedAt: now }
+  };
+
+  if (decision === CUSTOMER_DECISIONS.ACCEPT) {
+    updated.agreedCredit = inspection.offeredCredit;
+  } else {
+    updated.dispute = { reason, openedAt: now, resolution: null };
+  }
+
+  return { inspection: updated };
+}
+
+/**
+ * Inspection updates for an admin's resolution of a dispute
+ * @param {Object} inspection - Current inspection report
+ * @param {Object} params - { finalCredit, note, actor }
+ * @returns {{inspection: Object}}
+ */
+function applyDisputeResolution(inspection, { finalCredit, note, actor }) {
+  return {
+    inspection: {
+      ...inspection,
+      agreedCredit: finalCredit,
+      dispute: {
+        ...inspection.dispute,
+        resolution: {
+          outcome: finalCredit === inspection.offeredCredit ? DISPUTE_OUTCOMES.UPHELD : DISPUTE_OUTCOMES.REVISED,
+          finalCredit,
+          note,
+          resolvedBy: actor?.uid || null,
+          resolvedAt: new Date()
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  CUSTOMER_DECISIONS,
+  DISPUTE_OUTCOMES,
+  buildInspectionReport,
+  applyCustomerResponse,
+  applyDisputeResolution
+};
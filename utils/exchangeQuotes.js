@@ -0,0 +1,208 @@
+/**
+ * Credit quotes for exchange requests
+ *
+ * Admins offer a credit range (pending -> quoted) and the customer accepts it
+ * (quoted -> approved, which assigns the warehouse) or rejects it
+ * (quoted -> declined). Quotes not answered within QUOTE_EXPIRY_DAYS are
+ * declined by expireQuotes(), which runs on a schedule.
+ */
+const { db } = require('./firebaseAdmin');
+const { logger } = require('./logger');
+const { toDate } = require('./exchangeFormatter');
+const {
+  EXCHANGE_STATES,
+  systemActor,
+  transitionExchange
+} = require('./exchangeStateMachine');
+
+const QUOTE_STATUS = {
+  OPEN: 'open',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  WITHDRAWN: 'withdrawn',
+  EXPIRED: 'expired'
+};
+
+const DEFAULT_QUOTE_EXPIRY_DAYS = 7;
+
+/**
+ * Create an error carrying an HTTP status and machine-readable code
+ * @returns {Error}
+ */
+function createQuoteError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.isQuoteError = true;
+  return error;
+}
+
+/**
+ * Number of days a customer has to answer a quote
+ * @returns {number}
+ */
+function getQuoteExpiryDays() {
+  return parseInt(process.env.QUOTE_EXPIRY_DAYS) || DEFAULT_QUOTE_EXPIRY_DAYS;
+}
+
+/**
+ * Look up a warehouse and snapshot the details shown to the customer
+ * @param {string} warehouseId - Warehouse ID
+ * @returns {Promise<{warehouseId: string, warehouseInfo: Object}>}
+ */
+async function getWarehouseAssignment(warehouseId) {
+  const warehouseDoc = await db.collection('warehouses').doc(warehouseId).get();
+
+  if (!warehouseDoc.exists) {
+    throw createQuoteError('Selected warehouse not found', 'WAREHOUSE_NOT_FOUND', 404);
+  }
+
+  const warehouseData = warehouseDoc.data();
+
+  if (warehouseData.isActive === false) {
+    throw createQuoteError('Selected warehouse is not active', 'WAREHOUSE_INACTIVE', 400);
+  }
+
+  return {
+    warehouseId,
+    warehouseInfo: {
+      name: warehouseData.name,
+      addressLine1: warehouseData.addressLine1,
+      addressLine2: warehouseData.addressLine2 || '',
+      city: warehouseData.city,
+      state: warehouseData.state,
+      postalCode: warehouseData.postalCode,
+      country: warehouseData.country,
+      contactPerson: warehouseData.contactPerson || '',
+      contactPhone: warehouseData.contactPhone || ''
+    }
+  };
+}
+
+/**
+ * Build a new open quote
+ * The warehouse is only remembered here; it is assigned to the exchange on acceptance
+ * @param {Object} params - { minCredit, maxCredit, warehouseId, note, actor }
+ * @returns {Object} Quote stored on the exchange request
+ */
+function buildQuote({ minCredit, maxCredit, warehouseId, note, actor }) {
+  const now = new Date();
+  const expiresAt = new Date(now);
+  expiresAt.setDate(expiresAt.getDate() + getQuoteExpiryDays());
+
+  return {
+    minCredit,
+    maxCredit,
+    currency: 'INR',
+    note: note || '',
+    warehouseId,
+    status: QUOTE_STATUS.OPEN,
+    quotedBy: actor?.uid || null,
+    quotedAt: now,
+    expiresAt,
+    respondedAt: null,
+    responseReason: null
+  };
+}
+
+/**
+ * Whether an open quote has passed its expiry date
+ * @param {Object} quote - Quote stored on the exchange request
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isQuoteExpired(quote, now = new Date()) {
+  const expiresAt = toDate(quote?.expiresAt);
+  return Boolean(expiresAt) && expiresAt <= now;
+}
+
+/**
+ * Quote updates for a customer response (or withdrawal / expiry)
+ * @param {Object} quote - Current quote
+ * @param {string} status - New QUOTE_STATUS
+ * @param {string} [reason] - Why, if given
+ * @returns {{quote: Object}}
+ */
+function closeQuote(quote, status, reason) {
+  return {
+    quote: {
+      ...quote,
+      status,
+      respondedAt: new Date(),
+      responseReason: reason || null
+    }
+  };
+}
+
+/**
+ * Scheduled job: decline exchange requests whose quote expired unanswered
+ * @returns {Promise<{checked: number, expired: number, errors: number}>}
+ */
+async function expireQuotes() {
+  const now = new Date();
+  const snapshot = await db.collection('exchange_requests')
+    .where('state', '==', EXCHANGE_STATES.QUOTED)
+    .get();
+
+  const result = { checked: 0, expired: 0, errors: 0 };
+
+  for (const doc of snapshot.docs) {
+    if (!isQuoteExpired(doc.data().quote, now)) {
+      continue;
+    }
+
+    result.checked++;
+    try {
+      await transitionExchange(doc.id, EXCHANGE_STATES.DECLINED, {
+        actor: systemActor('quote-expiry'),
+        note: 'Quote expired without a response',
+        updates: (current) => {
+          // The quote may have been revised since the query ran
+          if (!isQuoteExpired(current.quote, now)) {
+            throw createQuoteError('Quote is no longer expired', 'QUOTE_NOT_EXPIRED', 409);
+          }
+          return closeQuote(current.quote, QUOTE_STATUS.EXPIRED);
+        }
+      });
+      result.expired++;
+    } catch (error) {
+      if (error.code === 'QUOTE_NOT_EXPIRED' || error.code === 'INVALID_STATE_TRANSITION') {
+        // Revised or answered in the meantime
+        continue;
+      }
+      result.errors++;
+      logger.error('Error expiring exchange quote', {
+        exchangeId: doc.id,
+        error: error.message
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Send the response for a quote error
+ * @param {Error} error - Error thrown by this module
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the error was handled
+ */
+function handleQuoteError(error, res) {
+  if (!error || !error.isQuoteError) {
+    return false;
+  }
+
+  res.status(error.statusCode).json({ error: error.message, code: error.code });
+  return true;
+}
+
+module.exports = {
+  QUOTE_STATUS,
+  createQuoteError,
+  getWarehouseAssignment,
+  buildQuote,
+  isQuoteExpired,
+  closeQuote,
+  expireQuotes,
+  handleQuoteError
+};
@@ -0,0 +1,393 @@
+/**
+ * Server-side listing of exchange requests for the admin dashboard
+ *
+ * Equality filters, the created-at range and the first search term run in
+ * Firestore; the credit range and any further search terms are applied to the
+ * fetched documents. Results are ordered newest first and paged with opaque
+ * page tokens that remember the last document scanned, so a page can come back
+ * short when the in-memory filters drop most of a batch - keep following
+ * nextPageToken until it is null.
+ *
+ * Free-text search relies on `searchTokens` (word prefixes of the product name
+ * and customer email) and `brandKey`, which buildSearchFields() adds to each
+ * exchange request. Requests created before these fields existed are indexed
+ * by backfillSearchFields().
+ */
+const crypto = require('crypto');
+const { db } = require('./firebaseAdmin');
+const { normalizeKey } = require('./valuation');
+const { toDate } = require('./exchangeFormatter');
+const { STATE_FIELDS } = require('./exchangeStateMachine');
+
+const EXCHANGE_COLLECTION = 'exchange_requests';
+
+const DEFAULT_PAGE_SIZE = 25;
+
+// Dashboard counts per warehouse ('*' for all), kept briefly in memory
+const COUNTS_CACHE_MS = 30 * 1000;
+const countsCache = new Map();
+
+// Documents fetched per Firestore query while filling a page
+const SCAN_BATCH_SIZE = 100;
+
+// Upper bound on batches scanned per request, so sparse filters can't read the whole collection
+const MAX_SCAN_BATCHES = 5;
+
+// Documents fetched per Firestore query while streaming an export
+const EXPORT_BATCH_SIZE = 500;
+
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 15;
+
+/**
+ * Create an error carrying an HTTP status and machine-readable code
+ * @returns {Error}
+ */
+function createSearchError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.isSearchError = true;
+  return error;
+}
+
+/**
+ * Split text into lowercase words
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitWords(text) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Search fields stored on an exchange request
+ * Every word is indexed by its prefixes so partial words match ("thinkp" finds "ThinkPad")
+ * @param {Object} exchange - { productName, brand, userEmail }
+ * @returns {{brandKey: string, searchTokens: Array<string>}}
+ */
+function buildSearchFields({ productName, brand, userEmail }) {
+  const email = String(userEmail || '').toLowerCase();
+  const words = [...splitWords(productName), ...splitWords(brand), ...splitWords(email)];
+
+  const tokens = new Set();
+  for (const word of words) {
+    for (let length = MIN_TOKEN_LENGTH; length <= Math.min(word.length, MAX_TOKEN_LENGTH); length++) {
+      tokens.add(word.slice(0, length));
+    }
+  }
+  if (email) {
+    tokens.add(email);
+  }
+
+  return {
+    brandKey: normalizeKey(brand),
+    searchTokens: [...tokens]
+  };
+}
+
+/**
+ * Turn a search string into the tokens every matching exchange must have
+ * @param {string} q - Search string
+ * @returns {Array<string>} Longest (most selective) first
+ */
+function parseSearchTerms(q) {
+  const text = String(q || '').trim().toLowerCase();
+  if (!text) {
+    return [];
+  }
+
+  // A full email address is indexed as is
+  if (text.includes('@') && !/\s/.test(text)) {
+    return [text];
+  }
+
+  return [...new Set(splitWords(text)
+    .filter(word => word.length >= MIN_TOKEN_LENGTH)
+    .map(word => word.slice(0, MAX_TOKEN_LENGTH)))]
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Fingerprint of the filters a page token was issued for
+ * @returns {string}
+ */
+function fingerprintFilters(filters) {
+  const { pageToken, limit, ...rest } = filters;
+  const normalized = Object.keys(rest).sort()
+    .filter(key => rest[key] !== undefined && rest[key] !== null && rest[key] !== '')
+    .map(key => [key, rest[key] instanceof Date ? rest[key].getTime() : rest[key]]);
+
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('base64url').slice(0, 12);
+}
+
+/**
+ * Encode the position after a document as an opaque page token
+ * @returns {string}
+ */
+function encodePageToken(doc, filters) {
+  const createdAt = toDate(doc.data().createdAt);
+  const millis = createdAt ? new Date(createdAt).getTime() : 0;
+
+  return Buffer.from(JSON.stringify({ id: doc.id, t: millis, f: fingerprintFilters(filters) })).toString('base64url');
+}
+
+/**
+ * Decode a page token issued for the same filters
+ * @returns {{id: string, t: number}}
+ */
+function decodePageToken(pageToken, filters) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(pageToken, 'base64url').toString('utf8'));
+  } catch (error) {
+    cursor = null;
+  }
+
+  if (!cursor || typeof cursor.id !== 'string' || typeof cursor.t !== 'number') {
+    throw createSearchError('Invalid page token', 'INVALID_PAGE_TOKEN', 400);
+  }
+
+  if (cursor.f !== fingerprintFilters(filters)) {
+    throw createSearchError('The page token was issued for different filters', 'INVALID_PAGE_TOKEN', 400);
+  }
+
+  return cursor;
+}
+
+/**
+ * Build the Firestore query for the filters that Firestore can evaluate
+ * @returns {Object} Firestore query, newest first
+ */
+function buildBaseQuery(filters, searchTerms) {
+  let query = db.collection(EXCHANGE_COLLECTION);
+
+  if (filters.state) query = query.where('state', '==', filters.state);
+  if (filters.status) query = query.where('status', '==', filters.status);
+  if (filters.transitStatus) query = query.where('transitStatus', '==', filters.transitStatus);
+  if (filters.warehouseId) query = query.where('warehouseId', '==', filters.warehouseId);
+  if (filters.brand) query = query.where('brandKey', '==', normalizeKey(filters.brand));
+  if (searchTerms.length) query = query.where('searchTokens', 'array-contains', searchTerms[0]);
+  if (filters.createdFrom) query = query.where('createdAt', '>=', filters.createdFrom);
+  if (filters.createdTo) query = query.where('createdAt', '<=', filters.createdTo);
+
+  return query.orderBy('createdAt', 'desc');
+}
+
+/**
+ * Whether a fetched exchange passes the filters applied in memory
+ * @returns {boolean}
+ */
+function matchesInMemoryFilters(data, filters, searchTerms) {
+  const credit = Number(data.creditAmount) || 0;
+  if (filters.minCredit !== undefined && credit < filters.minCredit) return false;
+  if (filters.maxCredit !== undefined && credit > filters.maxCredit) return false;
+
+  if (searchTerms.length > 1) {
+    const tokens = data.searchTokens || [];
+    if (!searchTerms.slice(1).every(term => tokens.includes(term))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Count exchange requests per status for the dashboard tabs
+ * Counts are cached for COUNTS_CACHE_MS per warehouse, so paging through the
+ * list does not run the count queries again on every page
+ * @param {string} [warehouseId] - Only count requests assigned to this warehouse
+ * @returns {Promise<Object>} { [status]: count, total }
+ */
+async function countExchangesByStatus(warehouseId) {
+  const cacheKey = warehouseId || '*';
+  const cached = countsCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.counts;
+  }
+
+  const statuses = [...new Set(Object.values(STATE_FIELDS).map(fields => fields.status))];
+  let collection = db.collection(EXCHANGE_COLLECTION);
+  if (warehouseId) {
+    collection = collection.where('warehouseId', '==', warehouseId);
+  }
+
+  const [total, ...perStatus] = await Promise.all([
+    collection.count().get(),
+    ...statuses.map(status => collection.where('status', '==', status).count().get())
+  ]);
+
+  const counts = { total: total.data().count };
+  statuses.forEach((status, index) => {
+    counts[status] = perStatus[index].data().count;
+  });
+
+  countsCache.set(cacheKey, { counts, expiresAt: Date.now() + COUNTS_CACHE_MS });
+  return counts;
+}
+
+/**
+ * List exchange requests for admins
+ * @param {Object} filters - Validated query (see schemas.exchangeListQuery)
+ * @returns {Promise<{docs: Array<Object>, nextPageToken: string|null}>} Document snapshots of this page
+ */
+async function searchExchangeRequests(filters) {
+  const pageSize = filters.limit || DEFAULT_PAGE_SIZE;
+  const searchTerms = parseSearchTerms(filters.q);
+
+  if (filters.q && !searchTerms.length) {
+    throw createSearchError(`Search terms must be at least ${MIN_TOKEN_LENGTH} characters`, 'INVALID_SEARCH', 400);
+  }
+
+  const baseQuery = buildBaseQuery(filters, searchTerms);
+  const filtersInMemory = filters.minCredit !== undefined || filters.maxCredit !== undefined || searchTerms.length > 1;
+  const batchSize = filtersInMemory ? SCAN_BATCH_SIZE : pageSize + 1;
+
+  let cursor = null;
+  if (filters.pageToken) {
+    const position = decodePageToken(filters.pageToken, filters);
+    const cursorDoc = await db.collection(EXCHANGE_COLLECTION).doc(position.id).get();
+    // Fall back to the timestamp when the last document has since been deleted
+    cursor = cursorDoc.exists ? cursorDoc : new Date(position.t);
+  }
+
+  const docs = [];
+  let lastScanned = null;
+  let exhausted = false;
+  let hasMore = false;
+
+  for (let batch = 0; batch < MAX_SCAN_BATCHES && !hasMore; batch++) {
+    let query = baseQuery.limit(batchSize);
+    if (cursor) {
+      query = query.startAfter(cursor);
+    }
+
+    const snapshot = await query.get();
+
+    for (const doc of snapshot.docs) {
+      if (docs.length === pageSize) {
+        // Something is left after a full page
+        hasMore = true;
+        break;
+      }
+      lastScanned = doc;
+      if (matchesInMemoryFilters(doc.data(), filters, searchTerms)) {
+        docs.push(doc);
+      }
+    }
+
+    if (hasMore) {
+      break;
+    }
+    if (snapshot.docs.length < batchSize) {
+      exhausted = true;
+      break;
+    }
+    cursor = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  // Stopping at the scan limit still hands back a token to continue from
+  const nextPageToken = !exhausted && lastScanned ? encodePageToken(lastScanned, filters) : null;
+
+  return { docs, nextPageToken };
+}
+
+/**
+ * Every exchange request matching the list filters, newest first, one batch at a time
+ * Used by exports, which need all matches rather than one page
+ * @param {Object} filters - Validated query (see schemas.exchangeListQuery); limit and pageToken are ignored
+ * @returns {AsyncGenerator<Object>} Document snapshots
+ */
+async function* streamExchangeRequests(filters) {
+  const searchTerms = parseSearchTerms(filters.q);
+
+  if (filters.q && !searchTerms.length) {
+    throw createSearchError(`Search terms must be at least ${MIN_TOKEN_LENGTH} characters`, 'INVALID_SEARCH', 400);
+  }
+
+  const baseQuery = buildBaseQuery(filters, searchTerms);
+  let cursor = null;
+
+  while (true) {
+    let query = baseQuery.limit(EXPORT_BATCH_SIZE);
+    if (cursor) {
+      query = query.startAfter(cursor);
+    }
+
+    const snapshot = await query.get();
+
+    for (const doc of snapshot.docs) {
+      if (matchesInMemoryFilters(doc.data(), filters, searchTerms)) {
+        yield doc;
+      }
+    }
+
+    if (snapshot.docs.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+    cursor = snapshot.docs[snapshot.docs.length - 1];
+  }
+}
+
+/**
+ * Add search fields to exchange requests created before they existed
+ * @returns {Promise<{scanned: number, updated: number}>}
+ */
+async function backfillSearchFields() {
+  const result = { scanned: 0, updated: 0 };
+  let cursor = null;
+
+  while (true) {
+    let query = db.collection(EXCHANGE_COLLECTION).orderBy('createdAt', 'desc').limit(400);
+    if (cursor) {
+      query = query.startAfter(cursor);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = db.batch();
+    let pending = 0;
+    snapshot.docs.forEach(doc => {
+      result.scanned++;
+      if (!Array.isArray(doc.data().searchTokens)) {
+        batch.update(doc.ref, buildSearchFields(doc.data()));
+        pending++;
+      }
+    });
+
+    if (pending > 0) {
+      await batch.commit();
+      result.updated += pending;
+    }
+
+    cursor = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return result;
+}
+
+/**
+ * Send the response for a search error
+ * @param {Error} error - Error thrown by this module
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the error was handled
+ */
+function handleSearchError(error, res) {
+  if (!error || !error.isSearchError) {
+    return false;
+  }
+
+  res.status(error.statusCode).json({ error: error.message, code: error.code });
+  return true;
+}
+
+module.exports = {
+  buildSearchFields,
+  searchExchangeRequests,
+  streamExchangeRequests,
+  countExchangesByStatus,
+  backfillSearchFields,
+  handleSearchError
+};
@@ -0,0 +1,462 @@
+/**
+ * Central state machine for exchange requests
+ * Every status / transit change goes through transitionExchange so the rules
+ * live in one place and each change is appended to the status_history subcollection
+ * and counted in the report rollups
+ */
+const { db } = require('./firebaseAdmin');
+const { recordTransition } = require('./reportRollups');
+
+const EXCHANGE_COLLECTION = 'exchange_requests';
+const HISTORY_SUBCOLLECTION = 'status_history';
+// Records that every exchange request has a `state` field, so startup can skip the backfill
+const MIGRATIONS_COLLECTION = 'migrations';
+const STATE_BACKFILL_ID = 'exchange_state';
+const BACKFILL_BATCH_SIZE = 400;
+
+// Error code returned for every rejected transition
+const INVALID_TRANSITION_CODE = 'INVALID_STATE_TRANSITION';
+
+const EXCHANGE_STATES = {
+  PENDING: 'pending',
+  QUOTED: 'quoted',
+  APPROVED: 'approved',
+  SHIPPING: 'shipping',
+  RECEIVED: 'received',
+  INSPECTED: 'inspected',
+  AWAITING_CUSTOMER: 'awaiting_customer',
+  DISPUTED: 'disputed',
+  COMPLETED: 'completed',
+  DECLINED: 'declined',
+  // Rejected at the warehouse and shipped back to the customer
+  RETURNED: 'returned'
+};
+
+const ACTOR_ROLES = {
+  ADMIN: 'admin',
+  CUSTOMER: 'customer',
+  SYSTEM: 'system'
+};
+
+// Legacy status / transitStatus values written for each state so existing clients keep working
+const STATE_FIELDS = {
+  pending: { status: 'pending', transitStatus: null },
+  quoted: { status: 'quoted', transitStatus: null },
+  approved: { status: 'approved', transitStatus: null },
+  shipping: { status: 'approved', transitStatus: 'shipping' },
+  received: { status: 'approved', transitStatus: 'received' },
+  inspected: { status: 'approved', transitStatus: 'received' },
+  awaiting_customer: { status: 'approved', transitStatus: 'received' },
+  disputed: { status: 'approved', transitStatus: 'received' },
+  completed: { status: 'completed', transitStatus: 'completed' },
+  declined: { status: 'declined' },
+  returned: { status: 'returned', transitStatus: 'returned' }
+};
+
+// Allowed transitions: from state -> { to state: [roles allowed to trigger it] }
+const TRANSITIONS = {
+  pending: {
+    quoted: [ACTOR_ROLES.ADMIN],
+    declined: [ACTOR_ROLES.ADMIN]
+  },
+  quoted: {
+    // Admins may revise an open quote
+    quoted: [ACTOR_ROLES.ADMIN],
+    // Only the customer accepts; rejection, withdrawal and expiry all decline
+    approved: [ACTOR_ROLES.CUSTOMER],
+    declined: [ACTOR_ROLES.CUSTOMER, ACTOR_ROLES.ADMIN, ACTOR_ROLES.SYSTEM]
+  },
+  approved: {
+    shipping: [ACTOR_ROLES.CUSTOMER, ACTOR_ROLES.ADMIN],
+    declined: [ACTOR_ROLES.ADMIN]
+  },
+  shipping: {
+    // Customers may correct their shipping details while the item is in transit
+    shipping: [ACTOR_ROLES.CUSTOMER],
+    received: [ACTOR_ROLES.ADMIN, ACTOR_ROLES.SYSTEM]
+  },
+  received: {
+    // Filing the inspection report; a condition mismatch needs the customer's answer
+    inspected: [ACTOR_ROLES.ADMIN],
+    awaiting_customer: [ACTOR_ROLES.ADMIN],
+    returned: [ACTOR_ROLES.ADMIN]
+  },
+  awaiting_customer: {
+    inspected: [ACTOR_ROLES.CUSTOMER],
+    disputed: [ACTOR_ROLES.CUSTOMER],
+    returned: [ACTOR_ROLES.ADMIN]
+  },
+  disputed: {
+    inspected: [ACTOR_ROLES.ADMIN],
+    returned: [ACTOR_ROLES.ADMIN]
+  },
+  inspected: {
+    completed: [ACTOR_ROLES.ADMIN],
+    returned: [ACTOR_ROLES.ADMIN]
+  },
+  completed: {},
+  declined: {},
+  returned: {}
+};
+
+/**
+ * Whether the customer has submitted or confirmed the shipping details
+ * @param {Object} data - Exchange data
+ * @returns {boolean}
+ */
+function hasConfirmedShipment(data) {
+  return Boolean(data.shippingDetails) && !data.shippingDetails.prefilled;
+}
+
+// Preconditions checked against the exchange data as it would look after the transition
+// Each guard returns an error message, or null when the transition may proceed
+const GUARDS = {
+  quoted: (data) => (
+    data.quote && data.quote.minCredit > 0 && data.quote.maxCredit >= data.quote.minCredit && data.quote.expiresAt
+      ? null
+      : 'A credit range and expiry date are required for a quote'
+  ),
+  approved: (data) => {
+    if (data.quote?.status !== 'accepted') return 'The customer must accept the quote before approval';
+    return data.warehouseId ? null : 'Warehouse selection is required for approval';
+  },
+  // Details prefilled from a shipping label only count once the customer has confirmed them
+  shipping: (data) => (
+    hasConfirmedShipment(data) ? null : 'The customer must confirm their shipping details before an item can be in transit'
+  ),
+  received: (data) => (hasConfirmedShipment(data) ? null : 'Cannot mark as received without confirmed shipping details'),
+  awaiting_customer: (data) => (
+    data.inspection?.offeredCredit > 0 ? null : 'An adjusted credit offer is required when the condition differs'
+  ),
+  disputed: (data) => (data.inspection?.dispute?.reason ? null : 'A reason is required to dispute the inspection'),
+  inspected: (data) => {
+    const inspection = data.inspection;
+    if (!inspection) return 'An inspection report is required';
+    const settled = inspection.conditionMatches ||
+      inspection.customerResponse?.decision === 'accept' ||
+      inspection.dispute?.resolution;
+    return settled ? null : 'The adjusted credit must be accepted by the customer or resolved by an admin';
+  },
+  completed: (data) => (data.creditAmount > 0 ? null : 'Cannot complete exchange request without assigning credit'),
+  returned: (data) => {
+    if (data.creditAmount > 0 || data.creditStatus === 'pending') {
+      return 'Cannot return an item that has been credited';
+    }
+    return data.returnDetails?.trackingNumber ? null : 'Return shipping details with a tracking number are required';
+  }
+};
+
+/**
+ * Create an error carrying an HTTP status and machine-readable code
+ * @param {string} message - Human readable message
+ * @param {string} code - Error code
+ * @param {number} statusCode - HTTP status to respond with
+ * @param {Object} [details] - Extra details for the client
+ * @returns {Error}
+ */
+function createStateError(message, code, statusCode, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Resolve the current state of an exchange request
+ * Documents written before the state machine existed only have status / transitStatus
+ * @param {Object} data - Exchange request data
+ * @returns {string} Current state
+ */
+function getExchangeState(data) {
+  if (data.state && STATE_FIELDS[data.state]) {
+    return data.state;
+  }
+
+  switch (data.status) {
+    case 'declined':
+      return EXCHANGE_STATES.DECLINED;
+    case 'completed':
+      return EXCHANGE_STATES.COMPLETED;
+    case 'quoted':
+      return EXCHANGE_STATES.QUOTED;
+    case 'returned':
+      return EXCHANGE_STATES.RETURNED;
+    case 'approved':
+      if (data.transitStatus === 'completed') return EXCHANGE_STATES.COMPLETED;
+      if (data.transitStatus === 'received') return EXCHANGE_STATES.RECEIVED;
+      if (data.transitStatus === 'shipping') return EXCHANGE_STATES.SHIPPING;
+      return EXCHANGE_STATES.APPROVED;
+    default:
+      return EXCHANGE_STATES.PENDING;
+  }
+}
+
+/**
+ * Check whether a transition is allowed without touching Firestore
+ * @param {string} fromState - Current state
+ * @param {string} toState - Requested state
+ * @param {string} role - Role of the actor triggering the transition
+ * @returns {boolean}
+ */
+function canTransition(fromState, toState, role) {
+  const allowedRoles = TRANSITIONS[fromState]?.[toState];
+  return Array.isArray(allowedRoles) && allowedRoles.includes(role);
+}
+
+/**
+ * Throw if this actor may not move an exchange between the two states
+ * @param {string} fromState - Current state
+ * @param {string} toState - Requested state
+ * @param {string} role - Role of the actor
+ */
+function assertTransitionAllowed(fromState, toState, role) {
+  if (!STATE_FIELDS[toState]) {
+    throw createStateError(`Unknown exchange state "${toState}"`, INVALID_TRANSITION_CODE, 400, { from: fromState, to: toState });
+  }
+
+  if (!canTransition(fromState, toState, role)) {
+    throw createStateError(
+      `Cannot move exchange request from "${fromState}" to "${toState}"`,
+      INVALID_TRANSITION_CODE,
+      400,
+      { from: fromState, to: toState }
+    );
+  }
+}
+
+/**
+ * Throw if the transition is illegal for this actor or its preconditions fail
+ * @param {string} fromState - Current state
+ * @param {string} toState - Requested state
+ * @param {string} role - Role of the actor
+ * @param {Object} nextData - Exchange data merged with the pending updates
+ */
+function assertTransition(fromState, toState, role, nextData) {
+  assertTransitionAllowed(fromState, toState, role);
+
+  const guard = GUARDS[toState];
+  const guardError = guard ? guard(nextData) : null;
+  if (guardError) {
+    throw createStateError(guardError, INVALID_TRANSITION_CODE, 400, { from: fromState, to: toState });
+  }
+}
+
+/**
+ * Build the actor recorded in the status history from an authenticated request
+ * @param {Object} req - Express request with req.user set
+ * @param {string} role - Actor role
+ * @returns {{uid: string, email: string, role: string}}
+ */
+function actorFromRequest(req, role) {
+  return {
+    uid: req.user?.uid || null,
+    email: req.user?.email || null,
+    role
+  };
+}
+
+/**
+ * Actor used for transitions triggered by background jobs
+ * @param {string} jobName - Name of the job
+ * @returns {{uid: null, email: null, role: string, job: string}}
+ */
+function systemActor(jobName) {
+  return { uid: null, email: null, role: ACTOR_ROLES.SYSTEM, job: jobName };
+}
+
+/**
+ * Move an exchange request to a new state inside a Firestore transaction
+ * The document update and the history entry are committed together
+ * @param {string} exchangeId - Exchange request ID
+ * @param {string} toState - Target state
+ * @param {Object} options
+ * @param {Object} options.actor - Actor performing the transition (see actorFromRequest)
+ * @param {string} [options.note] - Free text note stored with the history entry
+ * @param {Object|Function} [options.updates] - Extra fields to write, or a function of the current data returning them
+ * @returns {Promise<{exchange: Object, previous: Object, fromState: string, toState: string, historyEntry: Object}>}
+ */
+async function transitionExchange(exchangeId, toState, { actor, note = '', updates = {} } = {}) {
+  if (!actor || !actor.role) {
+    throw new Error('An actor with a role is required for exchange transitions');
+  }
+
+  const docRef = db.collection(EXCHANGE_COLLECTION).doc(exchangeId);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+
+    if (!doc.exists) {
+      throw createStateError('Exchange request not found', 'EXCHANGE_NOT_FOUND', 404);
+    }
+
+    const current = doc.data();
+    const fromState = getExchangeState(current);
+
+    // Before the updates function, which may rely on data only the legal source states have
+    assertTransitionAllowed(fromState, toState, actor.role);
+    const extraUpdates = typeof updates === 'function' ? updates(current) : updates;
+
+    assertTransition(fromState, toState, actor.role, { ...current, ...extraUpdates });
+
+    const now = new Date();
+    const changes = {
+      ...extraUpdates,
+      ...STATE_FIELDS[toState],
+      state: toState,
+      updatedAt: now
+    };
+
+    const historyRef = docRef.collection(HISTORY_SUBCOLLECTION).doc();
+    const historyEntry = {
+      fromState,
+      toState,
+      actor,
+      note: note || '',
+      createdAt: now
+    };
+
+    transaction.update(docRef, changes);
+    transaction.set(historyRef, historyEntry);
+    recordTransition(transaction, { ...current, ...changes }, toState, now);
+
+    return {
+      exchange: { ...current, ...changes },
+      previous: current,
+      fromState,
+      toState,
+      historyEntry: { id: historyRef.id, ...historyEntry }
+    };
+  });
+}
+
+/**
+ * Append a history entry without changing state (e.g. the initial "created" entry)
+ * @param {string} exchangeId - Exchange request ID
+ * @param {Object} entry
+ * @param {string|null} entry.fromState - Previous state (null on creation)
+ * @param {string} entry.toState - State after the event
+ * @param {Object} entry.actor - Actor responsible for the event
+ * @param {string} [entry.note] - Free text note
+ * @returns {Promise<Object>} The stored entry with its ID
+ */
+async function recordHistoryEntry(exchangeId, { fromState, toState, actor, note = '' }) {
+  const historyEntry = {
+    fromState: fromState || null,
+    toState,
+    actor,
+    note: note || '',
+    createdAt: new Date()
+  };
+
+  const ref = await db.collection(EXCHANGE_COLLECTION)
+    .doc(exchangeId)
+    .collection(HISTORY_SUBCOLLECTION)
+    .add(historyEntry);
+
+  return { id: ref.id, ...historyEntry };
+}
+
+/**
+ * Get the status history of an exchange request, oldest first
+ * @param {string} exchangeId - Exchange request ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function getExchangeHistory(exchangeId) {
+  const snapshot = await db.collection(EXCHANGE_COLLECTION)
+    .doc(exchangeId)
+    .collection(HISTORY_SUBCOLLECTION)
+    .orderBy('createdAt', 'asc')
+    .get();
+
+  return snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data(),
+    createdAt: doc.data().createdAt?.toDate() || null
+  }));
+}
+
+/**
+ * Write `state` on exchange requests created before the state machine, so
+ * queries on it see them too. Requests created since always have it.
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Scan again even if a previous run finished
+ * @returns {Promise<{scanned: number, updated: number}|{skipped: string}>}
+ */
+async function backfillExchangeStates({ force = false } = {}) {
+  const markerRef = db.collection(MIGRATIONS_COLLECTION).doc(STATE_BACKFILL_ID);
+  if (!force && (await markerRef.get()).exists) {
+    return { skipped: 'Exchange states were already backfilled' };
+  }
+
+  const result = { scanned: 0, updated: 0 };
+  let cursor = null;
+
+  while (true) {
+    let query = db.collection(EXCHANGE_COLLECTION).orderBy('createdAt', 'desc').limit(BACKFILL_BATCH_SIZE);
+    if (cursor) {
+      query = query.startAfter(cursor);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = db.batch();
+    let pending = 0;
+    snapshot.docs.forEach(doc => {
+      result.scanned++;
+      if (!STATE_FIELDS[doc.data().state]) {
+        batch.update(doc.ref, { state: getExchangeState(doc.data()) });
+        pending++;
+      }
+    });
+
+    if (pending > 0) {
+      await batch.commit();
+      result.updated += pending;
+    }
+
+    cursor = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  await markerRef.set({ completedAt: new Date(), ...result });
+  return result;
+}
+
+/**
+ * Send the standard response for state machine errors
+ * @param {Error} error - Caught error
+ * @param {Object} res - Express response object
+ * @returns {boolean} True if the error was a state machine error and a response was sent
+ */
+function handleTransitionError(error, res) {
+  if (!error || !error.statusCode || !['EXCHANGE_NOT_FOUND', INVALID_TRANSITION_CODE].includes(error.code)) {
+    return false;
+  }
+
+  res.status(error.statusCode).json({
+    error: error.message,
+    code: error.code,
+    ...error.details
+  });
+  return true;
+}
+
+module.exports = {
+  EXCHANGE_STATES,
+  ACTOR_ROLES,
+  STATE_FIELDS,
+  INVALID_TRANSITION_CODE,
+  getExchangeState,
+  canTransition,
+  assertTransition,
+  actorFromRequest,
+  systemActor,
+  transitionExchange,
+  recordHistoryEntry,
+  getExchangeHistory,
+  backfillExchangeStates,
+  handleTransitionError
+};
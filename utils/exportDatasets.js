@@ -0,0 +1,164 @@
+/**
+ * Datasets offered as spreadsheet exports (see utils/spreadsheetExport)
+ *
+ * Each dataset has its columns, in default order, and a row source that pages
+ * through Firestore with the same filters as the matching admin list.
+ */
+const { db } = require('./firebaseAdmin');
+const { toDate } = require('./exchangeFormatter');
+const { streamExchangeRequests } = require('./exchangeSearch');
+const { formatCreditHistoryEntry } = require('./creditLedger');
+const { EXCHANGE_STATES } = require('./exchangeStateMachine');
+
+// Documents fetched per Firestore query
+const BATCH_SIZE = 500;
+
+// Exchange requests a warehouse should expect or has just taken in
+const INTAKE_STATES = [EXCHANGE_STATES.APPROVED, EXCHANGE_STATES.SHIPPING, EXCHANGE_STATES.RECEIVED];
+
+/**
+ * Every document of a query, one batch at a time
+ * @param {Object} query - Firestore query with an orderBy
+ * @returns {AsyncGenerator<Object>} Document snapshots
+ */
+async function* paginate(query) {
+  let cursor = null;
+
+  while (true) {
+    const snapshot = await (cursor ? query.startAfter(cursor) : query).limit(BATCH_SIZE).get();
+
+    yield* snapshot.docs;
+
+    if (snapshot.docs.length < BATCH_SIZE) {
+      return;
+    }
+    cursor = snapshot.docs[snapshot.docs.length - 1];
+  }
+}
+
+/**
+ * Column reading a field of the exchange document
+ * @returns {{key: string, header: string, value: Function}}
+ */
+const exchangeColumn = (key, header, read) => ({ key, header, value: (doc) => read(doc.data(), doc) });
+
+const EXCHANGE_COLUMNS = [
+  exchangeColumn('id', 'Exchange ID', (data, doc) => doc.id),
+  exchangeColumn('createdAt', 'Created', data => toDate(data.createdAt)),
+  exchangeColumn('updatedAt', 'Updated', data => toDate(data.updatedAt)),
+  exchangeColumn('state', 'State', data => data.state),
+  exchangeColumn('userId', 'Customer ID', data => data.userId),
+  exchangeColumn('userEmail', 'Customer email', data => data.userEmail),
+  exchangeColumn('productName', 'Product', data => data.productName),
+  exchangeColumn('brand', 'Brand', data => data.brand),
+  exchangeColumn('category', 'Category', data => data.category),
+  exchangeColumn('condition', 'Condition', data => data.condition),
+  exchangeColumn('ageInMonths', 'Age (months)', data => data.ageInMonths),
+  exchangeColumn('accessories', 'Accessories', data => data.accessories),
+  exchangeColumn('suggestedCredit', 'Suggested credit', data => data.suggestedCredit?.amount),
+  exchangeColumn('quoteMinCredit', 'Quote min', data => data.quote?.minCredit),
+  exchangeColumn('quoteMaxCredit', 'Quote max', data => data.quote?.maxCredit),
+  exchangeColumn('quoteStatus', 'Quote status', data => data.quote?.status),
+  exchangeColumn('creditAmount', 'Credit assigned', data => data.creditAmount),
+  exchangeColumn('warehouseId', 'Warehouse ID', data => data.warehouseId),
+  exchangeColumn('warehouseName', 'Warehouse', data => data.warehouseInfo?.name),
+  exchangeColumn('carrierName', 'Carrier', data => data.shippingDetails?.carrierName),
+  exchangeColumn('trackingNumber', 'Tracking number', data => data.shippingDetails?.trackingNumber),
+  exchangeColumn('shippingDate', 'Shipped', data => toDate(data.shippingDetails?.shippingDate)),
+  exchangeColumn('trackingStatus', 'Tracking status', data => data.tracking?.status),
+  exchangeColumn('adminFeedback', 'Admin feedback', data => data.adminFeedback)
+];
+
+const CREDIT_HISTORY_COLUMNS = [
+  { key: 'id', header: 'Entry ID', value: entry => entry.id },
+  { key: 'createdAt', header: 'Date', value: entry => entry.createdAt },
+  { key: 'userId', header: 'Customer ID', value: entry => entry.userId },
+  { key: 'shopifyCustomerId', header: 'Shopify customer ID', value: entry => entry.shopifyCustomerId },
+  { key: 'type', header: 'Type', value: entry => entry.type },
+  { key: 'direction', header: 'Direction', value: entry => entry.direction },
+  { key: 'amount', header: 'Points', value: entry => entry.amount },
+  { key: 'currency', header: 'Currency', value: entry => entry.currency },
+  { key: 'balanceAfter', header: 'Balance after', value: entry => entry.balanceAfter },
+  { key: 'exchangeRequestId', header: 'Exchange ID', value: entry => entry.exchangeRequestId },
+  { key: 'reason', header: 'Reason', value: entry => entry.reason },
+  { key: 'reference', header: 'Reference', value: entry => entry.reference },
+  { key: 'assignedBy', header: 'Assigned by', value: entry => entry.assignedBy },
+  { key: 'ledgerId', header: 'Ledger ID', value: entry => entry.ledgerId }
+];
+
+const INTAKE_COLUMNS = [
+  exchangeColumn('warehouseId', 'Warehouse ID', data => data.warehouseId),
+  exchangeColumn('warehouseName', 'Warehouse', data => data.warehouseInfo?.name),
+  exchangeColumn('id', 'Exchange ID', (data, doc) => doc.id),
+  exchangeColumn('state', 'State', data => data.state),
+  exchangeColumn('userEmail', 'Customer email', data => data.userEmail),
+  exchangeColumn('productName', 'Product', data => data.productName),
+  exchangeColumn('brand', 'Brand', data => data.brand),
+  exchangeColumn('condition', 'Declared condition', data => data.condition),
+  exchangeColumn('accessories', 'Accessories', data => data.accessories),
+  exchangeColumn('quoteMaxCredit', 'Quote max', data => data.quote?.maxCredit),
+  exchangeColumn('carrierName', 'Carrier', data => data.shippingDetails?.carrierName),
+  exchangeColumn('trackingNumber', 'Tracking number', data => data.shippingDetails?.trackingNumber),
+  exchangeColumn('shippingDate', 'Shipped', data => toDate(data.shippingDetails?.shippingDate)),
+  exchangeColumn('trackingStatus', 'Tracking status', data => data.tracking?.status),
+  exchangeColumn('lastTrackingEventAt', 'Last tracking event', data => toDate(data.tracking?.lastEventAt)),
+  exchangeColumn('updatedAt', 'Last change', data => toDate(data.updatedAt))
+];
+
+/**
+ * Credit history entries matching the admin list filters, newest first
+ * @param {Object} filters - { userId, type, createdFrom, createdTo }
+ * @returns {AsyncGenerator<Object>} Formatted entries
+ */
+async function* streamCreditHistory({ userId, type, createdFrom, createdTo }) {
+  let query = db.collection('credit_history');
+
+  if (userId) query = query.where('userId', '==', userId);
+  if (type) query = query.where('type', '==', type);
+  if (createdFrom) query = query.where('createdAt', '>=', createdFrom);
+  if (createdTo) query = query.where('createdAt', '<=', createdTo);
+
+  for await (const doc of paginate(query.orderBy('createdAt', 'desc'))) {
+    yield formatCreditHistoryEntry(doc);
+  }
+}
+
+/**
+ * Exchange requests on their way to, or just received at, a warehouse
+ * @param {Object} filters - { warehouseId, state }
+ * @returns {AsyncGenerator<Object>} Document snapshots, oldest first
+ */
+function streamWarehouseIntake({ warehouseId, state }) {
+  let query = db.collection('exchange_requests');
+
+  query = state ? query.where('state', '==', state) : query.where('state', 'in', INTAKE_STATES);
+  if (warehouseId) query = query.where('warehouseId', '==', warehouseId);
+
+  return paginate(query.orderBy('createdAt', 'asc'));
+}
+
+const EXPORT_DATASETS = {
+  exchanges: {
+    filename: 'exchange-requests',
+    sheetName: 'Exchange requests',
+    columns: EXCHANGE_COLUMNS,
+    rows: streamExchangeRequests
+  },
+  creditHistory: {
+    filename: 'credit-history',
+    sheetName: 'Credit history',
+    columns: CREDIT_HISTORY_COLUMNS,
+    rows: streamCreditHistory
+  },
+  warehouseIntake: {
+    filename: 'warehouse-intake',
+    sheetName: 'Warehouse intake',
+    columns: INTAKE_COLUMNS,
+    rows: streamWarehouseIntake
+  }
+};
+
+module.exports = {
+  INTAKE_STATES,
+  EXPORT_DATASETS
+};
@@ -0,0 +1,90 @@
+/**
+ * Local label provider for development and tests
+ * Issues Stub Carrier tracking numbers (see utils/carriers/stubAdapter.js) and
+ * renders a plain one-page PDF, without calling any external service.
+ */
+const crypto = require('crypto');
+
+// PDF string literals need these characters escaped; anything non-ASCII is dropped
+const escapePdfText = (value) => String(value || '')
+  .replace(/[^\x20-\x7E]/g, '')
+  .replace(/([\\()])/g, '\\$1');
+
+/**
+ * Render lines of text into a minimal single-page PDF
+ * @param {Array<string>} lines - Text lines, top to bottom
+ * @returns {Buffer}
+ */
+function renderPdf(lines) {
+  const content = [
+    'BT',
+    '/F1 12 Tf',
+    '14 TL',
+    '50 780 Td',
+    ...lines.map(line => `(${escapePdfText(line)}) '`),
+    'ET'
+  ].join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf);
+}
+
+const formatAddress = (address) => [
+  address.name,
+  address.addressLine1,
+  address.addressLine2,
+  [address.city, address.state, address.postalCode].filter(Boolean).join(', '),
+  address.country,
+  address.phone ? `Phone: ${address.phone}` : null
+].filter(Boolean);
+
+module.exports = {
+  id: 'fake',
+  name: 'Fake label provider',
+
+  async createLabel({ reference, from, to, description }) {
+    const trackingNumber = `STUB${crypto.randomInt(0, 1000000).toString().padStart(6, '0')}`;
+
+    const pdf = renderPdf([
+      'PREPAID SHIPPING LABEL - TEST ONLY',
+      '',
+      'Carrier: Stub Carrier',
+      `Tracking number: ${trackingNumber}`,
+      `Reference: ${reference}`,
+      '',
+      'SHIP TO:',
+      ...formatAddress(to),
+      '',
+      'FROM:',
+      ...formatAddress(from),
+      '',
+      description ? `Contents: ${description}` : ''
+    ]);
+
+    return {
+      carrierName: 'Stub Carrier',
+      trackingNumber,
+      providerLabelId: `fake_${crypto.randomUUID()}`,
+      pdf
+    };
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * Prepaid shipping label providers
+ *
+ * Every provider has the same shape:
+ *   id    - Stable identifier stored with each label
+ *   name  - Display name
+ *   createLabel({ reference, from, to, description }) -> Promise<{ carrierName, trackingNumber, providerLabelId, pdf }>
+ *
+ * `from` and `to` are addresses ({ name, addressLine1, addressLine2, city, state,
+ * postalCode, country, phone }); `pdf` is a Buffer with the printable label. The
+ * returned carrier should have an adapter in utils/carriers so the shipment
+ * can be tracked.
+ *
+ * LABEL_PROVIDER selects the provider. Outside production it defaults to the
+ * fake provider; in production labels are off unless a provider is configured.
+ */
+const fakeProvider = require('./fakeProvider');
+
+const PROVIDERS = {
+  [fakeProvider.id]: fakeProvider
+};
+
+/**
+ * The configured label provider
+ * @returns {Object|null} Provider, or null when label generation is off
+ */
+function getLabelProvider() {
+  const providerId = process.env.LABEL_PROVIDER ||
+    (process.env.NODE_ENV === 'production' ? null : fakeProvider.id);
+
+  if (!providerId || providerId === 'none') {
+    return null;
+  }
+
+  const provider = PROVIDERS[providerId];
+  if (!provider) {
+    throw new Error(`Unknown label provider "${providerId}"`);
+  }
+
+  return provider;
+}
+
+module.exports = {
+  getLabelProvider
+};
@@ -0,0 +1,321 @@
+/**
+ * One-time login codes and magic links
+ *
+ * Logging in emails the customer a six-digit code and a link carrying a
+ * random token. Only hashes of both are stored in `login_tokens`. A token is
+ * valid for LOGIN_TOKEN_TTL_MINUTES (15 by default), can be used once, and is
+ * burnt after MAX_ATTEMPTS wrong codes. Requesting a new one replaces any
+ * earlier token for the same email.
+ *
+ * Wrong codes are also counted per email in `login_attempts`, across every
+ * token issued to it, so requesting new codes doesn't buy more guesses. Every
+ * MAX_FAILURES_PER_EMAIL failures lock the email out, for twice as long each
+ * time, and a successful login or a day without failures starts over.
+ */
+const crypto = require('crypto');
+const { db } = require('./firebaseAdmin');
+const { toDate } = require('./exchangeFormatter');
+
+const LOGIN_TOKENS_COLLECTION = 'login_tokens';
+const LOGIN_ATTEMPTS_COLLECTION = 'login_attempts';
+const CODE_LENGTH = 6;
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+
+const MAX_FAILURES_PER_EMAIL = 10;
+const BASE_LOCKOUT_MINUTES = 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+const tokenTtlMinutes = () => parseInt(process.env.LOGIN_TOKEN_TTL_MINUTES) || 15;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Create an error carrying an HTTP status and machine-readable code
+ * @returns {Error}
+ */
+function createLoginTokenError(message, code, statusCode, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.isLoginTokenError = true;
+  Object.assign(error, extra);
+  return error;
+}
+
+/**
+ * Random numeric code, zero-padded
+ * @returns {string}
+ */
+function generateCode() {
+  return crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+}
+
+/**
+ * Whether a stored hash matches a hash, in constant time
+ * @returns {boolean}
+ */
+function hashesMatch(stored, candidate) {
+  const a = Buffer.from(stored || '', 'hex');
+  const b = Buffer.from(candidate, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Failure counter of an email (by hash, so the collection holds no addresses)
+ * @param {string} email - Lowercased email address
+ * @returns {Object} Document reference
+ */
+function loginAttemptsRef(email) {
+  return db.collection(LOGIN_ATTEMPTS_COLLECTION).doc(hash(email));
+}
+
+/**
+ * The lockout error for an email's failure counter, if it is locked out
+ * @param {Object|undefined} attempts - login_attempts data
+ * @param {Date} now - Current time
+ * @returns {Error|null}
+ */
+function getLockoutError(attempts, now) {
+  const lockedUntil = toDate(attempts?.lockedUntil);
+  if (!lockedUntil || lockedUntil <= now) {
+    return null;
+  }
+
+  return createLoginTokenError(
+    'Too many wrong login codes for this email. Please try again later.',
+    'LOGIN_LOCKED',
+    429,
+    { retryAfterSeconds: Math.ceil((lockedUntil - now) / 1000) }
+  );
+}
+
+/**
+ * Count a wrong code against the email, locking it out every MAX_FAILURES_PER_EMAIL failures
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} ref - login_attempts document reference
+ * @param {Object|undefined} attempts - Its current data
+ * @param {Date} now - Current time
+ * @returns {Date|null} When the lockout this failure started ends, if it started one
+ */
+function recordEmailFailure(transaction, ref, attempts, now) {
+  const fresh = !attempts || toDate(attempts.resetAt) <= now;
+  const failures = (fresh ? 0 : attempts.failures) + 1;
+  const lockouts = fresh ? 0 : attempts.lockouts;
+
+  const update = {
+    failures,
+    lockouts,
+    lockedUntil: fresh ? null : attempts.lockedUntil,
+    resetAt: new Date(now.getTime() + FAILURE_MEMORY_MS),
+    updatedAt: now
+  };
+
+  let lockedUntil = null;
+  if (failures % MAX_FAILURES_PER_EMAIL === 0) {
+    const minutes = Math.min(BASE_LOCKOUT_MINUTES * 2 ** lockouts, MAX_LOCKOUT_MINUTES);
+    lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+    update.lockouts = lockouts + 1;
+    update.lockedUntil = lockedUntil;
+    update.resetAt = new Date(lockedUntil.getTime() + FAILURE_MEMORY_MS);
+  }
+
+  transaction.set(ref, update);
+  return lockedUntil;
+}
+
+/**
+ * Issue a login code and magic-link token for an email
+ * @param {string} email - Lowercased email address
+ * @param {Object} [context] - { shopifyCustomerId, ip, userAgent }
+ * @returns {Promise<{code: string, linkToken: string, expiresAt: Date}>}
+ */
+async function createLoginToken(email, { shopifyCustomerId = null, ip = null, userAgent = null } = {}) {
+  const code = generateCode();
+  const linkToken = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + tokenTtlMinutes() * 60 * 1000);
+
+  // No point emailing a code that cannot be used yet
+  const attemptsDoc = await loginAttemptsRef(email).get();
+  const lockoutError = getLockoutError(attemptsDoc.data(), now);
+  if (lockoutError) {
+    throw lockoutError;
+  }
+
+  const pending = await db.collection(LOGIN_TOKENS_COLLECTION)
+    .where('email', '==', email)
+    .where('status', '==', 'pending')
+    .get();
+
+  const latest = pending.docs
+    .map(doc => toDate(doc.data().createdAt))
+    .sort((a, b) => b - a)[0];
+
+  if (latest && now - latest < RESEND_COOLDOWN_SECONDS * 1000) {
+    throw createLoginTokenError(
+      'A login code was sent moments ago. Please wait before requesting another one.',
+      'LOGIN_TOKEN_COOLDOWN',
+      429,
+      { retryAfterSeconds: Math.ceil(RESEND_COOLDOWN_SECONDS - (now - latest) / 1000) }
+    );
+  }
+
+  const batch = db.batch();
+  pending.docs.forEach(doc => batch.update(doc.ref, { status: 'replaced', updatedAt: now }));
+  batch.set(db.collection(LOGIN_TOKENS_COLLECTION).doc(), {
+    email,
+    codeHash: hash(code),
+    linkTokenHash: hash(linkToken),
+    status: 'pending',
+    attempts: 0,
+    maxAttempts: MAX_ATTEMPTS,
+    shopifyCustomerId,
+    ip,
+    userAgent,
+    createdAt: now,
+    updatedAt: now,
+    expiresAt
+  });
+  await batch.commit();
+
+  return { code, linkToken, expiresAt };
+}
+
+/**
+ * Check a pending token inside a transaction and mark it used
+ * Failed attempts are counted even though the verification fails, so the
+ * outcome is returned rather than thrown (a throw would roll the count back)
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} doc - login_tokens document snapshot
+ * @param {boolean} matches - Whether the code or link token was right
+ * @param {Object} attemptsDoc - login_attempts document snapshot of the email
+ * @returns {Promise<Object>} { token } on success, { error } otherwise
+ */
+function consumeToken(transaction, doc, matches, attemptsDoc) {
+  const token = doc.data();
+  const now = new Date();
+
+  const lockoutError = getLockoutError(attemptsDoc.data(), now);
+  if (lockoutError) {
+    return { error: lockoutError };
+  }
+
+  if (token.status !== 'pending' || toDate(token.expiresAt) < now) {
+    return { error: createLoginTokenError('This login code has expired. Please request a new one.', 'LOGIN_TOKEN_EXPIRED', 401) };
+  }
+
+  if (!matches) {
+    const attempts = token.attempts + 1;
+    const lockedUntil = recordEmailFailure(transaction, attemptsDoc.ref, attemptsDoc.data(), now);
+    const exhausted = attempts >= token.maxAttempts || Boolean(lockedUntil);
+    transaction.update(doc.ref, {
+      attempts,
+      status: exhausted ? 'locked' : 'pending',
+      updatedAt: now
+    });
+
+    if (lockedUntil) {
+      return { error: getLockoutError({ lockedUntil }, now) };
+    }
+    return {
+      error: exhausted
+        ? createLoginTokenError('Too many wrong codes. Please request a new one.', 'LOGIN_TOKEN_LOCKED', 429)
+        : createLoginTokenError('The login code is not correct', 'INVALID_LOGIN_CODE', 401, { attemptsRemaining: token.maxAttempts - attempts })
+    };
+  }
+
+  transaction.update(doc.ref, { status: 'used', usedAt: now, updatedAt: now });
+  if (attemptsDoc.exists) {
+    transaction.delete(attemptsDoc.ref);
+  }
+  return { token };
+}
+
+/**
+ * Verify a login code, or a magic-link token, for an email
+ * @param {string} email - Lowercased email address
+ * @param {string} secret - The six-digit code or the link token
+ * @returns {Promise<Object>} The used login token ({ email, shopifyCustomerId, ... })
+ */
+async function verifyLoginToken(email, secret) {
+  const isCode = new RegExp(`^\\d{${CODE_LENGTH}}$`).test(secret);
+
+  const snapshot = await db.collection(LOGIN_TOKENS_COLLECTION)
+    .where('email', '==', email)
+    .where('status', '==', 'pending')
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) {
+    throw createLoginTokenError('There is no valid login code for this email. Please request a new one.', 'LOGIN_TOKEN_INVALID', 401);
+  }
+
+  const ref = snapshot.docs[0].ref;
+  const result = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const attemptsDoc = await transaction.get(loginAttemptsRef(email));
+    const stored = isCode ? doc.data().codeHash : doc.data().linkTokenHash;
+    return consumeToken(transaction, doc, hashesMatch(stored, hash(secret)), attemptsDoc);
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+  return result.token;
+}
+
+/**
+ * Delete login tokens that expired more than a day ago, and failure counters that were forgotten
+ * @returns {Promise<{deleted: number}>}
+ */
+async function purgeExpiredLoginTokens() {
+  const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const [tokens, attempts] = await Promise.all([
+    db.collection(LOGIN_TOKENS_COLLECTION)
+      .where('expiresAt', '<', cutoff)
+      .limit(250)
+      .get(),
+    db.collection(LOGIN_ATTEMPTS_COLLECTION)
+      .where('resetAt', '<', new Date())
+      .limit(250)
+      .get()
+  ]);
+
+  const batch = db.batch();
+  [...tokens.docs, ...attempts.docs].forEach(doc => batch.delete(doc.ref));
+  await batch.commit();
+
+  return { deleted: tokens.size + attempts.size };
+}
+
+/**
+ * Send the response for a login token error
+ * @param {Error} error - Error thrown by this module
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the error was handled
+ */
+function handleLoginTokenError(error, res) {
+  if (!error || !error.isLoginTokenError) {
+    return false;
+  }
+
+  const body = { error: error.message, code: error.code };
+  if (error.attemptsRemaining !== undefined) body.attemptsRemaining = error.attemptsRemaining;
+  if (error.retryAfterSeconds !== undefined) {
+    body.retryAfterSeconds = error.retryAfterSeconds;
+    res.setHeader('Retry-After', String(error.retryAfterSeconds));
+  }
+
+  res.status(error.statusCode).json(body);
+  return true;
+}
+
+module.exports = {
+  LOGIN_TOKENS_COLLECTION,
+  createLoginToken,
+  verifyLoginToken,
+  purgeExpiredLoginTokens,
+  handleLoginTokenError
+};
@@ -0,0 +1,458 @@
+/**
+ * Loyalty point expiry
+ *
+ * Expiry is off unless POINTS_EXPIRY_MONTHS is set. Points earned through
+ * exchanges then expire that many months after they were credited. A
+ * customer's credit_history is replayed oldest first: every credit
+ * is a lot, and every debit (redemptions, discount codes, clawbacks...) uses up
+ * the oldest lots first. Whatever is left of an expiring lot once its expiry
+ * date has passed is written off with an `expiry` ledger entry, which also
+ * lowers the Shopify balance.
+ *
+ * Discount code purchases record the lots they used up (`consumedLots`), and
+ * the refund of an unused code gives those lots back (`restoredLots`), so
+ * refunded points keep their original expiry date. Lots that can still expire
+ * are flagged `expiryOpen`; the job only looks at customers with one of those.
+ *
+ * Until POINTS_EXPIRY_MODE=enforce the job only runs in notice mode: it reports
+ * what would be warned about and written off without emailing anyone or
+ * touching a balance. Once enforced, a lot is never written off before its
+ * customer has been warned and POINTS_EXPIRY_WARNING_DAYS have passed, so
+ * points that were already past their date when enforcement started get the
+ * full notice period too.
+ */
+const { db } = require('./firebaseAdmin');
+const { logger } = require('./logger');
+const { getCustomerLoyaltyPoints } = require('./shopify');
+const { sendPointsExpiryWarningEmail } = require('./email');
+const { LEDGER_TYPES, applyPointsMovement } = require('./creditLedger');
+const { toDate } = require('./exchangeFormatter');
+
+const CREDIT_HISTORY_COLLECTION = 'credit_history';
+
+// Credit types whose points expire; other credits (bonuses, refunds...) never do
+const EXPIRING_TYPES = [LEDGER_TYPES.EXCHANGE_CREDIT];
+
+const DEFAULT_WARNING_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXPIRY_MODES = {
+  NOTICE: 'notice',
+  ENFORCE: 'enforce'
+};
+
+const SYSTEM_ACTOR = { uid: null, email: null, role: 'system' };
+
+// Records that every expiring lot has its expiryOpen flag, so runs can query on it
+const MIGRATIONS_COLLECTION = 'migrations';
+const OPEN_LOTS_MIGRATION_ID = 'points_expiry_open_lots';
+
+/**
+ * Read the expiry policy from the environment
+ * Expiry is off unless POINTS_EXPIRY_MONTHS is a positive number, and only
+ * reported (notice mode) unless POINTS_EXPIRY_MODE=enforce
+ * @returns {{enabled: boolean, enforced: boolean, months: number, warningDays: number}}
+ */
+function getExpiryPolicy() {
+  const months = parseInt(process.env.POINTS_EXPIRY_MONTHS) || 0;
+  const warningDays = process.env.POINTS_EXPIRY_WARNING_DAYS !== undefined
+    ? parseInt(process.env.POINTS_EXPIRY_WARNING_DAYS)
+    : DEFAULT_WARNING_DAYS;
+  const enabled = months > 0;
+
+  return {
+    enabled,
+    enforced: enabled && process.env.POINTS_EXPIRY_MODE === EXPIRY_MODES.ENFORCE,
+    months: enabled ? months : 0,
+    warningDays: warningDays >= 0 ? warningDays : DEFAULT_WARNING_DAYS
+  };
+}
+
+/**
+ * Date on which points credited at creditedAt expire
+ * @param {Date} creditedAt - When the points were credited
+ * @param {Object} policy - Result of getExpiryPolicy()
+ * @returns {Date}
+ */
+function getExpiryDate(creditedAt, policy) {
+  const expiresAt = new Date(creditedAt);
+  expiresAt.setMonth(expiresAt.getMonth() + policy.months);
+  return expiresAt;
+}
+
+/**
+ * Date on which a lot is actually written off
+ * A lot is due on its expiry date, but never before the customer has had the
+ * warning period's notice. Customers without an email address cannot be
+ * warned, so their lots are due on the expiry date itself.
+ * @param {Object} lot - Lot from buildLots()
+ * @param {Object} policy - Result of getExpiryPolicy()
+ * @param {Date} now - Current time
+ * @param {boolean} canWarn - Whether the customer can be emailed
+ * @returns {Date}
+ */
+function getDueDate(lot, policy, now, canWarn) {
+  if (!canWarn) {
+    return lot.expiresAt;
+  }
+
+  const noticeFrom = lot.expiryWarningSentAt || now;
+  const noticeEnds = new Date(noticeFrom.getTime() + policy.warningDays * DAY_MS);
+  return noticeEnds > lot.expiresAt ? noticeEnds : lot.expiresAt;
+}
+
+/**
+ * Use up points from the lots, the named ones first and then the oldest
+ * @param {Array<Object>} lots - Lots built so far, oldest first
+ * @param {Map<string, Object>} lotsById - The same lots by ID
+ * @param {number} points - Points to use up
+ * @param {Array<{id: string, points: number}>} [named] - Lots the debit recorded using
+ */
+function consumeLots(lots, lotsById, points, named = []) {
+  let toConsume = points;
+  for (const { id, points: recorded } of named) {
+    const lot = lotsById.get(id);
+    if (!lot || toConsume <= 0) continue;
+    const used = Math.min(lot.remaining, recorded, toConsume);
+    lot.remaining -= used;
+    toConsume -= used;
+  }
+
+  for (const lot of lots) {
+    if (toConsume <= 0) break;
+    const used = Math.min(lot.remaining, toConsume);
+    lot.remaining -= used;
+    toConsume -= used;
+  }
+}
+
+/**
+ * Replay a customer's credit history and work out what is left of each credit
+ * @param {Array<Object>} docs - credit_history document snapshots, oldest first
+ * @param {Object} policy - Result of getExpiryPolicy()
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUsedUp=false] - Also return lots with nothing left
+ * @returns {Array<Object>} Lots: { id, ref, remaining, creditedAt, expiresAt, expiryWarningSentAt, expiryOpen }
+ */
+function buildLots(docs, policy, { includeUsedUp = false } = {}) {
+  const lots = [];
+  const lotsById = new Map();
+
+  for (const doc of docs) {
+    const data = doc.data();
+    const amount = Number(data.amount) || 0;
+    const createdAt = toDate(data.createdAt) || new Date();
+
+    // Refunded discount codes give back the lots their purchase used up
+    let refunded = amount;
+    if (amount > 0 && Array.isArray(data.restoredLots)) {
+      for (const restored of data.restoredLots) {
+        const lot = lotsById.get(restored.id);
+        if (lot && refunded > 0) {
+          const points = Math.min(restored.points, refunded);
+          lot.remaining += points;
+          refunded -= points;
+        }
+      }
+      if (refunded <= 0) {
+        continue;
+      }
+    }
+
+    if (amount > 0) {
+      const lot = {
+        id: doc.id,
+        ref: doc.ref,
+        remaining: refunded,
+        creditedAt: createdAt,
+        expiresAt: EXPIRING_TYPES.includes(data.type) ? getExpiryDate(createdAt, policy) : null,
+        expiryWarningSentAt: toDate(data.expiryWarningSentAt) || null,
+        expiryOpen: data.expiryOpen
+      };
+      lots.push(lot);
+      lotsById.set(doc.id, lot);
+      continue;
+    }
+
+    // Expiry entries name the lots they expired
+    if (data.type === LEDGER_TYPES.EXPIRY && Array.isArray(data.expiredLots)) {
+      for (const expired of data.expiredLots) {
+        const lot = lotsById.get(expired.id);
+        if (lot) {
+          lot.remaining = Math.max(0, lot.remaining - expired.points);
+        }
+      }
+      continue;
+    }
+
+    // Every other debit uses the lots it recorded, or else the oldest points first
+    consumeLots(lots, lotsById, -amount, Array.isArray(data.consumedLots) ? data.consumedLots : []);
+  }
+
+  return includeUsedUp ? lots : lots.filter(lot => lot.remaining > 0);
+}
+
+/**
+ * Work out which lots a debit about to be made will use up, oldest first
+ * Recorded on the debit so a later refund can give the same lots back
+ * @param {string} userId - Firebase user ID
+ * @param {number} points - Points the debit takes
+ * @returns {Promise<Array<{id: string, points: number}>>}
+ */
+async function getConsumedLots(userId, points) {
+  const snapshot = await db.collection(CREDIT_HISTORY_COLLECTION)
+    .where('userId', '==', userId)
+    .orderBy('createdAt', 'asc')
+    .get();
+
+  const consumed = [];
+  let toConsume = points;
+  for (const lot of buildLots(snapshot.docs, getExpiryPolicy())) {
+    if (toConsume <= 0) break;
+    const used = Math.min(lot.remaining, toConsume);
+    consumed.push({ id: lot.id, points: used });
+    toConsume -= used;
+  }
+  return consumed;
+}
+
+/**
+ * Keep the expiryOpen flag of a customer's expiring lots in step with what is left of them
+ * Lots a discount code refund gives back are reopened when the refund is committed
+ * @param {Array<Object>} lots - Expiring lots from buildLots(), used up ones included
+ */
+async function updateOpenLots(lots) {
+  const changed = lots.filter(lot => lot.expiryOpen !== lot.remaining > 0);
+  if (!changed.length) {
+    return;
+  }
+
+  const batch = db.batch();
+  changed.forEach(lot => batch.update(lot.ref, { expiryOpen: lot.remaining > 0 }));
+  await batch.commit();
+}
+
+/**
+ * Get a customer's points that are due to expire, soonest first
+ * @param {string} userId - Firebase user ID
+ * @returns {Promise<Array<{points: number, expiresAt: Date}>>} Empty unless expiry is enforced
+ */
+async function getUpcomingExpiries(userId) {
+  const policy = getExpiryPolicy();
+  if (!policy.enforced) {
+    return [];
+  }
+
+  const now = new Date();
+  const snapshot = await db.collection(CREDIT_HISTORY_COLLECTION)
+    .where('userId', '==', userId)
+    .orderBy('createdAt', 'asc')
+    .get();
+
+  return buildLots(snapshot.docs, policy)
+    .filter(lot => lot.expiresAt)
+    .map(lot => ({ points: lot.remaining, expiresAt: getDueDate(lot, policy, now, true) }))
+    .sort((a, b) => a.expiresAt - b.expiresAt);
+}
+
+/**
+ * Write off a customer's expired points
+ * The amount is capped at the live Shopify balance, which may have been lowered outside the app
+ * @returns {Promise<number>} Points expired
+ */
+async function expireLots(user, expiredLots) {
+  const due = expiredLots.reduce((sum, lot) => sum + lot.remaining, 0);
+
+  const currentPoints = await getCustomerLoyaltyPoints(user.shopifyId);
+  let available = Math.min(due, currentPoints.amount);
+  if (available <= 0) {
+    logger.warn('Expired points exceed the Shopify balance, nothing to expire', {
+      uid: user.uid,
+      due,
+      balance: currentPoints.amount
+    });
+    return 0;
+  }
+
+  // Oldest lots first
+  const allocation = [];
+  for (const lot of expiredLots) {
+    if (available <= 0) break;
+    const points = Math.min(lot.remaining, available);
+    allocation.push({ id: lot.id, points });
+    available -= points;
+  }
+
+  const points = allocation.reduce((sum, lot) => sum + lot.points, 0);
+  await applyPointsMovement({
+    type: LEDGER_TYPES.EXPIRY,
+    amount: -points,
+    user,
+    actor: SYSTEM_ACTOR,
+    reason: `${points} points expired`,
+    metadata: { expiredLots: allocation }
+  });
+
+  allocation.forEach(({ points: expired }, index) => {
+    expiredLots[index].remaining -= expired;
+  });
+  return points;
+}
+
+/**
+ * Email the customer about lots expiring soon and mark them so they are only warned once
+ * @returns {Promise<boolean>} Whether a warning was sent
+ */
+async function warnAboutLots(user, lots, policy, now) {
+  if (!user.email) {
+    return false;
+  }
+
+  const points = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+  const expiresAt = lots
+    .map(lot => getDueDate(lot, policy, now, true))
+    .reduce((soonest, date) => (date < soonest ? date : soonest));
+
+  const result = await sendPointsExpiryWarningEmail(user.email, { points, expiresAt });
+  if (result && result.success === false) {
+    throw new Error(`Expiry warning email failed: ${result.error}`);
+  }
+
+  const batch = db.batch();
+  lots.forEach(lot => batch.update(lot.ref, { expiryWarningSentAt: new Date() }));
+  await batch.commit();
+
+  return true;
+}
+
+/**
+ * Process one customer: expire what is due and warn about what is close
+ * In notice mode nothing is expired or sent; the points are only counted
+ * @returns {Promise<{expiredPoints: number, warned: boolean}>}
+ */
+async function processCustomerExpiry(userId, policy, now) {
+  const userDoc = await db.collection('users').doc(userId).get();
+  if (!userDoc.exists) {
+    return { expiredPoints: 0, warned: false };
+  }
+
+  const userData = userDoc.data();
+  const canWarn = Boolean(userData.email);
+
+  const snapshot = await db.collection(CREDIT_HISTORY_COLLECTION)
+    .where('userId', '==', userId)
+    .orderBy('createdAt', 'asc')
+    .get();
+
+  const allLots = buildLots(snapshot.docs, policy, { includeUsedUp: true }).filter(lot => lot.expiresAt);
+  const lots = allLots.filter(lot => lot.remaining > 0);
+  const warningCutoff = new Date(now.getTime() + policy.warningDays * DAY_MS);
+
+  const expired = lots.filter(lot =>
+    (lot.expiryWarningSentAt || !canWarn) && getDueDate(lot, policy, now, canWarn) <= now
+  );
+  // Includes lots already past their date that were never warned about
+  const expiringSoon = lots.filter(lot => lot.expiresAt <= warningCutoff && !lot.expiryWarningSentAt);
+
+  const shopifyId = userData.shopifyId || snapshot.docs
+    .map(doc => doc.data().shopifyCustomerId)
+    .filter(Boolean)
+    .pop();
+  const user = { uid: userId, email: userData.email, shopifyId };
+
+  // Notice mode counts everything past its expiry date, which is what
+  // enforcement would write off once the notice period has run
+  if (!policy.enforced) {
+    await updateOpenLots(allLots);
+    return {
+      expiredPoints: shopifyId
+        ? lots.filter(lot => lot.expiresAt <= now).reduce((sum, lot) => sum + lot.remaining, 0)
+        : 0,
+      warned: canWarn && expiringSoon.length > 0
+    };
+  }
+
+  const expiredPoints = expired.length > 0 && shopifyId ? await expireLots(user, expired) : 0;
+  await updateOpenLots(allLots);
+  const warned = expiringSoon.length > 0 ? await warnAboutLots(user, expiringSoon, policy, now) : false;
+
+  return { expiredPoints, warned };
+}
+
+/**
+ * Scheduled job: expire points past their expiry date and send warning emails
+ * In notice mode the summary reports what an enforced run would have done
+ * @returns {Promise<Object>} Run summary
+ */
+async function runPointsExpiry() {
+  const policy = getExpiryPolicy();
+  if (!policy.enabled) {
+    return { skipped: true };
+  }
+
+  const now = new Date();
+
+  // Credits old enough to be within the warning window
+  const cutoff = new Date(now.getTime() + policy.warningDays * DAY_MS);
+  cutoff.setMonth(cutoff.getMonth() - policy.months);
+
+  // Lots credited before the expiryOpen flag existed are found the slow way,
+  // once; the run flags them as it goes
+  const migrationRef = db.collection(MIGRATIONS_COLLECTION).doc(OPEN_LOTS_MIGRATION_ID);
+  const migrated = (await migrationRef.get()).exists;
+
+  let query = db.collection(CREDIT_HISTORY_COLLECTION)
+    .where('type', 'in', EXPIRING_TYPES)
+    .where('createdAt', '<=', cutoff);
+  if (migrated) {
+    query = query.where('expiryOpen', '==', true);
+  }
+  const snapshot = await query.get();
+
+  const userIds = [...new Set(snapshot.docs.map(doc => doc.data().userId).filter(Boolean))];
+  const result = {
+    dryRun: !policy.enforced,
+    customers: userIds.length,
+    expiredPoints: 0,
+    expiredCustomers: 0,
+    warningsSent: 0,
+    errors: 0
+  };
+
+  for (const userId of userIds) {
+    try {
+      const { expiredPoints, warned } = await processCustomerExpiry(userId, policy, now);
+      if (expiredPoints > 0) {
+        result.expiredPoints += expiredPoints;
+        result.expiredCustomers++;
+      }
+      if (warned) {
+        result.warningsSent++;
+      }
+    } catch (error) {
+      result.errors++;
+      logger.error('Error processing points expiry', {
+        uid: userId,
+        error: error.message
+      });
+    }
+  }
+
+  if (!migrated && result.errors === 0) {
+    await migrationRef.set({ completedAt: new Date(), customers: result.customers });
+  }
+
+  if (result.dryRun) {
+    logger.info('Points expiry notice run, nothing was expired or sent', result);
+  }
+
+  return result;
+}
+
+module.exports = {
+  EXPIRY_MODES,
+  getExpiryPolicy,
+  getConsumedLots,
+  getUpcomingExpiries,
+  runPointsExpiry
+};
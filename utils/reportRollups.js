@@ -0,0 +1,301 @@
+/**
+ * Daily rollups behind the admin reports
+ *
+ * Reports read one small document per day from `report_rollups` instead of
+ * scanning exchange_requests and credit_history. The counters are bumped in
+ * the same transaction as the change they describe: every state transition
+ * (transitionExchange), every committed points movement (creditLedger) and
+ * every new exchange request. Days are UTC.
+ *
+ * A rollup document looks like:
+ *   date, month                       - 'YYYY-MM-DD', 'YYYY-MM'
+ *   entered.{state}                   - Exchange requests that entered each state that day
+ *   turnaround.{totalMs, count}       - Created-to-completed time of requests completed that day
+ *   creditedPoints                    - Credit on requests completed that day
+ *   brands.{brandKey}.*               - entered, turnaround and creditedPoints per brand
+ *   warehouses.{warehouseId}.*        - entered, turnaround and creditedPoints per warehouse
+ *   pointsIn.{ledgerType}             - Points added to customer balances, per ledger type
+ *   pointsOut.{ledgerType}            - Points taken from customer balances, per ledger type
+ *
+ * rebuildRollups() recomputes a date range from the source collections, for
+ * days before rollups existed or after a data fix.
+ */
+const { db, admin } = require('./firebaseAdmin');
+const { logger } = require('./logger');
+const { toDate } = require('./exchangeFormatter');
+const { normalizeKey } = require('./valuation');
+
+const ROLLUPS_COLLECTION = 'report_rollups';
+
+// Brands and warehouses that aren't known yet are counted under this key
+const UNKNOWN_KEY = 'unknown';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * UTC day key of a date
+ * @param {Date|Object} value - Date or Firestore Timestamp
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function dayKey(value) {
+  return new Date(toDate(value)).toISOString().slice(0, 10);
+}
+
+/**
+ * Rollup document for the day a date falls on
+ * @returns {Object} Firestore document reference
+ */
+function rollupRef(date) {
+  return db.collection(ROLLUPS_COLLECTION).doc(`day_${dayKey(date)}`);
+}
+
+/**
+ * Add a number at a path of a plain delta object
+ */
+function addTo(target, path, amount) {
+  const keys = path.slice(0, -1);
+  const last = path[path.length - 1];
+  let node = target;
+  for (const key of keys) {
+    node[key] = node[key] || {};
+    node = node[key];
+  }
+  node[last] = (node[last] || 0) + amount;
+}
+
+/**
+ * Counters changed by an exchange request entering a state
+ * @param {Object} exchange - Exchange data after the transition
+ * @param {string} toState - State entered
+ * @param {Date} at - When it happened
+ * @returns {Object} Nested counters, plain numbers
+ */
+function buildTransitionDelta(exchange, toState, at) {
+  const delta = {};
+  const scopes = [
+    [],
+    ['brands', normalizeKey(exchange.brand) || UNKNOWN_KEY],
+    ...(exchange.warehouseId ? [['warehouses', exchange.warehouseId]] : [])
+  ];
+
+  for (const scope of scopes) {
+    addTo(delta, [...scope, 'entered', toState], 1);
+  }
+
+  if (toState === 'completed') {
+    const createdAt = toDate(exchange.createdAt);
+    const turnaroundMs = createdAt ? new Date(at).getTime() - new Date(createdAt).getTime() : null;
+
+    for (const scope of scopes) {
+      if (turnaroundMs !== null && turnaroundMs >= 0) {
+        addTo(delta, [...scope, 'turnaround', 'totalMs'], turnaroundMs);
+        addTo(delta, [...scope, 'turnaround', 'count'], 1);
+      }
+      addTo(delta, [...scope, 'creditedPoints'], Number(exchange.creditAmount) || 0);
+    }
+  }
+
+  return delta;
+}
+
+/**
+ * Counters changed by a committed points movement
+ * @param {Object} entry - Ledger entry ({ type, amount })
+ * @returns {Object} Nested counters, plain numbers
+ */
+function buildPointsDelta(entry) {
+  const amount = Number(entry.amount) || 0;
+  if (amount === 0) {
+    return {};
+  }
+
+  return amount > 0
+    ? { pointsIn: { [entry.type]: amount } }
+    : { pointsOut: { [entry.type]: -amount } };
+}
+
+/**
+ * Turn plain counters into Firestore increments
+ * @returns {Object}
+ */
+function toIncrements(delta) {
+  const result = {};
+  for (const [key, value] of Object.entries(delta)) {
+    result[key] = typeof value === 'number'
+      ? admin.firestore.FieldValue.increment(value)
+      : toIncrements(value);
+  }
+  return result;
+}
+
+/**
+ * Queue a rollup update on a transaction or batch
+ * @param {Object} writer - Firestore transaction or write batch
+ * @param {Date} at - When the counted event happened
+ * @param {Object} delta - Nested counters
+ */
+function writeDelta(writer, at, delta) {
+  if (!Object.keys(delta).length) {
+    return;
+  }
+
+  const key = dayKey(at);
+  writer.set(rollupRef(at), {
+    ...toIncrements(delta),
+    date: key,
+    month: key.slice(0, 7),
+    updatedAt: new Date()
+  }, { merge: true });
+}
+
+/**
+ * Count a state transition, inside the transaction that makes it
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} exchange - Exchange data after the transition
+ * @param {string} toState - State entered
+ * @param {Date} at - Transition time
+ */
+function recordTransition(transaction, exchange, toState, at) {
+  writeDelta(transaction, at, buildTransitionDelta(exchange, toState, at));
+}
+
+/**
+ * Count a committed points movement, inside the transaction that commits it
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} entry - Ledger entry
+ * @param {Date} at - Commit time
+ */
+function recordPointsMovement(transaction, entry, at) {
+  writeDelta(transaction, at, buildPointsDelta(entry));
+}
+
+/**
+ * Count a new exchange request
+ * Failures are logged; reports can be corrected with rebuildRollups()
+ * @param {Object} exchange - Exchange data as created
+ */
+async function recordExchangeCreated(exchange) {
+  try {
+    const batch = db.batch();
+    writeDelta(batch, exchange.createdAt, buildTransitionDelta(exchange, 'pending', exchange.createdAt));
+    await batch.commit();
+  } catch (error) {
+    logger.error('Error updating report rollups for a new exchange request', {
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Merge counters into a per-day map of deltas
+ */
+function mergeDelta(days, at, delta) {
+  const key = dayKey(at);
+  const merge = (target, source) => {
+    for (const [name, value] of Object.entries(source)) {
+      if (typeof value === 'number') {
+        target[name] = (target[name] || 0) + value;
+      } else {
+        target[name] = target[name] || {};
+        merge(target[name], value);
+      }
+    }
+  };
+
+  days[key] = days[key] || {};
+  merge(days[key], delta);
+}
+
+/**
+ * Recompute the rollups of a date range from exchange requests, their status
+ * history and the credit history, replacing what is stored for those days
+ * Status history is read with a collection group query on createdAt, which
+ * needs the collection group index exemption for status_history.createdAt
+ * @param {Date} from - First day (inclusive)
+ * @param {Date} to - Last day (inclusive)
+ * @returns {Promise<{days: number, exchanges: number, transitions: number, pointsMovements: number}>}
+ */
+async function rebuildRollups(from, to) {
+  const start = new Date(`${dayKey(from)}T00:00:00.000Z`);
+  const end = new Date(new Date(`${dayKey(to)}T00:00:00.000Z`).getTime() + DAY_MS);
+  const days = {};
+  const result = { days: 0, exchanges: 0, transitions: 0, pointsMovements: 0 };
+
+  const exchangesSnapshot = await db.collection('exchange_requests')
+    .where('createdAt', '>=', start)
+    .where('createdAt', '<', end)
+    .get();
+
+  exchangesSnapshot.docs.forEach(doc => {
+    const exchange = doc.data();
+    mergeDelta(days, exchange.createdAt, buildTransitionDelta(exchange, 'pending', exchange.createdAt));
+    result.exchanges++;
+  });
+
+  const historySnapshot = await db.collectionGroup('status_history')
+    .where('createdAt', '>=', start)
+    .where('createdAt', '<', end)
+    .get();
+
+  // Brand, warehouse and credit come from the exchange as it is now
+  const exchanges = new Map();
+  for (const doc of historySnapshot.docs) {
+    const entry = doc.data();
+    // Creation entries are counted from the exchange requests above
+    if (!entry.fromState) {
+      continue;
+    }
+
+    const exchangeRef = doc.ref.parent.parent;
+    if (!exchanges.has(exchangeRef.id)) {
+      const exchangeDoc = await exchangeRef.get();
+      exchanges.set(exchangeRef.id, exchangeDoc.exists ? exchangeDoc.data() : null);
+    }
+
+    const exchange = exchanges.get(exchangeRef.id);
+    if (exchange) {
+      mergeDelta(days, entry.createdAt, buildTransitionDelta(exchange, entry.toState, toDate(entry.createdAt)));
+      result.transitions++;
+    }
+  }
+
+  const creditSnapshot = await db.collection('credit_history')
+    .where('createdAt', '>=', start)
+    .where('createdAt', '<', end)
+    .get();
+
+  creditSnapshot.docs.forEach(doc => {
+    const entry = doc.data();
+    mergeDelta(days, entry.createdAt, buildPointsDelta(entry));
+    result.pointsMovements++;
+  });
+
+  // Replace every day of the range, including days that no longer have any activity
+  const writes = [];
+  for (let time = start.getTime(); time < end.getTime(); time += DAY_MS) {
+    const key = dayKey(new Date(time));
+    writes.push({
+      ref: db.collection(ROLLUPS_COLLECTION).doc(`day_${key}`),
+      data: { ...(days[key] || {}), date: key, month: key.slice(0, 7), updatedAt: new Date(), rebuiltAt: new Date() }
+    });
+  }
+
+  for (let index = 0; index < writes.length; index += 400) {
+    const batch = db.batch();
+    writes.slice(index, index + 400).forEach(({ ref, data }) => batch.set(ref, data));
+    await batch.commit();
+  }
+
+  result.days = writes.length;
+  return result;
+}
+
+module.exports = {
+  ROLLUPS_COLLECTION,
+  UNKNOWN_KEY,
+  dayKey,
+  recordTransition,
+  recordPointsMovement,
+  recordExchangeCreated,
+  rebuildRollups
+};
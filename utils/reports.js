@@ -0,0 +1,334 @@
+/**
+ * Admin reports over exchange requests and points movements
+ *
+ * Every report reads the daily rollups kept by utils/reportRollups for the
+ * requested range and sums them per day, week (starting Monday) or month.
+ * Ranges are whole UTC days, both ends included.
+ */
+const { db } = require('./firebaseAdmin');
+const { LEDGER_TYPES } = require('./creditLedger');
+const { EXCHANGE_STATES } = require('./exchangeStateMachine');
+const { ROLLUPS_COLLECTION, dayKey } = require('./reportRollups');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range a report may cover, and a rollup rebuild may recompute in one request
+const MAX_REPORT_DAYS = 731;
+const MAX_REBUILD_DAYS = 366;
+
+// Movements that hand customers new points; refunds of unused discount codes give back points already issued
+const ISSUED_TYPES = [LEDGER_TYPES.EXCHANGE_CREDIT, LEDGER_TYPES.BONUS, LEDGER_TYPES.CORRECTION];
+
+/**
+ * Create an error carrying an HTTP status and machine-readable code
+ * @returns {Error}
+ */
+function createReportError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.isReportError = true;
+  return error;
+}
+
+/**
+ * Throw if a date range covers more days than allowed
+ * @param {Object} range - { from, to }
+ * @param {number} maxDays - Longest allowed range, both ends included
+ */
+function assertRange({ from, to }, maxDays) {
+  const days = Math.round((Date.parse(dayKey(to)) - Date.parse(dayKey(from))) / DAY_MS) + 1;
+  if (days > maxDays) {
+    throw createReportError(`The date range cannot exceed ${maxDays} days`, 'REPORT_RANGE_TOO_LARGE', 400);
+  }
+}
+
+/**
+ * Period an ISO day belongs to
+ * @param {string} key - 'YYYY-MM-DD'
+ * @param {string} groupBy - 'day', 'week' or 'month'
+ * @returns {string} Day key, the Monday of the week, or 'YYYY-MM'
+ */
+function periodKey(key, groupBy) {
+  if (groupBy === 'month') {
+    return key.slice(0, 7);
+  }
+  if (groupBy === 'week') {
+    const date = new Date(`${key}T00:00:00.000Z`);
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    date.setUTCDate(date.getUTCDate() - daysSinceMonday);
+    return dayKey(date);
+  }
+  return key;
+}
+
+/**
+ * Load the rollups of a range, oldest first
+ * @param {Object} range - { from, to }
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadRollups({ from, to }) {
+  assertRange({ from, to }, MAX_REPORT_DAYS);
+
+  const snapshot = await db.collection(ROLLUPS_COLLECTION)
+    .where('date', '>=', dayKey(from))
+    .where('date', '<=', dayKey(to))
+    .orderBy('date', 'asc')
+    .get();
+
+  return snapshot.docs.map(doc => doc.data());
+}
+
+/**
+ * Sum the rollups of a range per period
+ * @param {Object} query - { from, to, groupBy }
+ * @param {Function} pick - Maps a rollup to a flat object of numbers
+ * @returns {Promise<{periods: Array<Object>, totals: Object}>}
+ */
+async function summarize(query, pick) {
+  const rollups = await loadRollups(query);
+  const periods = new Map();
+  const totals = {};
+
+  const add = (target, values) => {
+    for (const [name, value] of Object.entries(values)) {
+      target[name] = (target[name] || 0) + (Number(value) || 0);
+    }
+  };
+
+  for (const rollup of rollups) {
+    const key = periodKey(rollup.date, query.groupBy);
+    if (!periods.has(key)) {
+      periods.set(key, { period: key });
+    }
+    const values = pick(rollup);
+    add(periods.get(key), values);
+    add(totals, values);
+  }
+
+  return { periods: [...periods.values()], totals };
+}
+
+/**
+ * Report envelope shared by every report
+ * @returns {Object}
+ */
+function envelope({ from, to, groupBy }, body) {
+  return { from: dayKey(from), to: dayKey(to), groupBy, ...body };
+}
+
+const entered = (counters, state) => Number(counters?.entered?.[state]) || 0;
+
+const averageDays = (turnaround) => (
+  turnaround.count ? Math.round((turnaround.totalMs / turnaround.count / 86400000) * 10) / 10 : null
+);
+
+/**
+ * New, approved, completed, declined and returned exchange requests per period
+ * @param {Object} query - Validated report query
+ * @returns {Promise<Object>}
+ */
+async function getExchangeVolumes(query) {
+  const { periods, totals } = await summarize(query, rollup => ({
+    created: entered(rollup, EXCHANGE_STATES.PENDING),
+    approved: entered(rollup, EXCHANGE_STATES.APPROVED),
+    completed: entered(rollup, EXCHANGE_STATES.COMPLETED),
+    declined: entered(rollup, EXCHANGE_STATES.DECLINED),
+    returned: entered(rollup, EXCHANGE_STATES.RETURNED)
+  }));
+
+  return envelope(query, { periods, totals });
+}
+
+/**
+ * Share of decided exchange requests that were approved, per period
+ * A request is decided when it is approved (the customer accepted a quote) or declined
+ * @param {Object} query - Validated report query
+ * @returns {Promise<Object>}
+ */
+async function getApprovalRates(query) {
+  const withRate = (counts) => ({
+    ...counts,
+    approvalRate: counts.approved + counts.declined > 0
+      ? Math.round((counts.approved / (counts.approved + counts.declined)) * 1000) / 1000
+      : null
+  });
+
+  const { periods, totals } = await summarize(query, rollup => ({
+    approved: entered(rollup, EXCHANGE_STATES.APPROVED),
+    declined: entered(rollup, EXCHANGE_STATES.DECLINED)
+  }));
+
+  return envelope(query, {
+    periods: periods.map(withRate),
+    totals: withRate({ approved: 0, declined: 0, ...totals })
+  });
+}
+
+/**
+ * Average time from creation to completion of requests completed in each period
+ * @param {Object} query - Validated report query
+ * @returns {Promise<Object>}
+ */
+async function getTurnaround(query) {
+  const withAverage = ({ period, totalMs = 0, count = 0 }) => ({
+    ...(period ? { period } : {}),
+    completed: count,
+    averageDays: averageDays({ totalMs, count })
+  });
+
+  const { periods, totals } = await summarize(query, rollup => ({
+    totalMs: rollup.turnaround?.totalMs,
+    count: rollup.turnaround?.count
+  }));
+
+  return envelope(query, {
+    periods: periods.map(withAverage),
+    totals: withAverage(totals)
+  });
+}
+
+/**
+ * Points issued, redeemed and expired per period, by ledger type
+ * @param {Object} query - Validated report query
+ * @returns {Promise<Object>}
+ */
+async function getPointsReport(query) {
+  const { periods, totals } = await summarize(query, rollup => {
+    const values = {};
+    for (const type of Object.values(LEDGER_TYPES)) {
+      values[`in.${type}`] = rollup.pointsIn?.[type];
+      values[`out.${type}`] = rollup.pointsOut?.[type];
+    }
+    return values;
+  });
+
+  const shape = (sums) => {
+    const byType = {};
+    for (const type of Object.values(LEDGER_TYPES)) {
+      const added = sums[`in.${type}`] || 0;
+      const removed = sums[`out.${type}`] || 0;
+      if (added || removed) {
+        byType[type] = { added, removed };
+      }
+    }
+
+    const sumOf = (types, direction) => types.reduce((sum, type) => sum + (sums[`${direction}.${type}`] || 0), 0);
+
+    return {
+      ...(sums.period ? { period: sums.period } : {}),
+      issued: sumOf(ISSUED_TYPES, 'in'),
+      redeemed: sumOf([LEDGER_TYPES.REDEMPTION, LEDGER_TYPES.DISCOUNT_CODE], 'out') -
+        sumOf([LEDGER_TYPES.DISCOUNT_REFUND], 'in'),
+      expired: sumOf([LEDGER_TYPES.EXPIRY], 'out'),
+      clawedBack: sumOf([LEDGER_TYPES.CLAWBACK], 'out'),
+      byType
+    };
+  };
+
+  return envelope(query, {
+    periods: periods.map(shape),
+    totals: shape(totals)
+  });
+}
+
+/**
+ * Add up the per-brand or per-warehouse counters of a range
+ * @param {Array<Object>} rollups
+ * @param {string} field - 'brands' or 'warehouses'
+ * @returns {Map<string, Object>}
+ */
+function sumByKey(rollups, field) {
+  const sums = new Map();
+
+  for (const rollup of rollups) {
+    for (const [key, counters] of Object.entries(rollup[field] || {})) {
+      const sum = sums.get(key) || { created: 0, approved: 0, received: 0, completed: 0, declined: 0, returned: 0, creditedPoints: 0, totalMs: 0, count: 0 };
+      sum.created += entered(counters, EXCHANGE_STATES.PENDING);
+      sum.approved += entered(counters, EXCHANGE_STATES.APPROVED);
+      sum.received += entered(counters, EXCHANGE_STATES.RECEIVED);
+      sum.completed += entered(counters, EXCHANGE_STATES.COMPLETED);
+      sum.declined += entered(counters, EXCHANGE_STATES.DECLINED);
+      sum.returned += entered(counters, EXCHANGE_STATES.RETURNED);
+      sum.creditedPoints += Number(counters.creditedPoints) || 0;
+      sum.totalMs += Number(counters.turnaround?.totalMs) || 0;
+      sum.count += Number(counters.turnaround?.count) || 0;
+      sums.set(key, sum);
+    }
+  }
+
+  return sums;
+}
+
+/**
+ * Brands with the most new exchange requests in the range
+ * @param {Object} query - Validated report query ({ from, to, limit })
+ * @returns {Promise<Object>}
+ */
+async function getTopBrands(query) {
+  const sums = sumByKey(await loadRollups(query), 'brands');
+
+  const brands = [...sums.entries()]
+    .map(([brand, { totalMs, count, ...counts }]) => ({
+      brand,
+      ...counts,
+      averageTurnaroundDays: averageDays({ totalMs, count })
+    }))
+    .sort((a, b) => b.created - a.created || b.completed - a.completed || a.brand.localeCompare(b.brand))
+    .slice(0, query.limit);
+
+  return { from: dayKey(query.from), to: dayKey(query.to), brands };
+}
+
+/**
+ * Items received and completed per warehouse in the range
+ * @param {Object} query - Validated report query ({ from, to })
+ * @returns {Promise<Object>}
+ */
+async function getWarehouseThroughput(query) {
+  const [rollups, warehousesSnapshot] = await Promise.all([
+    loadRollups(query),
+    db.collection('warehouses').get()
+  ]);
+
+  const names = new Map(warehousesSnapshot.docs.map(doc => [doc.id, doc.data().name || null]));
+  const sums = sumByKey(rollups, 'warehouses');
+
+  const warehouses = [...sums.entries()]
+    .map(([warehouseId, { totalMs, count, created, ...counts }]) => ({
+      warehouseId,
+      name: names.get(warehouseId) || null,
+      ...counts,
+      averageTurnaroundDays: averageDays({ totalMs, count })
+    }))
+    .sort((a, b) => b.completed - a.completed || b.received - a.received);
+
+  return { from: dayKey(query.from), to: dayKey(query.to), warehouses };
+}
+
+/**
+ * Send the response for a report error
+ * @param {Error} error - Error thrown by this module
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the error was handled
+ */
+function handleReportError(error, res) {
+  if (!error || !error.isReportError) {
+    return false;
+  }
+
+  res.status(error.statusCode).json({ error: error.message, code: error.code });
+  return true;
+}
+
+module.exports = {
+  MAX_REBUILD_DAYS,
+  assertRange,
+  getExchangeVolumes,
+  getApprovalRates,
+  getTurnaround,
+  getPointsReport,
+  getTopBrands,
+  getWarehouseThroughput,
+  handleReportError
+};
@@ -0,0 +1,349 @@
+/**
+ * Staff roles and permissions
+ *
+ * Users carry their role grants in `users.roles` as [{ role, warehouseId }].
+ * A grant with a warehouseId only applies to exchange requests assigned to
+ * that warehouse; a grant without one applies everywhere. The legacy
+ * `isAdmin` flag is kept in step with an unscoped admin grant, and users who
+ * only have the flag are treated as admins.
+ *
+ * Every grant and revocation is recorded in `role_changes`.
+ */
+const { db } = require('./firebaseAdmin');
+const { toDate } = require('./exchangeFormatter');
+
+const USERS_COLLECTION = 'users';
+const ROLE_CHANGES_COLLECTION = 'role_changes';
+
+const PERMISSIONS = {
+  EXCHANGES_READ: 'exchanges:read',
+  // Quote, decline, complete, inspect, resolve disputes and return items
+  EXCHANGES_REVIEW: 'exchanges:review',
+  // Mark items received at the warehouse
+  EXCHANGES_RECEIVE: 'exchanges:receive',
+  CREDIT_READ: 'credit:read',
+  CREDIT_ASSIGN: 'credit:assign',
+  // Assign credit far from the suggested amount, or other than the amount the customer agreed to
+  CREDIT_OVERRIDE: 'credit:override',
+  DATA_EXPORT: 'data:export',
+  REPORTS_READ: 'reports:read',
+  // Warehouses, valuation rates and maintenance jobs
+  SETTINGS_MANAGE: 'settings:manage',
+  ROLES_MANAGE: 'roles:manage',
+  AUDIT_READ: 'audit:read'
+};
+
+const ROLES = {
+  ADMIN: 'admin',
+  REVIEWER: 'reviewer',
+  WAREHOUSE_STAFF: 'warehouse_staff',
+  FINANCE: 'finance'
+};
+
+// warehouseScope: 'none' (never scoped), 'optional' or 'required'
+const ROLE_DEFINITIONS = {
+  [ROLES.ADMIN]: {
+    description: 'Full access, including role management',
+    permissions: Object.values(PERMISSIONS),
+    warehouseScope: 'none'
+  },
+  [ROLES.REVIEWER]: {
+    description: 'Reviews, quotes, inspects and declines exchange requests; cannot assign credit',
+    permissions: [PERMISSIONS.EXCHANGES_READ, PERMISSIONS.EXCHANGES_REVIEW, PERMISSIONS.EXCHANGES_RECEIVE, PERMISSIONS.REPORTS_READ],
+    warehouseScope: 'optional'
+  },
+  [ROLES.WAREHOUSE_STAFF]: {
+    description: 'Sees and marks received the items sent to their warehouse',
+    permissions: [PERMISSIONS.EXCHANGES_READ, PERMISSIONS.EXCHANGES_RECEIVE],
+    warehouseScope: 'required'
+  },
+  [ROLES.FINANCE]: {
+    description: 'Assigns and adjusts credit, reads the ledger and exports data',
+    permissions: [PERMISSIONS.EXCHANGES_READ, PERMISSIONS.CREDIT_READ, PERMISSIONS.CREDIT_ASSIGN, PERMISSIONS.DATA_EXPORT, PERMISSIONS.REPORTS_READ],
+    warehouseScope: 'optional'
+  }
+};
+
+/**
+ * Create an error carrying an HTTP status and machine-readable code
+ * @returns {Error}
+ */
+function createRoleError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.isRoleError = true;
+  return error;
+}
+
+/**
+ * Role grants of a user, including the admin grant implied by the legacy flag
+ * @param {Object} user - User document data (or req.user)
+ * @returns {Array<{role: string, warehouseId: string|null}>}
+ */
+function getUserRoles(user) {
+  const grants = (Array.isArray(user?.roles) ? user.roles : [])
+    .filter(grant => grant && ROLE_DEFINITIONS[grant.role])
+    .map(grant => ({ role: grant.role, warehouseId: grant.warehouseId || null }));
+
+  if (user?.isAdmin && !grants.some(grant => grant.role === ROLES.ADMIN)) {
+    grants.push({ role: ROLES.ADMIN, warehouseId: null });
+  }
+
+  return grants;
+}
+
+/**
+ * Where a user holds a permission
+ * @param {Object} user - User document data (or req.user)
+ * @param {string} permission - PERMISSIONS value
+ * @returns {{all: boolean, warehouseIds: Array<string>}|null} null when the user lacks it entirely
+ */
+function getPermissionScope(user, permission) {
+  const grants = getUserRoles(user)
+    .filter(grant => ROLE_DEFINITIONS[grant.role].permissions.includes(permission));
+
+  if (!grants.length) {
+    return null;
+  }
+
+  return {
+    all: grants.some(grant => !grant.warehouseId),
+    warehouseIds: [...new Set(grants.map(grant => grant.warehouseId).filter(Boolean))]
+  };
+}
+
+/**
+ * Whether a permission scope covers a warehouse
+ * @param {Object|null} scope - From getPermissionScope
+ * @param {string|null} warehouseId - Warehouse of the resource; null for resources without one
+ * @returns {boolean}
+ */
+function scopeIncludes(scope, warehouseId) {
+  if (!scope) {
+    return false;
+  }
+  return scope.all || (Boolean(warehouseId) && scope.warehouseIds.includes(warehouseId));
+}
+
+/**
+ * Check a permission, optionally for a resource assigned to a warehouse
+ * Warehouse-scoped grants only count when a warehouse is given
+ * @param {Object} user - User document data (or req.user)
+ * @param {string} permission - PERMISSIONS value
+ * @param {string|null} [warehouseId] - Warehouse of the resource
+ * @returns {boolean}
+ */
+function hasPermission(user, permission, warehouseId = null) {
+  return scopeIncludes(getPermissionScope(user, permission), warehouseId);
+}
+
+/**
+ * Throw unless a permission scope covers a warehouse
+ * @param {Object|null} scope - From getPermissionScope
+ * @param {string|null} warehouseId - Warehouse of the resource
+ */
+function assertWarehouseAccess(scope, warehouseId) {
+  if (!scopeIncludes(scope, warehouseId)) {
+    throw createRoleError('You do not have access to this warehouse', 'PERMISSION_DENIED', 403);
+  }
+}
+
+/**
+ * Warehouse a listing has to be limited to
+ * Users with warehouse-scoped grants only may pick one of their warehouses,
+ * and get it picked for them when they have just one
+ * @param {Object} scope - From getPermissionScope
+ * @param {string} [requested] - warehouseId filter from the request
+ * @returns {string|undefined} Warehouse ID to filter on, if any
+ */
+function resolveWarehouseFilter(scope, requested) {
+  if (scope.all) {
+    return requested;
+  }
+  if (requested) {
+    assertWarehouseAccess(scope, requested);
+    return requested;
+  }
+  if (scope.warehouseIds.length === 1) {
+    return scope.warehouseIds[0];
+  }
+  throw createRoleError('Choose one of your warehouses with warehouseId', 'WAREHOUSE_REQUIRED', 400);
+}
+
+const sameGrant = (a, b) => a.role === b.role && (a.warehouseId || null) === (b.warehouseId || null);
+
+/**
+ * Record a role change
+ */
+function recordRoleChange(transaction, { userId, action, grant, rolesBefore, rolesAfter, actor, ip }) {
+  transaction.set(db.collection(ROLE_CHANGES_COLLECTION).doc(), {
+    userId,
+    action,
+    role: grant.role,
+    warehouseId: grant.warehouseId || null,
+    rolesBefore,
+    rolesAfter,
+    actor: { uid: actor.uid || null, email: actor.email || null },
+    ip: ip || null,
+    createdAt: new Date()
+  });
+}
+
+/**
+ * Check a grant against its role's warehouse scope rule
+ * @returns {{role: string, warehouseId: string|null}}
+ */
+function normalizeGrant({ role, warehouseId }) {
+  const definition = ROLE_DEFINITIONS[role];
+  if (!definition) {
+    throw createRoleError(`Unknown role "${role}"`, 'INVALID_ROLE', 400);
+  }
+  if (definition.warehouseScope === 'none' && warehouseId) {
+    throw createRoleError(`The ${role} role cannot be limited to a warehouse`, 'INVALID_ROLE_SCOPE', 400);
+  }
+  if (definition.warehouseScope === 'required' && !warehouseId) {
+    throw createRoleError(`The ${role} role needs a warehouseId`, 'INVALID_ROLE_SCOPE', 400);
+  }
+  return { role, warehouseId: warehouseId || null };
+}
+
+/**
+ * Grant a role to a user; granting one they already hold changes nothing
+ * @param {string} userId - User ID
+ * @param {Object} grant - { role, warehouseId }
+ * @param {Object} actor - { uid, email } of the admin making the change
+ * @param {Object} [context] - { ip }
+ * @returns {Promise<{roles: Array<Object>, changed: boolean}>}
+ */
+async function grantRole(userId, grant, actor, context = {}) {
+  const normalized = normalizeGrant(grant);
+  const userRef = db.collection(USERS_COLLECTION).doc(userId);
+
+  if (normalized.warehouseId) {
+    const warehouseDoc = await db.collection('warehouses').doc(normalized.warehouseId).get();
+    if (!warehouseDoc.exists) {
+      throw createRoleError('Warehouse not found', 'WAREHOUSE_NOT_FOUND', 404);
+    }
+  }
+
+  return db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    if (!userDoc.exists) {
+      throw createRoleError('User not found', 'USER_NOT_FOUND', 404);
+    }
+
+    const rolesBefore = getUserRoles(userDoc.data());
+    if (rolesBefore.some(existing => sameGrant(existing, normalized))) {
+      return { roles: rolesBefore, changed: false };
+    }
+
+    const rolesAfter = [...rolesBefore, normalized];
+    transaction.update(userRef, {
+      roles: rolesAfter,
+      isAdmin: rolesAfter.some(existing => existing.role === ROLES.ADMIN),
+      updatedAt: new Date()
+    });
+    recordRoleChange(transaction, { userId, action: 'grant', grant: normalized, rolesBefore, rolesAfter, actor, ip: context.ip });
+
+    return { roles: rolesAfter, changed: true };
+  });
+}
+
+/**
+ * Revoke a role from a user
+ * Admins cannot revoke their own admin role, and the last admin is never removed
+ * @param {string} userId - User ID
+ * @param {Object} grant - { role, warehouseId }
+ * @param {Object} actor - { uid, email } of the admin making the change
+ * @param {Object} [context] - { ip }
+ * @returns {Promise<{roles: Array<Object>}>}
+ */
+async function revokeRole(userId, grant, actor, context = {}) {
+  const target = { role: grant.role, warehouseId: grant.warehouseId || null };
+  const userRef = db.collection(USERS_COLLECTION).doc(userId);
+
+  if (target.role === ROLES.ADMIN && userId === actor.uid) {
+    throw createRoleError('You cannot revoke your own admin role', 'CANNOT_REVOKE_OWN_ADMIN', 409);
+  }
+
+  return db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    if (!userDoc.exists) {
+      throw createRoleError('User not found', 'USER_NOT_FOUND', 404);
+    }
+
+    const rolesBefore = getUserRoles(userDoc.data());
+    if (!rolesBefore.some(existing => sameGrant(existing, target))) {
+      throw createRoleError('The user does not have this role', 'ROLE_NOT_GRANTED', 404);
+    }
+
+    if (target.role === ROLES.ADMIN) {
+      const admins = await transaction.get(db.collection(USERS_COLLECTION).where('isAdmin', '==', true).limit(2));
+      if (admins.docs.filter(doc => doc.id !== userId).length === 0) {
+        throw createRoleError('The last admin cannot be removed', 'LAST_ADMIN', 409);
+      }
+    }
+
+    const rolesAfter = rolesBefore.filter(existing => !sameGrant(existing, target));
+    transaction.update(userRef, {
+      roles: rolesAfter,
+      isAdmin: rolesAfter.some(existing => existing.role === ROLES.ADMIN),
+      updatedAt: new Date()
+    });
+    recordRoleChange(transaction, { userId, action: 'revoke', grant: target, rolesBefore, rolesAfter, actor, ip: context.ip });
+
+    return { roles: rolesAfter };
+  });
+}
+
+/**
+ * Role changes of a user, newest first
+ * @param {string} userId - User ID
+ * @param {number} [limit]
+ * @returns {Promise<Array<Object>>}
+ */
+async function getRoleChanges(userId, limit = 50) {
+  const snapshot = await db.collection(ROLE_CHANGES_COLLECTION)
+    .where('userId', '==', userId)
+    .orderBy('createdAt', 'desc')
+    .limit(limit)
+    .get();
+
+  return snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data(),
+    createdAt: toDate(doc.data().createdAt)
+  }));
+}
+
+/**
+ * Send the response for a role error
+ * @param {Error} error - Error thrown by this module
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the error was handled
+ */
+function handleRoleError(error, res) {
+  if (!error || !error.isRoleError) {
+    return false;
+  }
+
+  res.status(error.statusCode).json({ error: error.message, code: error.code });
+  return true;
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_DEFINITIONS,
+  getUserRoles,
+  getPermissionScope,
+  scopeIncludes,
+  hasPermission,
+  assertWarehouseAccess,
+  resolveWarehouseFilter,
+  grantRole,
+  revokeRole,
+  getRoleChanges,
+  handleRoleError
+};
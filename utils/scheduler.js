@@ -0,0 +1,247 @@
+/**
+ * Minimal in-process scheduler for background jobs
+ * Jobs run on a fixed interval, never overlap with themselves and never crash the server
+ *
+ * When several server instances run, each job takes a lease in the
+ * `scheduled_jobs` collection before running, so only one instance runs it at
+ * a time. The same document records the outcome of the last run, whichever
+ * instance ran it, for the health endpoint. Each lease carries a token, and only
+ * the run holding it may release the lease or record its outcome.
+ */
+const crypto = require('crypto');
+const os = require('os');
+const { db } = require('./firebaseAdmin');
+const { logger } = require('./logger');
+
+const JOBS_COLLECTION = 'scheduled_jobs';
+const DEFAULT_LOCK_TTL_MS = 15 * 60 * 1000;
+
+// Identifies this process as the holder of a job lease
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// name => { intervalMs, handler, lockTtlMs, timer, running, lastRunAt, lastStatus, lastError, lastResult }
+const jobs = new Map();
+
+/**
+ * Take the lease on a job unless another instance holds a live one
+ * @param {string} name - Job name
+ * @param {number} ttlMs - How long the lease lasts if it is never released
+ * @returns {Promise<string|null>} Token of the lease, or null if this instance may not run the job
+ */
+async function acquireJobLock(name, ttlMs) {
+  const ref = db.collection(JOBS_COLLECTION).doc(name);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const lock = doc.exists ? doc.data() : {};
+    const now = new Date();
+
+    if (lock.lockedBy && lock.lockedBy !== INSTANCE_ID && lock.lockedUntil && lock.lockedUntil.toDate() > now) {
+      return null;
+    }
+
+    const lockToken = crypto.randomUUID();
+    transaction.set(ref, {
+      lockedBy: INSTANCE_ID,
+      lockToken,
+      lockedAt: now,
+      lockedUntil: new Date(now.getTime() + ttlMs)
+    }, { merge: true });
+    return lockToken;
+  });
+}
+
+/**
+ * Release the lease and record how the run went, if the lease is still ours
+ * A run that outlived its lease leaves both to the instance that took it over.
+ * @param {string} name - Job name
+ * @param {string} lockToken - Token returned by acquireJobLock()
+ * @param {Object} outcome - { status, error, result, startedAt, finishedAt }
+ * @returns {Promise<boolean>} Whether the lease was still held
+ */
+async function releaseJobLock(name, lockToken, { status, error, result, startedAt, finishedAt }) {
+  const ref = db.collection(JOBS_COLLECTION).doc(name);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists || doc.data().lockToken !== lockToken) {
+      return false;
+    }
+
+    transaction.update(ref, {
+      lockedBy: null,
+      lockToken: null,
+      lockedUntil: null,
+      lastRunAt: finishedAt,
+      lastRunBy: INSTANCE_ID,
+      lastStatus: status,
+      lastError: error,
+      lastResult: result === undefined ? null : JSON.parse(JSON.stringify(result)),
+      lastDurationMs: finishedAt - startedAt
+    });
+    return true;
+  });
+}
+
+/**
+ * Run a registered job once, skipping if the previous run is still going
+ * or another instance is running it
+ * @param {string} name - Job name
+ * @returns {Promise<void>}
+ */
+async function runJob(name) {
+  const job = jobs.get(name);
+  if (!job || job.running) {
+    return;
+  }
+
+  job.running = true;
+  const startedAt = new Date();
+  let lockToken = null;
+
+  try {
+    lockToken = await acquireJobLock(name, job.lockTtlMs);
+    if (!lockToken) {
+      logger.info(`Background job ${name} skipped, another instance is running it`, { job: name });
+      return;
+    }
+
+    job.lastResult = await job.handler();
+    job.lastStatus = 'success';
+    job.lastError = null;
+    logger.info(`Background job ${name} finished`, {
+      job: name,
+      durationMs: Date.now() - startedAt,
+      result: job.lastResult
+    });
+  } catch (error) {
+    job.lastStatus = 'error';
+    job.lastError = error.message;
+    logger.error(`Background job ${name} failed`, {
+      job: name,
+      error: error.message,
+      stack: error.stack
+    });
+  } finally {
+    job.running = false;
+
+    if (lockToken) {
+      job.lastRunAt = new Date();
+      await releaseJobLock(name, lockToken, {
+        status: job.lastStatus,
+        error: job.lastError,
+        result: job.lastResult,
+        startedAt,
+        finishedAt: job.lastRunAt
+      }).then(released => {
+        if (!released) {
+          logger.warn(`Background job ${name} outlived its lease, its outcome was not recorded`, { job: name });
+        }
+      }).catch(error => {
+        logger.error(`Could not release background job ${name}`, { job: name, error: error.message });
+      });
+    }
+  }
+}
+
+/**
+ * Register a job to run every intervalMs milliseconds
+ * @param {string} name - Unique job name
+ * @param {number} intervalMs - Interval between runs
+ * @param {Function} handler - Async function doing the work
+ * @param {Object} [options]
+ * @param {boolean} [options.runOnStart=false] - Also run once right away
+ * @param {number} [options.lockTtlMs] - Lease length, longer than the job ever takes (15 minutes by default)
+ */
+function scheduleJob(name, intervalMs, handler, { runOnStart = false, lockTtlMs = DEFAULT_LOCK_TTL_MS } = {}) {
+  if (jobs.has(name)) {
+    throw new Error(`Background job ${name} is already scheduled`);
+  }
+
+  const job = {
+    intervalMs,
+    handler,
+    lockTtlMs,
+    running: false,
+    lastRunAt: null,
+    lastStatus: null,
+    lastError: null,
+    lastResult: null
+  };
+
+  job.timer = setInterval(() => runJob(name), intervalMs);
+  // Don't keep the process alive just for background jobs
+  job.timer.unref();
+
+  jobs.set(name, job);
+  logger.info(`Scheduled background job ${name}`, { job: name, intervalMs });
+
+  if (runOnStart) {
+    runJob(name);
+  }
+}
+
+/**
+ * Last run of each scheduled job, across all instances
+ * Falls back to what this instance ran itself if Firestore can't be read.
+ * Without details only the status and timestamps are returned, for the public
+ * health endpoint; errors and instance names are for staff.
+ * @param {Object} [options]
+ * @param {boolean} [options.details=false] - Include intervalMs, lastRunBy, lastError and lastDurationMs
+ * @returns {Promise<Object>} name => { running, lastRunAt, lastStatus, ...details }
+ */
+async function getJobStatuses({ details = false } = {}) {
+  let shared = {};
+  try {
+    const snapshot = await db.collection(JOBS_COLLECTION).get();
+    shared = Object.fromEntries(snapshot.docs.map(doc => [doc.id, doc.data()]));
+  } catch (error) {
+    logger.warn('Could not read background job status', { error: error.message });
+  }
+
+  const statuses = {};
+  for (const [name, job] of jobs) {
+    const record = shared[name];
+    const status = record
+      ? {
+        intervalMs: job.intervalMs,
+        running: Boolean(record.lockedBy && record.lockedUntil && record.lockedUntil.toDate() > new Date()),
+        lastRunAt: record.lastRunAt ? record.lastRunAt.toDate() : null,
+        lastRunBy: record.lastRunBy || null,
+        lastStatus: record.lastStatus || null,
+        lastError: record.lastError || null,
+        lastDurationMs: record.lastDurationMs ?? null
+      }
+      : {
+        intervalMs: job.intervalMs,
+        running: job.running,
+        lastRunAt: job.lastRunAt,
+        lastRunBy: job.lastRunAt ? INSTANCE_ID : null,
+        lastStatus: job.lastStatus,
+        lastError: job.lastError,
+        lastDurationMs: null
+      };
+
+    statuses[name] = details
+      ? status
+      : { running: status.running, lastRunAt: status.lastRunAt, lastStatus: status.lastStatus };
+  }
+  return statuses;
+}
+
+/**
+ * Stop all scheduled jobs (used during graceful shutdown)
+ */
+function stopAllJobs() {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+  }
+  jobs.clear();
+}
+
+module.exports = {
+  scheduleJob,
+  runJob,
+  getJobStatuses,
+  stopAllJobs
+};
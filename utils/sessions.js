@@ -0,0 +1,379 @@
+/**
+ * Login sessions, with short-lived access tokens and rotating refresh tokens
+ *
+ * Logging in starts a session and returns an access token (the bearer token,
+ * valid for ACCESS_TOKEN_TTL_MINUTES, 15 by default) and a refresh token.
+ * POST /api/auth/refresh trades the refresh token for a new pair; the old
+ * refresh token is marked rotated and the old access token stops working.
+ * All refresh tokens of a session form one rotation family. Presenting a
+ * refresh token that was already rotated means it was copied, so the whole
+ * family (the session) is revoked. A session ends REFRESH_TOKEN_TTL_DAYS
+ * (30 by default) after its last refresh.
+ *
+ * Only SHA-256 hashes of tokens are stored: the access token as `tokenHash`
+ * in `sessions`, refresh tokens as document IDs in `refresh_tokens`, so
+ * reading either collection does not give anyone a usable token. Each session
+ * keeps the user agent and IP it was created from and when it was last used,
+ * so users can review and revoke their sessions.
+ */
+const crypto = require('crypto');
+const { db, admin } = require('./firebaseAdmin');
+const { toDate } = require('./exchangeFormatter');
+const { logger } = require('./logger');
+
+const SESSIONS_COLLECTION = 'sessions';
+const REFRESH_TOKENS_COLLECTION = 'refresh_tokens';
+// lastUsedAt is only written when older than this, not on every request
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+const generateSessionToken = () => crypto.randomBytes(64).toString('hex');
+
+const hashSessionToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const accessTokenTtlMinutes = () => parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const refreshTokenTtlDays = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+const daysFromNow = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
+/**
+ * When a session's access token stops working
+ * Sessions from before refresh tokens have no separate access expiry.
+ * @param {Object} session - Session document data
+ * @returns {Date}
+ */
+const getAccessTokenExpiry = (session) => toDate(session.accessExpiresAt) || toDate(session.expiresAt);
+
+/**
+ * Create an error carrying an HTTP status and machine-readable code
+ * @returns {Error}
+ */
+function createSessionError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.isSessionError = true;
+  return error;
+}
+
+/**
+ * New refresh token of a session, written with the given batch or transaction
+ * @returns {{refreshToken: string, refreshExpiresAt: Date}}
+ */
+function issueRefreshToken(writer, sessionId, userId, refreshExpiresAt) {
+  const refreshToken = generateSessionToken();
+
+  writer.set(db.collection(REFRESH_TOKENS_COLLECTION).doc(hashSessionToken(refreshToken)), {
+    sessionId,
+    userId,
+    status: 'active',
+    createdAt: new Date(),
+    expiresAt: refreshExpiresAt
+  });
+
+  return { refreshToken, refreshExpiresAt };
+}
+
+/**
+ * Start a session for a user who has proven who they are
+ * @param {string} userId - User ID
+ * @param {Object} [client] - { ip, userAgent }
+ * @returns {Promise<{sessionToken: string, sessionId: string, expiresAt: Date, refreshToken: string, refreshExpiresAt: Date}>}
+ */
+async function createSession(userId, { ip = null, userAgent = null } = {}) {
+  const sessionToken = generateSessionToken();
+  const now = new Date();
+  const expiresAt = minutesFromNow(accessTokenTtlMinutes());
+  const sessionRef = db.collection(SESSIONS_COLLECTION).doc();
+
+  const batch = db.batch();
+  const { refreshToken, refreshExpiresAt } = issueRefreshToken(batch, sessionRef.id, userId, daysFromNow(refreshTokenTtlDays()));
+  batch.set(sessionRef, {
+    userId,
+    tokenHash: hashSessionToken(sessionToken),
+    createdAt: now,
+    lastUsedAt: now,
+    accessExpiresAt: expiresAt,
+    expiresAt: refreshExpiresAt,
+    userAgent: userAgent || null,
+    ip
+  });
+  await batch.commit();
+
+  return { sessionToken, sessionId: sessionRef.id, expiresAt, refreshToken, refreshExpiresAt };
+}
+
+/**
+ * Revoke a rotation family: end the session and void all its refresh tokens
+ * @param {string} sessionId - Session ID
+ */
+async function revokeRefreshTokenFamily(sessionId) {
+  const snapshot = await db.collection(REFRESH_TOKENS_COLLECTION)
+    .where('sessionId', '==', sessionId)
+    .get();
+
+  const batch = db.batch();
+  snapshot.docs.forEach(doc => batch.update(doc.ref, { status: 'revoked', revokedAt: new Date() }));
+  batch.delete(db.collection(SESSIONS_COLLECTION).doc(sessionId));
+  await batch.commit();
+}
+
+/**
+ * Trade a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Refresh token from the last login or refresh
+ * @returns {Promise<{sessionToken: string, sessionId: string, expiresAt: Date, refreshToken: string, refreshExpiresAt: Date}>}
+ */
+async function refreshSession(refreshToken) {
+  const tokenRef = db.collection(REFRESH_TOKENS_COLLECTION).doc(hashSessionToken(refreshToken));
+
+  const result = await db.runTransaction(async (transaction) => {
+    const tokenDoc = await transaction.get(tokenRef);
+    if (!tokenDoc.exists) {
+      return { error: createSessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN', 401) };
+    }
+
+    const stored = tokenDoc.data();
+    if (stored.status === 'rotated') {
+      return { reused: stored };
+    }
+
+    const sessionRef = db.collection(SESSIONS_COLLECTION).doc(stored.sessionId);
+    const sessionDoc = await transaction.get(sessionRef);
+    const now = new Date();
+
+    if (stored.status !== 'active' || !sessionDoc.exists || toDate(stored.expiresAt) < now) {
+      return { error: createSessionError('Your session has ended. Please log in again.', 'SESSION_EXPIRED', 401) };
+    }
+
+    const sessionToken = generateSessionToken();
+    const expiresAt = minutesFromNow(accessTokenTtlMinutes());
+    const issued = issueRefreshToken(transaction, stored.sessionId, stored.userId, daysFromNow(refreshTokenTtlDays()));
+
+    transaction.update(tokenRef, { status: 'rotated', rotatedAt: now });
+    transaction.update(sessionRef, {
+      tokenHash: hashSessionToken(sessionToken),
+      accessExpiresAt: expiresAt,
+      expiresAt: issued.refreshExpiresAt,
+      lastRotatedAt: now,
+      lastUsedAt: now
+    });
+
+    return { session: { sessionToken, sessionId: stored.sessionId, expiresAt, ...issued } };
+  });
+
+  if (result.reused) {
+    await revokeRefreshTokenFamily(result.reused.sessionId);
+    logger.warn('Rotated refresh token reused, session revoked', {
+      uid: result.reused.userId,
+      sessionId: result.reused.sessionId
+    });
+    throw createSessionError('This refresh token was already used. Please log in again.', 'REFRESH_TOKEN_REUSED', 401);
+  }
+  if (result.error) {
+    throw result.error;
+  }
+  return result.session;
+}
+
+/**
+ * Find the session for a bearer token
+ * Sessions created before tokens were hashed still hold the raw token; they
+ * are switched to a hash the first time they are used.
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object|null>} Firestore document snapshot, or null
+ */
+async function findSessionByToken(token) {
+  const tokenHash = hashSessionToken(token);
+  const sessions = db.collection(SESSIONS_COLLECTION);
+
+  const snapshot = await sessions.where('tokenHash', '==', tokenHash).limit(1).get();
+  if (!snapshot.empty) {
+    return snapshot.docs[0];
+  }
+
+  const legacy = await sessions.where('token', '==', token).limit(1).get();
+  if (legacy.empty) {
+    return null;
+  }
+
+  const doc = legacy.docs[0];
+  await doc.ref.update({ tokenHash, token: admin.firestore.FieldValue.delete() });
+  return doc.ref.get();
+}
+
+/**
+ * Record a request made with a session
+ * @param {Object} sessionDoc - Firestore document snapshot of the session
+ */
+async function touchSession(sessionDoc) {
+  const lastUsedAt = toDate(sessionDoc.data().lastUsedAt);
+  const now = new Date();
+
+  if (!lastUsedAt || now - lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    await sessionDoc.ref.update({ lastUsedAt: now });
+  }
+}
+
+/**
+ * Short description of the device behind a user agent, e.g. "Chrome on Windows"
+ * @param {string} userAgent
+ * @returns {string}
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browsers = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/SamsungBrowser/, 'Samsung Internet'],
+    [/Firefox\/|FxiOS/, 'Firefox'],
+    [/Chrome\/|CriOS/, 'Chrome'],
+    [/Safari\//, 'Safari'],
+    [/okhttp|Dalvik/, 'Android app'],
+    [/CFNetwork|Darwin/, 'iOS app']
+  ];
+  const systems = [
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/CrOS/, 'ChromeOS'],
+    [/Linux/, 'Linux']
+  ];
+
+  const match = (rules) => (rules.find(([pattern]) => pattern.test(userAgent)) || [])[1];
+  const browser = match(browsers);
+  const system = match(systems);
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+}
+
+/**
+ * A session as shown to its user (never the token or its hash)
+ * @returns {Object}
+ */
+function formatSession(doc, currentSessionId) {
+  const session = doc.data();
+  return {
+    id: doc.id,
+    device: describeDevice(session.userAgent),
+    userAgent: session.userAgent || null,
+    ip: session.ip || null,
+    createdAt: toDate(session.createdAt),
+    lastUsedAt: toDate(session.lastUsedAt) || toDate(session.createdAt),
+    expiresAt: toDate(session.expiresAt),
+    current: doc.id === currentSessionId
+  };
+}
+
+/**
+ * A user's sessions that have not expired, most recently used first
+ * @param {string} userId - User ID
+ * @param {string} [currentSessionId] - Session of the request, flagged as current
+ * @returns {Promise<Array<Object>>}
+ */
+async function listUserSessions(userId, currentSessionId = null) {
+  const snapshot = await db.collection(SESSIONS_COLLECTION)
+    .where('userId', '==', userId)
+    .get();
+
+  const now = new Date();
+  return snapshot.docs
+    .filter(doc => toDate(doc.data().expiresAt) > now)
+    .map(doc => formatSession(doc, currentSessionId))
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+}
+
+/**
+ * End one of a user's sessions
+ * @param {string} userId - User ID; sessions of other users are not found
+ * @param {string} sessionId - Session ID
+ */
+async function revokeSession(userId, sessionId) {
+  const ref = db.collection(SESSIONS_COLLECTION).doc(sessionId);
+  const doc = await ref.get();
+
+  if (!doc.exists || doc.data().userId !== userId) {
+    throw createSessionError('Session not found', 'SESSION_NOT_FOUND', 404);
+  }
+
+  await ref.delete();
+}
+
+/**
+ * End all of a user's sessions, with their refresh tokens
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} How many sessions were ended
+ */
+async function revokeAllSessions(userId) {
+  const [sessions, refreshTokens] = await Promise.all([
+    db.collection(SESSIONS_COLLECTION).where('userId', '==', userId).get(),
+    db.collection(REFRESH_TOKENS_COLLECTION).where('userId', '==', userId).get()
+  ]);
+
+  // Firestore allows at most 500 writes per batch
+  const docs = [...sessions.docs, ...refreshTokens.docs];
+  for (let i = 0; i < docs.length; i += 500) {
+    const batch = db.batch();
+    docs.slice(i, i + 500).forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+  }
+
+  return sessions.size;
+}
+
+/**
+ * Delete ended sessions and refresh tokens past their expiry
+ * @returns {Promise<{sessions: number, refreshTokens: number}>}
+ */
+async function purgeExpiredSessions() {
+  const now = new Date();
+  const [sessions, refreshTokens] = await Promise.all([
+    db.collection(SESSIONS_COLLECTION).where('expiresAt', '<', now).limit(500).get(),
+    db.collection(REFRESH_TOKENS_COLLECTION).where('expiresAt', '<', now).limit(500).get()
+  ]);
+
+  const batch = db.batch();
+  [...sessions.docs, ...refreshTokens.docs].forEach(doc => batch.delete(doc.ref));
+  await batch.commit();
+
+  return { sessions: sessions.size, refreshTokens: refreshTokens.size };
+}
+
+/**
+ * Send the response for a session error
+ * @param {Error} error - Error thrown by this module
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the error was handled
+ */
+function handleSessionError(error, res) {
+  if (!error || !error.isSessionError) {
+    return false;
+  }
+
+  res.status(error.statusCode).json({ error: error.message, code: error.code });
+  return true;
+}
+
+module.exports = {
+  SESSIONS_COLLECTION,
+  getAccessTokenExpiry,
+  createSession,
+  refreshSession,
+  findSessionByToken,
+  touchSession,
+  describeDevice,
+  listUserSessions,
+  revokeSession,
+  revokeAllSessions,
+  purgeExpiredSessions,
+  handleSessionError
+};
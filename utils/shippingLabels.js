@@ -0,0 +1,282 @@
+/**
+ * Prepaid shipping labels for approved exchange requests
+ *
+ * When a customer accepts a quote we buy a label from the configured provider
+ * (utils/labelProviders) addressed to the assigned warehouse. The PDF is kept in
+ * `shipping_labels`; the exchange gets a `shippingLabel` summary and prefilled
+ * `shippingDetails` so the customer only has to confirm the shipping date.
+ * Label problems never block the approval: the customer can still ship on
+ * their own, and an admin can retry from the admin API.
+ *
+ * Before calling the provider the exchange is marked `creating` in a
+ * transaction, so concurrent calls cannot both buy a label. The reservation
+ * lapses after LABEL_RESERVATION_MS in case the process dies mid-purchase.
+ * The bought label is only attached if the reservation still holds; otherwise
+ * it is stored with `attached: false` so it can be voided with the provider.
+ */
+const crypto = require('crypto');
+const { db } = require('./firebaseAdmin');
+const { logger } = require('./logger');
+const { getLabelProvider } = require('./labelProviders');
+const { validateShipment } = require('./carriers');
+const { EXCHANGE_STATES, getExchangeState } = require('./exchangeStateMachine');
+const { toDate } = require('./exchangeFormatter');
+
+const SHIPPING_LABELS_COLLECTION = 'shipping_labels';
+
+const SHIPPING_LABEL_STATUS = {
+  CREATING: 'creating',
+  CREATED: 'created',
+  FAILED: 'failed'
+};
+
+const LABEL_RESERVATION_MS = 5 * 60 * 1000;
+
+/**
+ * Create an error carrying an HTTP status and machine-readable code
+ * @returns {Error}
+ */
+function createLabelError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.isLabelError = true;
+  return error;
+}
+
+/**
+ * Return address printed on the label
+ * We only hold the customer's contact details; carriers take the parcel at drop-off
+ * @returns {Promise<Object>}
+ */
+async function getSenderAddress(exchange) {
+  const userDoc = await db.collection('users').doc(exchange.userId).get();
+  const user = userDoc.exists ? userDoc.data() : {};
+
+  return {
+    name: user.name || exchange.userEmail || '',
+    email: exchange.userEmail || user.email || '',
+    phone: user.phone || ''
+  };
+}
+
+/**
+ * Mark the exchange as having a label purchase in progress
+ * @returns {Promise<{exchange: Object, reservationId: string|null}>} reservationId is null when a label already exists
+ */
+async function reserveShippingLabel(exchangeRef, provider) {
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(exchangeRef);
+    if (!doc.exists) {
+      throw createLabelError('Exchange request not found', 'EXCHANGE_NOT_FOUND', 404);
+    }
+
+    const exchange = doc.data();
+    if (getExchangeState(exchange) !== EXCHANGE_STATES.APPROVED) {
+      throw createLabelError('Shipping labels can only be created for approved exchange requests', 'LABEL_NOT_ALLOWED', 409);
+    }
+
+    const current = exchange.shippingLabel;
+    if (current?.status === SHIPPING_LABEL_STATUS.CREATED) {
+      return { exchange, reservationId: null };
+    }
+
+    const now = new Date();
+    if (current?.status === SHIPPING_LABEL_STATUS.CREATING && toDate(current.reservedUntil) > now) {
+      throw createLabelError('A shipping label is already being created for this exchange request', 'LABEL_IN_PROGRESS', 409);
+    }
+
+    const reservationId = crypto.randomUUID();
+    transaction.update(exchangeRef, {
+      shippingLabel: {
+        status: SHIPPING_LABEL_STATUS.CREATING,
+        provider: provider.id,
+        reservationId,
+        reservedAt: now,
+        reservedUntil: new Date(now.getTime() + LABEL_RESERVATION_MS)
+      }
+    });
+
+    return { exchange, reservationId };
+  });
+}
+
+/**
+ * Buy a prepaid label for an approved exchange request and prefill its shipping details
+ * An existing label is returned as is, so retries never buy a second one
+ * @param {string} exchangeId - Exchange request ID
+ * @returns {Promise<{label: Object|null, pdf: Buffer|null, shippingDetails: Object|null}>} label is null when labels are off
+ */
+async function createShippingLabel(exchangeId) {
+  const exchangeRef = db.collection('exchange_requests').doc(exchangeId);
+
+  const provider = getLabelProvider();
+  if (!provider) {
+    const doc = await exchangeRef.get();
+    if (!doc.exists) {
+      throw createLabelError('Exchange request not found', 'EXCHANGE_NOT_FOUND', 404);
+    }
+    return { label: null, pdf: null, shippingDetails: null };
+  }
+
+  const { exchange, reservationId } = await reserveShippingLabel(exchangeRef, provider);
+  if (!reservationId) {
+    const existing = await getShippingLabelPdf(exchangeId);
+    return { label: exchange.shippingLabel, pdf: existing.pdf, shippingDetails: exchange.shippingDetails };
+  }
+
+  let created;
+  try {
+    created = await provider.createLabel({
+      reference: exchangeId,
+      from: await getSenderAddress(exchange),
+      to: exchange.warehouseInfo || {},
+      description: [exchange.brand, exchange.productName].filter(Boolean).join(' ')
+    });
+  } catch (error) {
+    logger.error('Error creating shipping label', {
+      exchangeId,
+      provider: provider.id,
+      error: error.message
+    });
+    await exchangeRef.update({
+      shippingLabel: {
+        status: SHIPPING_LABEL_STATUS.FAILED,
+        provider: provider.id,
+        failedAt: new Date()
+      }
+    });
+    throw createLabelError('The shipping label could not be created', 'LABEL_PROVIDER_ERROR', 502);
+  }
+
+  // The label is paid for by now, so it is kept even if its tracking number
+  // does not validate; the customer then enters the shipment details themselves
+  let shipment;
+  try {
+    shipment = validateShipment(created.carrierName, created.trackingNumber);
+  } catch (error) {
+    logger.error('Shipping label has a tracking number that does not validate', {
+      exchangeId,
+      provider: provider.id,
+      carrierName: created.carrierName,
+      error: error.message
+    });
+    shipment = {
+      carrierId: null,
+      carrierName: String(created.carrierName || '').trim(),
+      trackingNumber: String(created.trackingNumber || '').trim(),
+      invalid: true
+    };
+  }
+  const now = new Date();
+
+  const labelRef = db.collection(SHIPPING_LABELS_COLLECTION).doc();
+  const label = {
+    status: SHIPPING_LABEL_STATUS.CREATED,
+    labelId: labelRef.id,
+    provider: provider.id,
+    carrierId: shipment.carrierId,
+    carrierName: shipment.carrierName,
+    trackingNumber: shipment.trackingNumber,
+    createdAt: now
+  };
+
+  // The customer confirms these, with the shipping date, when they hand the parcel over
+  const shippingDetails = shipment.invalid ? null : {
+    carrierId: shipment.carrierId,
+    carrierName: shipment.carrierName,
+    trackingNumber: shipment.trackingNumber,
+    labelId: labelRef.id,
+    prefilled: true
+  };
+
+  // Only attach the label while our reservation still holds and the customer has not shipped yet
+  const attached = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(exchangeRef);
+    const current = doc.exists ? doc.data() : null;
+    const stillReserved = current &&
+      current.shippingLabel?.reservationId === reservationId &&
+      getExchangeState(current) === EXCHANGE_STATES.APPROVED;
+
+    // The PDF is stored either way, so a label that was paid for is never lost
+    transaction.set(labelRef, {
+      exchangeId,
+      userId: exchange.userId,
+      provider: provider.id,
+      providerLabelId: created.providerLabelId || null,
+      carrierId: shipment.carrierId,
+      carrierName: shipment.carrierName,
+      trackingNumber: shipment.trackingNumber,
+      contentType: 'application/pdf',
+      pdf: created.pdf,
+      attached: Boolean(stillReserved),
+      createdAt: now
+    });
+
+    if (!stillReserved) {
+      return false;
+    }
+
+    transaction.update(exchangeRef, {
+      shippingLabel: label,
+      ...(shippingDetails ? { shippingDetails } : {}),
+      updatedAt: now
+    });
+    return true;
+  });
+
+  if (!attached) {
+    logger.warn('Shipping label bought after its reservation was lost, not attached', {
+      exchangeId,
+      labelId: labelRef.id,
+      provider: provider.id
+    });
+    throw createLabelError('The exchange request changed while its shipping label was being created', 'LABEL_CONFLICT', 409);
+  }
+
+  return { label, pdf: created.pdf, shippingDetails };
+}
+
+/**
+ * Load the PDF of an exchange request's current label
+ * @param {string} exchangeId - Exchange request ID
+ * @returns {Promise<{label: Object, pdf: Buffer}>}
+ */
+async function getShippingLabelPdf(exchangeId) {
+  const doc = await db.collection('exchange_requests').doc(exchangeId).get();
+  const labelId = doc.exists ? doc.data().shippingLabel?.labelId : null;
+  if (!labelId) {
+    throw createLabelError('No shipping label for this exchange request', 'LABEL_NOT_FOUND', 404);
+  }
+
+  const labelDoc = await db.collection(SHIPPING_LABELS_COLLECTION).doc(labelId).get();
+  if (!labelDoc.exists) {
+    throw createLabelError('No shipping label for this exchange request', 'LABEL_NOT_FOUND', 404);
+  }
+
+  const { pdf, ...label } = labelDoc.data();
+  return { label: { id: labelDoc.id, ...label }, pdf: Buffer.from(pdf) };
+}
+
+/**
+ * Send the response for a label error
+ * @param {Error} error - Error thrown by this module
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the error was handled
+ */
+function handleLabelError(error, res) {
+  if (!error || !error.isLabelError) {
+    return false;
+  }
+
+  res.status(error.statusCode).json({ error: error.message, code: error.code });
+  return true;
+}
+
+module.exports = {
+  SHIPPING_LABELS_COLLECTION,
+  SHIPPING_LABEL_STATUS,
+  createShippingLabel,
+  getShippingLabelPdf,
+  handleLabelError
+};
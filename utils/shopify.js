@@ -1,86 +1,34 @@
+/**
+ * Shopify Admin API operations
+ *
+ * Customers, loyalty points and store credit go through the GraphQL client in
+ * shopifyClient.js, which handles query cost throttling, retries and the API
+ * version. Discount codes still use the REST price rule API on the same
+ * version.
+ */
 const axios = require('axios');
-const path = require('path');
 const { logger } = require('./logger');
-const { getSecret } = require('./secretsManager');
 const { sanitizeId, sanitizeEmail } = require('./sanitizer');
-
-// Initialize credentials - these will be loaded lazily when needed
-let SHOP_URL = null;
-let ACCESS_TOKEN = null;
-
-/**
- * Initialize Shopify configuration by loading secrets
- * @returns {Promise<void>}
- */
-async function initializeShopifyConfig() {
-  try {
-    SHOP_URL = await getSecret('shopify:store_url');
-    ACCESS_TOKEN = await getSecret('shopify:access_token');
-    
-    logger.info('Shopify configuration initialized successfully');
-    return { SHOP_URL, ACCESS_TOKEN };
-  } catch (error) {
-    logger.error('Failed to initialize Shopify configuration', {
-      error: error.message
-    });
-    
-    // Fallback to environment variables for backward compatibility
-    logger.warn('Falling back to environment variables for Shopify credentials');
-    SHOP_URL = process.env.SHOPIFY_STORE_URL;
-    ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
-    
-    return { SHOP_URL, ACCESS_TOKEN };
-  }
-}
-
-// Initialize in the background
-(async () => {
-  await initializeShopifyConfig();
-})();
-
-// Common error types for standardized handling
-const ShopifyErrorTypes = {
-  CUSTOMER_NOT_FOUND: 'SHOPIFY_CUSTOMER_NOT_FOUND',
-  API_ERROR: 'SHOPIFY_API_ERROR',
-  RATE_LIMIT: 'SHOPIFY_RATE_LIMIT',
-  AUTHENTICATION: 'SHOPIFY_AUTHENTICATION_ERROR',
-  NOT_FOUND: 'SHOPIFY_RESOURCE_NOT_FOUND',
-  VALIDATION: 'SHOPIFY_VALIDATION_ERROR'
-};
+const {
+  ShopifyErrorTypes,
+  initializeShopifyConfig,
+  getBaseUrl,
+  getHeaders,
+  createShopifyError,
+  toGid,
+  fromGid,
+  graphql,
+  assertNoUserErrors
+} = require('./shopifyClient');
 
 // Simple in-memory cache for customer lookups to prevent duplicate API calls
 // Cache structure: { email => { timestamp, data } }
 const customerCache = new Map();
 const CACHE_TTL = 60 * 1000; // 60 seconds in milliseconds
 
-// Base Shopify Admin API URL
-const API_VERSION = '2023-07';
-
-/**
- * Get the base URL for Shopify API calls
- * @returns {string} Base URL
- */
-function getBaseUrl() {
-  if (!SHOP_URL) {
-    throw new Error('Shopify store URL not initialized');
-  }
-  return `${SHOP_URL}/admin/api/${API_VERSION}`;
-}
-
-/**
- * Get headers for Shopify API requests
- * @returns {Object} Headers object
- */
-function getHeaders() {
-  if (!ACCESS_TOKEN) {
-    throw new Error('Shopify access token not initialized');
-  }
-  
-  return {
-    'Content-Type': 'application/json',
-    'X-Shopify-Access-Token': ACCESS_TOKEN
-  };
-};
+// Loyalty points (and the older credit balance) live in one customer metafield
+const LOYALTY_NAMESPACE = 'loyalty';
+const LOYALTY_KEY = 'points';
 
 /**
  * Standardized error handler for Shopify API errors
@@ -90,6 +38,18 @@ function getHeaders() {
  * @throws {Error} Standardized error object
  */
 function handleShopifyError(error, operation, context = {}) {
+  // Errors from the GraphQL client, and lookups that found nothing, are already standardized
+  if (error.isShopifyError) {
+    if (error.code !== ShopifyErrorTypes.CUSTOMER_NOT_FOUND) {
+      logger.error(`Shopify ${operation} error: ${error.message}`, {
+        code: error.code,
+        ...context
+      });
+    }
+    error.operation = error.operation || operation;
+    throw error;
+  }
+
   // Default error object
   const shopifyError = new Error(`Shopify ${operation} failed`);
   
@@ -142,6 +102,91 @@ function handleShopifyError(error, operation, context = {}) {
   
   throw shopifyError;
 }
+const CUSTOMER_BY_EMAIL_QUERY = `
+  query findCustomerByEmail($query: String!) {
+    customers(first: 1, query: $query) {
+      nodes {
+        id
+        email
+        firstName
+        lastName
+        phone
+        state
+      }
+    }
+  }
+`;
+
+const LOYALTY_METAFIELD_QUERY = `
+  query getLoyaltyMetafield($id: ID!, $namespace: String!, $key: String!) {
+    customer(id: $id) {
+      id
+      metafield(namespace: $namespace, key: $key) {
+        id
+        value
+      }
+    }
+  }
+`;
+
+const METAFIELDS_SET_MUTATION = `
+  mutation setLoyaltyMetafield($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields {
+        id
+        namespace
+        key
+        value
+        type
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const STORE_CREDIT_MUTATION = `
+  mutation storeCreditAccountCredit($id: ID!, $creditInput: StoreCreditAccountCreditInput!) {
+    storeCreditAccountCredit(id: $id, creditInput: $creditInput) {
+      storeCreditAccountTransaction {
+        amount {
+          amount
+          currencyCode
+        }
+        account {
+          id
+          balance {
+            amount
+            currencyCode
+          }
+        }
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Customer in the shape of the REST Admin API, which callers and stored IDs use
+ * @param {Object} node - GraphQL Customer
+ * @returns {Object} { id (numeric), admin_graphql_api_id, email, first_name, last_name, phone, state }
+ */
+function toRestCustomer(node) {
+  return {
+    id: fromGid(node.id),
+    admin_graphql_api_id: node.id,
+    email: node.email,
+    first_name: node.firstName,
+    last_name: node.lastName,
+    phone: node.phone,
+    state: node.state
+  };
+}
 
 /**
  * Search for customer by email
@@ -149,7 +194,8 @@ function handleShopifyError(error, operation, context = {}) {
  * @param {Object} [options] - Optional parameters
  * @param {Object} [options.requestLogger] - Request-specific logger
  * @param {boolean} [options.bypassCache=false] - If true, bypass cache and force a fresh lookup
- * @returns {Promise<Object|null>} Customer data or null if not found
+ * @returns {Promise<Object>} Customer data
+ * @throws {Error} CUSTOMER_NOT_FOUND if no customer has this email
  */
 async function findCustomerByEmail(email, options = {}) {
   const { requestLogger, bypassCache = false } = options;
@@ -175,21 +221,21 @@ async function findCustomerByEmail(email, options = {}) {
     // No valid cache found, make API call
     if (requestLogger) {
       requestLogger.shopify(email);
-      requestLogger.api('Shopify', 'customers/search', { email });
+      requestLogger.api('Shopify', 'graphql customers', { email });
     } else {
       log.info(`Looking up Shopify customer`, { email });
     }
 
-    const response = await axios.get(
-      `${getBaseUrl()}/customers/search.json`,
-      { 
-        headers: getHeaders(),
-        params: { query: `email:${email}` }
-      }
+    // Quoted so the whole address is matched as one term
+    const data = await graphql(
+      CUSTOMER_BY_EMAIL_QUERY,
+      { query: `email:"${String(email).replace(/["\\]/g, '\\$&')}"` },
+      { operation: 'customer lookup' }
     );
     
-    if (response.data.customers && response.data.customers.length > 0) {
-      const customer = response.data.customers[0];
+    const node = data.customers.nodes[0];
+    if (node) {
+      const customer = toRestCustomer(node);
       log.info(`Found Shopify customer for ${email}`, { 
         customerId: customer.id,
         customerEmail: customer.email
@@ -205,12 +251,10 @@ async function findCustomerByEmail(email, options = {}) {
     }
     
     // Customer not found with this email
-    log.warn(`No Shopify customer found with email ${email}`);
-    const error = new Error(`Shopify customer with email ${email} not found`);
-    error.code = ShopifyErrorTypes.CUSTOMER_NOT_FOUND;
-    error.email = sanitizeEmail(email);
+    const error = createShopifyError(`Shopify customer with email ${email} not found`, ShopifyErrorTypes.CUSTOMER_NOT_FOUND, {
+      email: sanitizeEmail(email)
+    });
     
-    // Log the not found error
     log.warn(`Customer not found in Shopify`, {
       email: sanitizeEmail(email),
       code: error.code
@@ -218,22 +262,6 @@ async function findCustomerByEmail(email, options = {}) {
     
     throw error;
   } catch (error) {
-    // Handle specific case for non-existent customers
-    if (error.response && error.response.status === 404) {
-      const notFoundError = new Error(`Shopify customer with email ${email} not found`);
-      notFoundError.code = ShopifyErrorTypes.CUSTOMER_NOT_FOUND;
-      notFoundError.email = sanitizeEmail(email);
-      
-      // Log the not found error
-      log.warn(`Customer not found in Shopify`, {
-        email: sanitizeEmail(email),
-        code: notFoundError.code
-      });
-      
-      throw notFoundError;
-    }
-    
-    // For other errors, use the standard handler
     handleShopifyError(error, 'customer lookup', { 
       email: sanitizeEmail(email),
       operation: 'findCustomerByEmail'
@@ -241,6 +269,70 @@ async function findCustomerByEmail(email, options = {}) {
   }
 };
 
+/**
+ * Resolve a customer ID, looking the customer up if an email is given
+ * @param {number|string} customerIdOrEmail - Shopify customer ID or email
+ * @returns {Promise<{customerId: number|string}|{notFound: Error}>}
+ */
+async function resolveCustomerId(customerIdOrEmail) {
+  if (typeof customerIdOrEmail !== 'string' || !customerIdOrEmail.includes('@')) {
+    return { customerId: customerIdOrEmail };
+  }
+
+  try {
+    const customer = await findCustomerByEmail(customerIdOrEmail);
+    return { customerId: customer.id };
+  } catch (error) {
+    if (error.code === ShopifyErrorTypes.CUSTOMER_NOT_FOUND) {
+      return { notFound: error };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read the loyalty metafield of a customer
+ * @param {number|string} customerId - Shopify customer ID
+ * @returns {Promise<{id: string, value: string}|null>} The metafield, or null if it was never set
+ * @throws {Error} NOT_FOUND if there is no such customer
+ */
+async function getLoyaltyMetafield(customerId) {
+  const data = await graphql(LOYALTY_METAFIELD_QUERY, {
+    id: toGid('Customer', customerId),
+    namespace: LOYALTY_NAMESPACE,
+    key: LOYALTY_KEY
+  }, { operation: 'get loyalty metafield' });
+
+  if (!data.customer) {
+    throw createShopifyError(`Shopify customer ${customerId} not found`, ShopifyErrorTypes.NOT_FOUND, {
+      statusCode: 404
+    });
+  }
+  return data.customer.metafield;
+}
+
+/**
+ * Write the loyalty metafield of a customer, creating it if needed
+ * @param {number|string} customerId - Shopify customer ID
+ * @param {string} value - New value
+ * @param {string} type - Metafield type (number_integer or number_decimal)
+ * @returns {Promise<Object>} Updated metafield data
+ */
+async function setLoyaltyMetafield(customerId, value, type) {
+  const data = await graphql(METAFIELDS_SET_MUTATION, {
+    metafields: [{
+      ownerId: toGid('Customer', customerId),
+      namespace: LOYALTY_NAMESPACE,
+      key: LOYALTY_KEY,
+      type,
+      value
+    }]
+  }, { operation: 'set loyalty metafield' });
+
+  assertNoUserErrors(data.metafieldsSet.userErrors);
+  return data.metafieldsSet.metafields[0];
+}
+
 /**
  * Update customer metafields
  * @param {number|string} customerId - Shopify customer ID
@@ -249,68 +341,18 @@ async function findCustomerByEmail(email, options = {}) {
  */
 async function updateCustomerCredit(customerId, creditAmount) {
   try {
-    // Format credit amount to 2 decimal places
-    const formattedAmount = Number(creditAmount).toFixed(2);
-    
-    // Ensure customerId is a string
-    const customerIdStr = String(customerId);
-
-    // First check if the metafield exists
-    const metafieldsResponse = await axios.get(
-      `${getBaseUrl()}/customers/${customerIdStr}/metafields.json`,
-      { headers: getHeaders() }
-    );
-    
-    let metafieldId = null;
-    let currentCredit = 0;
-    
-    if (metafieldsResponse.data.metafields) {
-      const existingMetafield = metafieldsResponse.data.metafields.find(
-        m => m.namespace === 'loyalty' && m.key === 'points'
-      );
-      if (existingMetafield) {
-        metafieldId = existingMetafield.id;
-        currentCredit = parseFloat(existingMetafield.value) || 0;
-        console.log(`Found existing credit: ₹${currentCredit}, adding ₹${formattedAmount}`);
-      }
-    }
+    const metafield = await getLoyaltyMetafield(customerId);
+    const currentCredit = metafield ? parseFloat(metafield.value) || 0 : 0;
 
     // Calculate new total credit by adding to existing credit
-    const newTotalCredit = (currentCredit + parseFloat(formattedAmount)).toFixed(2);
-    console.log(`New total credit: ₹${newTotalCredit}`);
-
-    // If metafield exists, update it. Otherwise, create new one
-    if (metafieldId) {
-      const response = await axios.put(
-        `${getBaseUrl()}/customers/${customerIdStr}/metafields/${metafieldId}.json`,
-        {
-          metafield: {
-            id: metafieldId,
-            value: newTotalCredit.toString(),
-            type: "number_decimal",
-            value_type: 'string'
-          }
-        },
-        { headers: getHeaders() }
-      );
-      return response.data.metafield;
-    } else {
-      const response = await axios.post(
-        `${getBaseUrl()}/customers/${customerIdStr}/metafields.json`,
-        {
-          metafield: {
-            namespace: 'loyalty',
-            key: 'points',
-            value: newTotalCredit.toString(),
-            type: "number_decimal",
-            value_type: 'string',
-            description: 'Store credit from SwapCred exchanges (INR)'
-          }
-        },
-        { headers: getHeaders() }
-      );
-      return response.data.metafield;
-    }
+    const newTotalCredit = (currentCredit + Number(creditAmount)).toFixed(2);
+    logger.info('Updating Shopify customer credit', {
+      customerId: sanitizeId(customerId),
+      currentCredit,
+      newTotalCredit
+    });
+
+    return await setLoyaltyMetafield(customerId, newTotalCredit, 'number_decimal');
   } catch (error) {
     handleShopifyError(error, 'update customer credit', { 
       customerId: sanitizeId(customerId),
@@ -326,56 +368,23 @@ async function updateCustomerCredit(customerId, creditAmount) {
  */
 async function getCustomerCredit(customerIdOrEmail) {
   try {
-    let customerId = customerIdOrEmail;
-    
-    // If an email is provided, find the customer first
-    if (typeof customerIdOrEmail === 'string' && customerIdOrEmail.includes('@')) {
-      try {
-        const customer = await findCustomerByEmail(customerIdOrEmail);
-        if (!customer) {
-          const error = new Error(`No Shopify account found for ${customerIdOrEmail}`);
-          error.code = ShopifyErrorTypes.CUSTOMER_NOT_FOUND;
-          error.email = customerIdOrEmail;
-          throw error;
-        }
-        customerId = customer.id;
-      } catch (error) {
-        if (error.code === ShopifyErrorTypes.CUSTOMER_NOT_FOUND) {
-          // This is a known error, just return 0 credit with error info
-          return { 
-            amount: 0, 
-            currency: 'INR',
-            error: error.message,
-            code: error.code,
-            email: error.email
-          };
-        }
-        throw error; // re-throw other errors
-      }
-    }
-    
-    // Ensure customerId is a string
-    const customerIdStr = String(customerId);
-    
-    // Get the metafields for the customer
-    const response = await axios.get(
-      `${getBaseUrl()}/customers/${customerIdStr}/metafields.json`,
-      { 
-        headers: getHeaders(),
-        params: {
-          namespace: 'loyalty',
-          key: 'points'
-        }
-      }
-    );
-    
-    if (response.data.metafields && response.data.metafields.length > 0) {
-      return {
-        amount: parseFloat(response.data.metafields[0].value) || 0,
-        currency: 'INR'
+    const { customerId, notFound } = await resolveCustomerId(customerIdOrEmail);
+    if (notFound) {
+      // This is a known error, just return 0 credit with error info
+      return { 
+        amount: 0, 
+        currency: 'INR',
+        error: notFound.message,
+        code: notFound.code,
+        email: notFound.email
       };
     }
-    return { amount: 0, currency: 'INR' };
+
+    const metafield = await getLoyaltyMetafield(customerId);
+    return {
+      amount: metafield ? parseFloat(metafield.value) || 0 : 0,
+      currency: 'INR'
+    };
   } catch (error) {
     handleShopifyError(error, 'get customer credit', { 
       customerId: sanitizeId(customerIdOrEmail),
@@ -385,104 +394,33 @@ async function getCustomerCredit(customerIdOrEmail) {
 };
 
 /**
- * Update customer store credit using the Shopify GraphQL API
- * This will show up properly in Shopify admin if the API version and plan support it
+ * Add to a customer's Shopify store credit account, creating it if needed
+ * The credit shows up in Shopify admin and can be spent at checkout.
+ * Needs API version 2024-04 or later and the write_store_credit_account_transactions scope.
  * @param {string|number} customerId - Shopify customer ID
  * @param {number} creditAmount - Credit amount to add
- * @returns {Promise<Object>} Updated store credit data
+ * @returns {Promise<{id: string, amount: Object, balance: Object}>} Store credit account ID, amount added and new balance
  */
 async function updateStoreCreditAccount(customerId, creditAmount) {
   try {
-    // Ensure customerId is a string
-    const customerIdStr = String(customerId);
-    
-    console.log(`Updating store credit for customer ${customerIdStr} by adding ₹${creditAmount}`);
-    
-    // Format credit amount to 2 decimal places
-    const formattedAmount = Number(creditAmount).toFixed(2);
-    
-    // First query to check if the feature is available
-    const featureQuery = `
-      {
-        __type(name: "CustomerCreditInput") {
-          name
-          inputFields {
-            name
-          }
-        }
-      }
-    `;
-
-    // Execute feature detection query
-    const featureResponse = await axios.post(
-      `${getBaseUrl()}/graphql.json`,
-      { query: featureQuery },
-      { headers: getHeaders() }
-    );
-
-    // Check if the type exists in the schema
-    const typeExists = featureResponse.data?.data?.__type?.name === 'CustomerCreditInput';
-    
-    if (!typeExists) {
-      console.log('Store Credit API not available in your Shopify version or plan. Using legacy approach only.');
-      throw new Error('Store Credit API not available');
-    }
-
-    // Construct the GraphQL mutation
-    // This uses the newer CustomerCreditCreate mutation that is more widely available
-    const mutation = `
-      mutation customerCreditCreate($input: CustomerCreditInput!) {
-        customerCreditCreate(input: $input) {
-          customerCredit {
-            id
-            amount {
-              amount
-              currencyCode
-            }
-          }
-          userErrors {
-            field
-            message
-          }
+    const data = await graphql(STORE_CREDIT_MUTATION, {
+      id: toGid('Customer', customerId),
+      creditInput: {
+        creditAmount: {
+          amount: Number(creditAmount).toFixed(2),
+          currencyCode: 'INR'
         }
       }
-    `;
+    }, { operation: 'update store credit account' });
 
-    const variables = {
-      input: {
-        customerId: customerIdStr.includes('gid://') ? customerIdStr : `gid://shopify/Customer/${customerIdStr}`,
-        amount: {
-          amount: formattedAmount,
-          currencyCode: 'INR'
-        },
-        reason: 'SwapCred Exchange Credit'
-      }
-    };
-
-    // Execute the mutation
-    const response = await axios.post(
-      `${getBaseUrl()}/graphql.json`,
-      { query: mutation, variables },
-      { headers: getHeaders() }
-    );
-
-    if (response.data.errors) {
-      console.log('GraphQL API Error Details:', JSON.stringify(response.data.errors, null, 2));
-      throw new Error(`GraphQL Error: ${JSON.stringify(response.data.errors)}`);
-    }
-
-    const result = response.data.data.customerCreditCreate;
-    if (result.userErrors && result.userErrors.length > 0) {
-      throw new Error(`Store Credit Update Error: ${JSON.stringify(result.userErrors)}`);
-    }
+    const result = data.storeCreditAccountCredit;
+    assertNoUserErrors(result.userErrors);
 
+    const transaction = result.storeCreditAccountTransaction;
     return {
-      id: result.customerCredit.id,
-      amount: result.customerCredit.amount,
-      balance: {
-        amount: result.customerCredit.amount.amount,
-        currencyCode: result.customerCredit.amount.currencyCode
-      }
+      id: transaction.account.id,
+      amount: transaction.amount,
+      balance: transaction.account.balance
     };
   } catch (error) {
     handleShopifyError(error, 'update store credit account', { 
@@ -500,68 +438,18 @@ async function updateStoreCreditAccount(customerId, creditAmount) {
  */
 async function updateCustomerLoyaltyPoints(customerId, points) {
   try {
-    // Format points amount as an integer by rounding to whole number
-    const formattedPoints = Math.round(Number(points));
-    
-    // Ensure customerId is a string
-    const customerIdStr = String(customerId);
-
-    // First check if the metafield exists
-    const metafieldsResponse = await axios.get(
-      `${getBaseUrl()}/customers/${customerIdStr}/metafields.json`,
-      { headers: getHeaders() }
-    );
-    
-    let metafieldId = null;
-    let currentPoints = 0;
-    
-    if (metafieldsResponse.data.metafields) {
-      const existingMetafield = metafieldsResponse.data.metafields.find(
-        m => m.namespace === 'loyalty' && m.key === 'points'
-      );
-      if (existingMetafield) {
-        metafieldId = existingMetafield.id;
-        currentPoints = parseInt(existingMetafield.value) || 0;
-        console.log(`Found existing loyalty points: ${currentPoints}, adding ${formattedPoints}`);
-      }
-    }
+    const metafield = await getLoyaltyMetafield(customerId);
+    const currentPoints = metafield ? parseInt(metafield.value) || 0 : 0;
 
     // Calculate new total points by adding to existing points - ensure it's an integer
-    const newTotalPoints = currentPoints + formattedPoints;
-    console.log(`New total loyalty points: ${newTotalPoints}`);
-
-    // If metafield exists, update it. Otherwise, create new one
-    if (metafieldId) {
-      const response = await axios.put(
-        `${getBaseUrl()}/customers/${customerIdStr}/metafields/${metafieldId}.json`,
-        {
-          metafield: {
-            id: metafieldId,
-            value: newTotalPoints.toString(),
-            type: "number_integer",
-            value_type: 'string'
-          }
-        },
-        { headers: getHeaders() }
-      );
-      return response.data.metafield;
-    } else {
-      const response = await axios.post(
-        `${getBaseUrl()}/customers/${customerIdStr}/metafields.json`,
-        {
-          metafield: {
-            namespace: 'loyalty',
-            key: 'points',
-            value: newTotalPoints.toString(),
-            type: "number_integer",
-            value_type: 'string',
-            description: 'Loyalty points from SwapCred exchanges'
-          }
-        },
-        { headers: getHeaders() }
-      );
-      return response.data.metafield;
-    }
+    const newTotalPoints = currentPoints + Math.round(Number(points));
+    logger.info('Updating Shopify loyalty points', {
+      customerId: sanitizeId(customerId),
+      currentPoints,
+      newTotalPoints
+    });
+
+    return await setLoyaltyMetafield(customerId, newTotalPoints.toString(), 'number_integer');
   } catch (error) {
     handleShopifyError(error, 'update customer loyalty points', { 
       customerId: sanitizeId(customerId),
@@ -570,6 +458,31 @@ async function updateCustomerLoyaltyPoints(customerId, points) {
   }
 };
 
+/**
+ * Set customer loyalty points to an absolute value using the custom metafield
+ * The credit ledger reads the balance itself before calling this so that
+ * half-finished updates can be reconciled against the expected total
+ * @param {number|string} customerId - Shopify customer ID
+ * @param {number} points - New total loyalty points balance
+ * @returns {Promise<Object>} Updated metafield data
+ */
+async function setCustomerLoyaltyPoints(customerId, points) {
+  try {
+    const newTotalPoints = Math.round(Number(points));
+    
+    if (isNaN(newTotalPoints) || newTotalPoints < 0) {
+      throw new Error(`Invalid loyalty points balance: ${points}`);
+    }
+
+    return await setLoyaltyMetafield(customerId, newTotalPoints.toString(), 'number_integer');
+  } catch (error) {
+    handleShopifyError(error, 'set customer loyalty points', { 
+      customerId: sanitizeId(customerId),
+      operation: 'setCustomerLoyaltyPoints'
+    });
+  }
+};
+
 /**
  * Get customer loyalty points amount
  * @param {number|string} customerIdOrEmail - Shopify customer ID or email
@@ -577,56 +490,23 @@ async function updateCustomerLoyaltyPoints(customerId, points) {
  */
 async function getCustomerLoyaltyPoints(customerIdOrEmail) {
   try {
-    let customerId = customerIdOrEmail;
-    
-    // If an email is provided, find the customer first
-    if (typeof customerIdOrEmail === 'string' && customerIdOrEmail.includes('@')) {
-      try {
-        const customer = await findCustomerByEmail(customerIdOrEmail);
-        if (!customer) {
-          const error = new Error(`No Shopify account found for ${customerIdOrEmail}`);
-          error.code = ShopifyErrorTypes.CUSTOMER_NOT_FOUND;
-          error.email = customerIdOrEmail;
-          throw error;
-        }
-        customerId = customer.id;
-      } catch (error) {
-        if (error.code === ShopifyErrorTypes.CUSTOMER_NOT_FOUND) {
-          // This is a known error, just return 0 points with error info
-          return { 
-            amount: 0, 
-            currency: 'INR',
-            error: error.message,
-            code: error.code,
-            email: error.email
-          };
-        }
-        throw error; // re-throw other errors
-      }
-    }
-    
-    // Ensure customerId is a string
-    const customerIdStr = String(customerId);
-    
-    // Get the metafields for the customer
-    const response = await axios.get(
-      `${getBaseUrl()}/customers/${customerIdStr}/metafields.json`,
-      { 
-        headers: getHeaders(),
-        params: {
-          namespace: 'loyalty',
-          key: 'points'
-        }
-      }
-    );
-    
-    if (response.data.metafields && response.data.metafields.length > 0) {
-      return {
-        amount: parseInt(response.data.metafields[0].value) || 0,
-        currency: 'INR'
+    const { customerId, notFound } = await resolveCustomerId(customerIdOrEmail);
+    if (notFound) {
+      // This is a known error, just return 0 points with error info
+      return { 
+        amount: 0, 
+        currency: 'INR',
+        error: notFound.message,
+        code: notFound.code,
+        email: notFound.email
       };
     }
-    return { amount: 0, currency: 'INR' };
+
+    const metafield = await getLoyaltyMetafield(customerId);
+    return {
+      amount: metafield ? parseInt(metafield.value) || 0 : 0,
+      currency: 'INR'
+    };
   } catch (error) {
     handleShopifyError(error, 'get customer loyalty points', { 
       customerId: sanitizeId(customerIdOrEmail),
@@ -635,13 +515,127 @@ async function getCustomerLoyaltyPoints(customerIdOrEmail) {
   }
 };
 
+/**
+ * Create a single-use, customer-specific fixed amount discount code
+ * Uses the price rule and discount code Admin APIs
+ * @param {Object} params
+ * @param {number|string} params.customerId - Shopify customer ID allowed to use the code
+ * @param {number} params.amount - Discount value in store currency
+ * @param {string} params.code - Discount code customers enter at checkout
+ * @param {Date} params.expiresAt - When the code stops working
+ * @param {string} [params.title] - Price rule title shown in Shopify admin
+ * @returns {Promise<{priceRuleId: number, discountCodeId: number, code: string}>}
+ */
+async function createCustomerDiscountCode({ customerId, amount, code, expiresAt, title }) {
+  let priceRuleId = null;
+
+  try {
+    const priceRuleResponse = await axios.post(
+      `${getBaseUrl()}/price_rules.json`,
+      {
+        price_rule: {
+          title: title || code,
+          target_type: 'line_item',
+          target_selection: 'all',
+          allocation_method: 'across',
+          value_type: 'fixed_amount',
+          value: `-${Number(amount).toFixed(2)}`,
+          customer_selection: 'prerequisite',
+          prerequisite_customer_ids: [Number(customerId)],
+          usage_limit: 1,
+          once_per_customer: true,
+          starts_at: new Date().toISOString(),
+          ends_at: expiresAt.toISOString()
+        }
+      },
+      { headers: getHeaders() }
+    );
+    priceRuleId = priceRuleResponse.data.price_rule.id;
+
+    const discountResponse = await axios.post(
+      `${getBaseUrl()}/price_rules/${priceRuleId}/discount_codes.json`,
+      { discount_code: { code } },
+      { headers: getHeaders() }
+    );
+
+    return {
+      priceRuleId,
+      discountCodeId: discountResponse.data.discount_code.id,
+      code: discountResponse.data.discount_code.code
+    };
+  } catch (error) {
+    // Don't leave a price rule without a code behind
+    if (priceRuleId) {
+      await deletePriceRule(priceRuleId).catch(cleanupError => {
+        logger.error('Failed to clean up price rule after discount code error', {
+          priceRuleId,
+          error: cleanupError.message
+        });
+      });
+    }
+
+    handleShopifyError(error, 'create discount code', { 
+      customerId: sanitizeId(customerId),
+      operation: 'createCustomerDiscountCode'
+    });
+  }
+};
+
+/**
+ * Get how many times a discount code has been used
+ * @param {number|string} priceRuleId - Shopify price rule ID
+ * @param {number|string} discountCodeId - Shopify discount code ID
+ * @returns {Promise<number>} Usage count
+ */
+async function getDiscountCodeUsage(priceRuleId, discountCodeId) {
+  try {
+    const response = await axios.get(
+      `${getBaseUrl()}/price_rules/${priceRuleId}/discount_codes/${discountCodeId}.json`,
+      { headers: getHeaders() }
+    );
+    return response.data.discount_code.usage_count || 0;
+  } catch (error) {
+    handleShopifyError(error, 'get discount code usage', { 
+      priceRuleId,
+      operation: 'getDiscountCodeUsage'
+    });
+  }
+};
+
+/**
+ * Delete a price rule (and with it its discount codes)
+ * @param {number|string} priceRuleId - Shopify price rule ID
+ * @returns {Promise<void>}
+ */
+async function deletePriceRule(priceRuleId) {
+  try {
+    await axios.delete(
+      `${getBaseUrl()}/price_rules/${priceRuleId}.json`,
+      { headers: getHeaders() }
+    );
+  } catch (error) {
+    // Already gone is fine
+    if (error.response && error.response.status === 404) {
+      return;
+    }
+    handleShopifyError(error, 'delete price rule', { 
+      priceRuleId,
+      operation: 'deletePriceRule'
+    });
+  }
+};
+
 module.exports = {
   findCustomerByEmail,
   updateCustomerCredit,
   getCustomerCredit,
   updateStoreCreditAccount,
   updateCustomerLoyaltyPoints,
+  setCustomerLoyaltyPoints,
   getCustomerLoyaltyPoints,
+  createCustomerDiscountCode,
+  getDiscountCodeUsage,
+  deletePriceRule,
   ShopifyErrorTypes,
   initializeShopifyConfig
 };
\ No newline at end of file
@@ -0,0 +1,353 @@
+/**
+ * Shopify GraphQL Admin API client
+ *
+ * Shopify limits GraphQL calls by query cost: each shop has a bucket of
+ * points (throttleStatus.maximumAvailable) that refills at restoreRate points
+ * a second, and every response reports what the query cost and what is left.
+ * The client keeps track of the bucket and waits before sending a query the
+ * bucket can't pay for. Throttled calls are retried with exponential backoff;
+ * queries (never mutations) are also retried on 5xx and network errors.
+ *
+ * Configuration:
+ *   SHOPIFY_API_VERSION  - Admin API version (2024-07 by default)
+ *   SHOPIFY_MAX_RETRIES  - Retries of a throttled or failed call (4 by default)
+ * The store URL and access token come from the secrets manager
+ * (shopify:store_url, shopify:access_token) or SHOPIFY_STORE_URL and
+ * SHOPIFY_ACCESS_TOKEN.
+ */
+const axios = require('axios');
+const { logger } = require('./logger');
+const { getSecret } = require('./secretsManager');
+
+const API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-07';
+const MAX_RETRIES = parseInt(process.env.SHOPIFY_MAX_RETRIES) >= 0 ? parseInt(process.env.SHOPIFY_MAX_RETRIES) : 4;
+const REQUEST_TIMEOUT_MS = 15000;
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 20000;
+
+// Assumed cost of a query the client hasn't sent before
+const DEFAULT_QUERY_COST = 10;
+
+// Common error types for standardized handling
+const ShopifyErrorTypes = {
+  CUSTOMER_NOT_FOUND: 'SHOPIFY_CUSTOMER_NOT_FOUND',
+  API_ERROR: 'SHOPIFY_API_ERROR',
+  RATE_LIMIT: 'SHOPIFY_RATE_LIMIT',
+  AUTHENTICATION: 'SHOPIFY_AUTHENTICATION_ERROR',
+  NOT_FOUND: 'SHOPIFY_RESOURCE_NOT_FOUND',
+  VALIDATION: 'SHOPIFY_VALIDATION_ERROR'
+};
+
+// Initialize credentials - these will be loaded lazily when needed
+let SHOP_URL = null;
+let ACCESS_TOKEN = null;
+
+// Last known state of the shop's query cost bucket
+const bucket = {
+  maximumAvailable: null,
+  currentlyAvailable: null,
+  restoreRate: null,
+  updatedAt: null
+};
+
+// Requested cost of each query text seen so far, to estimate the next call
+const queryCosts = new Map();
+
+/**
+ * Initialize Shopify configuration by loading secrets
+ * @returns {Promise<{SHOP_URL: string, ACCESS_TOKEN: string}>}
+ */
+async function initializeShopifyConfig() {
+  try {
+    SHOP_URL = await getSecret('shopify:store_url');
+    ACCESS_TOKEN = await getSecret('shopify:access_token');
+
+    logger.info('Shopify configuration initialized successfully', { apiVersion: API_VERSION });
+    return { SHOP_URL, ACCESS_TOKEN };
+  } catch (error) {
+    logger.error('Failed to initialize Shopify configuration', {
+      error: error.message
+    });
+
+    // Fallback to environment variables for backward compatibility
+    logger.warn('Falling back to environment variables for Shopify credentials');
+    SHOP_URL = process.env.SHOPIFY_STORE_URL;
+    ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+
+    return { SHOP_URL, ACCESS_TOKEN };
+  }
+}
+
+// Initialize in the background
+(async () => {
+  await initializeShopifyConfig();
+})();
+
+/**
+ * Get the base URL for Shopify Admin API calls
+ * @returns {string} Base URL
+ */
+function getBaseUrl() {
+  if (!SHOP_URL) {
+    throw new Error('Shopify store URL not initialized');
+  }
+  return `${SHOP_URL}/admin/api/${API_VERSION}`;
+}
+
+/**
+ * Get headers for Shopify API requests
+ * @returns {Object} Headers object
+ */
+function getHeaders() {
+  if (!ACCESS_TOKEN) {
+    throw new Error('Shopify access token not initialized');
+  }
+
+  return {
+    'Content-Type': 'application/json',
+    'X-Shopify-Access-Token': ACCESS_TOKEN
+  };
+}
+
+/**
+ * Create an error in the shape handleShopifyError passes through
+ * @param {string} message - Error message
+ * @param {string} code - One of ShopifyErrorTypes
+ * @param {Object} [extra] - Additional properties
+ * @returns {Error}
+ */
+function createShopifyError(message, code, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.isShopifyError = true;
+  Object.assign(error, extra);
+  return error;
+}
+
+/**
+ * Global ID of a Shopify resource from its numeric (REST) ID
+ * @param {string} type - Resource type, e.g. Customer
+ * @param {number|string} id - Numeric ID or global ID
+ * @returns {string} gid://shopify/<type>/<id>
+ */
+function toGid(type, id) {
+  const value = String(id);
+  return value.startsWith('gid://') ? value : `gid://shopify/${type}/${value}`;
+}
+
+/**
+ * Numeric (REST) ID from a global ID
+ * @param {string} gid - gid://shopify/<type>/<id>
+ * @returns {number}
+ */
+function fromGid(gid) {
+  return Number(String(gid).split('/').pop());
+}
+
+/**
+ * Points in the bucket now, counting what has been restored since the last response
+ * @returns {number|null} null until the first response
+ */
+function availablePoints() {
+  if (bucket.currentlyAvailable === null) {
+    return null;
+  }
+  const restored = ((Date.now() - bucket.updatedAt) / 1000) * bucket.restoreRate;
+  return Math.min(bucket.maximumAvailable, bucket.currentlyAvailable + restored);
+}
+
+/**
+ * Milliseconds until the bucket holds enough points for a query
+ * @param {number} cost - Points needed
+ * @returns {number}
+ */
+function waitForPoints(cost) {
+  const available = availablePoints();
+  if (available === null || available >= cost || !bucket.restoreRate) {
+    return 0;
+  }
+  return Math.ceil(((Math.min(cost, bucket.maximumAvailable) - available) / bucket.restoreRate) * 1000);
+}
+
+/**
+ * Take a query's points out of the local estimate until its response arrives,
+ * so concurrent calls don't all count on the same points
+ * @param {number} cost - Points the query is expected to cost
+ */
+function reservePoints(cost) {
+  const available = availablePoints();
+  if (available !== null) {
+    bucket.currentlyAvailable = available - cost;
+    bucket.updatedAt = Date.now();
+  }
+}
+
+/**
+ * Record the cost extension of a GraphQL response
+ * @param {string} query - Query text
+ * @param {Object} [cost] - extensions.cost
+ */
+function recordCost(query, cost) {
+  if (!cost) {
+    return;
+  }
+  if (cost.requestedQueryCost) {
+    queryCosts.set(query, cost.requestedQueryCost);
+  }
+  if (cost.throttleStatus) {
+    bucket.maximumAvailable = cost.throttleStatus.maximumAvailable;
+    bucket.currentlyAvailable = cost.throttleStatus.currentlyAvailable;
+    bucket.restoreRate = cost.throttleStatus.restoreRate;
+    bucket.updatedAt = Date.now();
+  }
+}
+
+/**
+ * Exponential backoff with jitter
+ * @param {number} attempt - Retry number, starting at 0
+ * @returns {number} Milliseconds to wait
+ */
+function backoffDelay(attempt) {
+  const delay = BASE_RETRY_DELAY_MS * 2 ** attempt + Math.floor(Math.random() * BASE_RETRY_DELAY_MS);
+  return Math.min(delay, MAX_RETRY_DELAY_MS);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a request error is worth retrying
+ * @param {Error} error - axios error
+ * @param {boolean} isMutation - Mutations may have been applied, so only 429s are retried
+ * @returns {boolean}
+ */
+function isRetryableHttpError(error, isMutation) {
+  const status = error.response?.status;
+  if (status === 429) {
+    return true;
+  }
+  if (isMutation) {
+    return false;
+  }
+  return !error.response || status >= 500;
+}
+
+/**
+ * Run a GraphQL Admin API query or mutation
+ * @param {string} query - GraphQL document
+ * @param {Object} [variables] - Query variables
+ * @param {Object} [options]
+ * @param {string} [options.operation] - Description used in logs and errors
+ * @returns {Promise<Object>} The response's data
+ * @throws {Error} Shopify error (RATE_LIMIT once retries run out, AUTHENTICATION, API_ERROR) or the axios error
+ */
+async function graphql(query, variables = {}, { operation = 'GraphQL request' } = {}) {
+  const isMutation = /^\s*mutation\b/.test(query);
+
+  for (let attempt = 0; ; attempt++) {
+    const cost = queryCosts.get(query) || DEFAULT_QUERY_COST;
+    const wait = waitForPoints(cost);
+    if (wait > 0) {
+      logger.debug(`Waiting ${wait}ms for Shopify query cost bucket`, { operation, available: availablePoints() });
+      await sleep(wait);
+    }
+    reservePoints(cost);
+
+    let response;
+    try {
+      response = await axios.post(
+        `${getBaseUrl()}/graphql.json`,
+        { query, variables },
+        { headers: getHeaders(), timeout: REQUEST_TIMEOUT_MS }
+      );
+    } catch (error) {
+      if (attempt < MAX_RETRIES && isRetryableHttpError(error, isMutation)) {
+        const retryAfter = parseFloat(error.response?.headers?.['retry-after']) * 1000;
+        const delay = Math.max(retryAfter || 0, backoffDelay(attempt));
+        logger.warn(`Shopify ${operation} failed, retrying in ${delay}ms`, {
+          status: error.response?.status,
+          error: error.message,
+          attempt: attempt + 1
+        });
+        await sleep(delay);
+        continue;
+      }
+      throw error;
+    }
+
+    const { data, errors, extensions } = response.data;
+    recordCost(query, extensions?.cost);
+
+    if (!errors || errors.length === 0) {
+      return data;
+    }
+
+    const throttled = errors.some(error => error.extensions?.code === 'THROTTLED');
+    if (throttled && attempt < MAX_RETRIES) {
+      const delay = Math.max(waitForPoints(cost), backoffDelay(attempt));
+      logger.warn(`Shopify ${operation} throttled, retrying in ${delay}ms`, {
+        available: bucket.currentlyAvailable,
+        requested: extensions?.cost?.requestedQueryCost,
+        attempt: attempt + 1
+      });
+      await sleep(delay);
+      continue;
+    }
+
+    if (throttled) {
+      throw createShopifyError('Rate limit exceeded', ShopifyErrorTypes.RATE_LIMIT, {
+        statusCode: 429,
+        graphQLErrors: errors
+      });
+    }
+
+    const accessDenied = errors.some(error => error.extensions?.code === 'ACCESS_DENIED');
+    throw createShopifyError(
+      accessDenied ? 'Authentication or permission error' : errors.map(error => error.message).join('; '),
+      accessDenied ? ShopifyErrorTypes.AUTHENTICATION : ShopifyErrorTypes.API_ERROR,
+      { graphQLErrors: errors }
+    );
+  }
+}
+
+/**
+ * Throw if a mutation payload reports user errors
+ * @param {Array<{field: Array<string>, message: string}>} userErrors - payload.userErrors
+ * @throws {Error} Shopify VALIDATION error
+ */
+function assertNoUserErrors(userErrors) {
+  if (userErrors && userErrors.length > 0) {
+    throw createShopifyError(userErrors.map(error => error.message).join('; '), ShopifyErrorTypes.VALIDATION, {
+      statusCode: 422,
+      userErrors
+    });
+  }
+}
+
+/**
+ * Last known query cost bucket, with the points restored since
+ * @returns {{apiVersion: string, maximumAvailable: number|null, currentlyAvailable: number|null, restoreRate: number|null, updatedAt: Date|null}}
+ */
+function getThrottleStatus() {
+  const available = availablePoints();
+  return {
+    apiVersion: API_VERSION,
+    maximumAvailable: bucket.maximumAvailable,
+    currentlyAvailable: available === null ? null : Math.floor(available),
+    restoreRate: bucket.restoreRate,
+    updatedAt: bucket.updatedAt ? new Date(bucket.updatedAt) : null
+  };
+}
+
+module.exports = {
+  API_VERSION,
+  ShopifyErrorTypes,
+  initializeShopifyConfig,
+  getBaseUrl,
+  getHeaders,
+  createShopifyError,
+  toGid,
+  fromGid,
+  graphql,
+  assertNoUserErrors,
+  getThrottleStatus
+};
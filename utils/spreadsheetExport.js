@@ -0,0 +1,201 @@
+/**
+ * Streaming CSV and XLSX exports
+ *
+ * Rows come from an async iterable and are written to the response as they
+ * arrive, so an export never holds more than one Firestore batch in memory.
+ * A column is { key, header, value(row) }; callers pick columns by key.
+ *
+ * Errors before the first row (bad filters, missing index) are thrown to the
+ * caller so it can still answer with JSON. Once the file has started the
+ * response can only be aborted, which the client sees as a truncated download.
+ */
+const ExcelJS = require('exceljs');
+const { logger } = require('./logger');
+
+const EXPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx'
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Create an error carrying an HTTP status and machine-readable code
+ * @returns {Error}
+ */
+function createExportError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.isExportError = true;
+  return error;
+}
+
+/**
+ * Pick the columns to export
+ * @param {Array<Object>} available - Column definitions, in default order
+ * @param {string} [selection] - Comma-separated column keys; all columns when empty
+ * @returns {Array<Object>} Selected columns, in the requested order
+ */
+function selectColumns(available, selection) {
+  const keys = String(selection || '').split(',').map(key => key.trim()).filter(Boolean);
+  if (!keys.length) {
+    return available;
+  }
+
+  const unknown = keys.filter(key => !available.some(column => column.key === key));
+  if (unknown.length) {
+    throw createExportError(
+      `Unknown column(s): ${unknown.join(', ')}. Available: ${available.map(column => column.key).join(', ')}`,
+      'INVALID_EXPORT_COLUMNS',
+      400
+    );
+  }
+
+  return [...new Set(keys)].map(key => available.find(column => column.key === key));
+}
+
+/**
+ * Cell value for a spreadsheet; text that looks like a formula is kept as text
+ * @returns {string|number|boolean|Date|null}
+ */
+function toCell(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return value;
+  }
+
+  const text = Array.isArray(value) ? value.join('; ') : String(value);
+  return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+}
+
+/**
+ * One CSV line (RFC 4180)
+ * @param {Array} cells
+ * @returns {string}
+ */
+function toCsvLine(cells) {
+  return cells.map(cell => {
+    if (cell === null) {
+      return '';
+    }
+    const text = cell instanceof Date ? cell.toISOString() : String(cell);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+/**
+ * Wait until the response has flushed its buffer, so a slow client slows the export down
+ * @returns {Promise<void>}
+ */
+function drained(res) {
+  if (!res.writableNeedDrain) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const onDrain = () => { res.off('close', onClose); resolve(); };
+    const onClose = () => { res.off('drain', onDrain); reject(new Error('Client closed the connection')); };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+}
+
+/**
+ * Stream rows to the response as a CSV or XLSX attachment
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.format - EXPORT_FORMATS value
+ * @param {string} options.filename - File name without extension
+ * @param {string} [options.sheetName] - XLSX worksheet name
+ * @param {Array<Object>} options.columns - Selected columns
+ * @param {AsyncIterable<Object>} options.rows - Rows passed to each column's value()
+ * @returns {Promise<number>} Rows written
+ */
+async function streamExport(res, { format, filename, sheetName = 'Export', columns, rows }) {
+  const iterator = rows[Symbol.asyncIterator]();
+
+  // Surface query errors while a JSON error response is still possible
+  let next = await iterator.next();
+
+  res.status(200);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  let count = 0;
+  const cellsOf = (row) => columns.map(column => toCell(column.value(row)));
+
+  try {
+    if (format === EXPORT_FORMATS.XLSX) {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+      const worksheet = workbook.addWorksheet(sheetName);
+      worksheet.columns = columns.map(column => ({ header: column.header, key: column.key }));
+
+      for (; !next.done; next = await iterator.next()) {
+        worksheet.addRow(cellsOf(next.value)).commit();
+        count++;
+        await drained(res);
+      }
+
+      worksheet.commit();
+      await workbook.commit();
+    } else {
+      // The byte order mark makes Excel read the file as UTF-8
+      res.write('\uFEFF' + toCsvLine(columns.map(column => column.header)));
+
+      for (; !next.done; next = await iterator.next()) {
+        res.write(toCsvLine(cellsOf(next.value)));
+        count++;
+        await drained(res);
+      }
+
+      res.end();
+    }
+  } catch (error) {
+    logger.error('Export failed after streaming started', {
+      filename,
+      format,
+      rowsWritten: count,
+      error: error.message
+    });
+    if (typeof iterator.return === 'function') {
+      await iterator.return().catch(() => {});
+    }
+    res.destroy(error);
+  }
+
+  return count;
+}
+
+/**
+ * Send the response for an export error
+ * @param {Error} error - Error thrown by this module
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the error was handled
+ */
+function handleExportError(error, res) {
+  if (!error || !error.isExportError) {
+    return false;
+  }
+
+  res.status(error.statusCode).json({ error: error.message, code: error.code });
+  return true;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  selectColumns,
+  streamExport,
+  handleExportError
+};
@@ -0,0 +1,432 @@
+/**
+ * Two-factor authentication with time-based one-time passwords (RFC 6238)
+ *
+ * Staff (anyone holding a role from utils/roles.js) must enroll before they
+ * can use admin routes, and every session has to pass the second factor once.
+ * Secrets live in `two_factor_secrets` (one document per user, never part of
+ * the user profile), encrypted with TWO_FACTOR_ENCRYPTION_KEY; without that key
+ * nothing is enrolled or verified. Recovery codes are stored hashed and work
+ * once each.
+ *
+ * Codes are SHA-1, six digits, 30-second steps, accepted one step either side
+ * of the current one. A step can only be used once per user, and five wrong
+ * codes or recovery codes in a row lock verification for fifteen minutes.
+ */
+const crypto = require('crypto');
+const { db } = require('./firebaseAdmin');
+const { toDate } = require('./exchangeFormatter');
+const { logger } = require('./logger');
+const { getUserRoles } = require('./roles');
+
+const SECRETS_COLLECTION = 'two_factor_secrets';
+const USERS_COLLECTION = 'users';
+const ISSUER = 'SwapCred';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const WINDOW_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Create an error carrying an HTTP status and machine-readable code
+ * @returns {Error}
+ */
+function createTwoFactorError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.isTwoFactorError = true;
+  return error;
+}
+
+/**
+ * @param {Buffer} buffer
+ * @returns {string} RFC 4648 base32, without padding
+ */
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+/**
+ * @param {string} text - Base32, case and padding ignored
+ * @returns {Buffer}
+ */
+function base32Decode(text) {
+  const bits = text.toUpperCase().replace(/=+$/, '').split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ * @returns {string}
+ */
+function hotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const value = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return value.toString().padStart(DIGITS, '0');
+}
+
+/**
+ * Time step a code was generated in, if it is valid now
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code the user typed
+ * @param {number} [lastUsedStep] - Steps up to this one were already used
+ * @returns {number|null}
+ */
+function matchTotpStep(secret, code, lastUsedStep = -1) {
+  const current = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  const candidate = Buffer.from(String(code));
+
+  for (let step = current - WINDOW_STEPS; step <= current + WINDOW_STEPS; step++) {
+    const expected = Buffer.from(hotp(secret, step));
+    if (step > lastUsedStep && expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate)) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * AES-256-GCM key from TWO_FACTOR_ENCRYPTION_KEY
+ * @returns {Buffer}
+ * @throws {Error} 503 TWO_FACTOR_NOT_CONFIGURED when the key is not set
+ */
+function getEncryptionKey() {
+  const secret = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+  if (!secret) {
+    logger.error('TWO_FACTOR_ENCRYPTION_KEY is not set, refusing two-factor operations');
+    throw createTwoFactorError('Two-factor authentication is not available right now', 'TWO_FACTOR_NOT_CONFIGURED', 503);
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Fresh recovery codes, shown once, and their hashes to store
+ * @returns {{codes: Array<string>, hashes: Array<string>}}
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => hash(normalizeRecoveryCode(code))) };
+}
+
+/**
+ * Whether a user must use a second factor: anyone with a staff role
+ * @param {Object} user - User document data (or req.user)
+ * @returns {boolean}
+ */
+function isTwoFactorRequired(user) {
+  return getUserRoles(user).length > 0;
+}
+
+/**
+ * Why a user may not use admin routes yet, if they may not
+ * @param {Object} user - req.user from the session middleware
+ * @returns {{error: string, code: string}|null}
+ */
+function getSecondFactorBlock(user) {
+  if (!isTwoFactorRequired(user)) {
+    return null;
+  }
+  if (!user.twoFactorEnabled) {
+    return {
+      error: 'Set up two-factor authentication to use the admin panel',
+      code: 'TWO_FACTOR_ENROLLMENT_REQUIRED'
+    };
+  }
+  if (!user.secondFactorVerified) {
+    return {
+      error: 'Enter your two-factor code to use the admin panel',
+      code: 'TWO_FACTOR_REQUIRED'
+    };
+  }
+  return null;
+}
+
+/**
+ * Start enrolling: a new secret that becomes active once a code from it is confirmed
+ * @param {Object} user - req.user
+ * @returns {Promise<{secret: string, otpauthUrl: string}>}
+ */
+async function beginEnrollment(user) {
+  if (user.twoFactorEnabled) {
+    throw createTwoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED', 409);
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await db.collection(SECRETS_COLLECTION).doc(user.uid).set({
+    pendingSecret: encryptSecret(secret),
+    pendingCreatedAt: new Date()
+  }, { merge: true });
+
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+  return { secret, otpauthUrl };
+}
+
+/**
+ * Error for a user whose verification is locked, if it is
+ * @returns {Error|null}
+ */
+function getLockError(data, now) {
+  if (data.lockedUntil && toDate(data.lockedUntil) > now) {
+    return createTwoFactorError('Too many wrong codes. Try again later.', 'TWO_FACTOR_LOCKED', 429);
+  }
+  return null;
+}
+
+/**
+ * Count a wrong code or recovery code, locking verification after too many
+ */
+function recordFailedAttempt(transaction, ref, data, now) {
+  const failedAttempts = (data.failedAttempts || 0) + 1;
+  const locked = failedAttempts >= MAX_FAILED_ATTEMPTS;
+  transaction.update(ref, {
+    failedAttempts: locked ? 0 : failedAttempts,
+    lockedUntil: locked ? new Date(now.getTime() + LOCK_MINUTES * 60 * 1000) : null
+  });
+}
+
+/**
+ * Check a code inside a transaction, counting failures towards the lock
+ * Failures are returned rather than thrown so the failure count is kept
+ * @returns {{step: number}|{error: Error}}
+ */
+function checkCode(transaction, ref, data, secretField, code) {
+  const now = new Date();
+
+  const lockError = getLockError(data, now);
+  if (lockError) {
+    return { error: lockError };
+  }
+
+  const step = matchTotpStep(decryptSecret(data[secretField]), code, data.lastUsedStep ?? -1);
+  if (step === null) {
+    recordFailedAttempt(transaction, ref, data, now);
+    return { error: createTwoFactorError('The two-factor code is not correct', 'INVALID_TWO_FACTOR_CODE', 401) };
+  }
+
+  return { step };
+}
+
+/**
+ * Check a recovery code inside a transaction, under the same lock as codes
+ * @returns {{codeHash: string}|{error: Error}}
+ */
+function checkRecoveryCode(transaction, ref, data, recoveryCode) {
+  const now = new Date();
+
+  const lockError = getLockError(data, now);
+  if (lockError) {
+    return { error: lockError };
+  }
+
+  const codeHash = hash(normalizeRecoveryCode(recoveryCode));
+  if (!(data.recoveryCodeHashes || []).includes(codeHash)) {
+    recordFailedAttempt(transaction, ref, data, now);
+    return { error: createTwoFactorError('The recovery code is not correct', 'INVALID_RECOVERY_CODE', 401) };
+  }
+
+  return { codeHash };
+}
+
+/**
+ * Finish enrolling with a code from the authenticator app
+ * @param {Object} user - req.user
+ * @param {string} code - Current code
+ * @returns {Promise<{recoveryCodes: Array<string>}>}
+ */
+async function confirmEnrollment(user, code) {
+  const ref = db.collection(SECRETS_COLLECTION).doc(user.uid);
+  const userRef = db.collection(USERS_COLLECTION).doc(user.uid);
+  const { codes, hashes } = generateRecoveryCodes();
+
+  const result = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists || !doc.data().pendingSecret) {
+      return { error: createTwoFactorError('Start two-factor setup first', 'TWO_FACTOR_SETUP_NOT_STARTED', 409) };
+    }
+
+    const checked = checkCode(transaction, ref, doc.data(), 'pendingSecret', code);
+    if (checked.error) {
+      return checked;
+    }
+
+    transaction.set(ref, {
+      secret: doc.data().pendingSecret,
+      pendingSecret: null,
+      pendingCreatedAt: null,
+      recoveryCodeHashes: hashes,
+      lastUsedStep: checked.step,
+      failedAttempts: 0,
+      lockedUntil: null,
+      enabledAt: new Date()
+    });
+    transaction.update(userRef, { twoFactorEnabled: true, updatedAt: new Date() });
+    return {};
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+  return { recoveryCodes: codes };
+}
+
+/**
+ * Check a code, or a recovery code, for an enrolled user
+ * @param {Object} user - req.user
+ * @param {Object} proof - { code } or { recoveryCode }
+ * @returns {Promise<{method: string, recoveryCodesRemaining: number}>}
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  const ref = db.collection(SECRETS_COLLECTION).doc(user.uid);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!user.twoFactorEnabled || !doc.exists || !doc.data().secret) {
+      return { error: createTwoFactorError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED', 409) };
+    }
+    const data = doc.data();
+
+    if (recoveryCode) {
+      const checked = checkRecoveryCode(transaction, ref, data, recoveryCode);
+      if (checked.error) {
+        return checked;
+      }
+      const left = data.recoveryCodeHashes.filter(existing => existing !== checked.codeHash);
+      transaction.update(ref, { recoveryCodeHashes: left, failedAttempts: 0, lockedUntil: null });
+      return { method: 'recovery_code', recoveryCodesRemaining: left.length };
+    }
+
+    const checked = checkCode(transaction, ref, data, 'secret', code);
+    if (checked.error) {
+      return checked;
+    }
+    transaction.update(ref, { lastUsedStep: checked.step, failedAttempts: 0, lockedUntil: null });
+    return { method: 'totp', recoveryCodesRemaining: (data.recoveryCodeHashes || []).length };
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+  return result;
+}
+
+/**
+ * Replace the recovery codes; the old ones stop working
+ * @param {Object} user - req.user
+ * @param {string} code - Current code, to confirm
+ * @returns {Promise<{recoveryCodes: Array<string>}>}
+ */
+async function regenerateRecoveryCodes(user, code) {
+  await verifySecondFactor(user, { code });
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await db.collection(SECRETS_COLLECTION).doc(user.uid).update({ recoveryCodeHashes: hashes });
+
+  return { recoveryCodes: codes };
+}
+
+/**
+ * Turn two-factor authentication off; staff cannot, since they must use it
+ * @param {Object} user - req.user
+ * @param {string} code - Current code, to confirm
+ */
+async function disableTwoFactor(user, code) {
+  if (isTwoFactorRequired(user)) {
+    throw createTwoFactorError('Staff accounts must keep two-factor authentication on', 'TWO_FACTOR_REQUIRED_FOR_STAFF', 409);
+  }
+
+  await verifySecondFactor(user, { code });
+
+  const batch = db.batch();
+  batch.delete(db.collection(SECRETS_COLLECTION).doc(user.uid));
+  batch.update(db.collection(USERS_COLLECTION).doc(user.uid), { twoFactorEnabled: false, updatedAt: new Date() });
+  await batch.commit();
+}
+
+/**
+ * Two-factor state of a user and their current session
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>}
+ */
+async function getTwoFactorStatus(user) {
+  const doc = await db.collection(SECRETS_COLLECTION).doc(user.uid).get();
+  const data = doc.exists ? doc.data() : {};
+
+  return {
+    enabled: Boolean(user.twoFactorEnabled),
+    required: isTwoFactorRequired(user),
+    sessionVerified: Boolean(user.secondFactorVerified),
+    enabledAt: toDate(data.enabledAt) || null,
+    recoveryCodesRemaining: user.twoFactorEnabled ? (data.recoveryCodeHashes || []).length : 0
+  };
+}
+
+/**
+ * Send the response for a two-factor error
+ * @param {Error} error - Error thrown by this module
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the error was handled
+ */
+function handleTwoFactorError(error, res) {
+  if (!error || !error.isTwoFactorError) {
+    return false;
+  }
+
+  res.status(error.statusCode).json({ error: error.message, code: error.code });
+  return true;
+}
+
+module.exports = {
+  isTwoFactorRequired,
+  getSecondFactorBlock,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  handleTwoFactorError
+};
@@ -0,0 +1,206 @@
+/**
+ * Tracking of uploaded images until they are attached to an exchange
+ *
+ * POST /api/upload/image stores images in Cloudinary before the exchange
+ * request (or inspection report) that uses them exists. Each upload is
+ * recorded in `pending_uploads`; the record is removed once the image is
+ * attached. Images still pending after UPLOAD_ORPHAN_HOURS (24 by default)
+ * were abandoned and are deleted from Cloudinary, unless an exchange request
+ * still lists them in its `imagePublicIds` index. Images that are no longer
+ * needed, such as those of a deleted account, are queued the same way.
+ *
+ * Clients send images as Cloudinary URLs or as the upload route's response
+ * ({ secure_url, public_id }) or { url, publicId }; imagePublicId() reads all
+ * three.
+ */
+const crypto = require('crypto');
+const cloudinary = require('cloudinary').v2;
+const { db } = require('./firebaseAdmin');
+const { logger } = require('./logger');
+
+const PENDING_UPLOADS_COLLECTION = 'pending_uploads';
+const EXCHANGE_COLLECTION = 'exchange_requests';
+
+// e.g. c_fill,w_200 or q_auto
+const TRANSFORMATION_SEGMENT = /^[a-z]{1,3}_[^,]+(,[a-z]{1,3}_[^,]+)*$/;
+
+const orphanHours = () => parseInt(process.env.UPLOAD_ORPHAN_HOURS) || 24;
+
+// Cloudinary public IDs contain slashes, which document IDs can't
+const uploadRef = (publicId) => db.collection(PENDING_UPLOADS_COLLECTION)
+  .doc(crypto.createHash('sha256').update(publicId).digest('hex'));
+
+/**
+ * Public ID of a Cloudinary image URL
+ * .../image/upload/[transformations/][v<version>/]<public id>.<format>
+ * @param {string} url - Image URL
+ * @returns {string|null}
+ */
+function publicIdFromUrl(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (error) {
+    return null;
+  }
+
+  const match = pathname.match(/\/image\/upload\/(.+)$/);
+  if (!match) {
+    return null;
+  }
+
+  // Everything after the version is the public ID; without one, skip the leading transformations
+  const segments = match[1].split('/');
+  const versionIndex = segments.findIndex(segment => /^v\d+$/.test(segment));
+  let start = versionIndex + 1;
+  if (versionIndex === -1) {
+    start = 0;
+    while (start < segments.length - 1 && TRANSFORMATION_SEGMENT.test(segments[start])) {
+      start += 1;
+    }
+  }
+
+  return decodeURIComponent(segments.slice(start).join('/').replace(/\.[a-z0-9]+$/i, '')) || null;
+}
+
+/**
+ * Public ID of an image in any of the shapes clients send
+ * @param {string|Object} image - URL, { publicId, url } or { public_id, secure_url }
+ * @returns {string|null}
+ */
+function imagePublicId(image) {
+  if (!image) {
+    return null;
+  }
+  if (typeof image === 'string') {
+    return publicIdFromUrl(image);
+  }
+  return image.publicId || image.public_id || publicIdFromUrl(image.url || image.secure_url || '');
+}
+
+/**
+ * Index of the images an exchange request uses, so the cleanup can tell they are live
+ * @param {Object} exchange - Exchange request data (images and inspection photos)
+ * @returns {{imagePublicIds: Array<string>}}
+ */
+function buildImageIndex(exchange) {
+  const images = [...(exchange.images || []), ...(exchange.inspection?.photos || [])];
+  return { imagePublicIds: [...new Set(images.map(imagePublicId).filter(Boolean))] };
+}
+
+/**
+ * Record a new upload; failures are logged and don't fail the upload
+ * @param {Object} upload - { publicId, url, userId }
+ */
+async function recordPendingUpload({ publicId, url, userId }) {
+  try {
+    await uploadRef(publicId).set({ publicId, url, userId, createdAt: new Date() });
+  } catch (error) {
+    logger.error('Failed to record pending upload', { publicId, error: error.message });
+  }
+}
+
+/**
+ * Mark images as used so the cleanup keeps them; failures are logged only
+ * @param {Array<string|Object>} images - Images now referenced by a document, in any shape imagePublicId() reads
+ */
+async function markUploadsAttached(images = []) {
+  const publicIds = images.map(imagePublicId).filter(Boolean);
+  if (publicIds.length === 0) {
+    return;
+  }
+
+  try {
+    const batch = db.batch();
+    publicIds.forEach(publicId => batch.delete(uploadRef(publicId)));
+    await batch.commit();
+  } catch (error) {
+    logger.error('Failed to mark uploads attached', { publicIds, error: error.message });
+  }
+}
+
+/**
+ * Delete an image from Cloudinary; an image that is already gone counts as deleted
+ * @param {string} publicId - Cloudinary public ID
+ */
+async function destroyImage(publicId) {
+  const { result } = await cloudinary.uploader.destroy(publicId, { resource_type: 'image' });
+  if (result !== 'ok' && result !== 'not found') {
+    throw new Error(`Cloudinary returned "${result}"`);
+  }
+}
+
+/**
+ * Have the cleanup delete images that are no longer needed
+ * @param {Array<string>} publicIds - Cloudinary public IDs
+ */
+async function queueImagesForDeletion(publicIds) {
+  // Backdated so the next cleanup run picks them up
+  const queuedAt = new Date(0);
+
+  for (let i = 0; i < publicIds.length; i += 500) {
+    const batch = db.batch();
+    publicIds.slice(i, i + 500).forEach(publicId => batch.set(uploadRef(publicId), {
+      publicId,
+      url: null,
+      userId: null,
+      createdAt: queuedAt
+    }));
+    await batch.commit();
+  }
+}
+
+/**
+ * Delete images that were uploaded but never attached
+ * @returns {Promise<{deleted: number, failed: number, kept: number}|{skipped: string}>}
+ */
+async function purgeOrphanedUploads() {
+  if (!cloudinary.config().api_secret) {
+    return { skipped: 'Cloudinary is not configured' };
+  }
+
+  const cutoff = new Date(Date.now() - orphanHours() * 60 * 60 * 1000);
+  const snapshot = await db.collection(PENDING_UPLOADS_COLLECTION)
+    .where('createdAt', '<', cutoff)
+    .limit(100)
+    .get();
+
+  let deleted = 0;
+  let failed = 0;
+  let kept = 0;
+  for (const doc of snapshot.docs) {
+    const { publicId } = doc.data();
+    try {
+      // Attached without being marked: keep it and stop tracking it
+      const references = await db.collection(EXCHANGE_COLLECTION)
+        .where('imagePublicIds', 'array-contains', publicId)
+        .limit(1)
+        .get();
+      if (!references.empty) {
+        logger.warn('Pending upload is used by an exchange request, keeping it', { publicId });
+        await doc.ref.delete();
+        kept += 1;
+        continue;
+      }
+
+      await destroyImage(publicId);
+      await doc.ref.delete();
+      deleted += 1;
+    } catch (error) {
+      failed += 1;
+      logger.warn('Failed to delete orphaned upload', { publicId, error: error.message });
+    }
+  }
+
+  return { deleted, failed, kept };
+}
+
+module.exports = {
+  PENDING_UPLOADS_COLLECTION,
+  imagePublicId,
+  buildImageIndex,
+  recordPendingUpload,
+  markUploadsAttached,
+  queueImagesForDeletion,
+  purgeOrphanedUploads
+};
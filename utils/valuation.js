@@ -0,0 +1,355 @@
+/**
+ * Rules-based credit valuation for exchange requests
+ *
+ * Admins maintain rate rows in `valuation_rates`, each giving a base amount for
+ * a brand / category / condition combination. Brand and category may be '*' to
+ * act as a fallback; the most specific active row wins. Optional modifiers in
+ * `valuation_settings/modifiers` scale the base amount by the item's age and add
+ * a fixed amount per included accessory.
+ */
+const { db } = require('./firebaseAdmin');
+const { logger } = require('./logger');
+
+const RATES_COLLECTION = 'valuation_rates';
+const SETTINGS_COLLECTION = 'valuation_settings';
+const MODIFIERS_DOC_ID = 'modifiers';
+const EXCHANGE_COLLECTION = 'exchange_requests';
+
+const WILDCARD = '*';
+
+// Overrides must explain why they differ from the suggestion
+const MIN_JUSTIFICATION_LENGTH = 10;
+
+// How far (in percent) credit:assign alone may move the credit away from the suggestion
+const DEFAULT_OVERRIDE_LIMIT_PERCENT = 20;
+
+const CREDIT_DECISION_METHODS = {
+  SUGGESTED: 'suggested',
+  // The amount the customer agreed to after inspection
+  AGREED: 'agreed',
+  OVERRIDE: 'override',
+  MANUAL: 'manual'
+};
+
+const DEFAULT_MODIFIERS = {
+  // Sorted by maxAgeMonths; a null maxAgeMonths catches everything older
+  ageBrackets: [],
+  // accessory name => amount added to the credit
+  accessoryValues: {}
+};
+
+/**
+ * Create an error carrying an HTTP status and machine-readable code
+ * @returns {Error}
+ */
+function createValuationError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.isValuationError = true;
+  return error;
+}
+
+/**
+ * Normalize a brand / category / condition / accessory value for matching
+ * @param {*} value - Raw value
+ * @returns {string}
+ */
+function normalizeKey(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+/**
+ * Get the age and accessory modifiers, falling back to no modifiers
+ * @returns {Promise<Object>}
+ */
+async function getValuationModifiers() {
+  const doc = await db.collection(SETTINGS_COLLECTION).doc(MODIFIERS_DOC_ID).get();
+  if (!doc.exists) {
+    return { ...DEFAULT_MODIFIERS };
+  }
+
+  const data = doc.data();
+  return {
+    ageBrackets: data.ageBrackets || DEFAULT_MODIFIERS.ageBrackets,
+    accessoryValues: data.accessoryValues || DEFAULT_MODIFIERS.accessoryValues,
+    updatedAt: data.updatedAt
+  };
+}
+
+/**
+ * Replace the age and accessory modifiers
+ * @param {Object} modifiers - { ageBrackets, accessoryValues }
+ * @param {Object} actor - Admin making the change
+ * @returns {Promise<Object>} Saved modifiers
+ */
+async function saveValuationModifiers({ ageBrackets, accessoryValues }, actor) {
+  const modifiers = {
+    ageBrackets: [...ageBrackets].sort((a, b) => {
+      if (a.maxAgeMonths === null) return 1;
+      if (b.maxAgeMonths === null) return -1;
+      return a.maxAgeMonths - b.maxAgeMonths;
+    }),
+    accessoryValues: Object.fromEntries(
+      Object.entries(accessoryValues).map(([name, amount]) => [normalizeKey(name), amount])
+    ),
+    updatedAt: new Date(),
+    updatedBy: actor?.uid || null
+  };
+
+  await db.collection(SETTINGS_COLLECTION).doc(MODIFIERS_DOC_ID).set(modifiers);
+  return modifiers;
+}
+
+/**
+ * Find the most specific active rate for an item
+ * Exact brand beats exact category, which beats the '*' fallbacks
+ * @returns {Promise<Object|null>} { id, ...rate } or null
+ */
+async function findValuationRate({ brand, category, condition }) {
+  const snapshot = await db.collection(RATES_COLLECTION)
+    .where('condition', '==', normalizeKey(condition))
+    .where('isActive', '==', true)
+    .get();
+
+  const brandKey = normalizeKey(brand);
+  const categoryKey = normalizeKey(category);
+
+  let best = null;
+  let bestScore = -1;
+
+  snapshot.docs.forEach(doc => {
+    const rate = doc.data();
+    const brandMatches = rate.brand === brandKey || rate.brand === WILDCARD;
+    const categoryMatches = rate.category === categoryKey || rate.category === WILDCARD;
+    if (!brandMatches || !categoryMatches) {
+      return;
+    }
+
+    const score = (rate.brand === brandKey ? 2 : 0) + (rate.category === categoryKey ? 1 : 0);
+    if (score > bestScore) {
+      best = { id: doc.id, ...rate };
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Pick the age multiplier for an item
+ * @param {number|undefined} ageInMonths - Item age, if known
+ * @param {Array<Object>} ageBrackets - Sorted brackets
+ * @returns {{multiplier: number, bracket: Object|null}}
+ */
+function getAgeMultiplier(ageInMonths, ageBrackets) {
+  if (ageInMonths === undefined || ageInMonths === null || !ageBrackets.length) {
+    return { multiplier: 1, bracket: null };
+  }
+
+  const bracket = ageBrackets.find(b => b.maxAgeMonths === null || ageInMonths <= b.maxAgeMonths);
+  return bracket
+    ? { multiplier: bracket.multiplier, bracket }
+    : { multiplier: 1, bracket: null };
+}
+
+/**
+ * Compute the suggested credit for an exchange request
+ * @param {Object} exchange - Exchange request data
+ * @returns {Promise<Object>} { amount, currency, breakdown } - amount is null when no rate matches
+ */
+async function calculateSuggestedCredit(exchange) {
+  // Once inspected, value the item by its measured condition
+  const condition = exchange.inspection?.measuredCondition || exchange.condition;
+
+  const [rate, modifiers] = await Promise.all([
+    findValuationRate({ ...exchange, condition }),
+    getValuationModifiers()
+  ]);
+
+  if (!rate) {
+    return {
+      amount: null,
+      currency: 'INR',
+      breakdown: null,
+      reason: 'No valuation rate matches this brand, category and condition'
+    };
+  }
+
+  const age = getAgeMultiplier(exchange.ageInMonths, modifiers.ageBrackets);
+
+  const accessories = (exchange.accessories || [])
+    .map(normalizeKey)
+    .filter(name => modifiers.accessoryValues[name] !== undefined)
+    .map(name => ({ name, amount: modifiers.accessoryValues[name] }));
+  const accessoryTotal = accessories.reduce((sum, accessory) => sum + accessory.amount, 0);
+
+  const amount = Math.max(0, Math.round(rate.baseAmount * age.multiplier + accessoryTotal));
+
+  return {
+    amount,
+    currency: 'INR',
+    breakdown: {
+      rateId: rate.id,
+      matched: { brand: rate.brand, category: rate.category, condition: rate.condition },
+      baseAmount: rate.baseAmount,
+      ageInMonths: exchange.ageInMonths ?? null,
+      ageMultiplier: age.multiplier,
+      accessories,
+      accessoryTotal
+    }
+  };
+}
+
+/**
+ * Recompute and store the suggested credit on an exchange request
+ * Valuation problems are logged, never thrown, so they can't block the calling flow
+ * @param {string} exchangeId - Exchange request ID
+ * @param {string} trigger - What caused the valuation, e.g. 'created', 'received', 'manual'
+ * @returns {Promise<Object|null>} Stored suggestion, or null on failure
+ */
+async function refreshSuggestedCredit(exchangeId, trigger) {
+  try {
+    const exchangeRef = db.collection(EXCHANGE_COLLECTION).doc(exchangeId);
+    const doc = await exchangeRef.get();
+    if (!doc.exists) {
+      return null;
+    }
+
+    const suggestedCredit = {
+      ...(await calculateSuggestedCredit(doc.data())),
+      trigger,
+      computedAt: new Date()
+    };
+
+    await exchangeRef.update({ suggestedCredit });
+    return suggestedCredit;
+  } catch (error) {
+    logger.error('Error computing suggested credit', {
+      exchangeId,
+      trigger,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Percentage by which credit:assign alone may override the suggested credit
+ * @returns {number}
+ */
+function getOverrideLimitPercent() {
+  const percent = parseFloat(process.env.CREDIT_OVERRIDE_LIMIT_PERCENT);
+  return percent >= 0 ? percent : DEFAULT_OVERRIDE_LIMIT_PERCENT;
+}
+
+/**
+ * Work out the credit to assign from the admin's request and the stored suggestion
+ * A credit the customer agreed to after inspection takes the place of the suggestion.
+ * Overriding it needs a justification, and, for an agreed credit or a
+ * suggestion off by more than CREDIT_OVERRIDE_LIMIT_PERCENT, the
+ * credit:override permission.
+ * @param {Object} exchange - Exchange request data
+ * @param {Object} input - { creditAmount, useSuggested, justification, canOverride }
+ * @param {Object} actor - Admin deciding ({ uid, email })
+ * @returns {{points: number, decision: Object}}
+ */
+function resolveCreditDecision(exchange, { creditAmount, useSuggested, justification, canOverride = false }, actor) {
+  const agreedAmount = exchange.inspection?.agreedCredit ?? null;
+  const suggestedAmount = agreedAmount ?? exchange.suggestedCredit?.amount ?? null;
+  const referenceMethod = agreedAmount !== null ? CREDIT_DECISION_METHODS.AGREED : CREDIT_DECISION_METHODS.SUGGESTED;
+  const decision = {
+    suggestedAmount,
+    justification: justification ? String(justification).trim() : null,
+    decidedBy: actor?.uid || null,
+    decidedAt: new Date()
+  };
+
+  if (useSuggested) {
+    if (!suggestedAmount || suggestedAmount <= 0) {
+      throw createValuationError('This exchange request has no suggested credit to accept', 'NO_SUGGESTED_CREDIT', 400);
+    }
+    return {
+      points: suggestedAmount,
+      decision: { ...decision, method: referenceMethod, finalAmount: suggestedAmount }
+    };
+  }
+
+  const points = Math.round(Number(creditAmount));
+  if (!points || points <= 0 || isNaN(points)) {
+    throw createValuationError('Invalid loyalty points amount. Please provide a positive whole number.', 'INVALID_CREDIT_AMOUNT', 400);
+  }
+
+  if (suggestedAmount === null) {
+    return {
+      points,
+      decision: { ...decision, method: CREDIT_DECISION_METHODS.MANUAL, finalAmount: points }
+    };
+  }
+
+  if (points !== suggestedAmount && (!decision.justification || decision.justification.length < MIN_JUSTIFICATION_LENGTH)) {
+    throw createValuationError(
+      `Overriding the ${referenceMethod} credit of ${suggestedAmount} requires a justification of at least ${MIN_JUSTIFICATION_LENGTH} characters`,
+      'JUSTIFICATION_REQUIRED',
+      400
+    );
+  }
+
+  if (points !== suggestedAmount && !canOverride) {
+    if (agreedAmount !== null) {
+      throw createValuationError(
+        `Only staff with the credit:override permission can change the credit of ${agreedAmount} the customer agreed to`,
+        'OVERRIDE_NOT_PERMITTED',
+        403
+      );
+    }
+
+    const limitPercent = getOverrideLimitPercent();
+    if (Math.abs(points - suggestedAmount) > suggestedAmount * limitPercent / 100) {
+      throw createValuationError(
+        `Overriding the suggested credit of ${suggestedAmount} by more than ${limitPercent}% requires the credit:override permission`,
+        'OVERRIDE_NOT_PERMITTED',
+        403
+      );
+    }
+  }
+
+  return {
+    points,
+    decision: {
+      ...decision,
+      method: points === suggestedAmount ? referenceMethod : CREDIT_DECISION_METHODS.OVERRIDE,
+      finalAmount: points
+    }
+  };
+}
+
+/**
+ * Send the response for a valuation error
+ * @param {Error} error - Error thrown by this module
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the error was handled
+ */
+function handleValuationError(error, res) {
+  if (!error || !error.isValuationError) {
+    return false;
+  }
+
+  res.status(error.statusCode).json({ error: error.message, code: error.code });
+  return true;
+}
+
+module.exports = {
+  RATES_COLLECTION,
+  SETTINGS_COLLECTION,
+  MODIFIERS_DOC_ID,
+  WILDCARD,
+  CREDIT_DECISION_METHODS,
+  normalizeKey,
+  getValuationModifiers,
+  saveValuationModifiers,
+  calculateSuggestedCredit,
+  refreshSuggestedCredit,
+  resolveCreditDecision,
+  handleValuationError
+};